@@ -1,12 +1,29 @@
 import fs from 'fs';
 import path from 'path';
 import { sql } from '@vercel/postgres';
-
-function send(res, status, data) {
-  res.statusCode = status;
-  res.setHeader('Content-Type', 'application/json');
-  res.end(JSON.stringify(data));
-}
+import { send, parseRoute, cryptoRandomUUID } from './lib/http.js';
+import { handlePrompts, handlePrompt } from './routes/prompts.js';
+import { handleAuth } from './routes/auth.js';
+import { handleFavorites } from './routes/favorites.js';
+import { handleCollections } from './routes/collections.js';
+import { handleSearch } from './routes/search.js';
+import { handleAnalytics } from './routes/analytics.js';
+import { handlePromptStats } from './routes/stats.js';
+import { handleTrending } from './routes/trending.js';
+import { handlePromptUpdate, handlePromptVersions } from './routes/versions.js';
+import { handlePromptForks } from './routes/forks.js';
+import { handleDuplicateCheck, handleDuplicateReport } from './routes/duplicates.js';
+import { handleRelatedPrompts } from './routes/related.js';
+import { handleFeed } from './routes/feed.js';
+import { handleComments } from './routes/comments.js';
+import { handleRatings } from './routes/ratings.js';
+import { handleLikes } from './routes/likes.js';
+import { handleUsers } from './routes/users.js';
+import { handleNotifications } from './routes/notifications.js';
+import { handleTags } from './routes/tags.js';
+import { handleCategories } from './routes/categories.js';
+import { listCategorySlugs } from './lib/categories.js';
+import { handleReports, handleModeration } from './routes/moderation.js';
 
 async function readPromptsJson() {
   try {
@@ -19,16 +36,11 @@ async function readPromptsJson() {
   }
 }
 
-function parseIdFromUrl(url, base) {
-  const withoutBase = url.replace(base, '');
-  const parts = withoutBase.split('/').filter(Boolean);
-  return parts[0] || null;
-}
-
 export default async function handler(req, res) {
   try {
     const url = req.url || '';
     const method = req.method || 'GET';
+    const route = parseRoute(req);
 
     // Health check
     if (url === '/api/health') {
@@ -46,118 +58,128 @@ export default async function handler(req, res) {
     if (url.startsWith('/api/prompts') && (url === '/api/prompts' || url.startsWith('/api/prompts?'))) {
       await ensureTables();
 
-      if (method === 'GET') {
-        // Basic filtering (query param: q, category)
-        const u = new URL('http://localhost' + url);
-        const q = (u.searchParams.get('q') || u.searchParams.get('search') || '').toLowerCase();
-        const category = (u.searchParams.get('category') || '').toLowerCase();
-        const page = Math.max(parseInt(u.searchParams.get('page') || '1', 10), 1);
-        const limit = Math.min(Math.max(parseInt(u.searchParams.get('limit') || '20', 10), 1), 100);
-        const offset = (page - 1) * limit;
-
-        const where = [];
-        const params = [];
-        if (q) {
-          params.push(`%${q}%`);
-          where.push(`(LOWER(title) LIKE $${params.length} OR LOWER(description) LIKE $${params.length} OR LOWER(content) LIKE $${params.length})`);
-        }
-        if (category && category !== 'all') {
-          params.push(category);
-          where.push(`LOWER(category) = $${params.length}`);
-        }
-        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
-
-        const totalRes = await sql.unsafe(`SELECT COUNT(*) AS c FROM prompts ${whereSql}`, params);
-        const total = parseInt(totalRes.rows[0]?.c || '0', 10);
-
-        params.push(limit, offset);
-        const rowsRes = await sql.unsafe(
-          `SELECT id, title, description, content, category, tags, average_rating, total_ratings, total_likes, created_at, updated_at
-           FROM prompts ${whereSql}
-           ORDER BY created_at DESC
-           LIMIT $${params.length - 1} OFFSET $${params.length}`,
-          params
-        );
-
-        return send(res, 200, { prompts: rowsRes.rows, pagination: { page, limit, total } });
-      }
-
-      if (method === 'POST') {
-        const body = await readJson(req);
-        const id = body.id || cryptoRandomUUID();
-        const now = new Date().toISOString();
-        const tags = Array.isArray(body.tags) ? body.tags : [];
-        await sql`
-          INSERT INTO prompts (id, title, description, content, category, tags, average_rating, total_ratings, total_likes, created_at, updated_at)
-          VALUES (${id}, ${body.title || ''}, ${body.description || ''}, ${body.content || ''}, ${body.category || 'general'}, ${tags}, 0, 0, 0, ${now}, ${now})
-        `;
-        return send(res, 201, { message: 'Created', id });
-      }
-
-      return send(res, 405, { error: 'Method not allowed' });
+      return await handlePrompts(req, res, route);
+    }
+
+    // Near-duplicate check for the submission form
+    if (route.segments[0] === 'prompts' && route.segments[1] === 'duplicates' && route.segments.length === 2) {
+      return await handleDuplicateCheck(req, res, route);
+    }
+
+    // Author stats for a single prompt
+    if (route.segments[0] === 'prompts' && route.segments[2] === 'stats') {
+      return await handlePromptStats(req, res, route);
+    }
+
+    // Version history, diffs and restore
+    if (route.segments[0] === 'prompts' && route.segments[2] === 'versions') {
+      return await handlePromptVersions(req, res, route);
+    }
+
+    // Forking and fork trees
+    if (route.segments[0] === 'prompts' && ['fork', 'forks'].includes(route.segments[2])) {
+      return await handlePromptForks(req, res, route);
+    }
+
+    // Related prompts for the detail view
+    if (route.segments[0] === 'prompts' && route.segments[2] === 'related') {
+      return await handleRelatedPrompts(req, res, route);
+    }
+
+    // One like per user or anonymous device
+    if (route.segments[0] === 'prompts' && route.segments[2] === 'likes') {
+      return await handleLikes(req, res, route);
+    }
+
+    // One rating per user, with reviews and helpfulness votes
+    if (route.segments[0] === 'prompts' && route.segments[2] === 'ratings') {
+      return await handleRatings(req, res, route);
+    }
+
+    // Threaded comments on a prompt
+    if (route.segments[0] === 'prompts' && route.segments[2] === 'comments') {
+      return await handleComments(req, res, route);
+    }
+
+    // Authenticated, versioned edit
+    if (route.segments[0] === 'prompts' && route.segments.length === 2 && method === 'PUT') {
+      return await handlePromptUpdate(req, res, route);
     }
 
     // Prompt by id
-    if (url.startsWith('/api/prompts/')) {
-      const id = parseIdFromUrl(url, '/api/prompts/');
+    if (route.segments[0] === 'prompts' && route.segments.length === 2) {
       await ensureTables();
-      const found = await sql`SELECT id, title, description, content, category, tags, average_rating, total_ratings, total_likes, created_at, updated_at FROM prompts WHERE id = ${id}`;
-      const prompt = found.rows[0];
-      if (!prompt && method === 'GET') return send(res, 404, { error: 'Prompt not found' });
-
-      if (method === 'GET') return send(res, 200, { prompt });
-      if (method === 'PUT') {
-        const body = await readJson(req);
-        const now = new Date().toISOString();
-        await sql`
-          UPDATE prompts SET
-            title = COALESCE(${body.title}, title),
-            description = COALESCE(${body.description}, description),
-            content = COALESCE(${body.content}, content),
-            category = COALESCE(${body.category}, category),
-            tags = COALESCE(${Array.isArray(body.tags) ? body.tags : null}, tags),
-            updated_at = ${now}
-          WHERE id = ${id}
-        `;
-        return send(res, 200, { message: 'Updated' });
-      }
-      if (method === 'DELETE') {
-        await sql`DELETE FROM prompts WHERE id = ${id}`;
-        return send(res, 200, { message: 'Deleted' });
-      }
-      // Likes: POST to like, DELETE to unlike
-      if (method === 'POST' && url.endsWith('/likes')) {
-        const likeId = cryptoRandomUUID();
-        await sql`
-          INSERT INTO prompt_likes (id, prompt_id, created_at)
-          VALUES (${likeId}, ${id}, NOW())
-          ON CONFLICT DO NOTHING
-        `;
-        await sql`UPDATE prompts SET total_likes = total_likes + 1 WHERE id = ${id}`;
-        return send(res, 201, { message: 'Liked' });
-      }
-      if (method === 'DELETE' && url.endsWith('/likes')) {
-        // Remove a like (best-effort)
-        const row = await sql`DELETE FROM prompt_likes WHERE prompt_id = ${id} RETURNING id`;
-        if (row.rowCount > 0) {
-          await sql`UPDATE prompts SET total_likes = GREATEST(total_likes - 1, 0) WHERE id = ${id}`;
-        }
-        return send(res, 200, { message: 'Unliked' });
-      }
-      // Ratings: POST with { rating, review }
-      if (method === 'POST' && url.endsWith('/ratings')) {
-        const body = await readJson(req);
-        const score = Math.max(1, Math.min(5, parseInt(body.rating || 0, 10)));
-        const review = body.review || null;
-        const ratingId = cryptoRandomUUID();
-        await sql`
-          INSERT INTO prompt_ratings (id, prompt_id, rating, review, created_at)
-          VALUES (${ratingId}, ${id}, ${score}, ${review}, NOW())
-        `;
-        await recomputePromptRating(id);
-        return send(res, 201, { message: 'Rated', rating: score });
-      }
-      return send(res, 405, { error: 'Method not allowed' });
+      return await handlePrompt(req, res, route);
+    }
+
+    // Auth: register, login, verify, refresh, logout
+    if (route.segments[0] === 'auth') {
+      return await handleAuth(req, res, route);
+    }
+
+    // Favorites for the authenticated user
+    if (route.segments[0] === 'favorites') {
+      return await handleFavorites(req, res, route);
+    }
+
+    // Collections: CRUD, ordered prompts, follows and localStorage sync
+    if (route.segments[0] === 'collections') {
+      return await handleCollections(req, res, route);
+    }
+
+    // Full-text search with facets
+    if (route.segments[0] === 'search') {
+      return await handleSearch(req, res, route);
+    }
+
+    // Analytics event ingestion
+    if (route.segments[0] === 'analytics') {
+      return await handleAnalytics(req, res, route);
+    }
+
+    // Time-decayed trending prompts and components
+    if (route.segments[0] === 'trending') {
+      return await handleTrending(req, res, route);
+    }
+
+    // Personalized feed, trending for anonymous users
+    if (route.segments[0] === 'feed') {
+      return await handleFeed(req, res, route);
+    }
+
+    // Duplicate clusters for moderators
+    if (route.segments[0] === 'moderation' && route.segments[1] === 'duplicates' && route.segments.length === 2) {
+      return await handleDuplicateReport(req, res, route);
+    }
+
+    // Content reports from users
+    if (route.segments[0] === 'reports') {
+      return await handleReports(req, res, route);
+    }
+
+    // Moderation queue and actions
+    if (route.segments[0] === 'moderation') {
+      return await handleModeration(req, res, route);
+    }
+
+    // User profiles, profile editing and author stats
+    if (route.segments[0] === 'users') {
+      return await handleUsers(req, res, route);
+    }
+
+    // Notifications inbox with read/unread state
+    if (route.segments[0] === 'notifications') {
+      return await handleNotifications(req, res, route);
+    }
+
+    // Categories with live prompt counts; moderators manage them
+    if (route.segments[0] === 'categories') {
+      return await handleCategories(req, res, route);
+    }
+
+    // Tag autocomplete, and renames and merges for moderators
+    if (route.segments[0] === 'tags') {
+      return await handleTags(req, res, route);
     }
 
     // Fallback for other routes during consolidation
@@ -190,26 +212,11 @@ async function ensureTables() {
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
     )
   `;
-  await sql`
-    CREATE TABLE IF NOT EXISTS prompt_likes (
-      id TEXT PRIMARY KEY,
-      prompt_id TEXT NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
-      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-    )
-  `;
-  await sql`
-    CREATE TABLE IF NOT EXISTS prompt_ratings (
-      id TEXT PRIMARY KEY,
-      prompt_id TEXT NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
-      rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
-      review TEXT,
-      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-    )
-  `;
 }
 
 async function seedDummyPrompts() {
-  const categories = ['development', 'creative', 'business', 'education', 'research', 'technical'];
+  const categories = await listCategorySlugs();
+  if (categories.length === 0) return 0;
   const rows = [];
   for (let i = 0; i < 18; i++) {
     const cat = categories[i % categories.length];
@@ -218,6 +225,9 @@ async function seedDummyPrompts() {
     const description = `A high-quality ${cat} prompt example to demonstrate seeding.`;
     const content = `You are an expert in ${cat}. Help the user with a step-by-step, actionable response.`;
     const tags = [cat, 'demo', 'seed'];
+    // Reseeding skips prompts seeded before instead of duplicating them
+    const existing = await sql`SELECT 1 FROM prompts WHERE title = ${title} LIMIT 1`;
+    if (existing.rowCount > 0) continue;
     await sql`
       INSERT INTO prompts (id, title, description, content, category, tags)
       VALUES (${id}, ${title}, ${description}, ${content}, ${cat}, ${tags})
@@ -227,40 +237,3 @@ async function seedDummyPrompts() {
   }
   return rows.length;
 }
-
-function cryptoRandomUUID() {
-  // Use Node 18+ crypto if available
-  try {
-    // eslint-disable-next-line no-undef
-    return globalThis.crypto?.randomUUID() || require('crypto').randomUUID();
-  } catch {
-    const { randomBytes } = require('crypto');
-    const b = randomBytes(16);
-    b[6] = (b[6] & 0x0f) | 0x40; // version 4
-    b[8] = (b[8] & 0x3f) | 0x80; // variant
-    const h = [...b].map(x => x.toString(16).padStart(2, '0')).join('');
-    return `${h.slice(0,8)}-${h.slice(8,12)}-${h.slice(12,16)}-${h.slice(16,20)}-${h.slice(20)}`;
-  }
-}
-
-async function readJson(req) {
-  return new Promise((resolve, reject) => {
-    let data = '';
-    req.on('data', chunk => (data += chunk));
-    req.on('end', () => {
-      try {
-        resolve(data ? JSON.parse(data) : {});
-      } catch (e) {
-        reject(e);
-      }
-    });
-    req.on('error', reject);
-  });
-}
-
-async function recomputePromptRating(promptId) {
-  const agg = await sql`SELECT AVG(rating)::numeric(10,2) AS avg, COUNT(*)::int AS total FROM prompt_ratings WHERE prompt_id = ${promptId}`;
-  const avg = parseFloat(agg.rows[0]?.avg || 0);
-  const total = parseInt(agg.rows[0]?.total || 0, 10);
-  await sql`UPDATE prompts SET average_rating = ${isNaN(avg) ? 0 : avg}, total_ratings = ${isNaN(total) ? 0 : total} WHERE id = ${promptId}`;
-}
@@ -0,0 +1,109 @@
+// Password hashing and signed tokens for Prompt Hero auth
+// Access tokens are HS256 JWTs; refresh tokens are opaque and stored hashed.
+import { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+
+export const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // seconds
+
+const SCRYPT_COST = 16384;
+const SCRYPT_KEYLEN = 64;
+
+function scryptAsync(password, salt, cost) {
+  return new Promise((resolve, reject) => {
+    scrypt(password, salt, SCRYPT_KEYLEN, { N: cost }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+// Stored as scrypt$<cost>$<salt>$<hash> so the cost can be raised later
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('base64url');
+  const key = await scryptAsync(password, salt, SCRYPT_COST);
+  return `scrypt$${SCRYPT_COST}$${salt}$${key.toString('base64url')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  if (typeof stored !== 'string') return false;
+  const [scheme, cost, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scryptAsync(password, salt, parseInt(cost, 10));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+function base64urlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function hmac(input) {
+  return createHmac('sha256', getSecret()).update(input).digest('base64url');
+}
+
+export function signAccessToken(user, now = Date.now()) {
+  const iat = Math.floor(now / 1000);
+  const header = base64urlJson({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64urlJson({
+    sub: user.id,
+    username: user.username,
+    type: 'access',
+    iat,
+    exp: iat + ACCESS_TOKEN_TTL
+  });
+  return `${header}.${payload}.${hmac(`${header}.${payload}`)}`;
+}
+
+// Returns the token payload, or null if the signature, type or expiry is wrong
+export function verifyAccessToken(token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (alg !== 'HS256' || claims.type !== 'access') return null;
+    if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(now / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+export function generateRefreshToken() {
+  return randomBytes(48).toString('base64url');
+}
+
+export function hashRefreshToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// Anonymous visitors are told apart by a random device id that the server signs,
+// so a client can't like something as a device it made up: <deviceId>.<signature>
+export function signDeviceToken(deviceId = randomBytes(16).toString('base64url')) {
+  return `${deviceId}.${hmac(`device:${deviceId}`)}`;
+}
+
+// Returns the device id, or null if the token wasn't signed here
+export function verifyDeviceToken(token) {
+  if (typeof token !== 'string') return null;
+  const [deviceId, signature, extra] = token.split('.');
+  if (!deviceId || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(hmac(`device:${deviceId}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+  return deviceId;
+}
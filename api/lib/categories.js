@@ -0,0 +1,30 @@
+// Prompt categories live in the categories table (migration 019) rather than in
+// the code. Prompts are checked against it when they are created or edited; a
+// category's aliases and display name are accepted too and stored as its slug.
+import { sql } from '@vercel/postgres';
+
+// Categories in display order
+export async function listCategorySlugs() {
+  const result = await sql`SELECT slug FROM categories ORDER BY sort_order, name`;
+  return result.rows.map(row => row.slug);
+}
+
+// The slug for a submitted slug, alias or name; null when no category matches
+export async function resolveCategory(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const key = value.trim().toLowerCase();
+  const result = await sql`
+    SELECT slug FROM categories
+    WHERE slug = ${key} OR ${key} = ANY(aliases) OR LOWER(name) = ${key}
+    ORDER BY slug = ${key} DESC
+    LIMIT 1
+  `;
+  return result.rows[0]?.slug || null;
+}
+
+// Validation error for a category that doesn't exist, naming the ones that do
+export async function unknownCategoryError() {
+  const slugs = await listCategorySlugs();
+  return { field: 'category', message: `Category must be one of: ${slugs.join(', ')}` };
+}
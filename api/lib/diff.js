@@ -0,0 +1,120 @@
+// Line and word diffs for prompt version history (Myers' O(ND) algorithm)
+
+// Past this many edits the texts are treated as entirely replaced; keeps the
+// trace (which grows with edits squared) small on pathological inputs
+const MAX_EDIT_DISTANCE = 2000;
+
+// Lines keep their trailing newline so joining the ops rebuilds the text exactly
+export function tokenizeLines(text) {
+  return String(text ?? '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Words and the whitespace between them, again lossless when joined
+export function tokenizeWords(text) {
+  return String(text ?? '').match(/\s+|[^\s]+/g) || [];
+}
+
+// [{ type: 'equal' | 'delete' | 'insert', value }] with adjacent runs merged
+export function diffText(before, after, mode = 'line') {
+  const tokenize = mode === 'word' ? tokenizeWords : tokenizeLines;
+  return mergeRuns(diffTokens(tokenize(before), tokenize(after)));
+}
+
+// Tokens added and removed, for a quick summary next to the diff
+export function diffStats(ops, mode = 'line') {
+  const tokenize = mode === 'word' ? tokenizeWords : tokenizeLines;
+  const count = type => ops
+    .filter(op => op.type === type)
+    .reduce((sum, op) => sum + tokenize(op.value).filter(token => token.trim()).length, 0);
+  return { additions: count('insert'), deletions: count('delete') };
+}
+
+export function diffTokens(a, b) {
+  // Common prefix and suffix never need the full search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(value => ({ type: 'equal', value }));
+  const tail = a.slice(endA).map(value => ({ type: 'equal', value }));
+  const middle = myers(a.slice(start, endA), b.slice(start, endB));
+  return [...head, ...middle, ...tail];
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0) return b.map(value => ({ type: 'insert', value }));
+  if (m === 0) return a.map(value => ({ type: 'delete', value }));
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds diagonals -d..d as they were before round d
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b);
+    }
+  }
+
+  return [
+    ...a.map(value => ({ type: 'delete', value })),
+    ...b.map(value => ({ type: 'insert', value }))
+  ];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const row = trace[d];
+    const at = k => row[k + d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: 'insert', value: b[prevY] });
+      else ops.push({ type: 'delete', value: a[prevX] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+function mergeRuns(ops) {
+  const merged = [];
+  for (const op of ops) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) last.value += op.value;
+    else merged.push({ ...op });
+  }
+  return merged;
+}
@@ -0,0 +1,21 @@
+// Difficulty classification for the API. The features and weights live in
+// docs/js/prompt-difficulty.js, which scripts/migrate-components.js and
+// scripts/difficulty-report.js require too, so they guess the level the API stores.
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const PromptDifficulty = require('../../docs/js/prompt-difficulty.js');
+
+export const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// The submitted difficulty_level, or the classifier's guess when none was given
+export function resolveDifficulty(prompt) {
+  const given = prompt.difficulty_level;
+  if (given === undefined || given === null || given === '') return PromptDifficulty.classify(prompt);
+  return DIFFICULTY_LEVELS.includes(given) ? given : null;
+}
+
+// { level, score, features }; see PromptDifficulty.analyze
+export function classifyDifficulty(prompt) {
+  return PromptDifficulty.analyze(prompt);
+}
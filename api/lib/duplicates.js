@@ -0,0 +1,187 @@
+// Near-duplicate prompts, found with MinHash over word shingles.
+// A prompt's content becomes a signature of NUM_HASHES minimum hashes. The share of
+// positions where two signatures agree estimates how much of their wording they share
+// (Jaccard similarity of their 3-word shingles). Signatures are cut into bands; prompts
+// that share any band hash are candidates, found through the GIN index on
+// prompts.minhash_bands, and only candidates are compared in full.
+import { sql } from '@vercel/postgres';
+
+export const NUM_HASHES = 64;
+export const DUPLICATE_THRESHOLD = 0.8;
+
+// 16 bands of 4: pairs at 0.8 similarity share a band more than 99.9% of the time,
+// pairs at 0.3 less than 13%
+const BAND_ROWS = 4;
+const SHINGLE_WORDS = 3;
+
+const MAX_CANDIDATES = 50;
+const MAX_REPORT_PAIRS = 5000;
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(0x9e3779b9 ^ (i + 1)));
+
+// { minhash, bands } to store with the prompt; nulls when there is no text to compare
+export function fingerprint(content) {
+  const shingles = shingleHashes(content);
+  if (shingles.length === 0) return { minhash: null, bands: null };
+
+  // INTEGER[] columns are signed, so hashes are stored as int32
+  const minhash = SEEDS.map(seed => {
+    let min = 0xffffffff;
+    for (const shingle of shingles) min = Math.min(min, mix32(shingle ^ seed));
+    return min | 0;
+  });
+  return { minhash, bands: bandHashes(minhash) };
+}
+
+// Estimated Jaccard similarity of two signatures, 0 to 1
+export function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+// Prompts the viewer can see whose content is at least `threshold` similar, closest first
+export async function findDuplicates(content, { excludeId = null, userId = null, threshold = DUPLICATE_THRESHOLD } = {}) {
+  const { minhash, bands } = fingerprint(content);
+  if (!minhash) return [];
+
+  const result = await sql.query(
+    `SELECT p.id, p.title, u.username AS author_username, p.is_public, p.created_at, p.minhash
+     FROM prompts p
+     LEFT JOIN users u ON u.id = p.author_id
+     WHERE p.minhash_bands && $1::int[]
+       AND ($2::uuid IS NULL OR p.id <> $2::uuid)
+       AND (p.is_public = true OR p.author_id = $3::uuid)
+     LIMIT ${MAX_CANDIDATES}`,
+    [bands, excludeId, userId]
+  );
+
+  return result.rows
+    .map(({ minhash: candidate, ...row }) => ({ ...row, similarity: round(similarity(minhash, candidate)) }))
+    .filter(row => row.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+// Groups of near-identical prompts, largest first. Each cluster lists its oldest prompt
+// first as the likely original, with every prompt's similarity to it. Forks are copies
+// by design and are left out.
+export async function duplicateClusters({ threshold = DUPLICATE_THRESHOLD, limit = 20 } = {}) {
+  const pairsRes = await sql.query(
+    `SELECT a.id AS a_id, b.id AS b_id, a.minhash AS a_minhash, b.minhash AS b_minhash
+     FROM prompts a
+     JOIN prompts b ON a.id < b.id AND a.minhash_bands && b.minhash_bands
+     WHERE a.forked_from IS NULL AND b.forked_from IS NULL
+     LIMIT ${MAX_REPORT_PAIRS}`
+  );
+
+  // Union-find over the pairs that clear the threshold
+  const parent = new Map();
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const signatures = new Map();
+  for (const pair of pairsRes.rows) {
+    if (similarity(pair.a_minhash, pair.b_minhash) < threshold) continue;
+    for (const [id, minhash] of [[pair.a_id, pair.a_minhash], [pair.b_id, pair.b_minhash]]) {
+      if (!parent.has(id)) parent.set(id, id);
+      signatures.set(id, minhash);
+    }
+    parent.set(find(pair.a_id), find(pair.b_id));
+  }
+  if (parent.size === 0) {
+    return { clusters: [], total: 0, threshold, truncated: pairsRes.rows.length === MAX_REPORT_PAIRS };
+  }
+
+  const detailsRes = await sql.query(
+    `SELECT p.id, p.title, p.author_id, u.username AS author_username, p.is_public,
+            p.total_likes, p.average_rating, p.created_at
+     FROM prompts p
+     LEFT JOIN users u ON u.id = p.author_id
+     WHERE p.id = ANY($1::uuid[])
+     ORDER BY p.created_at, p.id`,
+    [[...parent.keys()]]
+  );
+
+  const groups = new Map();
+  for (const row of detailsRes.rows) {
+    const root = find(row.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(row);
+  }
+
+  const clusters = [...groups.values()]
+    .map(prompts => {
+      const original = signatures.get(prompts[0].id);
+      return {
+        original_id: prompts[0].id,
+        size: prompts.length,
+        prompts: prompts.map(prompt => ({
+          ...prompt,
+          similarity: round(similarity(original, signatures.get(prompt.id)))
+        }))
+      };
+    })
+    .sort((a, b) => b.size - a.size || String(a.prompts[0].created_at).localeCompare(String(b.prompts[0].created_at)));
+
+  return {
+    clusters: clusters.slice(0, limit),
+    total: clusters.length,
+    threshold,
+    truncated: pairsRes.rows.length === MAX_REPORT_PAIRS
+  };
+}
+
+function shingleHashes(content) {
+  const words = String(content ?? '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  if (words.length === 0) return [];
+  if (words.length <= SHINGLE_WORDS) return [fnv1a(words.join(' '))];
+
+  const hashes = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    hashes.add(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+  }
+  return [...hashes];
+}
+
+function bandHashes(minhash) {
+  const bands = [];
+  for (let start = 0; start < minhash.length; start += BAND_ROWS) {
+    // The band's position is part of its hash, so equal values in different bands don't match
+    let hash = mix32(start + 1);
+    for (const value of minhash.slice(start, start + BAND_ROWS)) hash = mix32(Math.imul(hash, 31) ^ value);
+    bands.push(hash | 0);
+  }
+  return bands;
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer: spreads every input bit over the whole 32-bit result
+function mix32(value) {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,10 @@
+// Fork attribution shared by the prompt list/detail queries and routes/forks.js
+
+// Correlated subquery for `{ id, title, author_username }` of the prompt that
+// `table`.forked_from points at; null for originals and for private sources
+export function forkSourceSql(table) {
+  return `(SELECT json_build_object('id', src.id, 'title', src.title, 'author_username', su.username)
+     FROM prompts src
+     LEFT JOIN users su ON su.id = src.author_id
+     WHERE src.id = ${table}.forked_from AND src.is_public = true)`;
+}
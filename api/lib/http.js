@@ -0,0 +1,66 @@
+// Shared request/response helpers for the consolidated API router
+import { randomBytes, randomUUID } from 'crypto';
+
+export function send(res, status, data) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+}
+
+export async function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => (data += chunk));
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Split a request into method, path segments below /api and query params
+export function parseRoute(req) {
+  const method = req.method || 'GET';
+  const [rawPath, rawQuery = ''] = (req.url || '').split('?');
+  const pathname = rawPath.replace(/\/+$/, '') || '/';
+  const segments = pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  const query = Object.fromEntries(new URLSearchParams(rawQuery));
+  return { method, pathname, segments, query };
+}
+
+// Run a Joi schema and shape failures like validateInput() in middleware/security.js
+export function validate(schema, data) {
+  const { error, value } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+  if (!error) return { value, errors: null };
+  return {
+    value: null,
+    errors: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  };
+}
+
+export function sendValidationError(res, errors) {
+  return send(res, 400, {
+    error: 'Validation failed',
+    message: 'Please check your input',
+    errors
+  });
+}
+
+export function cryptoRandomUUID() {
+  try {
+    return randomUUID();
+  } catch {
+    const b = randomBytes(16);
+    b[6] = (b[6] & 0x0f) | 0x40; // version 4
+    b[8] = (b[8] & 0x3f) | 0x80; // variant
+    const h = [...b].map(x => x.toString(16).padStart(2, '0')).join('');
+    return `${h.slice(0,8)}-${h.slice(8,12)}-${h.slice(12,16)}-${h.slice(16,20)}-${h.slice(20)}`;
+  }
+}
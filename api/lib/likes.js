@@ -0,0 +1,25 @@
+// Likes belong to a signed-in user or, for anonymous visitors, to a signed device
+// id sent in the X-Device-Token header (see signDeviceToken in lib/auth.js)
+import { sql } from '@vercel/postgres';
+import { verifyDeviceToken } from './auth.js';
+import { getAuthenticatedUser } from '../middleware/security.js';
+
+// { userId, deviceId } with exactly one set, or null for a visitor with no device yet
+export async function resolveLiker(req) {
+  const user = await getAuthenticatedUser(req);
+  if (user) return { userId: user.id, deviceId: null };
+  const deviceId = verifyDeviceToken(req.headers['x-device-token']);
+  return deviceId ? { userId: null, deviceId } : null;
+}
+
+// Adds liked_by_me to each prompt with one query for the whole list
+export async function withLikedByMe(prompts, liker) {
+  if (!liker || prompts.length === 0) return prompts.map(prompt => ({ ...prompt, liked_by_me: false }));
+
+  const ids = prompts.map(prompt => String(prompt.id));
+  const result = liker.userId
+    ? await sql`SELECT prompt_id FROM prompt_likes WHERE user_id = ${liker.userId} AND prompt_id::text = ANY(${ids}::text[])`
+    : await sql`SELECT prompt_id FROM prompt_likes WHERE device_id = ${liker.deviceId} AND prompt_id::text = ANY(${ids}::text[])`;
+  const liked = new Set(result.rows.map(row => String(row.prompt_id)));
+  return prompts.map(prompt => ({ ...prompt, liked_by_me: liked.has(String(prompt.id)) }));
+}
@@ -0,0 +1,15 @@
+// Prompt lint for the API. The rules live in docs/js/prompt-lint.js, which the
+// submission form loads as a script, so both sides report the same warnings.
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const PromptLint = require('../../docs/js/prompt-lint.js');
+
+// { score, warnings, counts, tokens }; see PromptLint.lint
+export function lintPrompt(prompt) {
+  return PromptLint.lint(prompt);
+}
+
+export function hasLintErrors(result) {
+  return PromptLint.hasErrors(result);
+}
@@ -0,0 +1,56 @@
+// Markdown for comments: a small subset rendered to HTML
+// Every piece of text goes through escapeHtml before any markup is added, so nothing
+// a user types can become a tag or attribute of its own. Supported: paragraphs and
+// line breaks, "- " lists, ``` fenced code ```, `inline code`, **bold**, *italic* and
+// [links](https://...) to http(s) URLs.
+import { escapeHtml } from '../middleware/security.js';
+
+const FENCE = /```[^\n`]*\n?([\s\S]*?)```/g;
+const LIST_ITEM = /^\s*[-*]\s+/;
+
+export function renderMarkdown(text) {
+  const source = String(text ?? '').replace(/\r\n?/g, '\n');
+  const html = [];
+  let last = 0;
+
+  // Fenced code is cut out first so nothing inside it is formatted
+  for (const match of source.matchAll(FENCE)) {
+    html.push(renderBlocks(source.slice(last, match.index)));
+    html.push(`<pre><code>${escapeHtml(match[1].replace(/\n$/, ''))}</code></pre>`);
+    last = match.index + match[0].length;
+  }
+  html.push(renderBlocks(source.slice(last)));
+
+  return html.filter(Boolean).join('');
+}
+
+function renderBlocks(text) {
+  return text
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => {
+      const lines = block.split('\n');
+      if (lines.every(line => LIST_ITEM.test(line))) {
+        return `<ul>${lines.map(line => `<li>${renderInline(line.replace(LIST_ITEM, ''))}</li>`).join('')}</ul>`;
+      }
+      return `<p>${lines.map(renderInline).join('<br>')}</p>`;
+    })
+    .join('');
+}
+
+function renderInline(text) {
+  // Odd parts are `code` spans, which are escaped but not formatted
+  return text
+    .split(/`([^`\n]+)`/)
+    .map((part, i) => (i % 2 === 1 ? `<code>${escapeHtml(part)}</code>` : formatText(escapeHtml(part))))
+    .join('');
+}
+
+// Works on escaped text: "/" is already "&#x2F;" and quotes can't close the href
+function formatText(escaped) {
+  return escaped
+    .replace(/\[([^\]\n]+)\]\((https?:&#x2F;&#x2F;[^\s)]+)\)/g, '<a href="$2" rel="nofollow noopener noreferrer" target="_blank">$1</a>')
+    .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\n]+)\*/g, '$1<em>$2</em>');
+}
@@ -0,0 +1,34 @@
+// In-app notifications (GET /api/notifications). Each helper records one kind in
+// a single INSERT ... SELECT; nobody is ever notified about their own actions.
+import { sql } from '@vercel/postgres';
+
+// One notification per follower when an author publishes a public prompt
+export async function notifyFollowersOfPrompt({ promptId, authorId, isPublic = true }) {
+  if (!authorId || !isPublic) return;
+  await sql`
+    INSERT INTO notifications (user_id, actor_id, type, prompt_id)
+    SELECT follower_id, ${authorId}, 'new_prompt', ${promptId}
+    FROM user_follows
+    WHERE following_id = ${authorId}
+  `;
+}
+
+// The parent comment's author hears about a reply
+export async function notifyCommentReply({ commentId, parentId, promptId, actorId }) {
+  if (!parentId) return;
+  await sql`
+    INSERT INTO notifications (user_id, actor_id, type, prompt_id, comment_id)
+    SELECT user_id, ${actorId}, 'comment_reply', ${promptId}, ${commentId}
+    FROM comments
+    WHERE id = ${parentId} AND user_id IS DISTINCT FROM ${actorId} AND user_id IS NOT NULL
+  `;
+}
+
+// The prompt's author hears about a new rating; changing a rating later doesn't notify again
+export async function notifyPromptRating({ ratingId, promptId, authorId, actorId }) {
+  if (!authorId || authorId === actorId) return;
+  await sql`
+    INSERT INTO notifications (user_id, actor_id, type, prompt_id, rating_id)
+    VALUES (${authorId}, ${actorId}, 'prompt_rating', ${promptId}, ${ratingId})
+  `;
+}
@@ -0,0 +1,35 @@
+// Full-text search helpers shared by the search routes
+import { escapeHtml } from '../middleware/security.js';
+
+// Must match the idx_prompts_search expression exactly or Postgres won't use the index
+export const SEARCH_DOCUMENT = `to_tsvector('english', COALESCE(p.title, '') || ' ' || COALESCE(p.description, '') || ' ' || COALESCE(p.content, ''))`;
+
+// Only used to rank rows that already matched, so it can weight the title higher
+export const RANK_DOCUMENT = `setweight(to_tsvector('english', COALESCE(p.title, '')), 'A')
+  || setweight(to_tsvector('english', COALESCE(p.description, '')), 'B')
+  || setweight(to_tsvector('english', COALESCE(p.content, '')), 'C')`;
+
+// ts_headline returns raw prompt text, so it marks matches with plain-text
+// sentinels that are swapped for <mark> only after escaping
+const MARK_START = '[[[';
+const MARK_END = ']]]';
+
+export const HEADLINE_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_END}", MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+export function toHighlightHtml(text) {
+  if (typeof text !== 'string') return text;
+  return escapeHtml(text)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+// "ai, Coding ,,review" -> ['ai', 'coding', 'review']
+export function parseTagList(value) {
+  if (!value) return [];
+  return [...new Set(String(value).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Escape LIKE wildcards so user input only ever matches literally
+export function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, match => `\\${match}`);
+}
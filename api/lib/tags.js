@@ -0,0 +1,69 @@
+// Tag taxonomy shared by prompt writes and the tags routes (api/routes/tags.js).
+// Submitted tags are normalized, then mapped onto canonical tags: an alias in
+// tag_synonyms, or an existing tag that is spelled the same once hyphens are
+// ignored, so "Code Review", "code_review" and "codereview" all become "code-review".
+import { sql } from '@vercel/postgres';
+import { validateAndSanitizeTags } from '../validation/schemas.js';
+
+// Normalized, canonical and deduplicated tags, in the order they were given
+export async function canonicalizeTags(tags) {
+  const normalized = validateAndSanitizeTags(tags);
+  if (normalized.length === 0) return [];
+
+  const result = await sql`
+    SELECT COALESCE(aliased.name, exact.name, compact.name, input.tag) AS name
+    FROM unnest(${normalized}::text[]) WITH ORDINALITY AS input(tag, position)
+    LEFT JOIN tag_synonyms s ON s.alias = input.tag
+    LEFT JOIN tags aliased ON aliased.id = s.tag_id
+    LEFT JOIN tags exact ON exact.name = input.tag
+    LEFT JOIN LATERAL (
+      SELECT name FROM tags
+      WHERE REPLACE(name, '-', '') = REPLACE(input.tag, '-', '')
+      ORDER BY usage_count DESC, name
+      LIMIT 1
+    ) compact ON true
+    ORDER BY input.position
+  `;
+  return [...new Set(result.rows.map(row => row.name))];
+}
+
+// Recount usage_count for these tags from the prompts that carry them, adding
+// rows for tags seen for the first time. Counting instead of adding and
+// subtracting keeps the numbers right however writes interleave.
+export async function refreshTagUsage(names) {
+  const unique = [...new Set((names || []).filter(Boolean))];
+  if (unique.length === 0) return [];
+
+  const result = await sql`
+    INSERT INTO tags (name, usage_count)
+    SELECT counted.name, counted.uses
+    FROM (
+      SELECT input.name,
+             (SELECT COUNT(*)::int FROM prompts p WHERE p.tags @> ARRAY[input.name]::text[]) AS uses
+      FROM unnest(${unique}::text[]) AS input(name)
+    ) counted
+    WHERE counted.uses > 0 OR EXISTS (SELECT 1 FROM tags t WHERE t.name = counted.name)
+    ON CONFLICT (name) DO UPDATE SET usage_count = EXCLUDED.usage_count
+    RETURNING name, usage_count
+  `;
+  return result.rows;
+}
+
+// Swap one tag for another on every prompt that has it, keeping each prompt's
+// tag order and dropping the duplicate when a prompt already had both.
+// This is taxonomy upkeep rather than an edit, so no new version is logged.
+export async function rewritePromptTags(from, into) {
+  const result = await sql`
+    UPDATE prompts p SET tags = ARRAY(
+      SELECT merged.tag
+      FROM (
+        SELECT CASE WHEN t.tag = ${from} THEN ${into} ELSE t.tag END AS tag, MIN(t.position) AS position
+        FROM unnest(p.tags) WITH ORDINALITY AS t(tag, position)
+        GROUP BY 1
+      ) merged
+      ORDER BY merged.position
+    )
+    WHERE p.tags @> ARRAY[${from}]::text[]
+  `;
+  return result.rowCount;
+}
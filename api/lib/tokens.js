@@ -0,0 +1,18 @@
+// Token counts for the API. The tokenizer approximations live in
+// docs/js/prompt-tokens.js so the submission form's live counter matches the API.
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const PromptTokens = require('../../docs/js/prompt-tokens.js');
+
+export const DEFAULT_TOKEN_MODEL = PromptTokens.DEFAULT_MODEL;
+
+// Stored in prompts.estimated_tokens
+export function countTokens(content) {
+  return PromptTokens.count(content);
+}
+
+// Per-model counts for the prompt detail response
+export function estimateTokensByModel(content) {
+  return PromptTokens.estimate(content);
+}
@@ -0,0 +1,209 @@
+// Trending scores shared by /api/trending and scripts/generate-trending-data.js
+// Every event earns points that decay with age, Hacker News style:
+//   points = weight / (age_in_hours + 2) ^ GRAVITY
+// and an item's score for a range is the sum over its events in that range.
+import { sql } from '@vercel/postgres';
+
+// Range names used by TrendingPage.getDownloadsForRange, in days
+export const TRENDING_RANGES = {
+  today: 1,
+  week: 7,
+  month: 30
+};
+
+export const GRAVITY = 1.8;
+
+// analytics.event_type -> points; copies count as "downloads" for prompts
+export const PROMPT_EVENT_WEIGHTS = {
+  view: 1,
+  rate: 2,
+  copy: 3,
+  favorite: 4,
+  share: 5
+};
+
+// analytics_events sent by trending.html; installs count as downloads
+export const COMPONENT_EVENT_WEIGHTS = {
+  component_view: 1,
+  component_install: 3
+};
+
+export const COMPONENT_TYPES = ['agents', 'commands', 'settings', 'hooks', 'mcps', 'templates'];
+
+// All interpolated values are module constants, never request input
+function weightSql(column, weights) {
+  const cases = Object.entries(weights).map(([event, weight]) => `WHEN '${event}' THEN ${weight}`);
+  return `CASE ${column} ${cases.join(' ')} ELSE 0 END`;
+}
+
+function pointsSql(eventColumn, createdColumn, weights) {
+  return `${weightSql(eventColumn, weights)} / POWER(EXTRACT(EPOCH FROM (NOW() - ${createdColumn})) / 3600 + 2, ${GRAVITY})`;
+}
+
+function withinSql(createdColumn, range) {
+  return `${createdColumn} >= NOW() - INTERVAL '${TRENDING_RANGES[range]} days'`;
+}
+
+// downloads_<range> counts and score_<range> sums for every range
+function rangeColumnsSql(downloadCondition) {
+  return Object.keys(TRENDING_RANGES).map(range => `
+    COUNT(*) FILTER (WHERE ${downloadCondition} AND ${withinSql('e.created_at', range)})::int AS downloads_${range},
+    COALESCE(SUM(e.points) FILTER (WHERE ${withinSql('e.created_at', range)}), 0)::float AS score_${range}`).join(',');
+}
+
+// Keep an item if it is in the top `limit` for any range
+function topInAnyRangeSql(partition = '') {
+  const ranks = Object.keys(TRENDING_RANGES).map(range =>
+    `ROW_NUMBER() OVER (${partition} ORDER BY score_${range} DESC) AS rank_${range}`);
+  const keep = Object.keys(TRENDING_RANGES).map(range => `(score_${range} > 0 AND rank_${range} <= $1)`);
+  return { ranks: ranks.join(', '), keep: keep.join(' OR ') };
+}
+
+const MAX_RANGE_DAYS = Math.max(...Object.values(TRENDING_RANGES));
+
+export async function loadTrendingPrompts(limit) {
+  const { ranks, keep } = topInAnyRangeSql();
+  const result = await sql.query(
+    `WITH e AS (
+       SELECT a.prompt_id, a.event_type, a.created_at,
+              ${pointsSql('a.event_type', 'a.created_at', PROMPT_EVENT_WEIGHTS)} AS points
+       FROM analytics a
+       WHERE ${withinSql('a.created_at', 'month')}
+     ),
+     scored AS (
+       SELECT e.prompt_id, ${rangeColumnsSql("e.event_type = 'copy'")}
+       FROM e
+       JOIN prompts p ON p.id = e.prompt_id AND p.is_public = true
+       GROUP BY e.prompt_id
+     ),
+     ranked AS (
+       SELECT scored.*, ${ranks} FROM scored
+     )
+     SELECT p.id, p.title, p.category, u.username AS author_username, ranked.*
+     FROM ranked
+     JOIN prompts p ON p.id = ranked.prompt_id
+     LEFT JOIN users u ON u.id = p.author_id
+     WHERE ${keep}`,
+    [limit]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.title,
+    category: row.category,
+    type: 'prompts',
+    author_username: row.author_username || null,
+    ...rangeFields(row)
+  }));
+}
+
+// A page of public prompts ranked by their score for `range`, newest first once the
+// scored ones run out, so a feed built on it is never empty
+export async function loadTrendingPromptPage({ range = 'week', limit = 20, offset = 0 } = {}) {
+  const result = await sql.query(
+    `WITH scored AS (
+       SELECT a.prompt_id,
+              SUM(${pointsSql('a.event_type', 'a.created_at', PROMPT_EVENT_WEIGHTS)})::float AS score
+       FROM analytics a
+       WHERE ${withinSql('a.created_at', range)}
+       GROUP BY a.prompt_id
+     )
+     SELECT p.id, p.title, p.description, p.content, p.category, p.tags, p.difficulty_level,
+            p.average_rating, p.total_ratings, p.total_likes, p.fork_count, p.variables,
+            p.created_at, u.username AS author_username,
+            COALESCE(scored.score, 0) AS trending_score,
+            COUNT(*) OVER ()::int AS total_count
+     FROM prompts p
+     LEFT JOIN scored ON scored.prompt_id = p.id
+     LEFT JOIN users u ON u.id = p.author_id
+     WHERE p.is_public = true
+     ORDER BY trending_score DESC, p.created_at DESC, p.id
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  return result.rows;
+}
+
+export async function loadTrendingComponents(limit) {
+  const { ranks, keep } = topInAnyRangeSql('PARTITION BY component_type');
+  const result = await sql.query(
+    `WITH e AS (
+       SELECT ev.metadata->>'component_type' AS component_type,
+              ev.metadata->>'component_id' AS component_id,
+              ev.metadata->>'name' AS name,
+              ev.metadata->>'category' AS category,
+              ev.event_type, ev.created_at,
+              ${pointsSql('ev.event_type', 'ev.created_at', COMPONENT_EVENT_WEIGHTS)} AS points
+       FROM analytics_events ev
+       WHERE ev.event_type = ANY($2::text[])
+         AND ev.metadata->>'component_type' = ANY($3::text[])
+         AND ev.metadata->>'component_id' IS NOT NULL
+         AND ${withinSql('ev.created_at', 'month')}
+     ),
+     scored AS (
+       SELECT e.component_type, e.component_id, MAX(e.name) AS name, MAX(e.category) AS category,
+              ${rangeColumnsSql("e.event_type = 'component_install'")}
+       FROM e
+       GROUP BY e.component_type, e.component_id
+     ),
+     ranked AS (
+       SELECT scored.*, ${ranks} FROM scored
+     )
+     SELECT * FROM ranked WHERE ${keep}`,
+    [limit, Object.keys(COMPONENT_EVENT_WEIGHTS), COMPONENT_TYPES]
+  );
+
+  return result.rows.map(row => ({
+    id: row.component_id,
+    name: row.name || row.component_id,
+    category: row.category || 'general',
+    type: row.component_type,
+    ...rangeFields(row)
+  }));
+}
+
+// Same shape as docs/trending-data.json, plus prompts and per-range scores
+export async function buildTrendingData({ limit = 10, range = 'week' } = {}) {
+  const [prompts, components] = await Promise.all([
+    loadTrendingPrompts(limit),
+    loadTrendingComponents(limit)
+  ]);
+
+  const byScore = (a, b) => b[scoreKey(range)] - a[scoreKey(range)] || b[downloadsKey(range)] - a[downloadsKey(range)];
+  const trending = { prompts: prompts.sort(byScore) };
+  for (const type of COMPONENT_TYPES) {
+    trending[type] = components.filter(item => item.type === type).sort(byScore);
+  }
+  // TrendingPage re-sorts "all" for the selected range and keeps the top 10
+  trending.all = components.slice().sort(byScore);
+
+  return {
+    lastUpdated: new Date().toISOString(),
+    range,
+    gravity: GRAVITY,
+    windowDays: MAX_RANGE_DAYS,
+    trending
+  };
+}
+
+function rangeFields(row) {
+  const fields = {};
+  for (const range of Object.keys(TRENDING_RANGES)) {
+    fields[downloadsKey(range)] = Number(row[`downloads_${range}`]) || 0;
+    fields[scoreKey(range)] = Math.round((Number(row[`score_${range}`]) || 0) * 10000) / 10000;
+  }
+  return fields;
+}
+
+// today -> downloadsToday / scoreToday, the keys trending-data.json already uses
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function downloadsKey(range) {
+  return `downloads${capitalize(range)}`;
+}
+
+function scoreKey(range) {
+  return `score${capitalize(range)}`;
+}
@@ -0,0 +1,23 @@
+// Template variables for the API. The parser lives in docs/js/prompt-variables.js so
+// the copy form in the browser reads the same variables the API stores; see there
+// for the syntax.
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const PromptVariables = require('../../docs/js/prompt-variables.js');
+
+// Stored in prompts.variables; variables used more than once are listed once
+export function extractVariables(content) {
+  return PromptVariables.parse(content);
+}
+
+// Substitute `values` by name, falling back to defaults; unfilled required
+// variables are left in place
+export function fillVariables(content, values = {}) {
+  return PromptVariables.fill(content, values);
+}
+
+// Prompts created before variables were stored get them on the fly
+export function withVariables(prompt) {
+  return { ...prompt, variables: PromptVariables.forPrompt(prompt) };
+}
@@ -0,0 +1,107 @@
+// Prompt revision history shared by PUT /api/prompts/:id and the versions routes
+import { sql } from '@vercel/postgres';
+import { extractVariables } from './variables.js';
+import { lintPrompt } from './lint.js';
+import { countTokens } from './tokens.js';
+import { fingerprint } from './duplicates.js';
+
+// Fields captured in prompt_versions; is_public is a setting, not part of the text
+export const VERSIONED_FIELDS = ['title', 'description', 'content', 'category', 'tags', 'difficulty_level'];
+
+// Versioned fields in `changes` whose value differs from the prompt
+export function changedFields(prompt, changes) {
+  return VERSIONED_FIELDS.filter(field => {
+    if (changes[field] === undefined) return false;
+    if (field === 'tags') return JSON.stringify(changes.tags) !== JSON.stringify(prompt.tags || []);
+    return changes[field] !== (prompt[field] ?? null);
+  });
+}
+
+// Apply `changes` as a new revision in one statement: the text being replaced is
+// logged first (for prompts edited before history existed), then the prompt is
+// updated and the new revision logged. Fields missing from `changes` are kept.
+// New content is scored by the lint rules unless the caller already linted it.
+export async function saveRevision(promptId, changes, { editorId, changeNote = null, restoredFrom = null, qualityScore }) {
+  const value = field => (changes[field] === undefined ? null : changes[field]);
+  const variables = changes.content === undefined ? null : JSON.stringify(extractVariables(changes.content));
+  const score = changes.content === undefined ? null : (qualityScore ?? lintPrompt(changes).score);
+  const tokens = changes.content === undefined ? null : countTokens(changes.content);
+  const { minhash, bands } = changes.content === undefined ? {} : fingerprint(changes.content);
+
+  const result = await sql`
+    WITH current AS (
+      SELECT * FROM prompts WHERE id = ${promptId} FOR UPDATE
+    ),
+    previous AS (
+      INSERT INTO prompt_versions
+        (prompt_id, version, title, description, content, category, tags, difficulty_level, edited_by, created_at)
+      SELECT id, COALESCE(version, 1), title, description, content, category, tags, difficulty_level,
+             author_id, updated_at
+      FROM current
+      ON CONFLICT (prompt_id, version) DO NOTHING
+    ),
+    updated AS (
+      UPDATE prompts p SET
+        title = COALESCE(${value('title')}, p.title),
+        description = COALESCE(${value('description')}, p.description),
+        content = COALESCE(${value('content')}, p.content),
+        category = COALESCE(${value('category')}, p.category),
+        tags = COALESCE(${value('tags')}::text[], p.tags),
+        difficulty_level = COALESCE(${value('difficulty_level')}, p.difficulty_level),
+        variables = COALESCE(${variables}::jsonb, p.variables),
+        quality_score = COALESCE(${score}, p.quality_score),
+        estimated_tokens = COALESCE(${tokens}, p.estimated_tokens),
+        minhash = COALESCE(${minhash ?? null}::int[], p.minhash),
+        minhash_bands = COALESCE(${bands ?? null}::int[], p.minhash_bands),
+        is_public = COALESCE(${value('is_public')}::boolean, p.is_public),
+        version = COALESCE(c.version, 1) + 1,
+        updated_at = NOW()
+      FROM current c
+      WHERE p.id = c.id
+      RETURNING p.*
+    ),
+    logged AS (
+      INSERT INTO prompt_versions
+        (prompt_id, version, title, description, content, category, tags, difficulty_level,
+         edited_by, change_note, restored_from)
+      SELECT id, version, title, description, content, category, tags, difficulty_level,
+             ${editorId}, ${changeNote || null}, ${restoredFrom}
+      FROM updated
+    )
+    SELECT * FROM updated
+  `;
+  return result.rows[0] || null;
+}
+
+// The text of one revision. Prompts that were never edited have no history rows,
+// so their current text comes from the prompt itself.
+export async function loadRevision(prompt, version) {
+  const current = prompt.version || 1;
+  if (version > current) return null;
+
+  const result = await sql`
+    SELECT pv.version, pv.title, pv.description, pv.content, pv.category, pv.tags, pv.difficulty_level,
+           pv.edited_by, u.username AS edited_by_username, pv.change_note, pv.restored_from, pv.created_at
+    FROM prompt_versions pv
+    LEFT JOIN users u ON u.id = pv.edited_by
+    WHERE pv.prompt_id = ${prompt.id} AND pv.version = ${version}
+  `;
+  const row = result.rows[0];
+  if (row) return { ...row, is_current: version === current };
+  if (version !== current) return null;
+
+  return {
+    version: current,
+    ...pickVersioned(prompt),
+    edited_by: prompt.author_id || null,
+    edited_by_username: null,
+    change_note: null,
+    restored_from: null,
+    created_at: prompt.updated_at,
+    is_current: true
+  };
+}
+
+export function pickVersioned(row) {
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, row[field] ?? null]));
+}
@@ -1,5 +1,6 @@
 // Security middleware for Prompt Hero API
 import { sql } from '@vercel/postgres';
+import { verifyAccessToken } from '../lib/auth.js';
 
 // Rate limiting storage (in production, use Redis)
 const rateLimitStore = new Map();
@@ -9,7 +10,7 @@ export function securityHeaders(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGINS || '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-Device-Token');
     res.setHeader('Access-Control-Max-Age', '86400');
 
     // Security headers
@@ -39,6 +40,26 @@ export function securityHeaders(req, res) {
     return false;
 }
 
+// Sliding-window counter shared by rateLimit() and routes that limit by something
+// other than the client (e.g. analytics sessions). Consumes up to `cost` slots and
+// returns how many were granted.
+export function consumeRateLimit(key, maxRequests, windowMs, cost = 1, now = Date.now()) {
+    const windowStart = now - windowMs;
+    const requests = (rateLimitStore.get(key) || []).filter(time => time > windowStart);
+
+    const granted = Math.max(0, Math.min(cost, maxRequests - requests.length));
+    for (let i = 0; i < granted; i++) {
+        requests.push(now);
+    }
+    rateLimitStore.set(key, requests);
+
+    return {
+        granted,
+        remaining: maxRequests - requests.length,
+        resetAt: new Date((requests[0] || now) + windowMs)
+    };
+}
+
 // Rate limiting middleware
 export function rateLimit(maxRequests = 100, windowMs = 15 * 60 * 1000) {
     return (req, res, next) => {
@@ -184,48 +205,95 @@ export function validateContentLength(maxLength = 10000) {
     };
 }
 
-// Authentication middleware (placeholder for future implementation)
-export function authenticate(req, res, next) {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({
+// Extract the raw token from an "Authorization: Bearer <token>" header
+function getBearerToken(req) {
+    const authHeader = req.headers?.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.substring(7).trim() || null;
+}
+
+// Load the account behind a Bearer token, including banned ones. A suspension
+// whose end has passed no longer counts.
+async function loadTokenUser(req) {
+    const token = getBearerToken(req);
+    if (!token) return null;
+
+    const claims = verifyAccessToken(token);
+    if (!claims) return null;
+
+    const result = await sql`
+        SELECT id, username, email, display_name, avatar_url, is_verified, is_moderator,
+               COALESCE(is_banned, false) AS is_banned, ban_reason,
+               (COALESCE(is_suspended, false) AND (suspension_end IS NULL OR suspension_end > NOW())) AS is_suspended,
+               suspension_end, suspension_reason
+        FROM users
+        WHERE id = ${claims.sub} AND is_active = true
+    `;
+    return result.rows[0] || null;
+}
+
+// Resolve the active user behind a Bearer token (null if missing, invalid or banned)
+export async function getAuthenticatedUser(req) {
+    const user = await loadTokenUser(req);
+    return user && !user.is_banned ? user : null;
+}
+
+// Authentication middleware
+// Verifies the signed access token against the users table and sets req.user.
+// Banned users are refused outright; suspended users can still read (GET/HEAD)
+// but not write until the suspension ends.
+// Returns the user so the consolidated router can `await` it without `next`.
+export async function authenticate(req, res, next) {
+    if (!getBearerToken(req)) {
+        res.status(401).json({
             error: 'Unauthorized',
             message: 'Valid authentication token required'
         });
+        return null;
     }
-    
-    const token = authHeader.substring(7);
-    
-    // TODO: Implement JWT token validation
-    // For now, we'll use a simple user ID system
-    try {
-        // In production, validate JWT token here
-        req.user = { id: token }; // Placeholder
-        if (next) next();
-    } catch (error) {
-        return res.status(401).json({
+
+    const user = await loadTokenUser(req);
+    if (!user) {
+        res.status(401).json({
             error: 'Invalid token',
             message: 'Authentication token is invalid or expired'
         });
+        return null;
+    }
+
+    if (user.is_banned) {
+        res.status(403).json({
+            error: 'Account banned',
+            message: user.ban_reason || 'This account has been banned'
+        });
+        return null;
+    }
+
+    if (user.is_suspended && !['GET', 'HEAD'].includes(req.method)) {
+        res.status(403).json({
+            error: 'Account suspended',
+            message: user.suspension_reason || 'This account is suspended',
+            suspension_end: user.suspension_end
+        });
+        return null;
     }
+
+    req.user = user;
+    if (next) next();
+    return user;
 }
 
 // Optional authentication (doesn't fail if no token)
-export function optionalAuth(req, res, next) {
-    const authHeader = req.headers.authorization;
-    
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7);
-        try {
-            // In production, validate JWT token here
-            req.user = { id: token }; // Placeholder
-        } catch (error) {
-            // Ignore invalid tokens for optional auth
-        }
+export async function optionalAuth(req, res, next) {
+    try {
+        req.user = await getAuthenticatedUser(req);
+    } catch (error) {
+        // Ignore invalid tokens for optional auth
+        req.user = null;
     }
-    
+
     if (next) next();
+    return req.user;
 }
 
 // CSRF protection
@@ -0,0 +1,182 @@
+// Analytics routes: /api/analytics/track
+// Ingests the batches queued by docs/js/analytics.js (fetch or sendBeacon). Every event
+// lands in analytics_events; prompt events are also written to the per-prompt
+// `analytics` table and bump prompts.view_count / usage_count.
+import { isIP } from 'net';
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { optionalAuth, consumeRateLimit } from '../middleware/security.js';
+import { trackEventsSchema, isValidUUID } from '../validation/schemas.js';
+
+// Per session: generous for real browsing, low enough to make view inflation slow
+const SESSION_EVENT_LIMIT = 300;
+const SESSION_WINDOW_MS = 10 * 60 * 1000;
+
+// Per client IP over the same window, so a fresh session_id per batch doesn't reset
+// the limit; leaves room for several people behind one address
+const CLIENT_EVENT_LIMIT = 1000;
+
+const MAX_METADATA_BYTES = 4096;
+const CONTENT_TYPES = ['prompt', 'collection', 'user', 'comment'];
+
+// Frontend event names -> analytics.event_type ('view', 'copy', 'rate', 'favorite', 'share')
+const PROMPT_EVENTS = {
+  prompt_view: 'view',
+  prompt_copy: 'copy',
+  prompt_rating: 'rate',
+  prompt_favorite: 'favorite',
+  prompt_share: 'share'
+};
+
+export async function handleAnalytics(req, res, route) {
+  const [, action] = route.segments;
+
+  if (action === 'track') {
+    if (route.method === 'POST') return trackEvents(req, res);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+async function trackEvents(req, res) {
+  let body;
+  try {
+    body = await readJson(req);
+  } catch {
+    return send(res, 400, { error: 'Invalid JSON' });
+  }
+
+  // analytics.js posts a bare array; { events: [...] } is accepted too
+  const { value: events, errors } = validate(trackEventsSchema, Array.isArray(body) ? body : body?.events);
+  if (errors) return sendValidationError(res, errors);
+
+  // sendBeacon cannot send headers, so anonymous is the normal case here
+  const user = await optionalAuth(req, res);
+
+  const clientIp = getClientIp(req) || 'unknown';
+  const accepted = [];
+  let dropped = 0;
+  for (const [sessionId, sessionEvents] of groupBySession(events)) {
+    // Each limit is only charged for the events both of them let through
+    const sessionKey = `analytics:${sessionId}`;
+    const { remaining } = consumeRateLimit(sessionKey, SESSION_EVENT_LIMIT, SESSION_WINDOW_MS, 0);
+    const wanted = Math.min(sessionEvents.length, remaining);
+    const { granted } = consumeRateLimit(`analytics-ip:${clientIp}`, CLIENT_EVENT_LIMIT, SESSION_WINDOW_MS, wanted);
+    consumeRateLimit(sessionKey, SESSION_EVENT_LIMIT, SESSION_WINDOW_MS, granted);
+    accepted.push(...sessionEvents.slice(0, granted));
+    dropped += sessionEvents.length - granted;
+  }
+
+  if (accepted.length === 0) {
+    res.setHeader('Retry-After', Math.ceil(SESSION_WINDOW_MS / 1000));
+    return send(res, 429, {
+      error: 'Too many requests',
+      message: 'Analytics rate limit exceeded'
+    });
+  }
+
+  const rows = accepted.map(toEventRow).filter(Boolean);
+  dropped += accepted.length - rows.length;
+
+  if (rows.length > 0) {
+    await storeEvents(rows, req, user);
+    await storePromptEvents(rows, user);
+  }
+
+  return send(res, 202, { accepted: rows.length, dropped });
+}
+
+function groupBySession(events) {
+  const sessions = new Map();
+  for (const event of events) {
+    if (!sessions.has(event.session_id)) sessions.set(event.session_id, []);
+    sessions.get(event.session_id).push(event);
+  }
+  return sessions;
+}
+
+// Normalize one validated event, or null if its metadata is too large to keep
+function toEventRow(event) {
+  const metadata = JSON.stringify(event.metadata);
+  if (Buffer.byteLength(metadata) > MAX_METADATA_BYTES) return null;
+
+  const { content_type: contentType, content_id: contentId } = event.metadata;
+  return {
+    eventType: event.event_type,
+    sessionId: event.session_id,
+    contentType: CONTENT_TYPES.includes(contentType) ? contentType : null,
+    // Seed prompts have non-UUID ids; those stay in metadata only
+    contentId: typeof contentId === 'string' && isValidUUID(contentId) ? contentId : null,
+    metadata
+  };
+}
+
+async function storeEvents(rows, req, user) {
+  const userAgent = req.headers['user-agent'] || null;
+  const referer = req.headers.referer || req.headers.referrer || null;
+  const ip = getClientIp(req);
+
+  await sql`
+    INSERT INTO analytics_events
+      (event_type, content_type, content_id, session_id, metadata, user_id, user_agent, ip_address, referer)
+    SELECT e.event_type, e.content_type, e.content_id, e.session_id, e.metadata,
+           ${user?.id || null}::uuid, ${userAgent}, ${ip}::inet, ${referer}
+    FROM unnest(
+      ${rows.map(row => row.eventType)}::text[],
+      ${rows.map(row => row.contentType)}::text[],
+      ${rows.map(row => row.contentId)}::uuid[],
+      ${rows.map(row => row.sessionId)}::text[],
+      ${rows.map(row => row.metadata)}::jsonb[]
+    ) AS e(event_type, content_type, content_id, session_id, metadata)
+  `;
+}
+
+async function storePromptEvents(rows, user) {
+  const promptRows = rows.filter(row => PROMPT_EVENTS[row.eventType] && row.contentType === 'prompt' && row.contentId);
+  if (promptRows.length === 0) return;
+
+  // The join drops events for prompts that do not exist
+  await sql`
+    INSERT INTO analytics (prompt_id, user_id, event_type, metadata)
+    SELECT p.id, ${user?.id || null}::uuid, e.event_type, e.metadata
+    FROM unnest(
+      ${promptRows.map(row => row.contentId)}::uuid[],
+      ${promptRows.map(row => PROMPT_EVENTS[row.eventType])}::text[],
+      ${promptRows.map(row => row.metadata)}::jsonb[]
+    ) AS e(prompt_id, event_type, metadata)
+    JOIN prompts p ON p.id = e.prompt_id
+  `;
+
+  // A session viewing the same prompt twice in one batch counts once
+  const counters = new Map();
+  const seenViews = new Set();
+  for (const row of promptRows) {
+    const counter = counters.get(row.contentId) || { views: 0, copies: 0 };
+    if (row.eventType === 'prompt_view' && !seenViews.has(`${row.sessionId}:${row.contentId}`)) {
+      seenViews.add(`${row.sessionId}:${row.contentId}`);
+      counter.views++;
+    }
+    if (row.eventType === 'prompt_copy') counter.copies++;
+    counters.set(row.contentId, counter);
+  }
+
+  const ids = [...counters.keys()];
+  await sql`
+    UPDATE prompts p SET
+      view_count = COALESCE(p.view_count, 0) + c.views,
+      usage_count = COALESCE(p.usage_count, 0) + c.copies
+    FROM unnest(
+      ${ids}::uuid[],
+      ${ids.map(id => counters.get(id).views)}::int[],
+      ${ids.map(id => counters.get(id).copies)}::int[]
+    ) AS c(id, views, copies)
+    WHERE p.id = c.id AND (c.views > 0 OR c.copies > 0)
+  `;
+}
+
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const candidate = (forwarded ? String(forwarded).split(',')[0] : req.headers['x-real-ip'] || req.socket?.remoteAddress || '').trim();
+  return isIP(candidate) ? candidate : null;
+}
@@ -0,0 +1,148 @@
+// Auth routes: /api/auth/register, /api/auth/login, /api/auth/verify,
+// /api/auth/refresh and /api/auth/logout
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  generateRefreshToken,
+  hashRefreshToken
+} from '../lib/auth.js';
+import { authenticate } from '../middleware/security.js';
+import { registerSchema, loginSchema, refreshTokenSchema } from '../validation/schemas.js';
+
+export async function handleAuth(req, res, route) {
+  const [, action] = route.segments;
+
+  if (action === 'register' && route.method === 'POST') return register(req, res);
+  if (action === 'login' && route.method === 'POST') return login(req, res);
+  if (action === 'verify' && route.method === 'GET') return verify(req, res);
+  if (action === 'refresh' && route.method === 'POST') return refresh(req, res);
+  if (action === 'logout' && route.method === 'POST') return logout(req, res);
+
+  if (['register', 'login', 'verify', 'refresh', 'logout'].includes(action)) {
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+  return send(res, 404, { error: 'Not found' });
+}
+
+async function register(req, res) {
+  const { value, errors } = validate(registerSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const email = value.email.toLowerCase();
+  const existing = await sql`
+    SELECT username, email FROM users
+    WHERE LOWER(username) = LOWER(${value.username}) OR LOWER(email) = ${email}
+  `;
+  if (existing.rowCount > 0) {
+    const field = existing.rows.some(row => row.email.toLowerCase() === email) ? 'email' : 'username';
+    return send(res, 409, { error: `An account with this ${field} already exists` });
+  }
+
+  const passwordHash = await hashPassword(value.password);
+  const created = await sql`
+    INSERT INTO users (username, email, password_hash, display_name, last_login)
+    VALUES (${value.username}, ${email}, ${passwordHash}, ${value.username}, NOW())
+    RETURNING id, username, email, display_name, avatar_url, bio, is_verified, is_moderator, created_at
+  `;
+  const user = created.rows[0];
+
+  return send(res, 201, { message: 'Registered', user, ...(await issueTokens(user)) });
+}
+
+async function login(req, res) {
+  const { value, errors } = validate(loginSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const found = await sql`
+    SELECT id, username, email, display_name, avatar_url, bio, is_verified, is_moderator, is_active,
+           COALESCE(is_banned, false) AS is_banned, ban_reason, password_hash, created_at
+    FROM users
+    WHERE LOWER(email) = ${value.email.toLowerCase()}
+  `;
+  const row = found.rows[0];
+
+  // Same response for unknown email and wrong password
+  if (!row || !(await verifyPassword(value.password, row.password_hash))) {
+    return send(res, 401, { error: 'Invalid email or password' });
+  }
+  if (!row.is_active) {
+    return send(res, 403, { error: 'Account is disabled' });
+  }
+  if (row.is_banned) {
+    return send(res, 403, { error: 'Account banned', message: row.ban_reason || 'This account has been banned' });
+  }
+
+  await sql`UPDATE users SET last_login = NOW() WHERE id = ${row.id}`;
+
+  const { password_hash, is_active, is_banned, ban_reason, ...user } = row;
+  return send(res, 200, { message: 'Logged in', user, ...(await issueTokens(user)) });
+}
+
+async function verify(req, res) {
+  const authUser = await authenticate(req, res);
+  if (!authUser) return;
+
+  const found = await sql`
+    SELECT id, username, email, display_name, avatar_url, bio, is_verified, is_moderator, created_at
+    FROM users WHERE id = ${authUser.id}
+  `;
+  return send(res, 200, { user: found.rows[0] });
+}
+
+// Rotate a refresh token: the presented token is revoked and a new pair issued
+async function refresh(req, res) {
+  const { value, errors } = validate(refreshTokenSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const revoked = await sql`
+    UPDATE refresh_tokens SET revoked_at = NOW()
+    WHERE token_hash = ${hashRefreshToken(value.refresh_token)}
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    RETURNING user_id
+  `;
+  if (revoked.rowCount === 0) {
+    return send(res, 401, { error: 'Invalid token', message: 'Refresh token is invalid or expired' });
+  }
+
+  const found = await sql`
+    SELECT id, username, email, display_name, avatar_url, bio, is_verified, is_moderator, created_at
+    FROM users WHERE id = ${revoked.rows[0].user_id} AND is_active = true AND is_banned IS NOT TRUE
+  `;
+  const user = found.rows[0];
+  if (!user) {
+    return send(res, 401, { error: 'Invalid token', message: 'Refresh token is invalid or expired' });
+  }
+
+  return send(res, 200, { user, ...(await issueTokens(user)) });
+}
+
+async function logout(req, res) {
+  const { value, errors } = validate(refreshTokenSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  await sql`
+    UPDATE refresh_tokens SET revoked_at = NOW()
+    WHERE token_hash = ${hashRefreshToken(value.refresh_token)} AND revoked_at IS NULL
+  `;
+  return send(res, 200, { message: 'Logged out' });
+}
+
+async function issueTokens(user) {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString();
+  await sql`
+    INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+    VALUES (${user.id}, ${hashRefreshToken(refreshToken)}, ${expiresAt})
+  `;
+  return {
+    token: signAccessToken(user),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL
+  };
+}
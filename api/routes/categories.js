@@ -0,0 +1,129 @@
+// Category routes: /api/categories and /api/categories/:slug
+// Anyone can list categories in display order, each with the number of public
+// prompts in it, counted live. Moderators add, edit and remove categories:
+// changing a slug moves the category's prompts with it (the foreign key cascades),
+// and a category can only be removed once no prompt uses it.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate } from '../middleware/security.js';
+import { createCategorySchema, updateCategorySchema } from '../validation/schemas.js';
+
+const CATEGORY_COLUMNS = `c.id, c.slug, c.name, c.description, c.icon, c.sort_order, c.aliases,
+  (SELECT COUNT(*)::int FROM prompts p WHERE p.category = c.slug AND p.is_public = true) AS prompt_count`;
+
+export async function handleCategories(req, res, route) {
+  const [, slug, extra] = route.segments;
+  if (extra) return send(res, 404, { error: 'Not found' });
+
+  if (!slug) {
+    if (route.method === 'GET') return listCategories(res);
+    if (route.method === 'POST') return createCategory(req, res);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (route.method === 'GET') return getCategory(res, slug);
+  if (route.method === 'PUT') return updateCategory(req, res, slug);
+  if (route.method === 'DELETE') return deleteCategory(req, res, slug);
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+async function listCategories(res) {
+  const result = await sql.query(
+    `SELECT ${CATEGORY_COLUMNS}
+     FROM categories c
+     ORDER BY c.sort_order, c.name`
+  );
+  return send(res, 200, { categories: result.rows });
+}
+
+async function getCategory(res, slug) {
+  const category = await findCategory(slug);
+  if (!category) return send(res, 404, { error: 'Category not found' });
+  return send(res, 200, { category });
+}
+
+async function createCategory(req, res) {
+  const moderator = await requireModerator(req, res);
+  if (!moderator) return;
+
+  const { value, errors } = validate(createCategorySchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const created = await sql`
+    INSERT INTO categories (slug, name, description, icon, sort_order, aliases)
+    VALUES (${value.slug}, ${value.name}, ${value.description || null}, ${value.icon || null},
+            ${value.sort_order}, ${value.aliases}::text[])
+    ON CONFLICT (slug) DO NOTHING
+    RETURNING id
+  `;
+  if (created.rowCount === 0) return send(res, 409, { error: `Category "${value.slug}" already exists` });
+
+  return send(res, 201, { message: 'Category created', category: await findCategory(value.slug) });
+}
+
+async function updateCategory(req, res, slug) {
+  const moderator = await requireModerator(req, res);
+  if (!moderator) return;
+
+  const { value, errors } = validate(updateCategorySchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const category = await findCategory(slug);
+  if (!category) return send(res, 404, { error: 'Category not found' });
+
+  const newSlug = value.slug || category.slug;
+  if (newSlug !== category.slug && await findCategory(newSlug)) {
+    return send(res, 409, { error: `Category "${newSlug}" already exists` });
+  }
+
+  // Empty strings clear the description and icon; missing fields are kept
+  await sql`
+    UPDATE categories SET
+      slug = ${newSlug},
+      name = COALESCE(${value.name ?? null}, name),
+      description = CASE WHEN ${value.description === undefined} THEN description ELSE NULLIF(${value.description ?? ''}, '') END,
+      icon = CASE WHEN ${value.icon === undefined} THEN icon ELSE NULLIF(${value.icon ?? ''}, '') END,
+      sort_order = COALESCE(${value.sort_order ?? null}, sort_order),
+      aliases = COALESCE(${value.aliases ?? null}::text[], aliases)
+    WHERE id = ${category.id}
+  `;
+
+  return send(res, 200, { message: 'Category updated', category: await findCategory(newSlug) });
+}
+
+async function deleteCategory(req, res, slug) {
+  const moderator = await requireModerator(req, res);
+  if (!moderator) return;
+
+  // Private prompts count here too, not just the public ones in prompt_count
+  const deleted = await sql`
+    DELETE FROM categories c
+    WHERE c.slug = ${slug} AND NOT EXISTS (SELECT 1 FROM prompts p WHERE p.category = c.slug)
+    RETURNING slug
+  `;
+  if (deleted.rowCount > 0) return send(res, 200, { message: 'Category deleted' });
+
+  const category = await findCategory(slug);
+  if (!category) return send(res, 404, { error: 'Category not found' });
+  return send(res, 409, { error: 'Move this category\'s prompts to another category before deleting it' });
+}
+
+async function requireModerator(req, res) {
+  const user = await authenticate(req, res);
+  if (!user) return null;
+  if (!user.is_moderator) {
+    send(res, 403, { error: 'Moderator access required' });
+    return null;
+  }
+  return user;
+}
+
+async function findCategory(slug) {
+  const result = await sql.query(
+    `SELECT ${CATEGORY_COLUMNS}
+     FROM categories c
+     WHERE c.slug = $1`,
+    [String(slug).toLowerCase()]
+  );
+  return result.rows[0] || null;
+}
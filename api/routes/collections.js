@@ -0,0 +1,423 @@
+// Collection routes: /api/collections, /api/collections/:id, /api/collections/:id/prompts,
+// /api/collections/:id/follow and /api/collections/sync
+// total_prompts/total_followers are kept in sync by the update_collection_stats trigger.
+// Private collections are only visible to their owner; only the owner can modify one.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import {
+  createCollectionSchema,
+  updateCollectionSchema,
+  addPromptToCollectionSchema,
+  removePromptFromCollectionSchema,
+  reorderCollectionPromptsSchema,
+  syncCollectionsSchema,
+  collectionQuerySchema,
+  paginationSchema,
+  isValidUUID
+} from '../validation/schemas.js';
+
+// $1 is the viewer id (or null) for the is_following flag
+const COLLECTION_SELECT = `
+  SELECT c.id, c.name, c.description, c.owner_id, u.username AS owner_username,
+         u.display_name AS owner_display_name, u.avatar_url AS owner_avatar_url,
+         c.is_public, c.is_featured, c.client_id, c.created_at, c.updated_at,
+         c.total_prompts, c.total_followers,
+         ARRAY(
+           SELECT cp.prompt_id FROM collection_prompts cp
+           WHERE cp.collection_id = c.id
+           ORDER BY cp.position, cp.added_at
+         ) AS prompt_ids,
+         EXISTS (
+           SELECT 1 FROM collection_follows cf WHERE cf.collection_id = c.id AND cf.user_id = $1::uuid
+         ) AS is_following
+  FROM collections c
+  LEFT JOIN users u ON u.id = c.owner_id`;
+
+export async function handleCollections(req, res, route) {
+  const [, collectionId, sub, subId] = route.segments;
+
+  if (!collectionId) {
+    if (route.method === 'GET') return listCollections(req, res, route.query);
+    if (route.method === 'POST') return createCollection(req, res);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (collectionId === 'sync' && !sub) {
+    if (route.method === 'POST') return syncCollections(req, res);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (!isValidUUID(collectionId)) return send(res, 404, { error: 'Collection not found' });
+
+  if (!sub) {
+    if (route.method === 'GET') return getCollection(req, res, collectionId);
+    if (route.method === 'PUT' || route.method === 'PATCH') return updateCollection(req, res, collectionId);
+    if (route.method === 'DELETE') return deleteCollection(req, res, collectionId);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (sub === 'prompts') {
+    if (subId === 'order') {
+      if (route.method === 'PUT') return reorderPrompts(req, res, collectionId);
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+    if (route.method === 'GET' && !subId) return listCollectionPrompts(req, res, collectionId, route.query);
+    if (route.method === 'POST' && !subId) return addPrompt(req, res, collectionId);
+    if (route.method === 'DELETE') {
+      return removePrompt(req, res, collectionId, subId ? { prompt_id: subId } : route.query);
+    }
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (sub === 'follow' && !subId) {
+    if (route.method === 'POST') return followCollection(req, res, collectionId);
+    if (route.method === 'DELETE') return unfollowCollection(req, res, collectionId);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+async function findCollection(collectionId, viewer) {
+  const result = await sql.query(`${COLLECTION_SELECT} WHERE c.id = $2`, [viewer?.id || null, collectionId]);
+  const collection = result.rows[0];
+  if (!collection) return null;
+  if (!collection.is_public && collection.owner_id !== viewer?.id) return null;
+  return collection;
+}
+
+// Resolve a collection the authenticated user owns, or send 401/403/404
+async function requireOwnedCollection(req, res, collectionId) {
+  const user = await authenticate(req, res);
+  if (!user) return {};
+
+  const collection = await findCollection(collectionId, user);
+  if (!collection) {
+    send(res, 404, { error: 'Collection not found' });
+    return {};
+  }
+  if (collection.owner_id !== user.id) {
+    send(res, 403, { error: 'Forbidden', message: 'Only the owner can modify this collection' });
+    return {};
+  }
+  return { user, collection };
+}
+
+async function listCollections(req, res, query) {
+  const { value, errors } = validate(collectionQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const viewer = await getAuthenticatedUser(req);
+  if (value.following && !viewer) {
+    return send(res, 401, { error: 'Unauthorized', message: 'Valid authentication token required' });
+  }
+
+  // Private collections are only ever listed for their owner
+  const params = [viewer?.id || null];
+  const where = ['(c.is_public = true OR c.owner_id = $1::uuid)'];
+  if (value.public_only) where.push('c.is_public = true');
+  if (value.user_id) {
+    params.push(value.user_id);
+    where.push(`c.owner_id = $${params.length}`);
+  }
+  if (value.following) {
+    where.push('EXISTS (SELECT 1 FROM collection_follows cf WHERE cf.collection_id = c.id AND cf.user_id = $1::uuid)');
+  }
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+
+  const totalRes = await sql.query(`SELECT COUNT(*)::int AS total FROM collections c ${whereSql}`, params);
+  const total = totalRes.rows[0]?.total || 0;
+
+  // sort/order are whitelisted by collectionQuerySchema
+  const { page, limit } = value;
+  const rowsRes = await sql.query(
+    `${COLLECTION_SELECT} ${whereSql}
+     ORDER BY c.${value.sort} ${value.order === 'asc' ? 'ASC' : 'DESC'}, c.id
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return send(res, 200, {
+    collections: rowsRes.rows,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+}
+
+async function createCollection(req, res) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(createCollectionSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const created = await sql`
+    INSERT INTO collections (name, description, is_public, owner_id)
+    VALUES (${value.name}, ${value.description || null}, ${value.is_public}, ${user.id})
+    RETURNING id, name, description, owner_id, is_public, created_at, updated_at, total_prompts, total_followers
+  `;
+
+  return send(res, 201, { collection: created.rows[0], message: 'Collection created successfully' });
+}
+
+async function getCollection(req, res, collectionId) {
+  const viewer = await getAuthenticatedUser(req);
+  const collection = await findCollection(collectionId, viewer);
+  if (!collection) return send(res, 404, { error: 'Collection not found' });
+
+  return send(res, 200, { collection });
+}
+
+async function updateCollection(req, res, collectionId) {
+  const { collection } = await requireOwnedCollection(req, res, collectionId);
+  if (!collection) return;
+
+  const { value, errors } = validate(updateCollectionSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const updated = await sql`
+    UPDATE collections SET
+      name = COALESCE(${value.name ?? null}, name),
+      description = COALESCE(${value.description ?? null}, description),
+      is_public = COALESCE(${value.is_public ?? null}, is_public)
+    WHERE id = ${collectionId}
+    RETURNING id, name, description, owner_id, is_public, created_at, updated_at, total_prompts, total_followers
+  `;
+
+  return send(res, 200, { collection: updated.rows[0], message: 'Collection updated successfully' });
+}
+
+async function deleteCollection(req, res, collectionId) {
+  const { collection } = await requireOwnedCollection(req, res, collectionId);
+  if (!collection) return;
+
+  await sql`DELETE FROM collections WHERE id = ${collectionId}`;
+  return send(res, 200, { message: 'Collection deleted successfully' });
+}
+
+async function listCollectionPrompts(req, res, collectionId, query) {
+  const { value, errors } = validate(paginationSchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const viewer = await getAuthenticatedUser(req);
+  const collection = await findCollection(collectionId, viewer);
+  if (!collection) return send(res, 404, { error: 'Collection not found' });
+
+  const { page, limit } = value;
+  const viewerId = viewer?.id || null;
+
+  // Prompts made private after being added stay hidden from everyone but their author
+  const totalRes = await sql`
+    SELECT COUNT(*)::int AS total
+    FROM collection_prompts cp
+    JOIN prompts p ON p.id = cp.prompt_id
+    WHERE cp.collection_id = ${collectionId} AND (p.is_public = true OR p.author_id = ${viewerId}::uuid)
+  `;
+  const total = totalRes.rows[0]?.total || 0;
+
+  const rowsRes = await sql`
+    SELECT p.id, p.title, p.content, p.description, p.category, p.tags, p.author_id,
+           u.username AS author_username, u.display_name AS author_display_name,
+           u.avatar_url AS author_avatar_url, p.created_at, p.updated_at, p.is_public, p.is_featured,
+           p.usage_count, p.view_count, p.average_rating, p.total_ratings, p.total_favorites,
+           p.difficulty_level, p.estimated_tokens, p.language, p.version,
+           cp.position, cp.added_at AS added_to_collection_at
+    FROM collection_prompts cp
+    JOIN prompts p ON p.id = cp.prompt_id
+    LEFT JOIN users u ON u.id = p.author_id
+    WHERE cp.collection_id = ${collectionId} AND (p.is_public = true OR p.author_id = ${viewerId}::uuid)
+    ORDER BY cp.position, cp.added_at
+    LIMIT ${limit} OFFSET ${(page - 1) * limit}
+  `;
+
+  const { prompt_ids, ...summary } = collection;
+  return send(res, 200, {
+    collection: summary,
+    prompts: rowsRes.rows,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+}
+
+async function addPrompt(req, res, collectionId) {
+  const { user, collection } = await requireOwnedCollection(req, res, collectionId);
+  if (!collection) return;
+
+  const { value, errors } = validate(addPromptToCollectionSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const prompt = await sql`
+    SELECT id FROM prompts
+    WHERE id = ${value.prompt_id} AND (is_public = true OR author_id = ${user.id})
+  `;
+  if (prompt.rowCount === 0) return send(res, 404, { error: 'Prompt not found' });
+
+  // Insert at the requested position (clamped to the end), shifting later prompts down
+  const inserted = await sql`
+    WITH target AS (
+      SELECT LEAST(
+        COALESCE(${value.position ?? null}::int, 2147483647),
+        (SELECT COUNT(*) FROM collection_prompts WHERE collection_id = ${collectionId})
+      )::int AS position
+    ), shifted AS (
+      UPDATE collection_prompts SET position = position + 1
+      WHERE collection_id = ${collectionId}
+        AND position >= (SELECT position FROM target)
+        AND NOT EXISTS (
+          SELECT 1 FROM collection_prompts WHERE collection_id = ${collectionId} AND prompt_id = ${value.prompt_id}
+        )
+    )
+    INSERT INTO collection_prompts (collection_id, prompt_id, added_by, position)
+    SELECT ${collectionId}, ${value.prompt_id}, ${user.id}, position FROM target
+    ON CONFLICT (collection_id, prompt_id) DO NOTHING
+    RETURNING collection_id, prompt_id, position, added_at
+  `;
+  if (inserted.rowCount === 0) {
+    return send(res, 409, { error: 'Prompt is already in this collection' });
+  }
+
+  return send(res, 201, { collection_prompt: inserted.rows[0], message: 'Prompt added to collection' });
+}
+
+async function removePrompt(req, res, collectionId, params) {
+  const { collection } = await requireOwnedCollection(req, res, collectionId);
+  if (!collection) return;
+
+  const { value, errors } = validate(removePromptFromCollectionSchema, params);
+  if (errors) return sendValidationError(res, errors);
+
+  // Close the gap so positions stay 0..n-1
+  const removed = await sql`
+    WITH removed AS (
+      DELETE FROM collection_prompts
+      WHERE collection_id = ${collectionId} AND prompt_id = ${value.prompt_id}
+      RETURNING position
+    ), shifted AS (
+      UPDATE collection_prompts SET position = position - 1
+      WHERE collection_id = ${collectionId} AND position > (SELECT position FROM removed)
+    )
+    SELECT position FROM removed
+  `;
+  if (removed.rowCount === 0) return send(res, 404, { error: 'Prompt is not in this collection' });
+
+  return send(res, 200, { message: 'Prompt removed from collection' });
+}
+
+async function reorderPrompts(req, res, collectionId) {
+  const { collection } = await requireOwnedCollection(req, res, collectionId);
+  if (!collection) return;
+
+  const { value, errors } = validate(reorderCollectionPromptsSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  // The new order must name every prompt in the collection exactly once
+  const current = new Set(collection.prompt_ids);
+  const { prompt_ids: promptIds } = value;
+  if (promptIds.length !== current.size || promptIds.some(id => !current.has(id))) {
+    return sendValidationError(res, [{
+      field: 'prompt_ids',
+      message: 'Prompt IDs must list every prompt in the collection exactly once'
+    }]);
+  }
+
+  await sql`
+    UPDATE collection_prompts cp SET position = o.ord - 1
+    FROM unnest(${promptIds}::uuid[]) WITH ORDINALITY AS o(prompt_id, ord)
+    WHERE cp.collection_id = ${collectionId} AND cp.prompt_id = o.prompt_id
+  `;
+
+  return send(res, 200, { prompt_ids: promptIds, message: 'Collection reordered' });
+}
+
+async function followCollection(req, res, collectionId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const collection = await findCollection(collectionId, user);
+  if (!collection) return send(res, 404, { error: 'Collection not found' });
+  if (collection.owner_id === user.id) {
+    return send(res, 400, { error: 'You cannot follow your own collection' });
+  }
+
+  await sql`
+    INSERT INTO collection_follows (user_id, collection_id)
+    VALUES (${user.id}, ${collectionId})
+    ON CONFLICT (user_id, collection_id) DO NOTHING
+  `;
+  const counts = await sql`SELECT total_followers FROM collections WHERE id = ${collectionId}`;
+
+  return send(res, 200, {
+    following: true,
+    total_followers: counts.rows[0]?.total_followers || 0,
+    message: 'Following collection'
+  });
+}
+
+async function unfollowCollection(req, res, collectionId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const deleted = await sql`
+    DELETE FROM collection_follows
+    WHERE user_id = ${user.id} AND collection_id = ${collectionId}
+    RETURNING collection_id
+  `;
+  if (deleted.rowCount === 0) return send(res, 404, { error: 'Not following this collection' });
+
+  const counts = await sql`SELECT total_followers FROM collections WHERE id = ${collectionId}`;
+  return send(res, 200, {
+    following: false,
+    total_followers: counts.rows[0]?.total_followers || 0,
+    message: 'Unfollowed collection'
+  });
+}
+
+// Upsert collections created offline in FavoritesManager. Keyed by (owner, client_id)
+// so repeated syncs never duplicate; prompts are appended, never removed.
+async function syncCollections(req, res) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(syncCollectionsSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  for (const local of value.collections) {
+    const upserted = await sql`
+      INSERT INTO collections (name, description, is_public, owner_id, client_id)
+      VALUES (${local.name}, ${local.description || null}, ${local.is_public}, ${user.id}, ${local.client_id})
+      ON CONFLICT (owner_id, client_id) WHERE client_id IS NOT NULL
+      DO UPDATE SET client_id = EXCLUDED.client_id
+      RETURNING id
+    `;
+    const collectionId = upserted.rows[0].id;
+
+    const promptIds = [...new Set(local.prompts.filter(isValidUUID))];
+    if (promptIds.length === 0) continue;
+
+    await sql`
+      INSERT INTO collection_prompts (collection_id, prompt_id, added_by, position)
+      SELECT ${collectionId}, x.id, ${user.id},
+             (SELECT COUNT(*) FROM collection_prompts WHERE collection_id = ${collectionId})
+               + ROW_NUMBER() OVER (ORDER BY x.ord) - 1
+      FROM (
+        SELECT p.id, o.ord
+        FROM unnest(${promptIds}::uuid[]) WITH ORDINALITY AS o(prompt_id, ord)
+        JOIN prompts p ON p.id = o.prompt_id AND (p.is_public = true OR p.author_id = ${user.id})
+        WHERE NOT EXISTS (
+          SELECT 1 FROM collection_prompts WHERE collection_id = ${collectionId} AND prompt_id = p.id
+        )
+      ) x
+      ON CONFLICT (collection_id, prompt_id) DO NOTHING
+    `;
+  }
+
+  const result = await sql.query(
+    `${COLLECTION_SELECT} WHERE c.owner_id = $1::uuid ORDER BY c.created_at DESC`,
+    [user.id]
+  );
+
+  return send(res, 200, {
+    collections: result.rows,
+    synced: value.collections.length,
+    message: 'Collections synced'
+  });
+}
@@ -0,0 +1,237 @@
+// Comment routes: /api/prompts/:id/comments and /api/prompts/:id/comments/:commentId
+// Comments form threads through parent_id, up to MAX_COMMENT_DEPTH levels deep.
+// Pages are top-level threads, newest first, each with all of its replies oldest
+// first. Authors can edit a comment for EDIT_WINDOW_MINUTES after posting it.
+// Deleting (by the author or a moderator) blanks the comment but keeps its place,
+// so the replies under it stay threaded; comments hidden by a moderator show the
+// same way. Content is returned as written and as content_html (lib/markdown.js).
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import { renderMarkdown } from '../lib/markdown.js';
+import { notifyCommentReply } from '../lib/notifications.js';
+import {
+  commentsQuerySchema,
+  createCommentSchema,
+  updateCommentSchema,
+  isValidUUID
+} from '../validation/schemas.js';
+
+export const EDIT_WINDOW_MINUTES = 15;
+export const MAX_COMMENT_DEPTH = 5;
+
+export async function handleComments(req, res, route) {
+  const [, promptId, , commentId, extra] = route.segments;
+  if (extra) return send(res, 404, { error: 'Not found' });
+  if (!isValidUUID(promptId)) return send(res, 404, { error: 'Prompt not found' });
+
+  if (!commentId) {
+    if (route.method === 'GET') return listComments(req, res, promptId, route.query);
+    if (route.method === 'POST') return createComment(req, res, promptId);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (!isValidUUID(commentId)) return send(res, 404, { error: 'Comment not found' });
+  if (route.method === 'PUT') return updateComment(req, res, promptId, commentId);
+  if (route.method === 'DELETE') return deleteComment(req, res, promptId, commentId);
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+async function listComments(req, res, promptId, query) {
+  const { value, errors } = validate(commentsQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const viewer = await getAuthenticatedUser(req);
+  const prompt = await loadReadablePrompt(res, promptId, viewer);
+  if (!prompt) return;
+
+  const { page, limit } = value;
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes] = await Promise.all([
+    sql`
+      WITH RECURSIVE threads AS (
+        SELECT id, created_at FROM comments
+        WHERE prompt_id = ${promptId} AND parent_id IS NULL
+        ORDER BY created_at DESC, id
+        LIMIT ${limit} OFFSET ${offset}
+      ),
+      tree AS (
+        SELECT c.id, c.parent_id, c.user_id, c.content, c.is_approved, c.deleted_at, c.edited_at,
+               c.created_at, 1 AS depth
+        FROM comments c JOIN threads t ON t.id = c.id
+        UNION ALL
+        SELECT c.id, c.parent_id, c.user_id, c.content, c.is_approved, c.deleted_at, c.edited_at,
+               c.created_at, tree.depth + 1
+        FROM comments c JOIN tree ON c.parent_id = tree.id
+      )
+      SELECT tree.*, u.username, u.display_name, u.avatar_url
+      FROM tree
+      LEFT JOIN users u ON u.id = tree.user_id
+      ORDER BY tree.depth, tree.created_at, tree.id
+    `,
+    sql`
+      SELECT COUNT(*) FILTER (WHERE parent_id IS NULL)::int AS threads,
+             COUNT(*) FILTER (WHERE deleted_at IS NULL AND is_approved = true)::int AS comments
+      FROM comments WHERE prompt_id = ${promptId}
+    `
+  ]);
+
+  const { threads, comments } = countRes.rows[0] || { threads: 0, comments: 0 };
+  return send(res, 200, {
+    comments: buildThreads(rowsRes.rows, viewer),
+    total_comments: comments,
+    pagination: { page, limit, total: threads, totalPages: Math.ceil(threads / limit) }
+  });
+}
+
+async function createComment(req, res, promptId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(createCommentSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const prompt = await loadReadablePrompt(res, promptId, user);
+  if (!prompt) return;
+
+  let depth = 1;
+  if (value.parent_id) {
+    // Depth of the parent, counted from the top of its thread
+    const parentRes = await sql`
+      WITH RECURSIVE chain AS (
+        SELECT id, parent_id, prompt_id, deleted_at, is_approved, 1 AS depth
+        FROM comments WHERE id = ${value.parent_id}
+        UNION ALL
+        SELECT c.id, c.parent_id, c.prompt_id, c.deleted_at, c.is_approved, chain.depth + 1
+        FROM comments c JOIN chain ON c.id = chain.parent_id
+      )
+      SELECT (SELECT prompt_id FROM chain WHERE id = ${value.parent_id}) AS prompt_id,
+             (SELECT deleted_at IS NULL AND is_approved FROM chain WHERE id = ${value.parent_id}) AS is_visible,
+             MAX(depth)::int AS depth
+      FROM chain
+    `;
+    const parent = parentRes.rows[0];
+    if (!parent?.prompt_id || parent.prompt_id !== promptId) {
+      return send(res, 404, { error: 'Parent comment not found' });
+    }
+    if (!parent.is_visible) return send(res, 400, { error: 'You cannot reply to a deleted comment' });
+    if (parent.depth >= MAX_COMMENT_DEPTH) {
+      return send(res, 400, { error: `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep` });
+    }
+    depth = parent.depth + 1;
+  }
+
+  const inserted = await sql`
+    INSERT INTO comments (prompt_id, user_id, parent_id, content)
+    VALUES (${promptId}, ${user.id}, ${value.parent_id || null}, ${value.content})
+    RETURNING id, parent_id, user_id, content, is_approved, deleted_at, edited_at, created_at
+  `;
+  const row = { ...inserted.rows[0], depth, username: user.username, display_name: user.display_name, avatar_url: user.avatar_url };
+  await notifyCommentReply({ commentId: row.id, parentId: row.parent_id, promptId, actorId: user.id });
+  return send(res, 201, { message: 'Commented', comment: toComment(row, user) });
+}
+
+async function updateComment(req, res, promptId, commentId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(updateCommentSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const comment = await loadComment(promptId, commentId);
+  if (!comment || comment.deleted_at) return send(res, 404, { error: 'Comment not found' });
+  if (comment.user_id !== user.id) return send(res, 403, { error: 'Only the author can edit this comment' });
+  if (!comment.is_approved) return send(res, 403, { error: 'This comment was hidden by a moderator' });
+  if (!withinEditWindow(comment)) {
+    return send(res, 403, { error: `Comments can only be edited within ${EDIT_WINDOW_MINUTES} minutes of posting` });
+  }
+
+  const updated = await sql`
+    UPDATE comments SET content = ${value.content}, edited_at = NOW(), updated_at = NOW()
+    WHERE id = ${commentId}
+    RETURNING id, parent_id, user_id, content, is_approved, deleted_at, edited_at, created_at
+  `;
+  const row = { ...updated.rows[0], username: user.username, display_name: user.display_name, avatar_url: user.avatar_url };
+  return send(res, 200, { message: 'Updated', comment: toComment(row, user) });
+}
+
+// Soft delete: the text goes, the row stays so its replies keep their place
+async function deleteComment(req, res, promptId, commentId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const comment = await loadComment(promptId, commentId);
+  if (!comment || comment.deleted_at) return send(res, 404, { error: 'Comment not found' });
+  if (comment.user_id !== user.id && !user.is_moderator) {
+    return send(res, 403, { error: 'Only the author can delete this comment' });
+  }
+
+  await sql`
+    UPDATE comments SET content = '', deleted_at = NOW(), updated_at = NOW()
+    WHERE id = ${commentId}
+  `;
+  return send(res, 200, { message: 'Deleted', id: commentId });
+}
+
+async function loadComment(promptId, commentId) {
+  const result = await sql`
+    SELECT id, prompt_id, user_id, content, is_approved, deleted_at, created_at
+    FROM comments
+    WHERE id = ${commentId} AND prompt_id = ${promptId}
+  `;
+  return result.rows[0] || null;
+}
+
+// Comments on a private prompt are only visible to its author and moderators
+async function loadReadablePrompt(res, promptId, viewer) {
+  const result = await sql`SELECT id, author_id, is_public FROM prompts WHERE id = ${promptId}`;
+  const prompt = result.rows[0];
+  if (!prompt || (!prompt.is_public && !(viewer && (viewer.id === prompt.author_id || viewer.is_moderator)))) {
+    send(res, 404, { error: 'Prompt not found' });
+    return null;
+  }
+  return prompt;
+}
+
+function withinEditWindow(comment, now = Date.now()) {
+  return now - new Date(comment.created_at).getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000;
+}
+
+// Rows come ordered by depth, so every parent is placed before its replies
+function buildThreads(rows, viewer) {
+  const byId = new Map();
+  const threads = [];
+  for (const row of rows) {
+    const comment = toComment(row, viewer);
+    byId.set(comment.id, comment);
+    const parent = row.parent_id ? byId.get(row.parent_id) : null;
+    if (parent) parent.replies.push(comment);
+    else threads.push(comment);
+  }
+  // Replies read oldest first, threads newest first
+  return threads.sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || (a.id < b.id ? -1 : 1));
+}
+
+function toComment(row, viewer) {
+  const status = row.deleted_at ? 'deleted' : row.is_approved === false ? 'hidden' : 'visible';
+  const visible = status === 'visible';
+  const isAuthor = Boolean(viewer) && viewer.id === row.user_id;
+
+  return {
+    id: row.id,
+    parent_id: row.parent_id,
+    depth: row.depth,
+    status,
+    author: visible
+      ? { id: row.user_id, username: row.username, display_name: row.display_name || row.username, avatar_url: row.avatar_url || null }
+      : null,
+    content: visible ? row.content : null,
+    content_html: visible ? renderMarkdown(row.content) : null,
+    created_at: row.created_at,
+    edited_at: visible ? row.edited_at : null,
+    can_edit: visible && isAuthor && withinEditWindow(row),
+    can_delete: status !== 'deleted' && Boolean(viewer) && (isAuthor || viewer.is_moderator),
+    can_reply: visible && row.depth < MAX_COMMENT_DEPTH,
+    replies: []
+  };
+}
@@ -0,0 +1,36 @@
+// Duplicate routes: POST /api/prompts/duplicates and GET /api/moderation/duplicates
+// The check lets the submission form warn about likely duplicates before a prompt is
+// published; POST /api/prompts runs the same check itself. The report groups existing
+// near-duplicates into clusters for moderators to merge. See lib/duplicates.js.
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import { findDuplicates, duplicateClusters } from '../lib/duplicates.js';
+import { duplicateCheckSchema, duplicateReportQuerySchema } from '../validation/schemas.js';
+
+export async function handleDuplicateCheck(req, res, route) {
+  if (route.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+  const { value, errors } = validate(duplicateCheckSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  // Signed-in authors are also warned about their own private prompts
+  const user = await getAuthenticatedUser(req);
+  const duplicates = await findDuplicates(value.content, {
+    excludeId: value.exclude_id || null,
+    userId: user?.id || null
+  });
+  return send(res, 200, { duplicates });
+}
+
+export async function handleDuplicateReport(req, res, route) {
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+
+  const user = await authenticate(req, res);
+  if (!user) return;
+  if (!user.is_moderator) return send(res, 403, { error: 'Moderator access required' });
+
+  const { value, errors } = validate(duplicateReportQuerySchema, route.query);
+  if (errors) return sendValidationError(res, errors);
+
+  return send(res, 200, await duplicateClusters(value));
+}
@@ -0,0 +1,98 @@
+// Favorites routes: /api/favorites and /api/favorites/:promptId
+// Always scoped to the authenticated user. prompts.total_favorites is kept
+// in sync by the update_prompt_stats trigger on the favorites table.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate } from '../middleware/security.js';
+import { addFavoriteSchema, favoritesQuerySchema } from '../validation/schemas.js';
+
+export async function handleFavorites(req, res, route) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const [, pathPromptId] = route.segments;
+
+  if (route.method === 'GET' && !pathPromptId) return listFavorites(res, user, route.query);
+  if (route.method === 'POST' && !pathPromptId) return addFavorite(req, res, user);
+  if (route.method === 'DELETE') {
+    return removeFavorite(res, user, pathPromptId ? { prompt_id: pathPromptId } : route.query);
+  }
+
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+async function listFavorites(res, user, query) {
+  const { value, errors } = validate(favoritesQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const { page, limit } = value;
+  const offset = (page - 1) * limit;
+  const promptFilter = value.prompt_id || null;
+
+  const totalRes = await sql`
+    SELECT COUNT(*)::int AS total FROM favorites
+    WHERE user_id = ${user.id} AND (${promptFilter}::uuid IS NULL OR prompt_id = ${promptFilter}::uuid)
+  `;
+  const total = totalRes.rows[0]?.total || 0;
+
+  const rowsRes = await sql`
+    SELECT p.id, f.prompt_id, p.title, p.description, p.content, p.category, p.tags,
+           p.author_id, u.username AS author_username, u.display_name AS author_display_name,
+           u.avatar_url AS author_avatar_url, p.is_public, p.is_featured, p.difficulty_level,
+           p.average_rating, p.total_ratings, p.total_favorites, p.created_at, p.updated_at,
+           f.created_at AS favorited_at
+    FROM favorites f
+    JOIN prompts p ON p.id = f.prompt_id
+    LEFT JOIN users u ON u.id = p.author_id
+    WHERE f.user_id = ${user.id} AND (${promptFilter}::uuid IS NULL OR f.prompt_id = ${promptFilter}::uuid)
+    ORDER BY f.created_at DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+
+  return send(res, 200, {
+    favorites: rowsRes.rows,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+}
+
+async function addFavorite(req, res, user) {
+  const { value, errors } = validate(addFavoriteSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const prompt = await sql`
+    SELECT id FROM prompts
+    WHERE id = ${value.prompt_id} AND (is_public = true OR author_id = ${user.id})
+  `;
+  if (prompt.rowCount === 0) return send(res, 404, { error: 'Prompt not found' });
+
+  // ON CONFLICT keeps the call idempotent and the trigger from double counting
+  const inserted = await sql`
+    INSERT INTO favorites (user_id, prompt_id)
+    VALUES (${user.id}, ${value.prompt_id})
+    ON CONFLICT (user_id, prompt_id) DO NOTHING
+    RETURNING user_id, prompt_id, created_at
+  `;
+  if (inserted.rowCount === 0) {
+    const existing = await sql`
+      SELECT user_id, prompt_id, created_at FROM favorites
+      WHERE user_id = ${user.id} AND prompt_id = ${value.prompt_id}
+    `;
+    return send(res, 200, { favorite: existing.rows[0], message: 'Prompt already in favorites' });
+  }
+
+  return send(res, 201, { favorite: inserted.rows[0], message: 'Prompt added to favorites' });
+}
+
+async function removeFavorite(res, user, params) {
+  const { value, errors } = validate(addFavoriteSchema, params);
+  if (errors) return sendValidationError(res, errors);
+
+  const deleted = await sql`
+    DELETE FROM favorites
+    WHERE user_id = ${user.id} AND prompt_id = ${value.prompt_id}
+    RETURNING prompt_id
+  `;
+  if (deleted.rowCount === 0) return send(res, 404, { error: 'Favorite not found' });
+
+  return send(res, 200, { message: 'Prompt removed from favorites' });
+}
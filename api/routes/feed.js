@@ -0,0 +1,174 @@
+// Personalized feed: GET /api/feed
+// A signed-in user's feed merges three sources, each scored from 0 to 1 and weighted
+// by FEED_WEIGHTS:
+// - followed_author: new public prompts by users they follow
+// - followed_collection: prompts newly added to public collections they follow
+// - recommended: public prompts sharing tags or a category with the prompts they
+//   favorited or rated 4 or more, scored by how much of that taste they match
+// Follow items lose half their score after a week and drop out after FEED_WINDOW_DAYS.
+// A prompt reached several ways is listed once, for its best reason. The user's own
+// prompts and the ones they already favorited or rated, at any rating, are left out
+// of every source. Anonymous users, and users with nothing to personalize from yet,
+// get the trending list instead.
+import { sql } from '@vercel/postgres';
+import { send, validate, sendValidationError } from '../lib/http.js';
+import { getAuthenticatedUser } from '../middleware/security.js';
+import { loadTrendingPromptPage } from '../lib/trending.js';
+import { feedQuerySchema } from '../validation/schemas.js';
+
+export const FEED_WEIGHTS = { followed_author: 1, followed_collection: 0.8, recommended: 0.6 };
+export const FEED_WINDOW_DAYS = 30;
+
+// How a recommendation's 0-1 score splits between matching tags and the category
+const TASTE_WEIGHTS = { tags: 0.7, category: 0.3 };
+
+// All interpolated values are module constants, never request input
+function freshnessSql(column) {
+  return `1 / (1 + EXTRACT(EPOCH FROM (NOW() - ${column})) / 604800)`;
+}
+
+const PROMPT_COLUMNS = `p.id, p.title, p.description, p.content, p.category, p.tags, p.difficulty_level,
+            p.average_rating, p.total_ratings, p.total_likes, p.fork_count, p.variables,
+            p.created_at, u.username AS author_username`;
+
+export async function handleFeed(req, res, route) {
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+  if (route.segments.length > 1) return send(res, 404, { error: 'Not found' });
+
+  const { value, errors } = validate(feedQuerySchema, route.query);
+  if (errors) return sendValidationError(res, errors);
+
+  const { page, limit } = value;
+  const offset = (page - 1) * limit;
+
+  const viewer = await getAuthenticatedUser(req);
+  if (viewer) {
+    const rows = await loadPersonalFeed(viewer.id, { limit, offset });
+    // Pages past the end of a personal feed stay personal, just empty
+    const personal = rows.length > 0
+      || (page > 1 && (await loadPersonalFeed(viewer.id, { limit: 1, offset: 0 })).length > 0);
+    if (personal) {
+      return send(res, 200, feedPage('personal', rows, { page, limit }));
+    }
+  }
+
+  const rows = await loadTrendingPromptPage({ limit, offset });
+  return send(res, 200, feedPage('trending', rows, { page, limit }));
+}
+
+async function loadPersonalFeed(userId, { limit, offset }) {
+  const result = await sql.query(
+    `WITH followed_authors AS (
+       SELECT p.id AS prompt_id, 'followed_author' AS reason, p.created_at AS happened_at,
+              ${FEED_WEIGHTS.followed_author} * ${freshnessSql('p.created_at')} AS score,
+              NULL::uuid AS collection_id
+       FROM user_follows f
+       JOIN prompts p ON p.author_id = f.following_id
+       WHERE f.follower_id = $1 AND p.is_public = true
+         AND p.created_at >= NOW() - INTERVAL '${FEED_WINDOW_DAYS} days'
+     ),
+     followed_collections AS (
+       SELECT cp.prompt_id, 'followed_collection' AS reason, cp.added_at AS happened_at,
+              ${FEED_WEIGHTS.followed_collection} * ${freshnessSql('cp.added_at')} AS score,
+              cp.collection_id
+       FROM collection_follows cf
+       JOIN collections c ON c.id = cf.collection_id AND c.is_public = true
+       JOIN collection_prompts cp ON cp.collection_id = c.id
+       JOIN prompts p ON p.id = cp.prompt_id AND p.is_public = true
+       WHERE cf.user_id = $1 AND p.author_id IS DISTINCT FROM $1
+         AND cp.added_at >= NOW() - INTERVAL '${FEED_WINDOW_DAYS} days'
+     ),
+     liked AS (
+       SELECT prompt_id FROM favorites WHERE user_id = $1
+       UNION
+       SELECT prompt_id FROM ratings WHERE user_id = $1 AND rating >= 4 AND prompt_id IS NOT NULL
+     ),
+     seen AS (
+       SELECT prompt_id FROM favorites WHERE user_id = $1
+       UNION
+       SELECT prompt_id FROM ratings WHERE user_id = $1 AND prompt_id IS NOT NULL
+     ),
+     taste_size AS (
+       SELECT COUNT(*)::float AS total FROM liked
+     ),
+     taste_tags AS (
+       SELECT tag, COUNT(*)::float AS weight
+       FROM liked l
+       JOIN prompts p ON p.id = l.prompt_id
+       CROSS JOIN LATERAL unnest(p.tags) AS tag
+       GROUP BY tag
+     ),
+     taste_categories AS (
+       SELECT p.category, COUNT(*)::float AS weight
+       FROM liked l
+       JOIN prompts p ON p.id = l.prompt_id
+       WHERE p.category IS NOT NULL
+       GROUP BY p.category
+     ),
+     recommended AS (
+       SELECT p.id AS prompt_id, 'recommended' AS reason, p.created_at AS happened_at,
+              ${FEED_WEIGHTS.recommended} * (
+                ${TASTE_WEIGHTS.tags} * LEAST(1, COALESCE((SELECT SUM(tt.weight) FROM taste_tags tt WHERE tt.tag = ANY(p.tags)), 0) / t.total)
+                + ${TASTE_WEIGHTS.category} * COALESCE((SELECT tc.weight FROM taste_categories tc WHERE tc.category = p.category), 0) / t.total
+              ) AS score,
+              NULL::uuid AS collection_id
+       FROM prompts p
+       CROSS JOIN taste_size t
+       WHERE t.total > 0 AND p.is_public = true
+         AND p.author_id IS DISTINCT FROM $1
+         AND (p.tags && ARRAY(SELECT tag FROM taste_tags)
+              OR p.category IN (SELECT category FROM taste_categories))
+     ),
+     best AS (
+       SELECT DISTINCT ON (prompt_id) *
+       FROM (
+         SELECT * FROM followed_authors
+         UNION ALL SELECT * FROM followed_collections
+         UNION ALL SELECT * FROM recommended
+       ) items
+       WHERE NOT EXISTS (SELECT 1 FROM seen s WHERE s.prompt_id = items.prompt_id)
+       ORDER BY prompt_id, score DESC, happened_at DESC
+     )
+     SELECT ${PROMPT_COLUMNS},
+            b.reason, b.score AS feed_score, b.collection_id, c.name AS collection_name,
+            COUNT(*) OVER ()::int AS total_count
+     FROM best b
+     JOIN prompts p ON p.id = b.prompt_id
+     LEFT JOIN users u ON u.id = p.author_id
+     LEFT JOIN collections c ON c.id = b.collection_id
+     ORDER BY b.score DESC, b.happened_at DESC, p.id
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+  return result.rows;
+}
+
+function feedPage(source, rows, { page, limit }) {
+  const total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+  return {
+    source,
+    prompts: rows.map(row => toFeedPrompt(source, row)),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  };
+}
+
+function toFeedPrompt(source, row) {
+  const { reason, feed_score, trending_score, collection_id, collection_name, total_count, ...prompt } = row;
+  const feedReason = source === 'trending'
+    ? { type: 'trending', score: round(trending_score) }
+    : { type: reason, score: round(feed_score) };
+  if (collection_id) feedReason.collection = { id: collection_id, name: collection_name };
+
+  return {
+    ...prompt,
+    tags: prompt.tags || [],
+    author_username: prompt.author_username || null,
+    average_rating: Number(prompt.average_rating) || 0,
+    total_ratings: Number(prompt.total_ratings) || 0,
+    feed_reason: feedReason
+  };
+}
+
+function round(value) {
+  return Math.round((Number(value) || 0) * 1000) / 1000;
+}
@@ -0,0 +1,145 @@
+// Follow routes: /api/users/:username/follow, /followers and /following
+// Following is idempotent: following twice or unfollowing someone you don't follow
+// changes nothing. followers_count and following_count on user_profiles move in the
+// same statement as the user_follows row, by however many rows actually changed,
+// so concurrent requests can't skew them.
+import { sql } from '@vercel/postgres';
+import { send, validate, sendValidationError } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import { paginationSchema } from '../validation/schemas.js';
+
+// Which side of user_follows each list reads; only these names are interpolated
+const FOLLOW_LISTS = {
+  followers: { match: 'following_id', other: 'follower_id' },
+  following: { match: 'follower_id', other: 'following_id' }
+};
+
+export async function handleFollows(req, res, route, username) {
+  const [, , sub] = route.segments;
+
+  if (sub === 'follow') {
+    if (route.method === 'POST') return followUser(req, res, username);
+    if (route.method === 'DELETE') return unfollowUser(req, res, username);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+  return listFollows(req, res, username, FOLLOW_LISTS[sub], route.query);
+}
+
+async function followUser(req, res, username) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const target = await findUser(username);
+  if (!target) return send(res, 404, { error: 'User not found' });
+  if (target.id === user.id) return send(res, 400, { error: 'You cannot follow yourself' });
+
+  const result = await sql`
+    WITH added AS (
+      INSERT INTO user_follows (follower_id, following_id)
+      VALUES (${user.id}, ${target.id})
+      ON CONFLICT DO NOTHING
+      RETURNING following_id
+    ),
+    followed AS (
+      INSERT INTO user_profiles (user_id, followers_count)
+      SELECT following_id, 1 FROM added
+      ON CONFLICT (user_id) DO UPDATE SET followers_count = COALESCE(user_profiles.followers_count, 0) + 1
+      RETURNING followers_count
+    ),
+    follower AS (
+      INSERT INTO user_profiles (user_id, following_count)
+      SELECT ${user.id}, 1 FROM added
+      ON CONFLICT (user_id) DO UPDATE SET following_count = COALESCE(user_profiles.following_count, 0) + 1
+    )
+    SELECT (SELECT COUNT(*) FROM added)::int AS added,
+           COALESCE(
+             (SELECT followers_count FROM followed),
+             (SELECT followers_count FROM user_profiles WHERE user_id = ${target.id}),
+             0
+           ) AS followers_count
+  `;
+  const row = result.rows[0];
+
+  return send(res, row.added ? 201 : 200, {
+    following: true,
+    followers_count: row.followers_count,
+    message: `Following @${target.username}`
+  });
+}
+
+async function unfollowUser(req, res, username) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const target = await findUser(username);
+  if (!target) return send(res, 404, { error: 'User not found' });
+
+  const result = await sql`
+    WITH removed AS (
+      DELETE FROM user_follows
+      WHERE follower_id = ${user.id} AND following_id = ${target.id}
+      RETURNING following_id
+    ),
+    followed AS (
+      UPDATE user_profiles SET followers_count = GREATEST(COALESCE(followers_count, 0) - 1, 0)
+      WHERE user_id IN (SELECT following_id FROM removed)
+      RETURNING followers_count
+    ),
+    follower AS (
+      UPDATE user_profiles SET following_count = GREATEST(COALESCE(following_count, 0) - 1, 0)
+      WHERE user_id = ${user.id} AND EXISTS (SELECT 1 FROM removed)
+    )
+    SELECT COALESCE(
+             (SELECT followers_count FROM followed),
+             (SELECT followers_count FROM user_profiles WHERE user_id = ${target.id}),
+             0
+           ) AS followers_count
+  `;
+
+  return send(res, 200, {
+    following: false,
+    followers_count: result.rows[0].followers_count,
+    message: `Unfollowed @${target.username}`
+  });
+}
+
+// Newest follows first; is_following says whether the viewer follows each listed user
+async function listFollows(req, res, username, list, query) {
+  const { value, errors } = validate(paginationSchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const target = await findUser(username);
+  if (!target) return send(res, 404, { error: 'User not found' });
+
+  const viewer = await getAuthenticatedUser(req);
+  const { page, limit } = value;
+  const result = await sql.query(
+    `SELECT u.id, u.username, u.display_name, u.avatar_url, f.created_at AS followed_at,
+            EXISTS (
+              SELECT 1 FROM user_follows mine WHERE mine.follower_id = $2::uuid AND mine.following_id = u.id
+            ) AS is_following,
+            COUNT(*) OVER() AS total_count
+     FROM user_follows f
+     JOIN users u ON u.id = f.${list.other}
+     WHERE f.${list.match} = $1 AND u.is_banned IS NOT TRUE
+     ORDER BY f.created_at DESC
+     LIMIT $3 OFFSET $4`,
+    [target.id, viewer?.id || null, limit, (page - 1) * limit]
+  );
+
+  const total = parseInt(result.rows[0]?.total_count || '0', 10);
+  return send(res, 200, {
+    users: result.rows.map(({ total_count, ...row }) => row),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  });
+}
+
+async function findUser(username) {
+  const result = await sql`
+    SELECT id, username FROM users
+    WHERE LOWER(username) = LOWER(${username}) AND is_banned IS NOT TRUE
+  `;
+  return result.rows[0] || null;
+}
@@ -0,0 +1,182 @@
+// Fork routes: POST /api/prompts/:id/fork and GET /api/prompts/:id/forks
+// A fork copies the prompt's current text into the caller's account with forked_from
+// (and the version that was copied) pointing back at it. fork_count on a prompt
+// counts its direct forks. The fork tree walks forked_from up to the root of the
+// lineage and down through the forks the viewer can see, most-forked first.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import { forkSourceSql } from '../lib/forks.js';
+import { notifyFollowersOfPrompt } from '../lib/notifications.js';
+import { refreshTagUsage } from '../lib/tags.js';
+import { forkPromptSchema, forkTreeQuerySchema, isValidUUID } from '../validation/schemas.js';
+
+// Upper bounds on the recursive walks; lineages are rarely more than a few deep
+const MAX_ANCESTORS = 50;
+const MAX_TREE_NODES = 500;
+
+const NODE_COLUMNS = `p.id, p.title, p.author_id, u.username AS author_username, p.is_public,
+       p.forked_from, p.forked_from_version, p.fork_count, p.average_rating, p.created_at`;
+
+export async function handlePromptForks(req, res, route) {
+  const [, promptId, sub, extra] = route.segments;
+  if (extra) return send(res, 404, { error: 'Not found' });
+  if (!isValidUUID(promptId)) return send(res, 404, { error: 'Prompt not found' });
+
+  if (sub === 'fork') {
+    if (route.method === 'POST') return forkPrompt(req, res, promptId);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (route.method === 'GET') return getForkTree(req, res, promptId, route.query);
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+async function forkPrompt(req, res, promptId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(forkPromptSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const source = await loadNode(promptId);
+  if (!source || !canFork(source, user)) return send(res, 404, { error: 'Prompt not found' });
+
+  const result = await sql`
+    WITH source AS (
+      SELECT * FROM prompts WHERE id = ${promptId}
+    ),
+    forked AS (
+      INSERT INTO prompts
+        (title, description, content, category, tags, difficulty_level, estimated_tokens, language, variables,
+         quality_score, minhash, minhash_bands, author_id, is_public, forked_from, forked_from_version)
+      SELECT COALESCE(${value.title || null}, title), description, content, category, tags,
+             difficulty_level, estimated_tokens, language, variables, quality_score, minhash, minhash_bands,
+             ${user.id}, ${value.is_public}, id, COALESCE(version, 1)
+      FROM source
+      RETURNING *
+    ),
+    counted AS (
+      UPDATE prompts SET fork_count = COALESCE(fork_count, 0) + 1
+      WHERE id = ${promptId}
+    )
+    SELECT * FROM forked
+  `;
+  const fork = result.rows[0];
+  await refreshTagUsage(fork.tags);
+  await notifyFollowersOfPrompt({ promptId: fork.id, authorId: user.id, isPublic: fork.is_public });
+
+  return send(res, 201, {
+    message: 'Forked',
+    prompt: {
+      ...fork,
+      forked_from_prompt: { id: source.id, title: source.title, author_username: source.author_username }
+    }
+  });
+}
+
+async function getForkTree(req, res, promptId, query) {
+  const { value, errors } = validate(forkTreeQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const viewer = await getAuthenticatedUser(req);
+  const prompt = await loadNode(promptId);
+  if (!prompt || !canView(prompt, viewer)) return send(res, 404, { error: 'Prompt not found' });
+
+  const viewerId = viewer?.id || null;
+  const [ancestorsRes, treeRes] = await Promise.all([
+    sql.query(
+      `WITH RECURSIVE lineage AS (
+         SELECT forked_from AS id, 1 AS depth FROM prompts WHERE id = $1
+         UNION ALL
+         SELECT p.forked_from, l.depth + 1
+         FROM lineage l JOIN prompts p ON p.id = l.id
+         WHERE p.forked_from IS NOT NULL AND l.depth < ${MAX_ANCESTORS}
+       )
+       SELECT ${NODE_COLUMNS}, l.depth
+       FROM lineage l
+       JOIN prompts p ON p.id = l.id
+       LEFT JOIN users u ON u.id = p.author_id
+       ORDER BY l.depth DESC`,
+      [promptId]
+    ),
+    sql.query(
+      `WITH RECURSIVE tree AS (
+         SELECT p.id, 1 AS depth FROM prompts p
+         WHERE p.forked_from = $1 AND (p.is_public = true OR p.author_id = $2::uuid)
+         UNION ALL
+         SELECT p.id, t.depth + 1
+         FROM tree t JOIN prompts p ON p.forked_from = t.id
+         WHERE t.depth < $3 AND (p.is_public = true OR p.author_id = $2::uuid)
+       )
+       SELECT ${NODE_COLUMNS}, t.depth
+       FROM tree t
+       JOIN prompts p ON p.id = t.id
+       LEFT JOIN users u ON u.id = p.author_id
+       ORDER BY p.fork_count DESC, p.average_rating DESC, p.created_at
+       LIMIT ${MAX_TREE_NODES}`,
+      [promptId, viewerId, value.depth]
+    )
+  ]);
+
+  // Private ancestors keep their place in the lineage but not their details
+  const ancestors = ancestorsRes.rows.map(row =>
+    canView(row, viewer) ? toNode(row) : { id: null, is_hidden: true });
+
+  return send(res, 200, {
+    prompt: toNode(prompt),
+    ancestors,
+    forks: buildTree(promptId, treeRes.rows),
+    total: treeRes.rows.length,
+    depth: value.depth,
+    truncated: treeRes.rows.length === MAX_TREE_NODES
+  });
+}
+
+async function loadNode(promptId) {
+  const result = await sql.query(
+    `SELECT ${NODE_COLUMNS}, ${forkSourceSql('p')} AS forked_from_prompt
+     FROM prompts p
+     LEFT JOIN users u ON u.id = p.author_id
+     WHERE p.id = $1`,
+    [promptId]
+  );
+  return result.rows[0] || null;
+}
+
+// Moderators can look at any fork tree, but copying a private prompt is for its author only
+function canView(prompt, user) {
+  return prompt.is_public || (user && (user.id === prompt.author_id || user.is_moderator));
+}
+
+function canFork(prompt, user) {
+  return prompt.is_public || user.id === prompt.author_id;
+}
+
+// Rows arrive most-forked first, so each node's forks keep that order
+function buildTree(rootId, rows) {
+  const nodes = new Map(rows.map(row => [row.id, { ...toNode(row), forks: [] }]));
+  const roots = [];
+  for (const row of rows) {
+    const node = nodes.get(row.id);
+    if (row.forked_from === rootId) roots.push(node);
+    else nodes.get(row.forked_from)?.forks.push(node);
+  }
+  return roots;
+}
+
+function toNode(row) {
+  const node = {
+    id: row.id,
+    title: row.title,
+    author_username: row.author_username || null,
+    is_public: row.is_public,
+    forked_from: row.forked_from || null,
+    forked_from_version: row.forked_from_version || null,
+    fork_count: Number(row.fork_count) || 0,
+    average_rating: Number(row.average_rating) || 0,
+    created_at: row.created_at
+  };
+  if (row.forked_from_prompt !== undefined) node.forked_from_prompt = row.forked_from_prompt;
+  return node;
+}
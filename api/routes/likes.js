@@ -0,0 +1,77 @@
+// Like routes: POST and DELETE /api/prompts/:id/likes
+// Each user, or anonymous device, likes a prompt at most once; unique indexes on
+// prompt_likes enforce it. Liking twice or unliking something not liked changes
+// nothing. total_likes moves in the same statement as the like row, by however
+// many rows were actually added or removed, so concurrent requests can't skew it.
+// Anonymous visitors without a device token are given one with their first like.
+import { sql } from '@vercel/postgres';
+import { send } from '../lib/http.js';
+import { signDeviceToken, verifyDeviceToken } from '../lib/auth.js';
+import { resolveLiker } from '../lib/likes.js';
+import { isValidUUID } from '../validation/schemas.js';
+
+export async function handleLikes(req, res, route) {
+  const [, promptId, , extra] = route.segments;
+  if (extra) return send(res, 404, { error: 'Not found' });
+  if (!isValidUUID(promptId)) return send(res, 404, { error: 'Prompt not found' });
+
+  if (route.method === 'POST') return likePrompt(req, res, promptId);
+  if (route.method === 'DELETE') return unlikePrompt(req, res, promptId);
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+async function likePrompt(req, res, promptId) {
+  let liker = await resolveLiker(req);
+  let deviceToken = null;
+  if (!liker) {
+    deviceToken = signDeviceToken();
+    liker = { userId: null, deviceId: verifyDeviceToken(deviceToken) };
+  }
+
+  // Private prompts can only be liked by their author
+  const result = await sql`
+    WITH target AS (
+      SELECT id FROM prompts
+      WHERE id = ${promptId} AND (is_public = true OR author_id = ${liker.userId})
+    ),
+    added AS (
+      INSERT INTO prompt_likes (prompt_id, user_id, device_id)
+      SELECT id, ${liker.userId}, ${liker.deviceId} FROM target
+      ON CONFLICT DO NOTHING
+      RETURNING prompt_id
+    )
+    UPDATE prompts SET total_likes = COALESCE(total_likes, 0) + (SELECT COUNT(*) FROM added)
+    WHERE id IN (SELECT id FROM target)
+    RETURNING total_likes, (SELECT COUNT(*) FROM added)::int AS added
+  `;
+  const row = result.rows[0];
+  if (!row) return send(res, 404, { error: 'Prompt not found' });
+
+  return send(res, row.added ? 201 : 200, {
+    message: 'Liked',
+    liked: true,
+    total_likes: row.total_likes,
+    ...(deviceToken ? { device_token: deviceToken } : {})
+  });
+}
+
+// A visitor with no device token has nothing to unlike; the prompt's count comes back as is
+async function unlikePrompt(req, res, promptId) {
+  const liker = await resolveLiker(req);
+
+  const result = await sql`
+    WITH removed AS (
+      DELETE FROM prompt_likes
+      WHERE prompt_id = ${promptId}
+        AND (user_id = ${liker?.userId ?? null} OR device_id = ${liker?.deviceId ?? null})
+      RETURNING prompt_id
+    )
+    UPDATE prompts SET total_likes = GREATEST(COALESCE(total_likes, 0) - (SELECT COUNT(*) FROM removed), 0)
+    WHERE id = ${promptId}
+    RETURNING total_likes
+  `;
+  const row = result.rows[0];
+  if (!row) return send(res, 404, { error: 'Prompt not found' });
+
+  return send(res, 200, { message: 'Unliked', liked: false, total_likes: row.total_likes });
+}
@@ -0,0 +1,278 @@
+// Moderation routes: POST /api/reports, GET /api/moderation/reports and
+// POST /api/moderation/actions
+// Any signed-in user can report a prompt, comment, collection or user. Moderators
+// work through the queue and act on it:
+// - hide: makes a prompt private for good (its author can't republish it) or
+//   unapproves a comment
+// - warn: adds a user_warnings row and bumps the user's warning_count
+// - suspend: read-only access until the suspension ends
+// - ban: no access, and every refresh token is revoked
+// - dismiss: closes the report with no action
+// Every action is logged in moderation_actions. Acting on an item closes all of its
+// pending reports. Suspensions and bans are enforced by authenticate() in
+// middleware/security.js.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate } from '../middleware/security.js';
+import {
+  createReportSchema,
+  moderationQueueQuerySchema,
+  moderationActionSchema,
+  isValidUUID
+} from '../validation/schemas.js';
+
+// Title and owner of each kind of reportable content. Table and column names are
+// module constants, never request input.
+const REPORT_TARGETS = {
+  prompt: { table: 'prompts', title: 'title', owner: 'author_id', visible: 'is_public = true' },
+  comment: { table: 'comments', title: 'LEFT(content, 200)', owner: 'user_id', visible: 'is_approved = true AND deleted_at IS NULL' },
+  collection: { table: 'collections', title: 'name', owner: 'owner_id', visible: 'is_public = true' },
+  user: { table: 'users', title: 'username', owner: 'id', visible: 'is_active = true' }
+};
+
+const USER_ACTIONS = ['warn', 'suspend', 'ban'];
+
+export async function handleReports(req, res, route) {
+  if (route.segments.length > 1) return send(res, 404, { error: 'Not found' });
+  if (route.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(createReportSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const target = await loadTarget(value.content_type, value.content_id);
+  if (!target || !target.is_visible) return send(res, 404, { error: 'Content not found' });
+  if (target.owner_id === user.id) {
+    return send(res, 400, { error: 'You cannot report your own content' });
+  }
+
+  // The partial unique index allows one pending report per reporter and item
+  const inserted = await sql`
+    INSERT INTO reports (reporter_id, content_type, content_id, reason, description)
+    VALUES (${user.id}, ${value.content_type}, ${value.content_id}, ${value.reason}, ${value.description || null})
+    ON CONFLICT (reporter_id, content_type, content_id) WHERE status = 'pending' DO NOTHING
+    RETURNING id, content_type, content_id, reason, description, status, created_at
+  `;
+  if (inserted.rowCount === 0) {
+    return send(res, 409, { error: 'You have already reported this' });
+  }
+
+  return send(res, 201, { message: 'Reported', report: inserted.rows[0] });
+}
+
+export async function handleModeration(req, res, route) {
+  const [, resource, extra] = route.segments;
+  if (extra) return send(res, 404, { error: 'Not found' });
+
+  if (resource === 'reports') {
+    if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+    return listReports(req, res, route.query);
+  }
+  if (resource === 'actions') {
+    if (route.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+    return takeAction(req, res);
+  }
+  return send(res, 404, { error: 'Not found' });
+}
+
+async function requireModerator(req, res) {
+  const user = await authenticate(req, res);
+  if (!user) return null;
+  if (!user.is_moderator) {
+    send(res, 403, { error: 'Moderator access required' });
+    return null;
+  }
+  return user;
+}
+
+// The queue, oldest first so reports are handled in the order they came in
+async function listReports(req, res, query) {
+  const moderator = await requireModerator(req, res);
+  if (!moderator) return;
+
+  const { value, errors } = validate(moderationQueueQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const { status, page, limit } = value;
+  const contentType = value.content_type || null;
+  const offset = (page - 1) * limit;
+
+  const [rowsRes, countsRes] = await Promise.all([
+    sql`
+      SELECT r.id, r.content_type, r.content_id, r.reason, r.description, r.status,
+             r.moderation_reason, r.created_at, r.updated_at,
+             reporter.username AS reporter_username, moderator.username AS moderator_username,
+             COALESCE(p.title, LEFT(cm.content, 200), c.name, tu.username) AS target_title,
+             owner.id AS target_owner_id, owner.username AS target_owner_username,
+             COALESCE(owner.warning_count, 0) AS target_owner_warnings,
+             (p.hidden_at IS NOT NULL OR cm.is_approved = false) AS target_hidden,
+             (SELECT COUNT(*)::int FROM reports open
+              WHERE open.content_type = r.content_type AND open.content_id = r.content_id
+                AND open.status = 'pending') AS pending_reports,
+             COUNT(*) OVER ()::int AS total_count
+      FROM reports r
+      LEFT JOIN users reporter ON reporter.id = r.reporter_id
+      LEFT JOIN users moderator ON moderator.id = r.moderator_id
+      LEFT JOIN prompts p ON r.content_type = 'prompt' AND p.id = r.content_id
+      LEFT JOIN comments cm ON r.content_type = 'comment' AND cm.id = r.content_id
+      LEFT JOIN collections c ON r.content_type = 'collection' AND c.id = r.content_id
+      LEFT JOIN users tu ON r.content_type = 'user' AND tu.id = r.content_id
+      LEFT JOIN users owner ON owner.id = COALESCE(p.author_id, cm.user_id, c.owner_id, tu.id)
+      WHERE (${status} = 'all' OR r.status = ${status})
+        AND (${contentType}::text IS NULL OR r.content_type = ${contentType})
+      ORDER BY r.created_at ASC, r.id
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    sql`SELECT status, COUNT(*)::int AS count FROM reports GROUP BY status`
+  ]);
+
+  const total = rowsRes.rows.length > 0 ? rowsRes.rows[0].total_count : 0;
+  return send(res, 200, {
+    reports: rowsRes.rows.map(({ total_count, ...row }) => row),
+    counts: Object.fromEntries(countsRes.rows.map(row => [row.status, row.count])),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  });
+}
+
+async function takeAction(req, res) {
+  const moderator = await requireModerator(req, res);
+  if (!moderator) return;
+
+  const { value, errors } = validate(moderationActionSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  let report = null;
+  if (value.report_id) {
+    const found = await sql`SELECT id, content_type, content_id, status FROM reports WHERE id = ${value.report_id}`;
+    report = found.rows[0];
+    if (!report) return send(res, 404, { error: 'Report not found' });
+  }
+  if (value.action === 'dismiss' && !report) {
+    return send(res, 400, { error: 'Dismissing needs a report_id' });
+  }
+
+  // The item acted on: named in the request, else the reported one
+  const contentType = value.content_type || report?.content_type || (value.user_id ? 'user' : null);
+  const contentId = value.content_id || report?.content_id || value.user_id || null;
+  if (!contentType) {
+    return send(res, 400, { error: 'A report_id, content or user_id is required' });
+  }
+
+  const target = await loadTarget(contentType, contentId);
+  if (!target) return send(res, 404, { error: 'Content not found' });
+
+  let result = {};
+  if (value.action === 'hide') {
+    if (!['prompt', 'comment'].includes(contentType)) {
+      return send(res, 400, { error: 'Only prompts and comments can be hidden' });
+    }
+    result = await hideContent(contentType, contentId, moderator);
+  }
+
+  if (USER_ACTIONS.includes(value.action)) {
+    const userId = value.user_id || target.owner_id;
+    if (!userId) return send(res, 400, { error: 'This content has no owner to act on' });
+    if (userId === moderator.id) return send(res, 400, { error: 'You cannot act on your own account' });
+
+    const found = await sql`SELECT id, is_moderator FROM users WHERE id = ${userId}`;
+    if (!found.rows[0]) return send(res, 404, { error: 'User not found' });
+    if (found.rows[0].is_moderator) {
+      return send(res, 403, { error: 'Moderators cannot be warned, suspended or banned' });
+    }
+    result = await actOnUser(value, userId, { contentType, contentId, moderator });
+  }
+
+  const status = value.action === 'dismiss' ? 'rejected' : 'action_taken';
+  const recorded = await sql`
+    WITH action AS (
+      INSERT INTO moderation_actions (moderator_id, report_id, action, reason, content_type, content_id)
+      VALUES (${moderator.id}, ${report?.id || null}, ${value.action}, ${value.reason}, ${contentType}, ${contentId})
+      RETURNING *
+    ),
+    resolved AS (
+      UPDATE reports
+      SET status = ${status}, moderator_id = ${moderator.id}, moderation_reason = ${value.reason}, updated_at = NOW()
+      WHERE (status = 'pending' AND content_type = ${contentType} AND content_id = ${contentId})
+         OR id = ${report?.id || null}
+      RETURNING id
+    )
+    SELECT action.*, (SELECT COUNT(*)::int FROM resolved) AS resolved_reports FROM action
+  `;
+
+  const { resolved_reports, ...action } = recorded.rows[0];
+  return send(res, 201, { message: 'Action recorded', action, resolved_reports, ...result });
+}
+
+async function hideContent(contentType, contentId, moderator) {
+  if (contentType === 'prompt') {
+    const hidden = await sql`
+      UPDATE prompts SET is_public = false, hidden_at = NOW(), hidden_by = ${moderator.id}
+      WHERE id = ${contentId}
+      RETURNING id, is_public, hidden_at
+    `;
+    return { prompt: hidden.rows[0] };
+  }
+  const hidden = await sql`
+    UPDATE comments SET is_approved = false, updated_at = NOW()
+    WHERE id = ${contentId}
+    RETURNING id, is_approved
+  `;
+  return { comment: hidden.rows[0] };
+}
+
+async function actOnUser(value, userId, { contentType, contentId, moderator }) {
+  if (value.action === 'warn') {
+    const warned = await sql`
+      WITH warning AS (
+        INSERT INTO user_warnings (user_id, moderator_id, reason, content_type, content_id)
+        VALUES (${userId}, ${moderator.id}, ${value.reason}, ${contentType}, ${contentId})
+        RETURNING user_id
+      )
+      UPDATE users SET warning_count = COALESCE(warning_count, 0) + 1, updated_at = NOW()
+      WHERE id = (SELECT user_id FROM warning)
+      RETURNING id, username, warning_count
+    `;
+    return { user: warned.rows[0] };
+  }
+
+  if (value.action === 'suspend') {
+    const suspended = await sql`
+      UPDATE users
+      SET is_suspended = true, suspension_end = NOW() + make_interval(days => ${value.duration_days}),
+          suspension_reason = ${value.reason}, updated_at = NOW()
+      WHERE id = ${userId}
+      RETURNING id, username, is_suspended, suspension_end
+    `;
+    return { user: suspended.rows[0] };
+  }
+
+  // Banned users lose their sessions as well as any new ones
+  const banned = await sql`
+    WITH banned AS (
+      UPDATE users SET is_banned = true, ban_reason = ${value.reason}, updated_at = NOW()
+      WHERE id = ${userId}
+      RETURNING id, username, is_banned
+    ),
+    revoked AS (
+      UPDATE refresh_tokens SET revoked_at = NOW()
+      WHERE user_id IN (SELECT id FROM banned) AND revoked_at IS NULL
+    )
+    SELECT * FROM banned
+  `;
+  return { user: banned.rows[0] };
+}
+
+// { id, title, owner_id, is_visible } or null
+async function loadTarget(contentType, contentId) {
+  const target = REPORT_TARGETS[contentType];
+  if (!target || !isValidUUID(contentId)) return null;
+
+  const result = await sql.query(
+    `SELECT id, ${target.title} AS title, ${target.owner} AS owner_id, (${target.visible}) AS is_visible
+     FROM ${target.table} WHERE id = $1`,
+    [contentId]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,123 @@
+// Notification routes: /api/notifications, /api/notifications/:id and /api/notifications/read-all
+// The signed-in user's inbox, newest first, with read/unread state. Notifications
+// are recorded by lib/notifications.js as things happen. New-prompt notifications
+// drop out of the list if the prompt stops being public.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate } from '../middleware/security.js';
+import { notificationsQuerySchema, notificationReadSchema, isValidUUID } from '../validation/schemas.js';
+
+const VISIBLE = `(n.type <> 'new_prompt' OR p.is_public = true)`;
+
+export async function handleNotifications(req, res, route) {
+  const [, id, extra] = route.segments;
+  if (extra) return send(res, 404, { error: 'Not found' });
+
+  if (!id) {
+    if (route.method === 'GET') return listNotifications(req, res, route.query);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (id === 'read-all') {
+    if (route.method === 'POST') return markAllRead(req, res);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (!isValidUUID(id)) return send(res, 404, { error: 'Notification not found' });
+  if (route.method === 'PUT') return markNotification(req, res, id);
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+async function listNotifications(req, res, query) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(notificationsQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const { page, limit, unread } = value;
+  const [list, unreadCount] = await Promise.all([
+    sql.query(
+      `SELECT n.id, n.type, n.read_at, n.created_at, n.comment_id,
+              a.username AS actor_username, a.display_name AS actor_display_name, a.avatar_url AS actor_avatar_url,
+              p.id AS prompt_id, p.title AS prompt_title, r.rating,
+              COUNT(*) OVER() AS total_count
+       FROM notifications n
+       LEFT JOIN users a ON a.id = n.actor_id
+       LEFT JOIN prompts p ON p.id = n.prompt_id
+       LEFT JOIN ratings r ON r.id = n.rating_id
+       WHERE n.user_id = $1 AND ${VISIBLE} AND ($2 = false OR n.read_at IS NULL)
+       ORDER BY n.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [user.id, unread, limit, (page - 1) * limit]
+    ),
+    countUnread(user.id)
+  ]);
+
+  const total = parseInt(list.rows[0]?.total_count || '0', 10);
+  return send(res, 200, {
+    notifications: list.rows.map(toNotification),
+    unread_count: unreadCount,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  });
+}
+
+async function markNotification(req, res, id) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(notificationReadSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  // Marking read again keeps the time it was first read
+  const updated = await sql`
+    UPDATE notifications
+    SET read_at = CASE WHEN ${value.read} THEN COALESCE(read_at, NOW()) ELSE NULL END
+    WHERE id = ${id} AND user_id = ${user.id}
+    RETURNING id, read_at
+  `;
+  if (updated.rowCount === 0) return send(res, 404, { error: 'Notification not found' });
+
+  return send(res, 200, {
+    id,
+    read: updated.rows[0].read_at !== null,
+    unread_count: await countUnread(user.id)
+  });
+}
+
+async function markAllRead(req, res) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const updated = await sql`
+    UPDATE notifications SET read_at = NOW()
+    WHERE user_id = ${user.id} AND read_at IS NULL
+  `;
+  return send(res, 200, { message: 'All notifications read', updated: updated.rowCount, unread_count: 0 });
+}
+
+async function countUnread(userId) {
+  const result = await sql.query(
+    `SELECT COUNT(*)::int AS count
+     FROM notifications n
+     LEFT JOIN prompts p ON p.id = n.prompt_id
+     WHERE n.user_id = $1 AND n.read_at IS NULL AND ${VISIBLE}`,
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+function toNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    read: row.read_at !== null,
+    created_at: row.created_at,
+    actor: row.actor_username
+      ? { username: row.actor_username, display_name: row.actor_display_name, avatar_url: row.actor_avatar_url }
+      : null,
+    prompt: row.prompt_id ? { id: row.prompt_id, title: row.prompt_title } : null,
+    comment_id: row.comment_id,
+    rating: row.rating ?? null
+  };
+}
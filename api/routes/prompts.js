@@ -0,0 +1,239 @@
+// Prompt routes: GET and POST /api/prompts, GET and DELETE /api/prompts/:id
+// vercel.json sends /api/prompts to api/prompts.js and everything else under /api to
+// the catch-all router. Both hand the prompt list and create to these handlers, so
+// the two paths cannot drift apart.
+// Private prompts, including ones a moderator hid, are only shown to their author.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError, cryptoRandomUUID } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import { createPromptSchema, isValidUUID } from '../validation/schemas.js';
+import { forkSourceSql } from '../lib/forks.js';
+import { extractVariables, withVariables } from '../lib/variables.js';
+import { lintPrompt, hasLintErrors } from '../lib/lint.js';
+import { countTokens, estimateTokensByModel } from '../lib/tokens.js';
+import { fingerprint, findDuplicates } from '../lib/duplicates.js';
+import { canonicalizeTags, refreshTagUsage } from '../lib/tags.js';
+import { resolveCategory, unknownCategoryError } from '../lib/categories.js';
+import { resolveDifficulty } from '../lib/difficulty.js';
+import { resolveLiker, withLikedByMe } from '../lib/likes.js';
+import { notifyFollowersOfPrompt } from '../lib/notifications.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+  newest: 'created_at DESC',
+  popular: 'total_likes DESC, created_at DESC',
+  rating: 'average_rating DESC, total_ratings DESC, created_at DESC',
+  alphabetical: 'title ASC'
+};
+
+// Author line on prompt cards links to /profile.html?user=<author_username>
+export const AUTHOR_USERNAME_SQL = '(SELECT username FROM users au WHERE au.id = prompts.author_id)';
+
+export async function handlePrompts(req, res, route) {
+  if (route.method === 'GET') return listPrompts(req, res, route.query);
+  if (route.method === 'POST') return createPrompt(req, res);
+
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+export async function handlePrompt(req, res, route) {
+  const [, promptId] = route.segments;
+
+  if (route.method === 'GET') return getPrompt(req, res, promptId);
+  if (route.method === 'DELETE') return deletePrompt(req, res, promptId);
+
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+// Out-of-range paging and unknown sorts fall back to the defaults instead of failing
+function parseListQuery(query) {
+  const { page = '1', limit = String(DEFAULT_LIMIT), category = '', featured = '', sort = 'newest', difficulty = '' } = query;
+
+  return {
+    page: Math.max(1, parseInt(page, 10) || 1),
+    limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT)),
+    search: (query.search || query.q || '').trim().toLowerCase(),
+    category: category.toLowerCase(),
+    featured: featured === 'true',
+    sort: SORTS[sort] ? sort : 'newest',
+    difficulty: ['beginner', 'intermediate', 'advanced'].includes(difficulty) ? difficulty : ''
+  };
+}
+
+async function listPrompts(req, res, query) {
+  const filters = parseListQuery(query);
+
+  const params = [];
+  const param = v => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  const viewer = await getAuthenticatedUser(req);
+  const where = [viewer ? `(is_public = true OR author_id = ${param(viewer.id)}::uuid)` : 'is_public = true'];
+  if (filters.search) {
+    const pattern = param(`%${filters.search}%`);
+    where.push(`(LOWER(title) LIKE ${pattern} OR LOWER(description) LIKE ${pattern} OR LOWER(content) LIKE ${pattern})`);
+  }
+  if (filters.category && filters.category !== 'all') where.push(`LOWER(category) = ${param(filters.category)}`);
+  if (filters.difficulty) where.push(`difficulty_level = ${param(filters.difficulty)}`);
+  if (filters.featured) where.push('is_featured = true');
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+
+  const totalRes = await sql.query(`SELECT COUNT(*) AS total FROM prompts ${whereSql}`, [...params]);
+  const total = parseInt(totalRes.rows[0]?.total || '0', 10);
+  const totalPages = Math.ceil(total / filters.limit);
+
+  const rowsRes = await sql.query(
+    `SELECT id, title, description, content, category, tags, difficulty_level, is_featured, is_public, author_id,
+            average_rating, total_ratings, total_likes, variables, forked_from, fork_count,
+            ${forkSourceSql('prompts')} AS forked_from_prompt,
+            ${AUTHOR_USERNAME_SQL} AS author_username,
+            created_at, updated_at
+     FROM prompts ${whereSql}
+     ORDER BY ${SORTS[filters.sort]}
+     LIMIT ${param(filters.limit)} OFFSET ${param((filters.page - 1) * filters.limit)}`,
+    params
+  );
+
+  const prompts = rowsRes.rows.map(prompt => ({
+    ...withVariables(prompt),
+    tags: Array.isArray(prompt.tags) ? prompt.tags : [],
+    average_rating: parseFloat(prompt.average_rating || 0),
+    total_ratings: parseInt(prompt.total_ratings || 0, 10),
+    total_likes: parseInt(prompt.total_likes || 0, 10),
+    is_featured: Boolean(prompt.is_featured),
+    is_public: Boolean(prompt.is_public)
+  }));
+
+  return send(res, 200, {
+    prompts: await withLikedByMe(prompts, await resolveLiker(req)),
+    pagination: {
+      page: filters.page,
+      limit: filters.limit,
+      total,
+      totalPages,
+      hasNext: filters.page < totalPages,
+      hasPrev: filters.page > 1
+    },
+    filters: {
+      search: filters.search,
+      category: filters.category,
+      difficulty: filters.difficulty,
+      featured: filters.featured,
+      sort: filters.sort
+    }
+  });
+}
+
+// Prompts are published under the signed-in user's account; suspended users can't publish
+async function createPrompt(req, res) {
+  const author = await authenticate(req, res);
+  if (!author) return;
+
+  const body = await readJson(req);
+  const { value, errors } = validate(createPromptSchema, body);
+  if (errors) return sendValidationError(res, errors);
+
+  // Lint errors (e.g. an unclosed placeholder) block publishing; the rest is advice
+  const lint = lintPrompt(value);
+  if (hasLintErrors(lint)) return send(res, 400, { error: 'Prompt has lint errors', lint });
+
+  const category = await resolveCategory(value.category);
+  if (!category) return sendValidationError(res, [await unknownCategoryError()]);
+
+  // Without a difficulty_level the classifier guesses one from the text
+  const difficulty = resolveDifficulty(value);
+
+  // Likely duplicates are sent back for the submitter to link to instead,
+  // unless they resubmit with allow_duplicate
+  if (!value.allow_duplicate) {
+    const duplicates = await findDuplicates(value.content, { userId: author.id });
+    if (duplicates.length > 0) return send(res, 409, { error: 'Possible duplicate', duplicates });
+  }
+
+  // Tags are stored under their canonical names so synonyms don't split the taxonomy
+  const tags = await canonicalizeTags(value.tags || []);
+  const variables = JSON.stringify(extractVariables(value.content));
+  const { minhash, bands } = fingerprint(value.content);
+
+  const result = await sql`
+    INSERT INTO prompts (
+      id, title, description, content, category, tags, variables, quality_score, estimated_tokens,
+      minhash, minhash_bands, difficulty_level, is_public, author_id
+    )
+    VALUES (
+      ${cryptoRandomUUID()}, ${value.title}, ${value.description || ''}, ${value.content}, ${category}, ${tags},
+      ${variables}::jsonb, ${lint.score}, ${countTokens(value.content)}, ${minhash}::int[], ${bands}::int[],
+      ${difficulty}, ${value.is_public}, ${author.id}
+    )
+    RETURNING id, title, category, tags, difficulty_level, is_public, author_id, variables, quality_score, estimated_tokens, created_at
+  `;
+  const prompt = result.rows[0];
+
+  await refreshTagUsage(tags);
+  // Followers hear about public prompts only
+  await notifyFollowersOfPrompt({ promptId: prompt.id, authorId: author.id, isPublic: prompt.is_public });
+
+  return send(res, 201, { message: 'Prompt created successfully', prompt, lint });
+}
+
+async function getPrompt(req, res, promptId) {
+  if (!isValidUUID(promptId)) return send(res, 404, { error: 'Prompt not found' });
+
+  const viewer = await getAuthenticatedUser(req);
+  const found = await sql.query(
+    `SELECT id, title, description, content, category, tags, difficulty_level, is_public, author_id,
+            average_rating, total_ratings, total_likes, created_at, updated_at,
+            forked_from, fork_count, variables, estimated_tokens, ${forkSourceSql('prompts')} AS forked_from_prompt,
+            ${AUTHOR_USERNAME_SQL} AS author_username
+     FROM prompts
+     WHERE id = $1 AND (is_public = true OR author_id = $2::uuid)`,
+    [promptId, viewer?.id || null]
+  );
+  if (found.rows.length === 0) return send(res, 404, { error: 'Prompt not found' });
+
+  const [prompt] = await withLikedByMe(found.rows.map(withVariables), await resolveLiker(req));
+  return send(res, 200, { prompt: withTokenEstimates(prompt) });
+}
+
+// Only the author or a moderator can delete a prompt
+async function deletePrompt(req, res, promptId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const found = isValidUUID(promptId)
+    ? await sql`SELECT id, author_id FROM prompts WHERE id = ${promptId}`
+    : { rows: [] };
+  const prompt = found.rows[0];
+  if (!prompt) return send(res, 404, { error: 'Prompt not found' });
+  if (prompt.author_id !== user.id && !user.is_moderator) {
+    return send(res, 403, { error: 'Only the author can delete this prompt' });
+  }
+
+  // The prompt this one was forked from loses a fork
+  const deleted = await sql`
+    WITH deleted AS (
+      DELETE FROM prompts WHERE id = ${promptId}
+      RETURNING tags, forked_from
+    ),
+    counted AS (
+      UPDATE prompts SET fork_count = GREATEST(COALESCE(fork_count, 0) - 1, 0)
+      WHERE id = (SELECT forked_from FROM deleted)
+    )
+    SELECT tags FROM deleted
+  `;
+  await refreshTagUsage(deleted.rows[0]?.tags);
+  return send(res, 200, { message: 'Deleted' });
+}
+
+// Rows not yet backfilled (scripts/backfill-token-counts.js) are counted on the fly
+function withTokenEstimates(prompt) {
+  return {
+    ...prompt,
+    estimated_tokens: prompt.estimated_tokens ?? countTokens(prompt.content),
+    token_estimates: estimateTokensByModel(prompt.content)
+  };
+}
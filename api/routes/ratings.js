@@ -0,0 +1,245 @@
+// Rating routes: /api/prompts/:id/ratings
+// Each user has at most one rating per prompt (UNIQUE(prompt_id, user_id)), so
+// POST saves a new rating or replaces the user's earlier one and DELETE takes it
+// back. Other users vote on whether a review was helpful; reviews are listed most
+// helpful first by default. The prompt's average_rating and total_ratings are
+// recounted from the ratings table after every change, as are a review's votes.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import { notifyPromptRating } from '../lib/notifications.js';
+import {
+  createRatingSchema,
+  ratingsQuerySchema,
+  ratingVoteSchema,
+  isValidUUID
+} from '../validation/schemas.js';
+
+const REVIEW_ORDER = {
+  helpful: '(r.helpful_count - r.not_helpful_count) DESC, r.helpful_count DESC, r.created_at DESC',
+  newest: 'r.created_at DESC',
+  highest: 'r.rating DESC, r.created_at DESC',
+  lowest: 'r.rating ASC, r.created_at DESC'
+};
+
+export async function handleRatings(req, res, route) {
+  const [, promptId, , ratingId, action, extra] = route.segments;
+  if (extra || (action && action !== 'votes')) return send(res, 404, { error: 'Not found' });
+  if (!isValidUUID(promptId)) return send(res, 404, { error: 'Prompt not found' });
+
+  if (!ratingId) {
+    if (route.method === 'GET') return listRatings(req, res, promptId, route.query);
+    if (route.method === 'POST') return saveRating(req, res, promptId);
+    if (route.method === 'DELETE') return deleteRating(req, res, promptId, null);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (!isValidUUID(ratingId)) return send(res, 404, { error: 'Rating not found' });
+  if (!action) {
+    if (route.method === 'DELETE') return deleteRating(req, res, promptId, ratingId);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+  if (route.method === 'POST') return voteOnRating(req, res, promptId, ratingId);
+  if (route.method === 'DELETE') return removeVote(req, res, promptId, ratingId);
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+async function listRatings(req, res, promptId, query) {
+  const { value, errors } = validate(ratingsQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const viewer = await getAuthenticatedUser(req);
+  const prompt = await loadReadablePrompt(res, promptId, viewer);
+  if (!prompt) return;
+
+  const { sort, page, limit } = value;
+  const offset = (page - 1) * limit;
+  const viewerId = viewer ? viewer.id : null;
+
+  const [reviewsRes, summaryRes, mineRes] = await Promise.all([
+    sql.query(
+      `SELECT r.id, r.user_id, r.rating, r.review, r.helpful_count, r.not_helpful_count,
+              r.created_at, r.updated_at, u.username, u.display_name, u.avatar_url,
+              v.is_helpful AS my_vote,
+              COUNT(*) OVER() AS total_count
+       FROM ratings r
+       LEFT JOIN users u ON u.id = r.user_id
+       LEFT JOIN rating_votes v ON v.rating_id = r.id AND v.user_id = $2
+       WHERE r.prompt_id = $1 AND r.review IS NOT NULL AND r.review <> ''
+       ORDER BY ${REVIEW_ORDER[sort]}, r.id
+       LIMIT $3 OFFSET $4`,
+      [promptId, viewerId, limit, offset]
+    ),
+    sql`
+      SELECT rating, COUNT(*)::int AS count
+      FROM ratings WHERE prompt_id = ${promptId}
+      GROUP BY rating
+    `,
+    viewer
+      ? sql`SELECT id, rating, review, created_at, updated_at FROM ratings WHERE prompt_id = ${promptId} AND user_id = ${viewer.id}`
+      : Promise.resolve({ rows: [] })
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const row of summaryRes.rows) distribution[row.rating] = row.count;
+  const total = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+  const sum = Object.entries(distribution).reduce((acc, [rating, count]) => acc + rating * count, 0);
+  const totalReviews = reviewsRes.rows.length ? parseInt(reviewsRes.rows[0].total_count, 10) : 0;
+
+  return send(res, 200, {
+    summary: {
+      average_rating: total ? Math.round((sum / total) * 100) / 100 : 0,
+      total_ratings: total,
+      distribution
+    },
+    my_rating: mineRes.rows[0] || null,
+    reviews: reviewsRes.rows.map(row => toReview(row, viewer)),
+    pagination: { page, limit, total: totalReviews, totalPages: Math.ceil(totalReviews / limit) }
+  });
+}
+
+// Create or replace the user's rating; 201 the first time, 200 after that
+async function saveRating(req, res, promptId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(createRatingSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const prompt = await loadReadablePrompt(res, promptId, user);
+  if (!prompt) return;
+  if (prompt.author_id === user.id) return send(res, 400, { error: 'You cannot rate your own prompt' });
+
+  const review = value.review || null;
+  const saved = await sql`
+    INSERT INTO ratings (prompt_id, user_id, rating, review)
+    VALUES (${promptId}, ${user.id}, ${value.rating}, ${review})
+    ON CONFLICT (prompt_id, user_id) DO UPDATE
+      SET rating = EXCLUDED.rating, review = EXCLUDED.review, updated_at = NOW()
+    RETURNING id, rating, review, created_at, updated_at, (xmax = 0) AS created
+  `;
+  const { created, ...rating } = saved.rows[0];
+  const totals = await recountPromptRating(promptId);
+  if (created) await notifyPromptRating({ ratingId: rating.id, promptId, authorId: prompt.author_id, actorId: user.id });
+
+  return send(res, created ? 201 : 200, {
+    message: created ? 'Rated' : 'Rating updated',
+    rating,
+    prompt: totals
+  });
+}
+
+// Without a ratingId this removes the user's own rating; moderators can remove any
+async function deleteRating(req, res, promptId, ratingId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const result = ratingId
+    ? await sql`SELECT id, user_id FROM ratings WHERE id = ${ratingId} AND prompt_id = ${promptId}`
+    : await sql`SELECT id, user_id FROM ratings WHERE prompt_id = ${promptId} AND user_id = ${user.id}`;
+  const rating = result.rows[0];
+  if (!rating) return send(res, 404, { error: 'Rating not found' });
+  if (rating.user_id !== user.id && !user.is_moderator) {
+    return send(res, 403, { error: 'Only the rater can delete this rating' });
+  }
+
+  await sql`DELETE FROM ratings WHERE id = ${rating.id}`;
+  const totals = await recountPromptRating(promptId);
+  return send(res, 200, { message: 'Rating deleted', id: rating.id, prompt: totals });
+}
+
+async function voteOnRating(req, res, promptId, ratingId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(ratingVoteSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const rating = await loadReview(promptId, ratingId);
+  if (!rating) return send(res, 404, { error: 'Review not found' });
+  if (rating.user_id === user.id) return send(res, 400, { error: 'You cannot vote on your own review' });
+
+  await sql`
+    INSERT INTO rating_votes (rating_id, user_id, is_helpful)
+    VALUES (${ratingId}, ${user.id}, ${value.helpful})
+    ON CONFLICT (rating_id, user_id) DO UPDATE
+      SET is_helpful = EXCLUDED.is_helpful, updated_at = NOW()
+  `;
+  const counts = await recountVotes(ratingId);
+  return send(res, 200, { message: 'Voted', id: ratingId, my_vote: value.helpful, ...counts });
+}
+
+async function removeVote(req, res, promptId, ratingId) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const rating = await loadReview(promptId, ratingId);
+  if (!rating) return send(res, 404, { error: 'Review not found' });
+
+  await sql`DELETE FROM rating_votes WHERE rating_id = ${ratingId} AND user_id = ${user.id}`;
+  const counts = await recountVotes(ratingId);
+  return send(res, 200, { message: 'Vote removed', id: ratingId, my_vote: null, ...counts });
+}
+
+// Only ratings with a written review can be voted on
+async function loadReview(promptId, ratingId) {
+  const result = await sql`
+    SELECT id, user_id FROM ratings
+    WHERE id = ${ratingId} AND prompt_id = ${promptId} AND review IS NOT NULL AND review <> ''
+  `;
+  return result.rows[0] || null;
+}
+
+async function recountPromptRating(promptId) {
+  const result = await sql`
+    UPDATE prompts
+    SET average_rating = COALESCE((SELECT ROUND(AVG(rating), 2) FROM ratings WHERE prompt_id = ${promptId}), 0),
+        total_ratings = (SELECT COUNT(*) FROM ratings WHERE prompt_id = ${promptId})
+    WHERE id = ${promptId}
+    RETURNING average_rating, total_ratings
+  `;
+  const row = result.rows[0] || {};
+  return {
+    average_rating: parseFloat(row.average_rating || 0),
+    total_ratings: parseInt(row.total_ratings || 0, 10)
+  };
+}
+
+async function recountVotes(ratingId) {
+  const result = await sql`
+    UPDATE ratings
+    SET helpful_count = (SELECT COUNT(*) FROM rating_votes WHERE rating_id = ${ratingId} AND is_helpful),
+        not_helpful_count = (SELECT COUNT(*) FROM rating_votes WHERE rating_id = ${ratingId} AND NOT is_helpful)
+    WHERE id = ${ratingId}
+    RETURNING helpful_count, not_helpful_count
+  `;
+  return result.rows[0] || { helpful_count: 0, not_helpful_count: 0 };
+}
+
+// Ratings on a private prompt are only visible to its author and moderators
+async function loadReadablePrompt(res, promptId, viewer) {
+  const result = await sql`SELECT id, author_id, is_public FROM prompts WHERE id = ${promptId}`;
+  const prompt = result.rows[0];
+  if (!prompt || (!prompt.is_public && !(viewer && (viewer.id === prompt.author_id || viewer.is_moderator)))) {
+    send(res, 404, { error: 'Prompt not found' });
+    return null;
+  }
+  return prompt;
+}
+
+function toReview(row, viewer) {
+  return {
+    id: row.id,
+    rating: row.rating,
+    review: row.review,
+    author: row.user_id
+      ? { id: row.user_id, username: row.username, display_name: row.display_name || row.username, avatar_url: row.avatar_url || null }
+      : null,
+    helpful_count: row.helpful_count || 0,
+    not_helpful_count: row.not_helpful_count || 0,
+    my_vote: row.my_vote ?? null,
+    is_mine: Boolean(viewer) && viewer.id === row.user_id,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
@@ -0,0 +1,116 @@
+// Related prompts: GET /api/prompts/:id/related
+// Public prompts are ranked by a weighted sum of four signals, each from 0 to 1:
+// - tags: shared tags over all tags of the two prompts (Jaccard)
+// - category: 1 when the category matches
+// - text: full-text rank of the candidate against the words of this prompt's title
+//   and description, any word matching
+// - co_favorites: share of this prompt's favoriters who also favorited the candidate
+// Only prompts with at least one signal are considered.
+import { sql } from '@vercel/postgres';
+import { send, validate, sendValidationError } from '../lib/http.js';
+import { getAuthenticatedUser } from '../middleware/security.js';
+import { SEARCH_DOCUMENT } from '../lib/search.js';
+import { relatedQuerySchema, isValidUUID } from '../validation/schemas.js';
+
+export const RELATED_WEIGHTS = { tags: 0.35, co_favorites: 0.3, text: 0.25, category: 0.1 };
+
+export async function handleRelatedPrompts(req, res, route) {
+  const [, promptId, , extra] = route.segments;
+  if (extra) return send(res, 404, { error: 'Not found' });
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+  if (!isValidUUID(promptId)) return send(res, 404, { error: 'Prompt not found' });
+
+  const { value, errors } = validate(relatedQuerySchema, route.query);
+  if (errors) return sendValidationError(res, errors);
+
+  const promptRes = await sql`SELECT id, title, author_id, is_public FROM prompts WHERE id = ${promptId}`;
+  const prompt = promptRes.rows[0];
+  if (!prompt) return send(res, 404, { error: 'Prompt not found' });
+  if (!prompt.is_public) {
+    const user = await getAuthenticatedUser(req);
+    if (!user || (user.id !== prompt.author_id && !user.is_moderator)) {
+      return send(res, 404, { error: 'Prompt not found' });
+    }
+  }
+
+  const result = await sql.query(
+    `WITH source AS (
+       SELECT id, category, COALESCE(tags, '{}') AS tags,
+              -- OR the words together so candidates need only share some of them
+              replace(plainto_tsquery('english', COALESCE(title, '') || ' ' || COALESCE(description, ''))::text, '&', '|')::tsquery AS query
+       FROM prompts WHERE id = $1
+     ),
+     fans AS (
+       SELECT COUNT(*)::int AS total FROM favorites WHERE prompt_id = $1
+     ),
+     co_favorites AS (
+       SELECT f2.prompt_id, COUNT(*)::int AS shared
+       FROM favorites f1
+       JOIN favorites f2 ON f2.user_id = f1.user_id AND f2.prompt_id <> f1.prompt_id
+       WHERE f1.prompt_id = $1
+       GROUP BY f2.prompt_id
+     ),
+     candidates AS (
+       SELECT p.id, p.title, p.description, p.category, p.tags, p.author_id,
+              p.average_rating, p.total_ratings,
+              ARRAY(SELECT unnest(p.tags) INTERSECT SELECT unnest(s.tags)) AS shared_tags,
+              cardinality(ARRAY(SELECT unnest(p.tags) UNION SELECT unnest(s.tags))) AS all_tags,
+              CASE WHEN p.category = s.category THEN 1 ELSE 0 END AS category_score,
+              ts_rank(${SEARCH_DOCUMENT}, s.query, 32) AS text_score,
+              COALESCE(cf.shared::float / NULLIF(f.total, 0), 0) AS co_favorite_score
+       FROM prompts p
+       CROSS JOIN source s
+       CROSS JOIN fans f
+       LEFT JOIN co_favorites cf ON cf.prompt_id = p.id
+       WHERE p.id <> s.id AND p.is_public = true
+         AND (p.category = s.category OR p.tags && s.tags OR ${SEARCH_DOCUMENT} @@ s.query OR cf.prompt_id IS NOT NULL)
+     ),
+     scored AS (
+       SELECT c.*,
+              COALESCE(cardinality(c.shared_tags)::float / NULLIF(c.all_tags, 0), 0) AS tag_score
+       FROM candidates c
+     )
+     SELECT sc.id, sc.title, sc.description, sc.category, sc.tags, sc.shared_tags,
+            u.username AS author_username, sc.average_rating, sc.total_ratings,
+            sc.tag_score, sc.category_score, sc.text_score, sc.co_favorite_score,
+            ${RELATED_WEIGHTS.tags} * sc.tag_score
+              + ${RELATED_WEIGHTS.category} * sc.category_score
+              + ${RELATED_WEIGHTS.text} * sc.text_score
+              + ${RELATED_WEIGHTS.co_favorites} * sc.co_favorite_score AS score
+     FROM scored sc
+     LEFT JOIN users u ON u.id = sc.author_id
+     ORDER BY score DESC, sc.average_rating DESC NULLS LAST, sc.id
+     LIMIT $2`,
+    [promptId, value.limit]
+  );
+
+  return send(res, 200, {
+    prompt: { id: prompt.id, title: prompt.title },
+    related: result.rows.map(toRelated)
+  });
+}
+
+function toRelated(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    category: row.category,
+    tags: row.tags || [],
+    author_username: row.author_username || null,
+    average_rating: Number(row.average_rating) || 0,
+    total_ratings: Number(row.total_ratings) || 0,
+    score: round(row.score),
+    signals: {
+      tags: round(row.tag_score),
+      category: Number(row.category_score),
+      text: round(row.text_score),
+      co_favorites: round(row.co_favorite_score)
+    },
+    shared_tags: row.shared_tags || []
+  };
+}
+
+function round(value) {
+  return Math.round((Number(value) || 0) * 1000) / 1000;
+}
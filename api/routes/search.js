@@ -0,0 +1,230 @@
+// Search routes: /api/search and /api/search/suggestions
+// Full-text search over prompts with websearch syntax ("exact phrase", -exclude, or),
+// ranked results, highlighted snippets and facet counts for the AdvancedSearch sidebar.
+// Suggestions combine title prefixes, tags and popular past queries, with pg_trgm
+// similarity so small typos still match.
+import { sql } from '@vercel/postgres';
+import { send, validate, sendValidationError } from '../lib/http.js';
+import { getAuthenticatedUser } from '../middleware/security.js';
+import { searchQuerySchema, searchSuggestionsQuerySchema } from '../validation/schemas.js';
+import {
+  SEARCH_DOCUMENT,
+  RANK_DOCUMENT,
+  HEADLINE_OPTIONS,
+  toHighlightHtml,
+  parseTagList,
+  escapeLike
+} from '../lib/search.js';
+
+const RELATED_TAG_LIMIT = 10;
+const TAG_FACET_LIMIT = 20;
+const DID_YOU_MEAN_LIMIT = 5;
+
+// Past queries need this many searches in the window to count as popular
+const POPULAR_QUERY_MIN_COUNT = 2;
+const POPULAR_QUERY_DAYS = 30;
+
+// Breaks ties between equally good suggestions of different kinds
+const SUGGESTION_TYPE_ORDER = ['query', 'prompt', 'tag'];
+
+export async function handleSearch(req, res, route) {
+  const [, action] = route.segments;
+
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+  if (!action) return searchPrompts(req, res, route.query);
+  if (action === 'suggestions') return searchSuggestions(res, route.query);
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+async function searchPrompts(req, res, query) {
+  const { value, errors } = validate(searchQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const viewer = await getAuthenticatedUser(req);
+  const text = value.search || '';
+  const tags = parseTagList(value.tags);
+
+  // Parameters are only added when used: Postgres rejects untyped, unreferenced ones
+  const params = [];
+  const param = v => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  const tsQuery = text ? `websearch_to_tsquery('english', ${param(text)})` : null;
+  const where = viewer
+    ? [`(p.is_public = true OR p.author_id = ${param(viewer.id)}::uuid)`]
+    : ['p.is_public = true'];
+
+  if (tsQuery) where.push(`${SEARCH_DOCUMENT} @@ ${tsQuery}`);
+  if (value.category && value.category !== 'all') where.push(`p.category = ${param(value.category)}`);
+  if (value.difficulty) where.push(`p.difficulty_level = ${param(value.difficulty)}`);
+  if (value.featured) where.push('p.is_featured = true');
+  if (value.trending) where.push(`p.created_at >= NOW() - INTERVAL '7 days'`);
+  if (tags.length > 0) where.push(`p.tags @> ${param(tags)}::text[]`);
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+
+  // One pass over the matches gives the total and every facet
+  const facetRes = await sql.query(
+    `WITH matched AS (
+       SELECT p.category, p.difficulty_level, p.tags FROM prompts p ${whereSql}
+     )
+     SELECT 'category' AS facet, category AS value, COUNT(*)::int AS count FROM matched GROUP BY category
+     UNION ALL
+     SELECT 'difficulty', difficulty_level, COUNT(*)::int FROM matched GROUP BY difficulty_level
+     UNION ALL
+     SELECT 'tag', tag, COUNT(*)::int FROM matched CROSS JOIN LATERAL unnest(matched.tags) AS tag GROUP BY tag`,
+    [...params]
+  );
+  const facets = buildFacets(facetRes.rows);
+  const total = facets.categories.reduce((sum, row) => sum + row.count, 0);
+
+  // sort/order are whitelisted by searchQuerySchema; relevance needs search text
+  const direction = value.order === 'asc' ? 'ASC' : 'DESC';
+  const sortColumn = value.sort === 'relevance' ? (tsQuery ? 'rank' : 'created_at') : value.sort;
+  const orderSql = `ORDER BY ${sortColumn} ${direction}, created_at DESC, id`;
+
+  const { page, limit } = value;
+  const pageParams = `LIMIT ${param(limit)} OFFSET ${param((page - 1) * limit)}`;
+
+  // Headlines are expensive, so they are only built for the rows on this page
+  const rowsRes = await sql.query(
+    `WITH page AS (
+       SELECT p.id, p.title, p.description, p.content, p.category, p.tags, p.difficulty_level,
+              p.is_featured, p.is_public, p.author_id, u.username AS author_username,
+              u.display_name AS author_display_name, u.avatar_url AS author_avatar_url,
+              p.average_rating, p.total_ratings, p.total_favorites, p.usage_count, p.view_count,
+              p.estimated_tokens, p.created_at, p.updated_at,
+              ${tsQuery ? `ts_rank(${RANK_DOCUMENT}, ${tsQuery})` : '0'}::float AS rank
+       FROM prompts p
+       LEFT JOIN users u ON u.id = p.author_id
+       ${whereSql}
+       ${orderSql}
+       ${pageParams}
+     )
+     SELECT page.*,
+            ${tsQuery
+              ? `ts_headline('english', COALESCE(page.content, ''), ${tsQuery}, ${param(HEADLINE_OPTIONS)}) AS snippet,
+                 ts_headline('english', page.title, ${tsQuery}, ${param(`HighlightAll=true, ${HEADLINE_OPTIONS}`)}) AS title_highlight`
+              : 'NULL AS snippet, NULL AS title_highlight'}
+     FROM page
+     ${orderSql}`,
+    params
+  );
+
+  const prompts = rowsRes.rows.map(row => ({
+    ...row,
+    snippet: toHighlightHtml(row.snippet),
+    title_highlight: toHighlightHtml(row.title_highlight)
+  }));
+
+  // Nothing matched: offer close spellings instead
+  const didYouMean = total === 0 && text ? await findSuggestions(text, DID_YOU_MEAN_LIMIT) : [];
+
+  const totalPages = Math.ceil(total / limit);
+  return send(res, 200, {
+    prompts,
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: totalPages,
+      has_prev_page: page > 1,
+      has_next_page: page < totalPages
+    },
+    facets,
+    suggestions: {
+      related_tags: facets.tags
+        .filter(row => !tags.includes(row.value))
+        .slice(0, RELATED_TAG_LIMIT)
+        .map(row => ({ tag: row.value, frequency: row.count })),
+      search_suggestions: didYouMean
+    }
+  });
+}
+
+function buildFacets(rows) {
+  const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+  const pick = facet => rows
+    .filter(row => row.facet === facet)
+    .map(row => ({ value: row.value, count: row.count }))
+    .sort(byCount);
+
+  return {
+    categories: pick('category'),
+    difficulties: pick('difficulty'),
+    tags: pick('tag').slice(0, TAG_FACET_LIMIT)
+  };
+}
+
+async function searchSuggestions(res, query) {
+  const { value, errors } = validate(searchSuggestionsQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const suggestions = await findSuggestions(value.q, value.limit);
+  return send(res, 200, { query: value.q, suggestions });
+}
+
+// Prefix matches rank first (score 1), then trigram matches by similarity
+async function findSuggestions(text, limit) {
+  const q = text.trim().toLowerCase();
+  const prefix = `${escapeLike(q)}%`;
+  const wordPrefix = `% ${escapeLike(q)}%`;
+
+  const [titles, tags, queries] = await Promise.all([
+    sql`
+      SELECT p.id AS prompt_id, p.title AS suggestion,
+             (p.title ILIKE ${prefix} OR p.title ILIKE ${wordPrefix}) AS is_prefix,
+             word_similarity(${q}, p.title) AS score
+      FROM prompts p
+      WHERE p.is_public = true
+        AND (p.title ILIKE ${prefix} OR p.title ILIKE ${wordPrefix} OR ${q} <% p.title)
+      ORDER BY is_prefix DESC, score DESC, p.usage_count DESC
+      LIMIT ${limit}
+    `,
+    sql`
+      SELECT t.name AS suggestion, t.usage_count AS count,
+             t.name ILIKE ${prefix} AS is_prefix,
+             similarity(t.name, ${q}) AS score
+      FROM tags t
+      WHERE t.name ILIKE ${prefix} OR t.name % ${q}
+      ORDER BY is_prefix DESC, t.usage_count DESC, score DESC
+      LIMIT ${limit}
+    `,
+    sql`
+      SELECT LOWER(metadata->>'query') AS suggestion, COUNT(*)::int AS count,
+             LOWER(metadata->>'query') LIKE ${prefix} AS is_prefix,
+             word_similarity(${q}, LOWER(metadata->>'query')) AS score
+      FROM analytics_events
+      WHERE event_type = 'search'
+        AND created_at >= NOW() - make_interval(days => ${POPULAR_QUERY_DAYS})
+        AND (LOWER(metadata->>'query') LIKE ${prefix} OR ${q} <% LOWER(metadata->>'query'))
+      GROUP BY LOWER(metadata->>'query')
+      HAVING COUNT(*) >= ${POPULAR_QUERY_MIN_COUNT}
+      ORDER BY is_prefix DESC, count DESC
+      LIMIT ${limit}
+    `
+  ]);
+
+  const candidates = [
+    ...queries.rows.map(row => ({ suggestion: row.suggestion.trim(), type: 'query', count: row.count, row })),
+    ...titles.rows.map(row => ({ suggestion: row.suggestion, type: 'prompt', prompt_id: row.prompt_id, row })),
+    ...tags.rows.map(row => ({ suggestion: row.suggestion, type: 'tag', count: row.count, row }))
+  ];
+  const weight = ({ row }) => (row.is_prefix ? 1 : Number(row.score) || 0);
+  candidates.sort((a, b) => weight(b) - weight(a)
+    || SUGGESTION_TYPE_ORDER.indexOf(a.type) - SUGGESTION_TYPE_ORDER.indexOf(b.type));
+
+  // Drop repeats of the same text and the query the user already typed
+  const seen = new Set([q]);
+  const suggestions = [];
+  for (const { row, ...candidate } of candidates) {
+    const key = candidate.suggestion.toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    suggestions.push(candidate);
+    if (suggestions.length >= limit) break;
+  }
+  return suggestions;
+}
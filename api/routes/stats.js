@@ -0,0 +1,202 @@
+// Stats routes: /api/prompts/:id/stats and /api/users/me/stats
+// Time series for authors: views, copies and shares from the `analytics` table,
+// favorites and ratings from their own tables, bucketed by day or week, plus
+// conversion (copies per view). Only the author or a moderator can read them.
+import { sql } from '@vercel/postgres';
+import { send, validate, sendValidationError } from '../lib/http.js';
+import { authenticate } from '../middleware/security.js';
+import { statsQuerySchema, isValidUUID } from '../validation/schemas.js';
+
+const METRICS = ['views', 'copies', 'favorites', 'shares', 'ratings'];
+
+// Which prompts a stats query covers; keys are the only column names interpolated
+const SCOPES = {
+  prompt: 'p.id',
+  author: 'p.author_id'
+};
+
+export async function handlePromptStats(req, res, route) {
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(statsQuerySchema, route.query);
+  if (errors) return sendValidationError(res, errors);
+
+  const [, promptId] = route.segments;
+  if (!isValidUUID(promptId)) return send(res, 404, { error: 'Prompt not found' });
+
+  const promptRes = await sql`
+    SELECT id, title, author_id, view_count, usage_count, total_favorites, total_ratings, average_rating
+    FROM prompts
+    WHERE id = ${promptId}
+  `;
+  const prompt = promptRes.rows[0];
+  if (!prompt) return send(res, 404, { error: 'Prompt not found' });
+  if (prompt.author_id !== user.id && !user.is_moderator) {
+    return send(res, 403, { error: 'Only the author can view stats for this prompt' });
+  }
+
+  const series = await loadSeries('prompt', promptId, value);
+  return send(res, 200, {
+    prompt: { id: prompt.id, title: prompt.title },
+    interval: value.interval,
+    days: value.days,
+    lifetime: toLifetime(prompt),
+    totals: sumSeries(series),
+    series
+  });
+}
+
+export async function handleUserStats(req, res, route) {
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(statsQuerySchema, route.query);
+  if (errors) return sendValidationError(res, errors);
+
+  const [series, prompts] = await Promise.all([
+    loadSeries('author', user.id, value),
+    loadPromptBreakdown(user.id, value)
+  ]);
+
+  const lifetime = toLifetime({
+    view_count: prompts.reduce((sum, p) => sum + p.lifetime.views, 0),
+    usage_count: prompts.reduce((sum, p) => sum + p.lifetime.copies, 0),
+    total_favorites: prompts.reduce((sum, p) => sum + p.lifetime.favorites, 0),
+    total_ratings: prompts.reduce((sum, p) => sum + p.lifetime.ratings, 0),
+    average_rating: weightedRating(prompts.map(p => ({ ratings: p.lifetime.ratings, average_rating: p.lifetime.average_rating })))
+  });
+
+  return send(res, 200, {
+    interval: value.interval,
+    days: value.days,
+    lifetime,
+    totals: sumSeries(series),
+    series,
+    prompts
+  });
+}
+
+// Events for the scoped prompts since the first bucket, one row per event
+function eventsSql(scope) {
+  return `scoped AS (
+       SELECT p.id FROM prompts p WHERE ${SCOPES[scope]} = $1::uuid
+     ),
+     events AS (
+       SELECT a.prompt_id, a.created_at, a.event_type, NULL::int AS rating
+       FROM analytics a JOIN scoped s ON s.id = a.prompt_id
+       WHERE a.event_type IN ('view', 'copy', 'share') AND a.created_at >= (SELECT MIN(bucket) FROM buckets)
+       UNION ALL
+       SELECT f.prompt_id, f.created_at, 'favorite', NULL
+       FROM favorites f JOIN scoped s ON s.id = f.prompt_id
+       WHERE f.created_at >= (SELECT MIN(bucket) FROM buckets)
+       UNION ALL
+       SELECT r.prompt_id, r.created_at, 'rating', r.rating
+       FROM ratings r JOIN scoped s ON s.id = r.prompt_id
+       WHERE r.created_at >= (SELECT MIN(bucket) FROM buckets)
+     )`;
+}
+
+// $2 is the interval ('day' or 'week'), $3 the number of days back
+const BUCKETS_SQL = `buckets AS (
+       SELECT generate_series(
+         date_trunc($2::text, NOW() - make_interval(days => $3::int - 1)),
+         date_trunc($2::text, NOW()),
+         CASE WHEN $2::text = 'week' THEN INTERVAL '1 week' ELSE INTERVAL '1 day' END
+       ) AS bucket
+     )`;
+
+const COUNTS_SQL = `COUNT(e.event_type) FILTER (WHERE e.event_type = 'view')::int AS views,
+       COUNT(e.event_type) FILTER (WHERE e.event_type = 'copy')::int AS copies,
+       COUNT(e.event_type) FILTER (WHERE e.event_type = 'favorite')::int AS favorites,
+       COUNT(e.event_type) FILTER (WHERE e.event_type = 'share')::int AS shares,
+       COUNT(e.event_type) FILTER (WHERE e.event_type = 'rating')::int AS ratings,
+       ROUND(AVG(e.rating), 2)::float AS average_rating`;
+
+// Every bucket in the range is returned, empty ones with zero counts
+async function loadSeries(scope, scopeId, { interval, days }) {
+  const result = await sql.query(
+    `WITH ${BUCKETS_SQL},
+     ${eventsSql(scope)}
+     SELECT to_char(b.bucket, 'YYYY-MM-DD') AS bucket,
+       ${COUNTS_SQL}
+     FROM buckets b
+     LEFT JOIN events e ON date_trunc($2::text, e.created_at) = b.bucket
+     GROUP BY b.bucket
+     ORDER BY b.bucket`,
+    [scopeId, interval, days]
+  );
+  return result.rows.map(row => ({ ...row, conversion_rate: conversionRate(row) }));
+}
+
+// Window totals per prompt for the author's dashboard table
+async function loadPromptBreakdown(authorId, { interval, days }) {
+  const result = await sql.query(
+    `WITH ${BUCKETS_SQL},
+     ${eventsSql('author')}
+     SELECT p.id, p.title, p.is_public, p.view_count, p.usage_count, p.total_favorites,
+       p.total_ratings, p.average_rating AS lifetime_average_rating,
+       ${COUNTS_SQL}
+     FROM prompts p
+     LEFT JOIN events e ON e.prompt_id = p.id
+     WHERE p.author_id = $1::uuid
+     GROUP BY p.id
+     ORDER BY views DESC, p.created_at DESC`,
+    [authorId, interval, days]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    title: row.title,
+    is_public: row.is_public,
+    lifetime: toLifetime({ ...row, average_rating: row.lifetime_average_rating }),
+    totals: withConversion(pickMetrics(row), row.average_rating)
+  }));
+}
+
+function pickMetrics(row) {
+  return Object.fromEntries(METRICS.map(metric => [metric, Number(row[metric]) || 0]));
+}
+
+function withConversion(metrics, averageRating) {
+  return {
+    ...metrics,
+    average_rating: averageRating === null || averageRating === undefined ? null : Number(averageRating),
+    conversion_rate: conversionRate(metrics)
+  };
+}
+
+function sumSeries(series) {
+  const totals = Object.fromEntries(METRICS.map(metric => [metric, 0]));
+  for (const row of series) {
+    for (const metric of METRICS) totals[metric] += row[metric];
+  }
+  return withConversion(totals, weightedRating(series));
+}
+
+function toLifetime(row) {
+  return {
+    views: Number(row.view_count) || 0,
+    copies: Number(row.usage_count) || 0,
+    favorites: Number(row.total_favorites) || 0,
+    ratings: Number(row.total_ratings) || 0,
+    average_rating: Number(row.average_rating) || 0
+  };
+}
+
+// Copies per view; null when there were no views to convert
+function conversionRate({ views, copies }) {
+  return views > 0 ? Math.round((copies / views) * 10000) / 10000 : null;
+}
+
+function weightedRating(rows) {
+  const rated = rows.filter(row => row.ratings > 0 && row.average_rating !== null);
+  const count = rated.reduce((sum, row) => sum + row.ratings, 0);
+  if (count === 0) return null;
+  const total = rated.reduce((sum, row) => sum + row.ratings * Number(row.average_rating), 0);
+  return Math.round((total / count) * 100) / 100;
+}
@@ -0,0 +1,194 @@
+// Tag routes: /api/tags, /api/tags/:name and /api/tags/:name/merge
+// GET /api/tags is the submission form's autocomplete: tags starting with the
+// typed text, tags with a word starting with it and tags with a matching alias,
+// most used first. Moderators curate the taxonomy:
+// - rename: the tag keeps its id and description, every prompt gets the new name
+//   and the old name becomes an alias
+// - merge: every prompt moves to the other tag, the merged tag is deleted and its
+//   name and aliases resolve to the other tag from then on
+// Normalizing, alias lookup and usage counts live in lib/tags.js.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate } from '../middleware/security.js';
+import { escapeLike } from '../lib/search.js';
+import { refreshTagUsage, rewritePromptTags } from '../lib/tags.js';
+import { tagsQuerySchema, updateTagSchema, mergeTagSchema, normalizeTag } from '../validation/schemas.js';
+
+export async function handleTags(req, res, route) {
+  const [, name, action, extra] = route.segments;
+  if (extra) return send(res, 404, { error: 'Not found' });
+
+  if (!name) {
+    if (route.method === 'GET') return listTags(res, route.query);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (!action) {
+    if (route.method === 'GET') return getTag(res, name);
+    if (route.method === 'PUT') return updateTag(req, res, name);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (action === 'merge') {
+    if (route.method === 'POST') return mergeTag(req, res, name);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+async function listTags(res, query) {
+  const { value, errors } = validate(tagsQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  // "codereview" finds "code-review", "review" finds "code-review"
+  const q = normalizeTag(value.q || '');
+  const prefix = `${escapeLike(q)}%`;
+  const compactPrefix = `${escapeLike(q.replace(/-/g, ''))}%`;
+  const wordPrefix = `%-${prefix}`;
+
+  const result = await sql`
+    SELECT t.name, t.usage_count, matched.alias AS matched_alias
+    FROM tags t
+    LEFT JOIN LATERAL (
+      SELECT s.alias FROM tag_synonyms s
+      WHERE s.tag_id = t.id AND s.alias LIKE ${prefix}
+      ORDER BY s.alias
+      LIMIT 1
+    ) matched ON true
+    WHERE t.name LIKE ${prefix}
+       OR REPLACE(t.name, '-', '') LIKE ${compactPrefix}
+       OR t.name LIKE ${wordPrefix}
+       OR matched.alias IS NOT NULL
+    ORDER BY t.name LIKE ${prefix} DESC, t.usage_count DESC, t.name
+    LIMIT ${value.limit}
+  `;
+
+  return send(res, 200, { tags: result.rows });
+}
+
+// Aliases resolve to their tag, with `canonical` saying where the name went
+async function getTag(res, name) {
+  const normalized = normalizeTag(name);
+  const result = await sql`
+    SELECT t.id, t.name, t.description, t.usage_count, t.created_at,
+           COALESCE(
+             (SELECT ARRAY_AGG(s.alias ORDER BY s.alias) FROM tag_synonyms s WHERE s.tag_id = t.id),
+             '{}'
+           ) AS synonyms
+    FROM tags t
+    WHERE t.name = ${normalized}
+       OR t.id = (SELECT tag_id FROM tag_synonyms WHERE alias = ${normalized})
+    ORDER BY t.name = ${normalized} DESC
+    LIMIT 1
+  `;
+  const tag = result.rows[0];
+  if (!tag) return send(res, 404, { error: 'Tag not found' });
+
+  return send(res, 200, { tag, canonical: tag.name !== normalized ? tag.name : null });
+}
+
+async function updateTag(req, res, name) {
+  const moderator = await requireModerator(req, res);
+  if (!moderator) return;
+
+  const { value, errors } = validate(updateTagSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const tag = await findTag(name);
+  if (!tag) return send(res, 404, { error: 'Tag not found' });
+
+  const newName = value.name === undefined ? tag.name : normalizeTag(value.name);
+  if (newName.length < 2) {
+    return sendValidationError(res, [{ field: 'name', message: 'Tag name must contain at least 2 letters or digits' }]);
+  }
+  if (newName !== tag.name && await findTag(newName)) {
+    return send(res, 409, { error: `Tag "${newName}" already exists; merge into it instead` });
+  }
+
+  // The new name stops being an alias and the old name becomes one
+  const result = await sql`
+    WITH renamed AS (
+      UPDATE tags SET name = ${newName}, description = COALESCE(${value.description ?? null}, description)
+      WHERE id = ${tag.id}
+      RETURNING id, name, description, usage_count
+    ),
+    freed AS (
+      DELETE FROM tag_synonyms WHERE alias = ${newName}
+    ),
+    aliased AS (
+      INSERT INTO tag_synonyms (alias, tag_id)
+      SELECT ${tag.name}, id FROM renamed WHERE name <> ${tag.name}
+      ON CONFLICT (alias) DO UPDATE SET tag_id = EXCLUDED.tag_id
+    )
+    SELECT * FROM renamed
+  `;
+  const promptsUpdated = newName === tag.name ? 0 : await rewritePromptTags(tag.name, newName);
+
+  return send(res, 200, {
+    message: newName === tag.name ? 'Tag updated' : `Renamed "${tag.name}" to "${newName}"`,
+    tag: result.rows[0],
+    prompts_updated: promptsUpdated
+  });
+}
+
+// Each step can be repeated safely, so a merge that fails halfway is finished by
+// running it again: aliases move before any prompt does, and the merged tag is
+// only deleted once no prompt carries it.
+async function mergeTag(req, res, name) {
+  const moderator = await requireModerator(req, res);
+  if (!moderator) return;
+
+  const { value, errors } = validate(mergeTagSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const source = await findTag(name);
+  if (!source) return send(res, 404, { error: 'Tag not found' });
+
+  const target = await findTag(normalizeTag(value.into), { aliases: true });
+  if (!target) return send(res, 404, { error: `Tag "${normalizeTag(value.into)}" not found; rename instead` });
+  if (target.id === source.id) return send(res, 400, { error: 'A tag cannot be merged into itself' });
+
+  await sql`
+    WITH moved AS (
+      UPDATE tag_synonyms SET tag_id = ${target.id} WHERE tag_id = ${source.id}
+    )
+    INSERT INTO tag_synonyms (alias, tag_id)
+    VALUES (${source.name}, ${target.id})
+    ON CONFLICT (alias) DO UPDATE SET tag_id = EXCLUDED.tag_id
+  `;
+  const promptsUpdated = await rewritePromptTags(source.name, target.name);
+  await sql`DELETE FROM tags WHERE id = ${source.id}`;
+  const [counted] = await refreshTagUsage([target.name]);
+
+  return send(res, 200, {
+    message: `Merged "${source.name}" into "${target.name}"`,
+    tag: { id: target.id, name: target.name, usage_count: counted?.usage_count ?? 0 },
+    prompts_updated: promptsUpdated
+  });
+}
+
+async function requireModerator(req, res) {
+  const user = await authenticate(req, res);
+  if (!user) return null;
+  if (!user.is_moderator) {
+    send(res, 403, { error: 'Moderator access required' });
+    return null;
+  }
+  return user;
+}
+
+// By exact name; with aliases, an alias finds the tag it stands for
+async function findTag(name, { aliases = false } = {}) {
+  const normalized = normalizeTag(name);
+  const result = aliases
+    ? await sql`
+        SELECT t.id, t.name FROM tags t
+        WHERE t.name = ${normalized}
+           OR t.id = (SELECT tag_id FROM tag_synonyms WHERE alias = ${normalized})
+        ORDER BY t.name = ${normalized} DESC
+        LIMIT 1
+      `
+    : await sql`SELECT id, name FROM tags WHERE name = ${normalized}`;
+  return result.rows[0] || null;
+}
@@ -0,0 +1,24 @@
+// Trending routes: /api/trending
+// Prompts and components scored from recent analytics events with time decay
+// (see api/lib/trending.js). The response has the shape of docs/trending-data.json,
+// so TrendingPage can use either.
+import { send, validate, sendValidationError } from '../lib/http.js';
+import { trendingQuerySchema } from '../validation/schemas.js';
+import { buildTrendingData } from '../lib/trending.js';
+
+export async function handleTrending(req, res, route) {
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+  if (route.segments.length > 1) return send(res, 404, { error: 'Not found' });
+
+  const { value, errors } = validate(trendingQuerySchema, route.query);
+  if (errors) return sendValidationError(res, errors);
+
+  const data = await buildTrendingData({ limit: value.limit, range: value.range });
+  if (value.type) {
+    data.trending = { [value.type]: data.trending[value.type] || [] };
+  }
+
+  // Scores move slowly; let the CDN absorb repeat requests
+  res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
+  return send(res, 200, data);
+}
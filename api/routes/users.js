@@ -0,0 +1,201 @@
+// User routes: /api/users/:username, /api/users/me and /api/users/me/stats
+// (following is in follows.js: /api/users/:username/follow, /followers, /following)
+// A profile is the user's public details, headline stats, newest prompts, collections
+// and favorite prompts. Other people only see what is public; /api/users/me shows
+// your own profile with everything in it and is where you edit it. Profile fields
+// live on `users`; `user_profiles` holds the location and follower counts.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import { handleUserStats } from './stats.js';
+import { handleFollows } from './follows.js';
+import { updateProfileSchema } from '../validation/schemas.js';
+
+export const PROFILE_LIST_LIMIT = 10;
+
+// Request fields stored on users; keys are the only column names interpolated
+const USER_COLUMNS = {
+  display_name: 'display_name',
+  bio: 'bio',
+  avatar_url: 'avatar_url',
+  website_url: 'website',
+  github_username: 'github_username',
+  twitter_username: 'twitter_username'
+};
+
+const USERNAME = /^[a-zA-Z0-9_-]{3,50}$/;
+
+const PROFILE_SELECT = `
+  SELECT u.id, u.username, u.display_name, u.bio, u.avatar_url, u.website AS website_url,
+         u.github_username, u.twitter_username, u.is_moderator, u.created_at,
+         up.location,
+         COALESCE(up.followers_count, 0) AS followers_count,
+         COALESCE(up.following_count, 0) AS following_count
+  FROM users u
+  LEFT JOIN user_profiles up ON up.user_id = u.id`;
+
+export async function handleUsers(req, res, route) {
+  const [, name, sub, extra] = route.segments;
+
+  if (name === 'me' && sub === 'stats' && !extra) return handleUserStats(req, res, route);
+  if (['follow', 'followers', 'following'].includes(sub) && !extra && name !== 'me') {
+    if (!USERNAME.test(name)) return send(res, 404, { error: 'User not found' });
+    return handleFollows(req, res, route, name);
+  }
+  if (sub) return send(res, 404, { error: 'Not found' });
+
+  if (name === 'me') {
+    if (route.method === 'GET') return getOwnProfile(req, res);
+    if (route.method === 'PUT') return updateOwnProfile(req, res);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (route.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+  if (!name || !USERNAME.test(name)) return send(res, 404, { error: 'User not found' });
+
+  const viewer = await getAuthenticatedUser(req);
+
+  // Banned users' pages are gone along with their sessions
+  const found = await sql.query(
+    `${PROFILE_SELECT}
+     WHERE LOWER(u.username) = LOWER($1) AND u.is_banned IS NOT TRUE`,
+    [name]
+  );
+  const user = found.rows[0];
+  if (!user) return send(res, 404, { error: 'User not found' });
+
+  const profile = await loadProfile(user, false);
+  let isFollowing = false;
+  if (viewer && viewer.id !== user.id) {
+    const follow = await sql`
+      SELECT 1 FROM user_follows WHERE follower_id = ${viewer.id} AND following_id = ${user.id}
+    `;
+    isFollowing = follow.rows.length > 0;
+  }
+  return send(res, 200, { ...profile, is_following: isFollowing });
+}
+
+async function getOwnProfile(req, res) {
+  const me = await authenticate(req, res);
+  if (!me) return;
+
+  const user = await loadUser(me.id);
+  if (!user) return send(res, 404, { error: 'User not found' });
+  return send(res, 200, await loadProfile({ ...user, email: me.email }, true));
+}
+
+async function updateOwnProfile(req, res) {
+  const me = await authenticate(req, res);
+  if (!me) return;
+
+  const { value, errors } = validate(updateProfileSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  if (value.twitter_username) value.twitter_username = value.twitter_username.replace(/^@/, '');
+
+  const params = [me.id];
+  const sets = Object.entries(USER_COLUMNS)
+    .filter(([field]) => value[field] !== undefined)
+    .map(([field, column]) => {
+      params.push(value[field] === '' ? null : value[field]);
+      return `${column} = $${params.length}`;
+    });
+
+  let locationSql = '';
+  if (value.location !== undefined) {
+    params.push(value.location === '' ? null : value.location);
+    locationSql = `,
+      located AS (
+        INSERT INTO user_profiles (user_id, location) VALUES ($1, $${params.length})
+        ON CONFLICT (user_id) DO UPDATE SET location = EXCLUDED.location, updated_at = NOW()
+      )`;
+  }
+
+  await sql.query(
+    `WITH updated AS (
+       UPDATE users SET ${[...sets, 'updated_at = NOW()'].join(', ')}
+       WHERE id = $1
+       RETURNING id
+     )${locationSql}
+     SELECT id FROM updated`,
+    params
+  );
+
+  const user = await loadUser(me.id);
+  return send(res, 200, { message: 'Profile updated', user: { ...user, email: me.email } });
+}
+
+async function loadUser(userId) {
+  const result = await sql.query(`${PROFILE_SELECT} WHERE u.id = $1`, [userId]);
+  return result.rows[0] || null;
+}
+
+// Everyone else sees public prompts and collections only; the owner sees all of theirs.
+// Favorites are private: only the owner gets the list and the count.
+async function loadProfile(user, isOwner) {
+  const [statsRes, promptsRes, collectionsRes, favoritesRes] = await Promise.all([
+    sql`
+      SELECT
+        (SELECT COUNT(*) FROM prompts WHERE author_id = ${user.id} AND (is_public = true OR ${isOwner}))::int AS prompts_count,
+        (SELECT COUNT(*) FROM favorites f JOIN prompts p ON p.id = f.prompt_id
+          WHERE f.user_id = ${user.id} AND (p.is_public = true OR p.author_id = ${user.id}))::int AS favorites_count,
+        (SELECT COUNT(*) FROM collections WHERE owner_id = ${user.id} AND (is_public = true OR ${isOwner}))::int AS collections_count,
+        (SELECT ROUND(AVG(average_rating), 2) FROM prompts
+          WHERE author_id = ${user.id} AND is_public = true AND total_ratings > 0) AS average_rating,
+        (SELECT COALESCE(SUM(total_likes), 0) FROM prompts WHERE author_id = ${user.id} AND is_public = true)::int AS total_likes
+    `,
+    sql`
+      SELECT id, title, description, category, tags, average_rating, total_ratings, total_likes,
+             is_public, created_at
+      FROM prompts
+      WHERE author_id = ${user.id} AND (is_public = true OR ${isOwner})
+      ORDER BY created_at DESC
+      LIMIT ${PROFILE_LIST_LIMIT}
+    `,
+    sql`
+      SELECT id, name, description, is_public, total_prompts AS prompt_count, total_followers, created_at
+      FROM collections
+      WHERE owner_id = ${user.id} AND (is_public = true OR ${isOwner})
+      ORDER BY updated_at DESC
+      LIMIT ${PROFILE_LIST_LIMIT}
+    `,
+    isOwner && sql`
+      SELECT p.id, p.title, p.description, p.category, p.average_rating, p.total_ratings,
+             u.username AS author_username, f.created_at AS favorited_at
+      FROM favorites f
+      JOIN prompts p ON p.id = f.prompt_id
+      LEFT JOIN users u ON u.id = p.author_id
+      WHERE f.user_id = ${user.id} AND (p.is_public = true OR p.author_id = ${user.id})
+      ORDER BY f.created_at DESC
+      LIMIT ${PROFILE_LIST_LIMIT}
+    `
+  ]);
+
+  const stats = statsRes.rows[0];
+  const profile = {
+    user: {
+      ...user,
+      stats: {
+        prompts_count: stats.prompts_count,
+        collections_count: stats.collections_count,
+        average_rating: parseFloat(stats.average_rating || 0),
+        total_likes: stats.total_likes
+      }
+    },
+    is_own_profile: isOwner,
+    recent_prompts: promptsRes.rows.map(prompt => ({
+      ...prompt,
+      average_rating: parseFloat(prompt.average_rating || 0)
+    })),
+    collections: collectionsRes.rows
+  };
+
+  if (isOwner) {
+    profile.user.stats.favorites_count = stats.favorites_count;
+    profile.favorite_prompts = favoritesRes.rows.map(prompt => ({
+      ...prompt,
+      average_rating: parseFloat(prompt.average_rating || 0)
+    }));
+  }
+  return profile;
+}
@@ -0,0 +1,293 @@
+// Version routes: PUT /api/prompts/:id, /api/prompts/:id/versions, /api/prompts/:id/versions/diff,
+// /api/prompts/:id/versions/:version and /api/prompts/:id/versions/:version/restore
+// Every edit through PUT /api/prompts/:id is logged in prompt_versions (see lib/versions.js).
+// Only the author or a moderator can edit or restore a prompt.
+// History is readable wherever the prompt is.
+import { sql } from '@vercel/postgres';
+import { send, readJson, validate, sendValidationError } from '../lib/http.js';
+import { authenticate, getAuthenticatedUser } from '../middleware/security.js';
+import { diffText, diffStats } from '../lib/diff.js';
+import { changedFields, loadRevision, pickVersioned, saveRevision } from '../lib/versions.js';
+import { lintPrompt, hasLintErrors } from '../lib/lint.js';
+import { canonicalizeTags, refreshTagUsage } from '../lib/tags.js';
+import { resolveCategory, unknownCategoryError } from '../lib/categories.js';
+import {
+  updatePromptSchema,
+  paginationSchema,
+  promptDiffQuerySchema,
+  restorePromptVersionSchema,
+  isValidUUID
+} from '../validation/schemas.js';
+
+export async function handlePromptVersions(req, res, route) {
+  const [, promptId, , sub, action] = route.segments;
+  if (!isValidUUID(promptId)) return send(res, 404, { error: 'Prompt not found' });
+
+  if (!sub) {
+    if (route.method === 'GET') return listVersions(req, res, promptId, route.query);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (sub === 'diff' && !action) {
+    if (route.method === 'GET') return diffVersions(req, res, promptId, route.query);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  const version = parseVersion(sub);
+  if (!version) return send(res, 404, { error: 'Version not found' });
+
+  if (!action) {
+    if (route.method === 'GET') return getVersion(req, res, promptId, version);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (action === 'restore') {
+    if (route.method === 'POST') return restoreVersion(req, res, promptId, version);
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+// PUT /api/prompts/:id; changes to the text create a new version
+export async function handlePromptUpdate(req, res, route) {
+  const [, promptId] = route.segments;
+
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(updatePromptSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const prompt = isValidUUID(promptId) ? await loadPrompt(promptId) : null;
+  if (!prompt) return send(res, 404, { error: 'Prompt not found' });
+  if (!canEdit(prompt, user)) {
+    return send(res, 403, { error: 'Only the author can edit this prompt' });
+  }
+
+  const { change_note: changeNote, ...changes } = value;
+  if (changes.tags !== undefined) changes.tags = await canonicalizeTags(changes.tags);
+  if (changes.category !== undefined) {
+    changes.category = await resolveCategory(changes.category);
+    if (!changes.category) return sendValidationError(res, [await unknownCategoryError()]);
+  }
+  // Prompts hidden by a moderator stay private until a moderator says otherwise
+  if (changes.is_public && prompt.hidden_at && !user.is_moderator) {
+    return send(res, 403, { error: 'This prompt was hidden by a moderator' });
+  }
+  const changed = changedFields(prompt, changes);
+  if (changed.length > 0) {
+    // New content is held to the same lint rules as a new prompt
+    let lint;
+    if (changed.includes('content')) {
+      // estimated_tokens is recounted from the new content, so it is not a declared budget
+      lint = lintPrompt({ ...prompt, ...changes, estimated_tokens: null });
+      if (hasLintErrors(lint)) return send(res, 400, { error: 'Prompt has lint errors', lint });
+    }
+    const updated = await saveRevision(promptId, changes, { editorId: user.id, changeNote, qualityScore: lint?.score });
+    if (changed.includes('tags')) await refreshTagUsage([...(prompt.tags || []), ...updated.tags]);
+    return send(res, 200, { message: 'Updated', prompt: updated, version: updated.version, lint });
+  }
+
+  // Visibility is a setting rather than part of the text, so it never bumps the version
+  if (changes.is_public !== undefined && changes.is_public !== prompt.is_public) {
+    const updated = await sql`
+      UPDATE prompts SET is_public = ${changes.is_public}, updated_at = NOW()
+      WHERE id = ${promptId}
+      RETURNING *
+    `;
+    return send(res, 200, { message: 'Updated', prompt: updated.rows[0], version: prompt.version || 1 });
+  }
+
+  return send(res, 200, { message: 'No changes', prompt, version: prompt.version || 1 });
+}
+
+async function listVersions(req, res, promptId, query) {
+  const { value, errors } = validate(paginationSchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const prompt = await loadReadablePrompt(req, res, promptId);
+  if (!prompt) return;
+
+  const { page, limit } = value;
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes] = await Promise.all([
+    sql`
+      SELECT pv.version, pv.title, pv.edited_by, u.username AS edited_by_username,
+             pv.change_note, pv.restored_from, pv.created_at
+      FROM prompt_versions pv
+      LEFT JOIN users u ON u.id = pv.edited_by
+      WHERE pv.prompt_id = ${promptId}
+      ORDER BY pv.version DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    sql`SELECT COUNT(*)::int AS total FROM prompt_versions WHERE prompt_id = ${promptId}`
+  ]);
+
+  const current = prompt.version || 1;
+  let total = countRes.rows[0]?.total || 0;
+  let versions = rowsRes.rows.map(row => ({ ...row, is_current: row.version === current }));
+
+  // A prompt that was never edited has no history rows yet; its current text is version 1
+  if (total === 0) {
+    const revision = await loadRevision(prompt, current);
+    total = 1;
+    versions = page === 1 ? [revision] : [];
+  }
+
+  return send(res, 200, {
+    prompt: { id: prompt.id, title: prompt.title, version: current },
+    versions: versions.map(toSummary),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}
+
+async function getVersion(req, res, promptId, version) {
+  const prompt = await loadReadablePrompt(req, res, promptId);
+  if (!prompt) return;
+
+  const revision = await loadRevision(prompt, version);
+  if (!revision) return send(res, 404, { error: 'Version not found' });
+
+  return send(res, 200, {
+    prompt_id: prompt.id,
+    version: { ...toSummary(revision), ...pickVersioned(revision) }
+  });
+}
+
+async function diffVersions(req, res, promptId, query) {
+  const { value, errors } = validate(promptDiffQuerySchema, query);
+  if (errors) return sendValidationError(res, errors);
+
+  const prompt = await loadReadablePrompt(req, res, promptId);
+  if (!prompt) return;
+
+  const toVersion = value.to || prompt.version || 1;
+  const [from, to] = await Promise.all([
+    loadRevision(prompt, value.from),
+    loadRevision(prompt, toVersion)
+  ]);
+  if (!from) return send(res, 404, { error: `Version ${value.from} not found` });
+  if (!to) return send(res, 404, { error: `Version ${toVersion} not found` });
+
+  const content = diffText(from.content, to.content, value.mode);
+  return send(res, 200, {
+    prompt_id: prompt.id,
+    from: toSummary(from),
+    to: toSummary(to),
+    mode: value.mode,
+    changes: {
+      title: diffText(from.title, to.title, 'word'),
+      description: diffText(from.description, to.description, 'word'),
+      content,
+      category: changedValue(from.category, to.category),
+      difficulty_level: changedValue(from.difficulty_level, to.difficulty_level),
+      tags: tagChanges(from.tags, to.tags)
+    },
+    stats: diffStats(content, value.mode)
+  });
+}
+
+async function restoreVersion(req, res, promptId, version) {
+  const user = await authenticate(req, res);
+  if (!user) return;
+
+  const { value, errors } = validate(restorePromptVersionSchema, await readJson(req));
+  if (errors) return sendValidationError(res, errors);
+
+  const prompt = await loadPrompt(promptId);
+  if (!prompt) return send(res, 404, { error: 'Prompt not found' });
+  if (!canEdit(prompt, user)) {
+    return send(res, 403, { error: 'Only the author can restore this prompt' });
+  }
+
+  const current = prompt.version || 1;
+  if (version === current) return send(res, 400, { error: `Version ${version} is already current` });
+
+  const revision = await loadRevision(prompt, version);
+  if (!revision) return send(res, 404, { error: 'Version not found' });
+
+  // Restoring is itself an edit, so history only ever grows. Old tags may have
+  // been merged or renamed since, so they come back under today's names.
+  const changes = pickVersioned(revision);
+  if (changes.tags) changes.tags = await canonicalizeTags(changes.tags);
+  const restored = await saveRevision(promptId, changes, {
+    editorId: user.id,
+    changeNote: value.change_note || `Restored version ${version}`,
+    restoredFrom: version
+  });
+  await refreshTagUsage([...(prompt.tags || []), ...restored.tags]);
+
+  return send(res, 200, {
+    message: `Restored version ${version}`,
+    prompt: restored,
+    version: restored.version
+  });
+}
+
+async function loadPrompt(promptId) {
+  const result = await sql`
+    SELECT id, title, description, content, category, tags, difficulty_level,
+           author_id, is_public, hidden_at, version, updated_at
+    FROM prompts
+    WHERE id = ${promptId}
+  `;
+  return result.rows[0] || null;
+}
+
+// Private prompts' history is only visible to their author and moderators
+async function loadReadablePrompt(req, res, promptId) {
+  const prompt = await loadPrompt(promptId);
+  if (prompt && !prompt.is_public) {
+    const user = await getAuthenticatedUser(req);
+    if (!user || !canEdit(prompt, user)) {
+      send(res, 404, { error: 'Prompt not found' });
+      return null;
+    }
+  }
+  if (!prompt) send(res, 404, { error: 'Prompt not found' });
+  return prompt;
+}
+
+function canEdit(prompt, user) {
+  return prompt.author_id === user.id || user.is_moderator;
+}
+
+function parseVersion(value) {
+  if (!/^\d+$/.test(value)) return null;
+  const version = parseInt(value, 10);
+  return version >= 1 ? version : null;
+}
+
+// List entries leave out the text; fetch a single version for that
+function toSummary(revision) {
+  return {
+    version: revision.version,
+    title: revision.title,
+    edited_by: revision.edited_by
+      ? { id: revision.edited_by, username: revision.edited_by_username || null }
+      : null,
+    change_note: revision.change_note || null,
+    restored_from: revision.restored_from || null,
+    created_at: revision.created_at,
+    is_current: revision.is_current
+  };
+}
+
+function changedValue(from, to) {
+  return (from ?? null) === (to ?? null) ? null : { from: from ?? null, to: to ?? null };
+}
+
+function tagChanges(from, to) {
+  const before = from || [];
+  const after = to || [];
+  return {
+    added: after.filter(tag => !before.includes(tag)),
+    removed: before.filter(tag => !after.includes(tag))
+  };
+}
@@ -6,6 +6,18 @@ const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{1
 const slugPattern = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
 const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+// Which categories exist is up to the categories table (api/lib/categories.js);
+// schemas only check that a category looks like a slug
+const categorySlug = Joi.string()
+    .trim()
+    .lowercase()
+    .max(50)
+    .pattern(slugPattern)
+    .messages({
+        'string.max': 'Category must not exceed 50 characters',
+        'string.pattern.base': 'Category must be a category slug, e.g. development'
+    });
+
 // Prompt validation schemas
 export const createPromptSchema = Joi.object({
     title: Joi.string()
@@ -36,13 +48,8 @@ export const createPromptSchema = Joi.object({
             'string.max': 'Description must not exceed 500 characters'
         }),
     
-    category: Joi.string()
-        .valid('development', 'creative', 'business', 'education', 'research', 'technical')
-        .required()
-        .messages({
-            'any.only': 'Category must be one of: development, creative, business, education, research, technical',
-            'any.required': 'Category is required'
-        }),
+    category: categorySlug
+        .default('general'),
     
     tags: Joi.array()
         .items(Joi.string().min(2).max(50))
@@ -54,15 +61,21 @@ export const createPromptSchema = Joi.object({
             'string.max': 'Each tag must not exceed 50 characters'
         }),
     
+    // Left out (or empty), the level is guessed from the text; see api/lib/difficulty.js
     difficulty_level: Joi.string()
         .valid('beginner', 'intermediate', 'advanced')
-        .default('intermediate')
+        .allow('')
+        .optional()
         .messages({
             'any.only': 'Difficulty level must be one of: beginner, intermediate, advanced'
         }),
     
     is_public: Joi.boolean()
-        .default(true)
+        .default(true),
+    
+    // Publish even though POST /api/prompts found likely duplicates
+    allow_duplicate: Joi.boolean()
+        .default(false)
 });
 
 export const updatePromptSchema = Joi.object({
@@ -92,12 +105,7 @@ export const updatePromptSchema = Joi.object({
             'string.max': 'Description must not exceed 500 characters'
         }),
     
-    category: Joi.string()
-        .valid('development', 'creative', 'business', 'education', 'research', 'technical')
-        .optional()
-        .messages({
-            'any.only': 'Category must be one of: development, creative, business, education, research, technical'
-        }),
+    category: categorySlug.optional(),
     
     tags: Joi.array()
         .items(Joi.string().min(2).max(50))
@@ -117,12 +125,278 @@ export const updatePromptSchema = Joi.object({
         }),
     
     is_public: Joi.boolean()
+        .optional(),
+    
+    // Stored with the revision in prompt_versions
+    change_note: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
         .optional()
+        .messages({
+            'string.max': 'Change note must not exceed 500 characters'
+        })
 }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
 });
 
+export const restorePromptVersionSchema = Joi.object({
+    change_note: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Change note must not exceed 500 characters'
+        })
+});
+
+// POST /api/prompts/:id/fork; everything else is copied from the original
+export const forkPromptSchema = Joi.object({
+    title: Joi.string()
+        .trim()
+        .min(10)
+        .max(255)
+        .optional()
+        .messages({
+            'string.min': 'Title must be at least 10 characters long',
+            'string.max': 'Title must not exceed 255 characters'
+        }),
+    
+    is_public: Joi.boolean()
+        .default(true)
+});
+
+// GET /api/prompts/:id/forks
+export const forkTreeQuerySchema = Joi.object({
+    depth: Joi.number()
+        .integer()
+        .min(1)
+        .max(10)
+        .default(3)
+        .messages({
+            'number.min': 'Depth must be at least 1',
+            'number.max': 'Depth must not exceed 10'
+        })
+});
+
+// GET /api/prompts/:id/related
+export const relatedQuerySchema = Joi.object({
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(20)
+        .default(6)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 20'
+        })
+});
+
+// GET /api/prompts/:id/comments; pages are top-level threads
+export const commentsQuerySchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .messages({
+            'number.min': 'Page must be at least 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(50)
+        .default(10)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 50'
+        })
+});
+
+const commentContent = Joi.string()
+    .trim()
+    .min(1)
+    .max(5000)
+    .required()
+    .messages({
+        'string.empty': 'Comment cannot be empty',
+        'string.max': 'Comment must not exceed 5,000 characters',
+        'any.required': 'Comment cannot be empty'
+    });
+
+// POST /api/prompts/:id/comments
+export const createCommentSchema = Joi.object({
+    content: commentContent,
+
+    parent_id: Joi.string()
+        .uuid()
+        .optional()
+        .messages({
+            'string.guid': 'Parent comment ID must be a valid UUID'
+        })
+});
+
+// PUT /api/prompts/:id/comments/:commentId
+export const updateCommentSchema = Joi.object({
+    content: commentContent
+});
+
+// POST /api/prompts/duplicates; exclude_id skips the prompt being edited
+export const duplicateCheckSchema = Joi.object({
+    content: Joi.string()
+        .max(10000)
+        .required()
+        .messages({
+            'string.max': 'Content must not exceed 10,000 characters',
+            'any.required': 'Content is required'
+        }),
+
+    exclude_id: Joi.string()
+        .uuid()
+        .optional()
+});
+
+// GET /api/moderation/duplicates
+export const duplicateReportQuerySchema = Joi.object({
+    threshold: Joi.number()
+        .min(0.5)
+        .max(1)
+        .default(0.8)
+        .messages({
+            'number.min': 'Threshold must be at least 0.5',
+            'number.max': 'Threshold must not exceed 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(20)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 100'
+        })
+});
+
+export const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'copyright', 'misleading', 'other'];
+export const MODERATION_ACTIONS = ['hide', 'warn', 'suspend', 'ban', 'dismiss'];
+
+// POST /api/reports
+export const createReportSchema = Joi.object({
+    content_type: Joi.string()
+        .valid('prompt', 'comment', 'collection', 'user')
+        .required()
+        .messages({
+            'any.only': 'Content type must be prompt, comment, collection or user',
+            'any.required': 'Content type is required'
+        }),
+
+    content_id: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.guid': 'Content ID must be a valid UUID',
+            'any.required': 'Content ID is required'
+        }),
+
+    reason: Joi.string()
+        .valid(...REPORT_REASONS)
+        .required()
+        .messages({
+            'any.only': `Reason must be one of: ${REPORT_REASONS.join(', ')}`,
+            'any.required': 'Reason is required'
+        }),
+
+    description: Joi.string()
+        .max(1000)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Description must not exceed 1000 characters'
+        })
+});
+
+// GET /api/moderation/reports
+export const moderationQueueQuerySchema = Joi.object({
+    status: Joi.string()
+        .valid('pending', 'approved', 'rejected', 'flagged', 'action_taken', 'all')
+        .default('pending'),
+
+    content_type: Joi.string()
+        .valid('prompt', 'comment', 'collection', 'user')
+        .optional(),
+
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .messages({
+            'number.min': 'Page must be at least 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(50)
+        .default(20)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 50'
+        })
+});
+
+// POST /api/moderation/actions; the target comes from the report unless given
+export const moderationActionSchema = Joi.object({
+    action: Joi.string()
+        .valid(...MODERATION_ACTIONS)
+        .required()
+        .messages({
+            'any.only': `Action must be one of: ${MODERATION_ACTIONS.join(', ')}`,
+            'any.required': 'Action is required'
+        }),
+
+    report_id: Joi.string()
+        .uuid()
+        .optional(),
+
+    content_type: Joi.string()
+        .valid('prompt', 'comment')
+        .optional(),
+
+    content_id: Joi.string()
+        .uuid()
+        .optional(),
+
+    user_id: Joi.string()
+        .uuid()
+        .optional(),
+
+    reason: Joi.string()
+        .trim()
+        .min(1)
+        .max(500)
+        .required()
+        .messages({
+            'string.empty': 'Reason is required',
+            'string.max': 'Reason must not exceed 500 characters',
+            'any.required': 'Reason is required'
+        }),
+
+    duration_days: Joi.when('action', {
+        is: 'suspend',
+        then: Joi.number().integer().min(1).max(365).required(),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'number.min': 'Suspensions last at least 1 day',
+        'number.max': 'Suspensions must not exceed 365 days',
+        'any.required': 'Duration is required for a suspension',
+        'any.unknown': 'Duration only applies to suspensions'
+    })
+}).and('content_type', 'content_id');
+
 // Rating validation schemas
+// POST /api/prompts/:id/ratings; the rater is the authenticated user
 export const createRatingSchema = Joi.object({
     rating: Joi.number()
         .integer()
@@ -136,32 +410,53 @@ export const createRatingSchema = Joi.object({
         }),
     
     review: Joi.string()
+        .trim()
         .max(1000)
         .allow('')
         .optional()
         .messages({
             'string.max': 'Review must not exceed 1,000 characters'
+        })
+});
+
+// GET /api/prompts/:id/ratings
+export const ratingsQuerySchema = Joi.object({
+    sort: Joi.string()
+        .valid('helpful', 'newest', 'highest', 'lowest')
+        .default('helpful'),
+
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .messages({
+            'number.min': 'Page must be at least 1'
         }),
-    
-    user_id: Joi.string()
-        .pattern(uuidPattern)
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(50)
+        .default(10)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 50'
+        })
+});
+
+// POST /api/prompts/:id/ratings/:ratingId/votes
+export const ratingVoteSchema = Joi.object({
+    helpful: Joi.boolean()
         .required()
         .messages({
-            'string.pattern.base': 'User ID must be a valid UUID',
-            'any.required': 'User ID is required'
+            'any.required': 'Say whether the review was helpful',
+            'boolean.base': 'Helpful must be true or false'
         })
 });
 
 // Favorites validation schemas
+// The user is always taken from the auth token, never from the request
 export const addFavoriteSchema = Joi.object({
-    user_id: Joi.string()
-        .pattern(uuidPattern)
-        .required()
-        .messages({
-            'string.pattern.base': 'User ID must be a valid UUID',
-            'any.required': 'User ID is required'
-        }),
-    
     prompt_id: Joi.string()
         .pattern(uuidPattern)
         .required()
@@ -172,6 +467,7 @@ export const addFavoriteSchema = Joi.object({
 });
 
 // Collection validation schemas
+// The owner is always the authenticated user
 export const createCollectionSchema = Joi.object({
     name: Joi.string()
         .min(3)
@@ -192,15 +488,7 @@ export const createCollectionSchema = Joi.object({
         }),
     
     is_public: Joi.boolean()
-        .default(true),
-    
-    owner_id: Joi.string()
-        .pattern(uuidPattern)
-        .required()
-        .messages({
-            'string.pattern.base': 'Owner ID must be a valid UUID',
-            'any.required': 'Owner ID is required'
-        })
+        .default(true)
 });
 
 export const updateCollectionSchema = Joi.object({
@@ -235,6 +523,80 @@ export const addPromptToCollectionSchema = Joi.object({
         .messages({
             'string.pattern.base': 'Prompt ID must be a valid UUID',
             'any.required': 'Prompt ID is required'
+        }),
+    
+    // Omitted = append to the end
+    position: Joi.number()
+        .integer()
+        .min(0)
+        .optional()
+        .messages({
+            'number.min': 'Position must be at least 0'
+        })
+});
+
+export const removePromptFromCollectionSchema = Joi.object({
+    prompt_id: Joi.string()
+        .pattern(uuidPattern)
+        .required()
+        .messages({
+            'string.pattern.base': 'Prompt ID must be a valid UUID',
+            'any.required': 'Prompt ID is required'
+        })
+});
+
+export const reorderCollectionPromptsSchema = Joi.object({
+    prompt_ids: Joi.array()
+        .items(Joi.string().pattern(uuidPattern))
+        .unique()
+        .required()
+        .messages({
+            'string.pattern.base': 'Prompt IDs must be valid UUIDs',
+            'array.unique': 'Prompt IDs must not repeat',
+            'any.required': 'Prompt IDs are required'
+        })
+});
+
+// Collections kept in localStorage by FavoritesManager, pushed on login
+export const syncCollectionsSchema = Joi.object({
+    collections: Joi.array()
+        .items(Joi.object({
+            client_id: Joi.string()
+                .max(64)
+                .required()
+                .messages({
+                    'any.required': 'Client ID is required'
+                }),
+            
+            name: Joi.string()
+                .min(3)
+                .max(255)
+                .required()
+                .messages({
+                    'string.min': 'Collection name must be at least 3 characters long',
+                    'string.max': 'Collection name must not exceed 255 characters',
+                    'any.required': 'Collection name is required'
+                }),
+            
+            description: Joi.string()
+                .max(1000)
+                .allow('')
+                .optional(),
+            
+            is_public: Joi.boolean()
+                .default(true),
+            
+            // Local ids of seed prompts are not UUIDs; those are skipped server-side
+            prompts: Joi.array()
+                .items(Joi.string().max(64))
+                .max(500)
+                .default([])
+        }))
+        .max(50)
+        .required()
+        .messages({
+            'array.max': 'Maximum 50 collections per sync',
+            'any.required': 'Collections are required'
         })
 });
 
@@ -260,9 +622,8 @@ export const paginationSchema = Joi.object({
 });
 
 export const promptQuerySchema = paginationSchema.keys({
-    category: Joi.string()
-        .valid('development', 'creative', 'business', 'education', 'research', 'technical', 'all')
-        .optional(),
+    // 'all' means no category filter
+    category: categorySlug.optional(),
     
     search: Joi.string()
         .max(100)
@@ -290,6 +651,51 @@ export const promptQuerySchema = paginationSchema.keys({
         .optional()
 });
 
+// GET /api/search; tags is a comma-separated list that must all be present
+export const searchQuerySchema = promptQuerySchema.keys({
+    search: Joi.string()
+        .trim()
+        .max(200)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Search query must not exceed 200 characters'
+        }),
+    
+    tags: Joi.string()
+        .max(500)
+        .allow('')
+        .optional(),
+    
+    // relevance falls back to created_at when there is no search text
+    sort: Joi.string()
+        .valid('relevance', 'created_at', 'updated_at', 'title', 'average_rating', 'usage_count', 'total_ratings')
+        .default('relevance')
+});
+
+export const searchSuggestionsQuerySchema = Joi.object({
+    q: Joi.string()
+        .trim()
+        .min(2)
+        .max(100)
+        .required()
+        .messages({
+            'string.min': 'Query must be at least 2 characters long',
+            'string.max': 'Query must not exceed 100 characters',
+            'any.required': 'Query is required'
+        }),
+    
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(20)
+        .default(8)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 20'
+        })
+});
+
 export const collectionQuerySchema = paginationSchema.keys({
     user_id: Joi.string()
         .pattern(uuidPattern)
@@ -301,6 +707,10 @@ export const collectionQuerySchema = paginationSchema.keys({
     public_only: Joi.boolean()
         .default(true),
     
+    // Collections followed by the authenticated user
+    following: Joi.boolean()
+        .default(false),
+    
     sort: Joi.string()
         .valid('created_at', 'name', 'total_prompts', 'total_followers')
         .default('created_at'),
@@ -311,12 +721,94 @@ export const collectionQuerySchema = paginationSchema.keys({
 });
 
 export const favoritesQuerySchema = paginationSchema.keys({
-    user_id: Joi.string()
+    prompt_id: Joi.string()
         .pattern(uuidPattern)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Prompt ID must be a valid UUID'
+        })
+});
+
+// GET /api/prompts/:id/versions/diff; `to` defaults to the current version
+export const promptDiffQuerySchema = Joi.object({
+    from: Joi.number()
+        .integer()
+        .min(1)
         .required()
         .messages({
-            'string.pattern.base': 'User ID must be a valid UUID',
-            'any.required': 'User ID is required'
+            'number.min': 'Version must be at least 1',
+            'any.required': 'From version is required'
+        }),
+    
+    to: Joi.number()
+        .integer()
+        .min(1)
+        .optional()
+        .messages({
+            'number.min': 'Version must be at least 1'
+        }),
+    
+    mode: Joi.string()
+        .valid('line', 'word')
+        .default('line')
+});
+
+// GET /api/prompts/:id/stats and /api/users/me/stats
+export const statsQuerySchema = Joi.object({
+    interval: Joi.string()
+        .valid('day', 'week')
+        .default('day'),
+
+    days: Joi.number()
+        .integer()
+        .min(1)
+        .max(365)
+        .default(30)
+        .messages({
+            'number.min': 'Days must be at least 1',
+            'number.max': 'Days must not exceed 365'
+        })
+});
+
+// GET /api/trending
+export const trendingQuerySchema = Joi.object({
+    range: Joi.string()
+        .valid('today', 'week', 'month')
+        .default('week'),
+
+    type: Joi.string()
+        .valid('prompts', 'agents', 'commands', 'settings', 'hooks', 'mcps', 'templates', 'all')
+        .optional(),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(50)
+        .default(10)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 50'
+        })
+});
+
+// GET /api/feed
+export const feedQuerySchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .messages({
+            'number.min': 'Page must be at least 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(50)
+        .default(20)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 50'
         })
 });
 
@@ -357,6 +849,246 @@ export const registerSchema = Joi.object({
 
 export const createUserSchema = registerSchema;
 
+// Avatars are hot-linked on every page that shows the user, so only public https
+// images qualify: no credentials in the URL and no localhost or bare IP hosts
+export function isSafeAvatarUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return false;
+    }
+    const host = url.hostname.toLowerCase();
+    return url.protocol === 'https:'
+        && !url.username
+        && !url.password
+        && host.includes('.')
+        && host !== 'localhost'
+        && !host.endsWith('.localhost')
+        && !/^[\d.]+$/.test(host)
+        && !host.startsWith('[');
+}
+
+// PUT /api/users/me; an empty string clears a field
+export const updateProfileSchema = Joi.object({
+    display_name: Joi.string()
+        .trim()
+        .max(100)
+        .allow('')
+        .messages({
+            'string.max': 'Display name must not exceed 100 characters'
+        }),
+
+    bio: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+        .messages({
+            'string.max': 'Bio must not exceed 500 characters'
+        }),
+
+    avatar_url: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+        .custom((value, helpers) => (value === '' || isSafeAvatarUrl(value) ? value : helpers.error('avatar.unsafe')))
+        .messages({
+            'string.max': 'Avatar URL must not exceed 500 characters',
+            'avatar.unsafe': 'Avatar must be a public https image URL'
+        }),
+
+    website_url: Joi.string()
+        .trim()
+        .max(255)
+        .uri({ scheme: ['http', 'https'] })
+        .allow('')
+        .messages({
+            'string.max': 'Website must not exceed 255 characters',
+            'string.uriCustomScheme': 'Website must be an http or https URL',
+            'string.uri': 'Website must be an http or https URL'
+        }),
+
+    location: Joi.string()
+        .trim()
+        .max(100)
+        .allow('')
+        .messages({
+            'string.max': 'Location must not exceed 100 characters'
+        }),
+
+    github_username: Joi.string()
+        .trim()
+        .pattern(/^[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,38})$/)
+        .allow('')
+        .messages({
+            'string.pattern.base': 'GitHub username is not valid'
+        }),
+
+    twitter_username: Joi.string()
+        .trim()
+        .pattern(/^@?[A-Za-z0-9_]{1,15}$/)
+        .allow('')
+        .messages({
+            'string.pattern.base': 'Twitter username is not valid'
+        })
+}).min(1).messages({
+    'object.min': 'Nothing to update'
+});
+
+// GET /api/notifications; unread=true leaves out what has been read
+export const notificationsQuerySchema = paginationSchema.keys({
+    unread: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'Unread must be true or false'
+        })
+});
+
+// PUT /api/notifications/:id
+export const notificationReadSchema = Joi.object({
+    read: Joi.boolean()
+        .required()
+        .messages({
+            'any.required': 'Say whether the notification was read',
+            'boolean.base': 'Read must be true or false'
+        })
+});
+
+// Category fields shared by create and update
+const categoryFields = {
+    slug: Joi.string()
+        .trim()
+        .lowercase()
+        .max(50)
+        .pattern(slugPattern)
+        .invalid('all', 'for-you')
+        .messages({
+            'string.max': 'Slug must not exceed 50 characters',
+            'string.pattern.base': 'Slug must be lowercase words separated by hyphens',
+            'any.invalid': 'Slug is reserved for the category filters',
+            'any.required': 'Slug is required'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .min(2)
+        .max(100)
+        .messages({
+            'string.min': 'Name must be at least 2 characters long',
+            'string.max': 'Name must not exceed 100 characters',
+            'any.required': 'Name is required'
+        }),
+
+    description: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+        .messages({
+            'string.max': 'Description must not exceed 500 characters'
+        }),
+
+    icon: Joi.string()
+        .trim()
+        .max(16)
+        .allow('')
+        .messages({
+            'string.max': 'Icon must not exceed 16 characters'
+        }),
+
+    sort_order: Joi.number()
+        .integer()
+        .min(0)
+        .max(10000)
+        .messages({
+            'number.min': 'Sort order must be at least 0',
+            'number.max': 'Sort order must not exceed 10000'
+        }),
+
+    aliases: Joi.array()
+        .items(Joi.string().trim().lowercase().max(50).pattern(slugPattern))
+        .max(50)
+        .unique()
+        .messages({
+            'array.max': 'Maximum 50 aliases allowed',
+            'array.unique': 'Aliases must not repeat',
+            'string.pattern.base': 'Each alias must be lowercase words separated by hyphens'
+        })
+};
+
+// POST /api/categories (moderators)
+export const createCategorySchema = Joi.object({
+    ...categoryFields,
+    slug: categoryFields.slug.required(),
+    name: categoryFields.name.required(),
+    description: categoryFields.description.default(''),
+    icon: categoryFields.icon.default(''),
+    sort_order: categoryFields.sort_order.default(0),
+    aliases: categoryFields.aliases.default([])
+});
+
+// PUT /api/categories/:slug (moderators); a new slug moves the category's prompts with it
+export const updateCategorySchema = Joi.object(categoryFields).min(1).messages({
+    'object.min': 'Nothing to update'
+});
+
+// GET /api/tags; autocomplete when q is given, most used tags otherwise
+export const tagsQuerySchema = Joi.object({
+    q: Joi.string()
+        .trim()
+        .max(50)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Query must not exceed 50 characters'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(50)
+        .default(10)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must not exceed 50'
+        })
+});
+
+// PUT /api/tags/:name (moderators); a new name renames the tag on every prompt
+export const updateTagSchema = Joi.object({
+    name: Joi.string()
+        .trim()
+        .min(2)
+        .max(50)
+        .messages({
+            'string.min': 'Tag name must be at least 2 characters long',
+            'string.max': 'Tag name must not exceed 50 characters'
+        }),
+
+    description: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+        .messages({
+            'string.max': 'Description must not exceed 500 characters'
+        })
+}).min(1).messages({
+    'object.min': 'Nothing to update'
+});
+
+// POST /api/tags/:name/merge (moderators)
+export const mergeTagSchema = Joi.object({
+    into: Joi.string()
+        .trim()
+        .min(2)
+        .max(50)
+        .required()
+        .messages({
+            'string.min': 'Tag name must be at least 2 characters long',
+            'string.max': 'Tag name must not exceed 50 characters',
+            'any.required': 'Say which tag to merge into'
+        })
+});
+
 // Login validation schema
 export const loginSchema = Joi.object({
     email: Joi.string()
@@ -374,6 +1106,53 @@ export const loginSchema = Joi.object({
         })
 });
 
+// Refresh/logout validation schema
+export const refreshTokenSchema = Joi.object({
+    refresh_token: Joi.string()
+        .required()
+        .messages({
+            'any.required': 'Refresh token is required'
+        })
+});
+
+// Analytics event batch, as queued by docs/js/analytics.js
+// user_id is accepted for compatibility but ignored: the user comes from the token.
+export const analyticsEventSchema = Joi.object({
+    event_type: Joi.string()
+        .pattern(/^[a-z][a-z0-9_]{0,49}$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'Event type must be lowercase letters, numbers and underscores',
+            'any.required': 'Event type is required'
+        }),
+    
+    session_id: Joi.string()
+        .max(100)
+        .required()
+        .messages({
+            'string.max': 'Session ID must not exceed 100 characters',
+            'any.required': 'Session ID is required'
+        }),
+    
+    user_id: Joi.any()
+        .strip(),
+    
+    metadata: Joi.object()
+        .unknown(true)
+        .default({})
+});
+
+export const trackEventsSchema = Joi.array()
+    .items(analyticsEventSchema)
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+        'array.min': 'At least one event is required',
+        'array.max': 'Maximum 100 events per batch',
+        'array.base': 'Events must be an array'
+    });
+
 // Utility function to validate UUID
 export function isValidUUID(uuid) {
     return uuidPattern.test(uuid);
@@ -391,13 +1170,28 @@ export function sanitizeSearchQuery(query) {
         .substring(0, 100); // Limit length
 }
 
+// One spelling per tag: lowercase words joined by single hyphens, so
+// "Code Review", "code_review" and "code-review" are the same tag.
+// database/migrations/019_tag_taxonomy.sql applies the same rules in SQL.
+export function normalizeTag(tag) {
+    if (typeof tag !== 'string') return '';
+
+    return tag
+        .trim()
+        .toLowerCase()
+        .replace(/[\s_./]+/g, '-')
+        .replace(/[^a-z0-9-]+/g, '')
+        .replace(/-+/g, '-')
+        .slice(0, 50)
+        .replace(/^-|-$/g, '');
+}
+
 // Utility function to validate and sanitize tags
 export function validateAndSanitizeTags(tags) {
     if (!Array.isArray(tags)) return [];
-    
-    return tags
-        .filter(tag => typeof tag === 'string' && tag.trim().length >= 2)
-        .map(tag => tag.trim().toLowerCase().replace(/[^a-z0-9-]/g, ''))
-        .filter(tag => tag.length > 0)
-        .slice(0, 10); // Limit to 10 tags
+
+    const normalized = tags
+        .map(normalizeTag)
+        .filter(tag => tag.length >= 2);
+    return [...new Set(normalized)].slice(0, 10); // Limit to 10 tags
 }
@@ -0,0 +1,12 @@
+-- Migration 004: Collections
+-- Ordered collection prompts and stable ids for collections synced from the browser
+
+-- Prompts inside a collection are shown by position (0-based, gapless per collection)
+ALTER TABLE collection_prompts ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_collection_prompts_position ON collection_prompts(collection_id, position);
+
+-- Id the collection had in localStorage before it was synced, so re-syncing is a no-op
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS client_id VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_owner_client_id ON collections(owner_id, client_id) WHERE client_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_collection_follows_collection ON collection_follows(collection_id);
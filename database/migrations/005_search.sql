@@ -0,0 +1,8 @@
+-- Migration 005: Full-text search
+-- Rebuilds idx_prompts_search so prompts without a description are still searchable
+-- (the old expression was NULL whenever description was NULL) and indexes tags for @> filters.
+-- Queries must use this exact expression for the planner to pick the index (see api/lib/search.js).
+
+DROP INDEX IF EXISTS idx_prompts_search;
+CREATE INDEX IF NOT EXISTS idx_prompts_search ON prompts USING gin(to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(description, '') || ' ' || COALESCE(content, '')));
+CREATE INDEX IF NOT EXISTS idx_prompts_tags ON prompts USING gin(tags);
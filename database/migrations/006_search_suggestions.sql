@@ -0,0 +1,27 @@
+-- Migration 006: Search suggestions
+-- Trigram indexes for typo-tolerant, search-as-you-type suggestions over
+-- prompt titles, tag names and past search queries
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_prompts_title_trgm ON prompts USING gin(title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_tags_name_trgm ON tags USING gin(name gin_trgm_ops);
+
+-- Past queries come from trackSearch events in analytics_events, which only
+-- schema.sql created until now
+CREATE TABLE IF NOT EXISTS analytics_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type VARCHAR(50) NOT NULL,
+    content_type VARCHAR(20),
+    content_id UUID,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    session_id VARCHAR(100),
+    user_agent TEXT,
+    ip_address INET,
+    referer TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_search_query ON analytics_events USING gin(LOWER(metadata->>'query') gin_trgm_ops) WHERE event_type = 'search';
+CREATE INDEX IF NOT EXISTS idx_analytics_events_search_created ON analytics_events(created_at DESC) WHERE event_type = 'search';
@@ -0,0 +1,7 @@
+-- Migration 007: Analytics ingestion
+-- Indexes for the /api/analytics/track event store and per-content reporting
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_session ON analytics_events(session_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_content ON analytics_events(content_type, content_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_type_created ON analytics_events(event_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analytics_prompt_created ON analytics(prompt_id, created_at DESC);
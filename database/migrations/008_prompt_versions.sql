@@ -0,0 +1,23 @@
+-- Migration 008: Prompt versions
+-- Append-only history of prompt revisions. The row matching prompts.version is the
+-- current text; older rows are what PUT /api/prompts/:id replaced.
+
+CREATE TABLE IF NOT EXISTS prompt_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prompt_id UUID NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    content TEXT NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    tags TEXT[] DEFAULT '{}',
+    difficulty_level VARCHAR(20),
+    edited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    change_note VARCHAR(500),
+    -- Set when the revision was a rollback to an older version
+    restored_from INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(prompt_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_prompt ON prompt_versions(prompt_id, version DESC);
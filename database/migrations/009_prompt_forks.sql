@@ -0,0 +1,9 @@
+-- Migration 009: Prompt forks
+-- A fork is a copy of another prompt owned by the user who forked it. forked_from
+-- keeps the lineage (and the version that was copied); fork_count counts direct forks.
+
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS forked_from UUID REFERENCES prompts(id) ON DELETE SET NULL;
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS forked_from_version INTEGER;
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS fork_count INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_prompts_forked_from ON prompts(forked_from) WHERE forked_from IS NOT NULL;
@@ -0,0 +1,6 @@
+-- Migration 010: Prompt template variables
+-- Variables found in the content ({{name|default|description}} or [INSERT_NAME]),
+-- extracted by api/lib/variables.js whenever a prompt is created or its content changes.
+-- NULL for prompts written before this migration; the API extracts those on read.
+
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS variables JSONB;
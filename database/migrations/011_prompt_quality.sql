@@ -0,0 +1,6 @@
+-- Migration 011: Prompt quality scores
+-- 0-100 score from the prompt lint rules (docs/js/prompt-lint.js via api/lib/lint.js),
+-- stored whenever a prompt is created or its title or content changes.
+-- NULL for prompts written before this migration.
+
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS quality_score SMALLINT;
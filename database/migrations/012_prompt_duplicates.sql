@@ -0,0 +1,9 @@
+-- Migration 012: Near-duplicate detection
+-- MinHash signature of each prompt's content and the band hashes used to find
+-- candidates (see api/lib/duplicates.js). Filled on create and whenever the content
+-- changes; existing prompts are filled by scripts/backfill-minhash.js.
+
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS minhash INTEGER[];
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS minhash_bands INTEGER[];
+
+CREATE INDEX IF NOT EXISTS idx_prompts_minhash_bands ON prompts USING GIN (minhash_bands);
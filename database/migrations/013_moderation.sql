@@ -0,0 +1,84 @@
+-- Migration 013: Moderation
+-- Reports on any kind of content, the moderation_actions log and user warnings,
+-- plus the user flags that api/middleware/security.js enforces. Databases created
+-- from 001 have the older prompt-only reports table; it is converted in place.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_moderator BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_suspended BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_banned BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_end TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ban_reason TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS warning_count INTEGER DEFAULT 0;
+
+-- Hidden prompts are made private and cannot be republished by their author
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS hidden_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS content_type VARCHAR(20);
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS content_id UUID;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS evidence_urls JSONB DEFAULT '[]';
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS moderator_id UUID REFERENCES users(id);
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS moderation_reason TEXT;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Carry prompt-only reports over to the new columns and statuses
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'reports' AND column_name = 'prompt_id') THEN
+        ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_status_check;
+        UPDATE reports SET
+            content_type = 'prompt',
+            content_id = prompt_id,
+            moderator_id = reviewed_by,
+            updated_at = COALESCE(reviewed_at, created_at),
+            status = CASE status
+                WHEN 'reviewed' THEN 'flagged'
+                WHEN 'resolved' THEN 'action_taken'
+                WHEN 'dismissed' THEN 'rejected'
+                ELSE status
+            END
+        WHERE content_id IS NULL;
+        DELETE FROM reports WHERE content_id IS NULL OR reporter_id IS NULL;
+        ALTER TABLE reports DROP COLUMN prompt_id;
+        ALTER TABLE reports DROP COLUMN reviewed_at;
+        ALTER TABLE reports DROP COLUMN reviewed_by;
+        ALTER TABLE reports ALTER COLUMN reason TYPE VARCHAR(50);
+        ALTER TABLE reports ALTER COLUMN reporter_id SET NOT NULL;
+        ALTER TABLE reports ALTER COLUMN content_type SET NOT NULL;
+        ALTER TABLE reports ALTER COLUMN content_id SET NOT NULL;
+        ALTER TABLE reports ADD CONSTRAINT reports_content_type_check
+            CHECK (content_type IN ('prompt', 'collection', 'user', 'comment'));
+        ALTER TABLE reports ADD CONSTRAINT reports_status_check
+            CHECK (status IN ('pending', 'approved', 'rejected', 'flagged', 'action_taken'));
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS moderation_actions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    moderator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    action VARCHAR(50) NOT NULL,
+    reason TEXT,
+    content_type VARCHAR(20),
+    content_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_warnings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    moderator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    content_type VARCHAR(20),
+    content_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One open report per reporter and item
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_pending_unique
+    ON reports(reporter_id, content_type, content_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_content ON reports(content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_content ON moderation_actions(content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_user_warnings_user ON user_warnings(user_id);
@@ -0,0 +1,9 @@
+-- Migration 014: Comments
+-- Threaded comments on prompts (api/routes/comments.js). Deleting a comment keeps
+-- the row so replies stay in place; edited_at marks comments changed after posting.
+
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Pages of top-level threads, newest first
+CREATE INDEX IF NOT EXISTS idx_comments_threads ON comments(prompt_id, created_at DESC) WHERE parent_id IS NULL;
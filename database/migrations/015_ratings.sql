@@ -0,0 +1,37 @@
+-- Migration 015: Ratings
+-- One rating per user and prompt (api/routes/ratings.js) with "was this review
+-- helpful" votes. ratings.is_helpful can only hold one answer per review, so votes
+-- get their own table and are counted onto the review. Ratings from the old
+-- prompt_ratings table were anonymous; they are kept as ratings without a user so
+-- existing averages don't change.
+
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS helpful_count INTEGER DEFAULT 0;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS not_helpful_count INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS rating_votes (
+    rating_id UUID REFERENCES ratings(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    is_helpful BOOLEAN NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (rating_id, user_id)
+);
+
+DO $$
+BEGIN
+    IF to_regclass('prompt_ratings') IS NOT NULL THEN
+        INSERT INTO ratings (prompt_id, user_id, rating, review, created_at, updated_at)
+        SELECT p.id, NULL, pr.rating, NULLIF(pr.review, ''), pr.created_at, pr.created_at
+        FROM prompt_ratings pr
+        JOIN prompts p ON p.id::text = pr.prompt_id::text;
+
+        DROP TABLE prompt_ratings;
+    END IF;
+END $$;
+
+-- Averages from the ratings table from now on
+UPDATE prompts
+SET average_rating = COALESCE((SELECT ROUND(AVG(rating), 2) FROM ratings r WHERE r.prompt_id = prompts.id), 0),
+    total_ratings = (SELECT COUNT(*) FROM ratings r WHERE r.prompt_id = prompts.id);
+
+CREATE INDEX IF NOT EXISTS idx_ratings_helpful ON ratings(prompt_id, (helpful_count - not_helpful_count) DESC);
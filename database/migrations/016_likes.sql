@@ -0,0 +1,31 @@
+-- Migration 016: Likes
+-- One like per user, or per anonymous device (api/routes/likes.js), on each prompt.
+-- Older databases have a prompt_likes table from the router's ensureTables() with
+-- likes that belong to nobody; they stay counted but can't be taken back.
+
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS total_likes INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS prompt_likes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prompt_id UUID REFERENCES prompts(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE prompt_likes ALTER COLUMN id SET DEFAULT uuid_generate_v4();
+ALTER TABLE prompt_likes ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE prompt_likes ADD COLUMN IF NOT EXISTS device_id TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'prompt_likes_one_owner') THEN
+        ALTER TABLE prompt_likes ADD CONSTRAINT prompt_likes_one_owner CHECK (user_id IS NULL OR device_id IS NULL);
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_likes_user ON prompt_likes(prompt_id, user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_likes_device ON prompt_likes(prompt_id, device_id) WHERE device_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_prompt_likes_user_id ON prompt_likes(user_id) WHERE user_id IS NOT NULL;
+
+-- Unlikes used to delete every like on the prompt, so counts had drifted
+UPDATE prompts
+SET total_likes = (SELECT COUNT(*) FROM prompt_likes l WHERE l.prompt_id = prompts.id);
@@ -0,0 +1,19 @@
+-- Migration 017: User profiles
+-- Display name, bio, links and location shown on author pages and edited
+-- through /api/users/me (api/routes/users.js). Only schema.sql created this
+-- table until now.
+
+CREATE TABLE IF NOT EXISTS user_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    display_name VARCHAR(100),
+    bio TEXT,
+    avatar_url TEXT,
+    website_url TEXT,
+    location VARCHAR(100),
+    followers_count INTEGER DEFAULT 0,
+    following_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id)
+);
@@ -0,0 +1,32 @@
+-- Migration 018: Follows and notifications
+-- Following an author (api/routes/follows.js) keeps followers_count and
+-- following_count on user_profiles in the same statement as the follow row.
+-- notifications is the in-app inbox: new prompts from authors you follow,
+-- replies to your comments and ratings on your prompts (api/lib/notifications.js).
+
+CREATE INDEX IF NOT EXISTS idx_user_follows_following ON user_follows(following_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('new_prompt', 'comment_reply', 'prompt_rating')),
+    prompt_id UUID REFERENCES prompts(id) ON DELETE CASCADE,
+    comment_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+    rating_id UUID REFERENCES ratings(id) ON DELETE CASCADE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Nothing maintained the counts before, so start them from the follow rows
+INSERT INTO user_profiles (user_id, followers_count, following_count)
+SELECT u.id,
+       (SELECT COUNT(*) FROM user_follows f WHERE f.following_id = u.id),
+       (SELECT COUNT(*) FROM user_follows f WHERE f.follower_id = u.id)
+FROM users u
+ON CONFLICT (user_id) DO UPDATE
+SET followers_count = EXCLUDED.followers_count,
+    following_count = EXCLUDED.following_count;
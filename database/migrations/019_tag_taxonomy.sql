@@ -0,0 +1,38 @@
+-- Migration 019: Tag taxonomy
+-- Prompt tags are normalized (lowercase, hyphen-separated) and mapped onto
+-- canonical tags by api/lib/tags.js. tag_synonyms records the aliases left
+-- behind when moderators merge or rename tags, so "codereview" keeps resolving
+-- to "code-review". usage_count on tags is recounted whenever prompts change tags.
+
+CREATE TABLE IF NOT EXISTS tag_synonyms (
+    alias VARCHAR(50) PRIMARY KEY,
+    tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tag_synonyms_tag ON tag_synonyms(tag_id);
+
+-- Normalize tags already on prompts the same way new ones are, keeping the
+-- first occurrence of each and dropping anything shorter than two characters
+UPDATE prompts p SET tags = ARRAY(
+    SELECT normalized.tag
+    FROM (
+        SELECT TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(
+                   LOWER(TRIM(t.tag)), '[\s_./]+', '-', 'g'), '[^a-z0-9-]+', '', 'g'), '-+', '-', 'g'), 50)) AS tag,
+               MIN(t.position) AS position
+        FROM unnest(p.tags) WITH ORDINALITY AS t(tag, position)
+        GROUP BY 1
+    ) normalized
+    WHERE LENGTH(normalized.tag) >= 2
+    ORDER BY normalized.position
+)
+WHERE p.tags IS NOT NULL AND p.tags <> '{}';
+
+-- Every tag in use gets a row, then every row gets its real count
+INSERT INTO tags (name)
+SELECT DISTINCT tag FROM prompts, unnest(prompts.tags) AS tag
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE tags t SET usage_count = (
+    SELECT COUNT(*) FROM prompts p WHERE p.tags @> ARRAY[t.name]::text[]
+);
@@ -0,0 +1,55 @@
+-- Migration 020: Categories
+-- Categories move out of the code into their own table, served by
+-- /api/categories (api/routes/categories.js) and used to validate prompts.
+-- aliases are other names that resolve to a category, such as the component
+-- categories scripts/migrate-components.js imports from docs/components.json.
+-- prompts.category references the slug, so renaming a slug carries its prompts along.
+
+CREATE TABLE IF NOT EXISTS categories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    icon VARCHAR(16),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_order ON categories(sort_order, name);
+CREATE INDEX IF NOT EXISTS idx_categories_aliases ON categories USING gin(aliases);
+
+DROP TRIGGER IF EXISTS update_categories_updated_at ON categories;
+CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO categories (slug, name, description, icon, sort_order, aliases) VALUES
+('development', 'Development', 'Programming and software development prompts', '💻', 1,
+    '{ai-specialists,api-graphql,blockchain-web3,templates,testing,agent,mcp,template}'),
+('creative', 'Creative', 'Creative writing, art, and design prompts', '🎨', 2, '{}'),
+('business', 'Business', 'Business strategy, marketing, and analysis prompts', '💼', 3,
+    '{workflows,analytics,monitoring}'),
+('education', 'Education', 'Teaching, learning, and educational prompts', '📚', 4,
+    '{documentation,tutorials}'),
+('research', 'Research', 'Research and academic writing prompts', '🔬', 5, '{}'),
+('technical', 'Technical', 'Technical documentation, configuration and system prompts', '⚙️', 6,
+    '{commands,settings,hooks,mcps,security,deployment,command,setting,hook}'),
+('general', 'General', 'Prompts that fit no other category', '🗂️', 7, '{}')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Categories already used by prompts are kept, so the foreign key below holds
+UPDATE prompts SET category = LOWER(TRIM(category)) WHERE category <> LOWER(TRIM(category));
+UPDATE prompts SET category = 'general' WHERE category IS NULL OR category = '';
+
+INSERT INTO categories (slug, name, sort_order)
+SELECT DISTINCT p.category, INITCAP(REPLACE(p.category, '-', ' ')), 100
+FROM prompts p
+ON CONFLICT (slug) DO NOTHING;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints WHERE constraint_name = 'prompts_category_fkey') THEN
+        ALTER TABLE prompts ADD CONSTRAINT prompts_category_fkey
+            FOREIGN KEY (category) REFERENCES categories(slug) ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -3,12 +3,14 @@
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
 
 -- Users table
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     username VARCHAR(50) UNIQUE NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash TEXT,
     display_name VARCHAR(100),
     avatar_url TEXT,
     bio TEXT,
@@ -29,6 +31,16 @@ CREATE TABLE users (
     last_login TIMESTAMP WITH TIME ZONE
 );
 
+-- Refresh tokens table (only the SHA-256 of each token is stored)
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Tags table
 CREATE TABLE tags (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -39,13 +51,24 @@ CREATE TABLE tags (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- User follows table for social features
-CREATE TABLE user_follows (
+-- Categories; aliases are other names that resolve to the category
+CREATE TABLE categories (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    follower_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    following_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    slug VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    icon VARCHAR(16),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    UNIQUE(follower_id, following_id)
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Aliases that resolve to a canonical tag, left behind by tag merges and renames
+CREATE TABLE tag_synonyms (
+    alias VARCHAR(50) PRIMARY KEY,
+    tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Shares table for tracking content sharing
@@ -120,7 +143,7 @@ CREATE TABLE prompts (
     title VARCHAR(255) NOT NULL,
     content TEXT NOT NULL,
     description TEXT,
-    category VARCHAR(100) NOT NULL,
+    category VARCHAR(100) NOT NULL REFERENCES categories(slug) ON UPDATE CASCADE,
     tags TEXT[] DEFAULT '{}',
     author_id UUID REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -132,10 +155,38 @@ CREATE TABLE prompts (
     average_rating DECIMAL(3,2) DEFAULT 0.00,
     total_ratings INTEGER DEFAULT 0,
     total_favorites INTEGER DEFAULT 0,
+    total_likes INTEGER DEFAULT 0,
     difficulty_level VARCHAR(20) DEFAULT 'beginner' CHECK (difficulty_level IN ('beginner', 'intermediate', 'advanced')),
     estimated_tokens INTEGER,
     language VARCHAR(10) DEFAULT 'en',
-    version INTEGER DEFAULT 1
+    version INTEGER DEFAULT 1,
+    forked_from UUID REFERENCES prompts(id) ON DELETE SET NULL,
+    forked_from_version INTEGER,
+    fork_count INTEGER DEFAULT 0,
+    variables JSONB,
+    quality_score SMALLINT,
+    minhash INTEGER[],
+    minhash_bands INTEGER[],
+    hidden_at TIMESTAMP WITH TIME ZONE,
+    hidden_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Prompt versions table (append-only revision history)
+CREATE TABLE prompt_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prompt_id UUID NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    content TEXT NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    tags TEXT[] DEFAULT '{}',
+    difficulty_level VARCHAR(20),
+    edited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    change_note VARCHAR(500),
+    restored_from INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(prompt_id, version)
 );
 
 -- Ratings table
@@ -146,11 +197,33 @@ CREATE TABLE ratings (
     rating INTEGER CHECK (rating >= 1 AND rating <= 5),
     review TEXT,
     is_helpful BOOLEAN,
+    helpful_count INTEGER DEFAULT 0,
+    not_helpful_count INTEGER DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(prompt_id, user_id)
 );
 
+-- Likes from a signed-in user or an anonymous device, one per prompt each
+CREATE TABLE prompt_likes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prompt_id UUID REFERENCES prompts(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    device_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT prompt_likes_one_owner CHECK (user_id IS NULL OR device_id IS NULL)
+);
+
+-- "Was this review helpful" votes, counted onto ratings
+CREATE TABLE rating_votes (
+    rating_id UUID REFERENCES ratings(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    is_helpful BOOLEAN NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (rating_id, user_id)
+);
+
 -- User profiles table
 CREATE TABLE user_profiles (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -172,10 +245,11 @@ CREATE TABLE collections (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(255) NOT NULL,
     description TEXT,
-    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
     is_public BOOLEAN DEFAULT true,
     is_featured BOOLEAN DEFAULT false,
     share_count INTEGER DEFAULT 0,
+    client_id VARCHAR(64),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     total_prompts INTEGER DEFAULT 0,
@@ -188,6 +262,7 @@ CREATE TABLE collection_prompts (
     prompt_id UUID REFERENCES prompts(id) ON DELETE CASCADE,
     added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    position INTEGER NOT NULL DEFAULT 0,
     PRIMARY KEY (collection_id, prompt_id)
 );
 
@@ -224,21 +299,23 @@ CREATE TABLE comments (
     parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
     content TEXT NOT NULL,
     is_approved BOOLEAN DEFAULT true,
+    edited_at TIMESTAMP WITH TIME ZONE,
+    deleted_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Reports table
-CREATE TABLE reports (
+-- In-app notifications: new prompts from followed authors, comment replies, ratings
+CREATE TABLE notifications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    reporter_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('new_prompt', 'comment_reply', 'prompt_rating')),
     prompt_id UUID REFERENCES prompts(id) ON DELETE CASCADE,
-    reason VARCHAR(100) NOT NULL,
-    description TEXT,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'reviewed', 'resolved', 'dismissed')),
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    reviewed_at TIMESTAMP WITH TIME ZONE,
-    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL
+    comment_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+    rating_id UUID REFERENCES ratings(id) ON DELETE CASCADE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Analytics table
@@ -252,6 +329,9 @@ CREATE TABLE analytics (
 );
 
 -- Indexes for performance
+CREATE UNIQUE INDEX idx_users_email_lower ON users(LOWER(email));
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id);
+
 CREATE INDEX idx_prompts_category ON prompts(category);
 CREATE INDEX idx_prompts_author ON prompts(author_id);
 CREATE INDEX idx_prompts_created_at ON prompts(created_at DESC);
@@ -259,28 +339,66 @@ CREATE INDEX idx_prompts_rating ON prompts(average_rating DESC);
 CREATE INDEX idx_prompts_usage ON prompts(usage_count DESC);
 CREATE INDEX idx_prompts_public ON prompts(is_public) WHERE is_public = true;
 CREATE INDEX idx_prompts_featured ON prompts(is_featured) WHERE is_featured = true;
+CREATE INDEX idx_prompts_forked_from ON prompts(forked_from) WHERE forked_from IS NOT NULL;
+CREATE INDEX idx_prompts_minhash_bands ON prompts USING GIN (minhash_bands);
+
+CREATE INDEX idx_prompt_versions_prompt ON prompt_versions(prompt_id, version DESC);
 
 CREATE INDEX idx_ratings_prompt ON ratings(prompt_id);
 CREATE INDEX idx_ratings_user ON ratings(user_id);
 CREATE INDEX idx_ratings_rating ON ratings(rating);
+CREATE INDEX idx_ratings_helpful ON ratings(prompt_id, (helpful_count - not_helpful_count) DESC);
 
 CREATE INDEX idx_collections_owner ON collections(owner_id);
 CREATE INDEX idx_collections_public ON collections(is_public) WHERE is_public = true;
 CREATE INDEX idx_collections_featured ON collections(is_featured) WHERE is_featured = true;
+CREATE UNIQUE INDEX idx_collections_owner_client_id ON collections(owner_id, client_id) WHERE client_id IS NOT NULL;
+CREATE INDEX idx_collection_prompts_position ON collection_prompts(collection_id, position);
+CREATE INDEX idx_collection_follows_collection ON collection_follows(collection_id);
 
 CREATE INDEX idx_favorites_user ON favorites(user_id);
 CREATE INDEX idx_favorites_prompt ON favorites(prompt_id);
+CREATE UNIQUE INDEX idx_prompt_likes_user ON prompt_likes(prompt_id, user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_prompt_likes_device ON prompt_likes(prompt_id, device_id) WHERE device_id IS NOT NULL;
+CREATE INDEX idx_prompt_likes_user_id ON prompt_likes(user_id) WHERE user_id IS NOT NULL;
 
 CREATE INDEX idx_comments_prompt ON comments(prompt_id);
 CREATE INDEX idx_comments_user ON comments(user_id);
 CREATE INDEX idx_comments_parent ON comments(parent_id);
+CREATE INDEX idx_comments_threads ON comments(prompt_id, created_at DESC) WHERE parent_id IS NULL;
+
+CREATE INDEX idx_user_follows_following ON user_follows(following_id, created_at DESC);
+
+CREATE INDEX idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+CREATE UNIQUE INDEX idx_reports_pending_unique ON reports(reporter_id, content_type, content_id) WHERE status = 'pending';
+CREATE INDEX idx_reports_status ON reports(status, created_at);
+CREATE INDEX idx_reports_content ON reports(content_type, content_id);
+CREATE INDEX idx_moderation_actions_content ON moderation_actions(content_type, content_id);
+CREATE INDEX idx_user_warnings_user ON user_warnings(user_id);
 
 CREATE INDEX idx_analytics_prompt ON analytics(prompt_id);
 CREATE INDEX idx_analytics_event ON analytics(event_type);
 CREATE INDEX idx_analytics_created ON analytics(created_at DESC);
+CREATE INDEX idx_analytics_prompt_created ON analytics(prompt_id, created_at DESC);
+
+CREATE INDEX idx_analytics_events_session ON analytics_events(session_id, created_at DESC);
+CREATE INDEX idx_analytics_events_content ON analytics_events(content_type, content_id, created_at DESC);
+CREATE INDEX idx_analytics_events_type_created ON analytics_events(event_type, created_at DESC);
 
 -- Full text search indexes
-CREATE INDEX idx_prompts_search ON prompts USING gin(to_tsvector('english', title || ' ' || description || ' ' || content));
+CREATE INDEX idx_prompts_search ON prompts USING gin(to_tsvector('english', COALESCE(title, '') || ' ' || COALESCE(description, '') || ' ' || COALESCE(content, '')));
+CREATE INDEX idx_prompts_tags ON prompts USING gin(tags);
+
+-- Trigram indexes for search suggestions
+CREATE INDEX idx_prompts_title_trgm ON prompts USING gin(title gin_trgm_ops);
+CREATE INDEX idx_tags_name_trgm ON tags USING gin(name gin_trgm_ops);
+CREATE INDEX idx_analytics_events_search_query ON analytics_events USING gin(LOWER(metadata->>'query') gin_trgm_ops) WHERE event_type = 'search';
+CREATE INDEX idx_analytics_events_search_created ON analytics_events(created_at DESC) WHERE event_type = 'search';
+CREATE INDEX idx_tag_synonyms_tag ON tag_synonyms(tag_id);
+CREATE INDEX idx_categories_order ON categories(sort_order, name);
+CREATE INDEX idx_categories_aliases ON categories USING gin(aliases);
 CREATE INDEX idx_tags_search ON tags USING gin(to_tsvector('english', name || ' ' || COALESCE(description, '')));
 
 -- Functions for updating timestamps
@@ -299,6 +417,7 @@ CREATE TRIGGER update_ratings_updated_at BEFORE UPDATE ON ratings FOR EACH ROW E
 CREATE TRIGGER update_collections_updated_at BEFORE UPDATE ON collections FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_comments_updated_at BEFORE UPDATE ON comments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_tags_updated_at BEFORE UPDATE ON tags FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Function to update prompt statistics
 CREATE OR REPLACE FUNCTION update_prompt_stats()
@@ -353,6 +472,20 @@ CREATE TRIGGER update_collection_stats_on_prompt AFTER INSERT OR DELETE ON colle
 CREATE TRIGGER update_collection_stats_on_follow AFTER INSERT OR DELETE ON collection_follows FOR EACH ROW EXECUTE FUNCTION update_collection_stats();
 
 -- Insert default categories and tags
+INSERT INTO categories (slug, name, description, icon, sort_order, aliases) VALUES
+('development', 'Development', 'Programming and software development prompts', '💻', 1,
+    '{ai-specialists,api-graphql,blockchain-web3,templates,testing,agent,mcp,template}'),
+('creative', 'Creative', 'Creative writing, art, and design prompts', '🎨', 2, '{}'),
+('business', 'Business', 'Business strategy, marketing, and analysis prompts', '💼', 3,
+    '{workflows,analytics,monitoring}'),
+('education', 'Education', 'Teaching, learning, and educational prompts', '📚', 4,
+    '{documentation,tutorials}'),
+('research', 'Research', 'Research and academic writing prompts', '🔬', 5, '{}'),
+('technical', 'Technical', 'Technical documentation, configuration and system prompts', '⚙️', 6,
+    '{commands,settings,hooks,mcps,security,deployment,command,setting,hook}'),
+('general', 'General', 'Prompts that fit no other category', '🗂️', 7, '{}')
+ON CONFLICT (slug) DO NOTHING;
+
 INSERT INTO tags (name, description) VALUES
 ('development', 'Programming and software development prompts'),
 ('creative', 'Creative writing, art, and design prompts'),
@@ -11,7 +11,7 @@ class AdvancedSearch {
             difficulty: '',
             featured: false,
             trending: false,
-            sort: 'created_at',
+            sort: 'relevance',
             order: 'desc'
         };
         this.searchTimeout = null;
@@ -23,6 +23,7 @@ class AdvancedSearch {
         this.setupFilters();
         this.setupEventListeners();
         this.loadSearchState();
+        this.loadCategories();
     }
 
     setupSearchInput() {
@@ -37,6 +38,32 @@ class AdvancedSearch {
         this.searchSuggestions.className = 'search-suggestions';
         this.searchSuggestions.style.display = 'none';
         this.searchInput.parentNode.appendChild(this.searchSuggestions);
+
+        // mousedown fires before the input's blur hides the list
+        this.searchSuggestions.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) {
+                e.preventDefault();
+                this.selectSuggestion(item);
+            }
+        });
+    }
+
+    selectSuggestion(item) {
+        const text = item.querySelector('.suggestion-text').textContent;
+
+        // Tags narrow the current search; anything else replaces the query
+        if (item.getAttribute('data-type') === 'tag') {
+            if (!this.currentFilters.tags.includes(text)) {
+                this.currentFilters.tags.push(text);
+            }
+        } else {
+            this.currentFilters.search = text;
+            this.searchInput.value = text;
+        }
+
+        this.hideSuggestions();
+        this.performSearch();
     }
 
     setupFilters() {
@@ -71,11 +98,10 @@ class AdvancedSearch {
             });
         }
 
-        // Filter events
-        this.searchFilters.category?.forEach(filter => {
-            filter.addEventListener('click', (e) => {
-                this.handleCategoryFilter(e.target);
-            });
+        // Filter events; category chips are delegated since they arrive with /api/categories
+        document.addEventListener('click', (e) => {
+            const filter = e.target.closest('[data-category]');
+            if (filter) this.handleCategoryFilter(filter);
         });
 
         this.searchFilters.difficulty?.forEach(filter => {
@@ -142,6 +168,9 @@ class AdvancedSearch {
     handleSearchKeydown(e) {
         if (e.key === 'Enter') {
             e.preventDefault();
+            // Arrow keys may have copied a suggestion into the input
+            this.currentFilters.search = this.searchInput.value;
+            this.hideSuggestions();
             this.performSearch();
         } else if (e.key === 'Escape') {
             this.hideSuggestions();
@@ -154,6 +183,22 @@ class AdvancedSearch {
         }
     }
 
+    // Category chips from /api/categories. A saved category that no longer
+    // exists falls back to all categories.
+    async loadCategories() {
+        const container = document.getElementById('filterChips');
+        if (!container || typeof PromptCategories === 'undefined') return;
+
+        const categories = await PromptCategories.renderChips(container, { active: this.currentFilters.category });
+        this.searchFilters.category = document.querySelectorAll('[data-category]');
+        const current = this.currentFilters.category;
+        if (categories.length > 0 && current !== 'all' && !categories.some(category => category.slug === current)) {
+            this.currentFilters.category = 'all';
+            this.saveSearchState();
+        }
+        this.applySearchState();
+    }
+
     handleCategoryFilter(element) {
         const category = element.getAttribute('data-category');
         this.currentFilters.category = category;
@@ -191,7 +236,8 @@ class AdvancedSearch {
     }
 
     handleTagFilter(element) {
-        const tag = element.textContent.trim();
+        // Related tags render as "tag (count)", so prefer the data attribute
+        const tag = element.getAttribute('data-tag') || element.textContent.trim();
         const tagIndex = this.currentFilters.tags.indexOf(tag);
         
         if (tagIndex > -1) {
@@ -215,7 +261,10 @@ class AdvancedSearch {
         this.performSearch();
     }
 
-    async performSearch() {
+    // Any call without a page (new query or filter change) starts from page 1
+    async performSearch(page = 1) {
+        this.currentFilters.page = page;
+
         try {
             // Show loading state
             this.showLoadingState();
@@ -247,6 +296,9 @@ class AdvancedSearch {
             if (this.currentFilters.order) {
                 params.append('order', this.currentFilters.order);
             }
+            if (this.currentFilters.page > 1) {
+                params.append('page', this.currentFilters.page);
+            }
 
             // Make API request
             const response = await fetch(`/api/search?${params.toString()}`);
@@ -258,7 +310,6 @@ class AdvancedSearch {
 
             // Update results
             this.updateSearchResults(data);
-            this.updateSearchSuggestions(data.suggestions);
             this.saveSearchState();
 
         } catch (error) {
@@ -278,7 +329,7 @@ class AdvancedSearch {
             const data = await response.json();
 
             if (response.ok) {
-                this.showSuggestions(data.suggestions);
+                this.updateSearchSuggestions(data.suggestions);
             }
         } catch (error) {
             console.error('Error getting suggestions:', error);
@@ -330,7 +381,7 @@ class AdvancedSearch {
             <h4>Related Tags</h4>
             <div class="tag-list">
                 ${tags.map(tag => `
-                    <span class="tag-filter" data-tag="${tag.tag}">
+                    <span class="tag-filter" data-tag="${this.escapeHtml(tag.tag)}">
                         ${this.escapeHtml(tag.tag)} (${tag.frequency})
                     </span>
                 `).join('')}
@@ -437,8 +488,7 @@ class AdvancedSearch {
     }
 
     goToPage(page) {
-        this.currentFilters.page = page;
-        this.performSearch();
+        this.performSearch(page);
     }
 
     clearAllFilters() {
@@ -449,7 +499,7 @@ class AdvancedSearch {
             difficulty: '',
             featured: false,
             trending: false,
-            sort: 'created_at',
+            sort: 'relevance',
             order: 'desc',
             page: 1
         };
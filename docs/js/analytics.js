@@ -75,16 +75,26 @@ class Analytics {
         const events = [...this.queue];
         this.queue = [];
 
+        // On unload a normal request may be cancelled; sendBeacon survives the page
+        if (sync && navigator.sendBeacon) {
+            const payload = new Blob([JSON.stringify(events)], { type: 'application/json' });
+            if (navigator.sendBeacon('/api/analytics/track', payload)) return;
+        }
+
         try {
+            const token = window.authManager && window.authManager.token;
             const response = await fetch('/api/analytics/track', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {})
                 },
-                body: JSON.stringify(events)
+                body: JSON.stringify(events),
+                keepalive: sync
             });
 
-            if (!response.ok) {
+            // 4xx (invalid batch, rate limited) will not succeed on retry
+            if (!response.ok && response.status >= 500) {
                 console.warn('Analytics tracking failed:', response.status);
                 // Re-queue events if they failed to send
                 this.queue.unshift(...events);
@@ -194,6 +204,23 @@ class Analytics {
         });
     }
 
+    // Components are not UUID content, so they are identified in metadata only
+    trackComponentView(componentType, componentId, metadata = {}) {
+        this.track('component_view', {
+            component_type: componentType,
+            component_id: componentId,
+            ...metadata
+        });
+    }
+
+    trackComponentInstall(componentType, componentId, metadata = {}) {
+        this.track('component_install', {
+            component_type: componentType,
+            component_id: componentId,
+            ...metadata
+        });
+    }
+
     trackSearch(query, resultsCount, metadata = {}) {
         this.track('search', {
             query,
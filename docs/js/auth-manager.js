@@ -3,6 +3,7 @@ class AuthManager {
     constructor() {
         this.currentUser = null;
         this.token = null;
+        this.refreshToken = null;
         this.isAuthenticated = false;
         this.init();
     }
@@ -28,6 +29,7 @@ class AuthManager {
             if (storedUser && storedToken) {
                 this.currentUser = JSON.parse(storedUser);
                 this.token = storedToken;
+                this.refreshToken = localStorage.getItem('promptHero_refreshToken');
                 this.isAuthenticated = true;
                 this.updateUI();
             }
@@ -56,6 +58,7 @@ class AuthManager {
             // Store user data and token
             this.currentUser = data.user;
             this.token = data.token;
+            this.refreshToken = data.refresh_token;
             this.isAuthenticated = true;
             
             this.saveUserToStorage();
@@ -88,6 +91,7 @@ class AuthManager {
             // Store user data and token
             this.currentUser = data.user;
             this.token = data.token;
+            this.refreshToken = data.refresh_token;
             this.isAuthenticated = true;
             
             this.saveUserToStorage();
@@ -103,14 +107,27 @@ class AuthManager {
 
     async logout() {
         try {
+            // Revoke the refresh token server-side (best-effort)
+            if (this.refreshToken) {
+                fetch('/api/auth/logout', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ refresh_token: this.refreshToken })
+                }).catch(() => {});
+            }
+
             // Clear stored data
             localStorage.removeItem('promptHero_user');
             localStorage.removeItem('promptHero_token');
+            localStorage.removeItem('promptHero_refreshToken');
             
             // Reset state
             const previousUser = this.currentUser;
             this.currentUser = null;
             this.token = null;
+            this.refreshToken = null;
             this.isAuthenticated = false;
             
             this.updateUI();
@@ -129,13 +146,23 @@ class AuthManager {
         }
 
         try {
-            const response = await fetch('/api/auth/verify', {
+            let response = await fetch('/api/auth/verify', {
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${this.token}`
                 }
             });
 
+            // Access tokens are short-lived; try once to refresh before giving up
+            if (response.status === 401 && await this.refreshSession()) {
+                response = await fetch('/api/auth/verify', {
+                    method: 'GET',
+                    headers: {
+                        'Authorization': `Bearer ${this.token}`
+                    }
+                });
+            }
+
             const data = await response.json();
 
             if (!response.ok) {
@@ -157,10 +184,44 @@ class AuthManager {
         }
     }
 
+    // Exchange the refresh token for a new token pair
+    async refreshSession() {
+        if (!this.refreshToken) {
+            return false;
+        }
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ refresh_token: this.refreshToken })
+            });
+
+            if (!response.ok) {
+                return false;
+            }
+
+            const data = await response.json();
+            this.currentUser = data.user;
+            this.token = data.token;
+            this.refreshToken = data.refresh_token;
+            this.saveUserToStorage();
+            return true;
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            return false;
+        }
+    }
+
     saveUserToStorage() {
         try {
             localStorage.setItem('promptHero_user', JSON.stringify(this.currentUser));
             localStorage.setItem('promptHero_token', this.token);
+            if (this.refreshToken) {
+                localStorage.setItem('promptHero_refreshToken', this.refreshToken);
+            }
         } catch (error) {
             console.error('Error saving user to storage:', error);
         }
@@ -268,15 +329,20 @@ class AuthManager {
             throw new Error('User not authenticated');
         }
 
-        const defaultOptions = {
+        const withAuth = () => ({
+            ...options,
             headers: {
                 'Authorization': `Bearer ${this.token}`,
                 'Content-Type': 'application/json',
                 ...options.headers
             }
-        };
+        });
 
-        return fetch(url, { ...options, ...defaultOptions });
+        const response = await fetch(url, withAuth());
+        if (response.status === 401 && await this.refreshSession()) {
+            return fetch(url, withAuth());
+        }
+        return response;
     }
 }
 
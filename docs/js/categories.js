@@ -0,0 +1,68 @@
+// Prompt Categories - the category list from /api/categories
+// Fetched once per page and shared by the filter chips, the search filters and
+// the submit forms, so a category added by a moderator shows up everywhere.
+
+class PromptCategories {
+    static load() {
+        if (!PromptCategories.request) {
+            PromptCategories.request = fetch('/api/categories')
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => data.categories)
+                .catch(error => {
+                    console.error('Error loading categories:', error);
+                    // Let the next caller try again
+                    PromptCategories.request = null;
+                    return [];
+                });
+        }
+        return PromptCategories.request;
+    }
+
+    // A chip per category, after the chips that are always there ("All", "For you")
+    static async renderChips(container, { active = 'all' } = {}) {
+        const categories = await PromptCategories.load();
+        const escape = PromptCategories.escapeHtml;
+
+        container.querySelectorAll('[data-category-chip]').forEach(chip => chip.remove());
+        container.insertAdjacentHTML('beforeend', categories.map(category => `
+            <button class="filter-chip ${category.slug === active ? 'active' : ''}" data-category="${escape(category.slug)}"
+                    data-category-chip title="${escape(category.description)}">
+                <span class="filter-chip-icon">${escape(category.icon)}</span>
+                ${escape(category.name)}
+                <span class="filter-chip-count">${category.prompt_count}</span>
+            </button>
+        `).join(''));
+        return categories;
+    }
+
+    // An <option> per category, after the select's placeholder option
+    static async renderOptions(select, { selected = select.value } = {}) {
+        const categories = await PromptCategories.load();
+
+        select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        categories.forEach(category => {
+            select.add(new Option(category.name, category.slug, false, category.slug === selected));
+        });
+        return categories;
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+PromptCategories.request = null;
+
+if (typeof window !== 'undefined') {
+    window.PromptCategories = PromptCategories;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptCategories;
+}
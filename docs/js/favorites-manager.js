@@ -12,6 +12,20 @@ class FavoritesManager {
         this.loadCollectionsFromStorage();
         this.updateFavoritesUI();
         this.setupEventListeners();
+
+        if (window.authManager && window.authManager.isAuthenticated) {
+            this.handleLogin(window.authManager.currentUser);
+        }
+    }
+
+    // Pull server state (pushing local-only collections first) once a user is known
+    async handleLogin(user) {
+        if (!user) return;
+        this.setCurrentUser(user);
+        await Promise.all([
+            this.loadFavoritesFromAPI(),
+            this.loadCollectionsFromAPI()
+        ]);
     }
 
     // Load favorites from localStorage
@@ -76,6 +90,16 @@ class FavoritesManager {
                 }
             }
         });
+
+        // Sync with the server on login, fall back to local-only on logout
+        document.addEventListener('authStateChanged', (e) => {
+            const { type, user } = e.detail || {};
+            if (type === 'loggedIn' || type === 'registered') {
+                this.handleLogin(user);
+            } else if (type === 'loggedOut') {
+                this.setCurrentUser(null);
+            }
+        });
     }
 
     // Toggle favorite status
@@ -113,15 +137,11 @@ class FavoritesManager {
         }
     }
 
-    // Add favorite to API
+    // Add favorite to API (the server takes the user from the auth token)
     async addFavoriteToAPI(promptId) {
-        const response = await fetch('/api/favorites', {
+        const response = await window.authManager.authenticatedFetch('/api/favorites', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
             body: JSON.stringify({
-                user_id: this.currentUser.id,
                 prompt_id: promptId
             })
         });
@@ -133,11 +153,12 @@ class FavoritesManager {
 
     // Remove favorite from API
     async removeFavoriteFromAPI(promptId) {
-        const response = await fetch(`/api/favorites?user_id=${this.currentUser.id}&prompt_id=${promptId}`, {
+        const response = await window.authManager.authenticatedFetch(`/api/favorites/${encodeURIComponent(promptId)}`, {
             method: 'DELETE'
         });
 
-        if (!response.ok) {
+        // 404 means it was already gone server-side
+        if (!response.ok && response.status !== 404) {
             throw new Error('Failed to remove favorite');
         }
     }
@@ -238,7 +259,7 @@ class FavoritesManager {
     }
 
     // Toggle prompt in collection
-    togglePromptInCollection(collectionId, promptId) {
+    async togglePromptInCollection(collectionId, promptId) {
         const collection = this.collections.find(c => c.id === collectionId);
         if (!collection) return;
 
@@ -247,7 +268,22 @@ class FavoritesManager {
         }
 
         const hasPrompt = collection.prompts.includes(promptId);
-        
+
+        try {
+            // Collections that came from the server have an owner; local ones sync on next login
+            if (this.currentUser && collection.owner_id) {
+                if (hasPrompt) {
+                    await this.removePromptFromCollectionAPI(collectionId, promptId);
+                } else {
+                    await this.addPromptToCollectionAPI(collectionId, promptId);
+                }
+            }
+        } catch (error) {
+            console.error('Error updating collection:', error);
+            this.showNotification('Failed to update collection', 'error');
+            return;
+        }
+
         if (hasPrompt) {
             collection.prompts = collection.prompts.filter(id => id !== promptId);
             this.showNotification('Removed from collection', 'info');
@@ -266,7 +302,7 @@ class FavoritesManager {
     }
 
     // Create new collection
-    createCollection(event, promptId) {
+    async createCollection(event, promptId) {
         const formData = new FormData(event.target);
         const name = formData.get('name').trim();
         const description = formData.get('description').trim();
@@ -276,7 +312,7 @@ class FavoritesManager {
             return;
         }
 
-        const newCollection = {
+        let newCollection = {
             id: this.generateId(),
             name: name,
             description: description,
@@ -285,6 +321,15 @@ class FavoritesManager {
             is_public: true
         };
 
+        if (this.currentUser) {
+            try {
+                newCollection = await this.createCollectionInAPI(newCollection);
+            } catch (error) {
+                // Keep it locally; it is pushed by syncCollectionsToAPI on next login
+                console.error('Error creating collection in API:', error);
+            }
+        }
+
         this.collections.push(newCollection);
         this.saveCollectionsToStorage();
         
@@ -348,7 +393,7 @@ class FavoritesManager {
         if (!this.currentUser) return;
 
         try {
-            const response = await fetch(`/api/favorites?user_id=${this.currentUser.id}`);
+            const response = await window.authManager.authenticatedFetch('/api/favorites?limit=100');
             if (response.ok) {
                 const data = await response.json();
                 this.favorites = data.favorites.map(fav => fav.prompt_id);
@@ -366,16 +411,100 @@ class FavoritesManager {
         if (!this.currentUser) return;
 
         try {
-            const response = await fetch(`/api/collections?user_id=${this.currentUser.id}`);
+            await this.syncCollectionsToAPI();
+
+            const response = await window.authManager.authenticatedFetch(
+                `/api/collections?user_id=${encodeURIComponent(this.currentUser.id)}&public_only=false&limit=100`
+            );
             if (response.ok) {
                 const data = await response.json();
-                this.collections = data.collections;
+                this.collections = data.collections.map(collection => this.fromAPICollection(collection));
                 this.saveCollectionsToStorage();
             }
         } catch (error) {
             console.error('Error loading collections from API:', error);
         }
     }
+
+    // Push collections that only exist in localStorage (no owner_id yet)
+    async syncCollectionsToAPI() {
+        const localOnly = this.collections.filter(collection => !collection.owner_id);
+        if (localOnly.length === 0) return;
+
+        const response = await window.authManager.authenticatedFetch('/api/collections/sync', {
+            method: 'POST',
+            body: JSON.stringify({
+                collections: localOnly.map(collection => ({
+                    client_id: collection.id,
+                    name: collection.name,
+                    description: collection.description || '',
+                    is_public: collection.is_public !== false,
+                    prompts: collection.prompts || []
+                }))
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to sync collections');
+        }
+    }
+
+    // Create a collection server-side and add its first prompt
+    async createCollectionInAPI(collection) {
+        const response = await window.authManager.authenticatedFetch('/api/collections', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: collection.name,
+                description: collection.description,
+                is_public: collection.is_public
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to create collection');
+        }
+
+        const data = await response.json();
+        const created = this.fromAPICollection(data.collection);
+        for (const promptId of collection.prompts) {
+            try {
+                await this.addPromptToCollectionAPI(created.id, promptId);
+                created.prompts.push(promptId);
+            } catch (error) {
+                console.error('Error adding prompt to collection:', error);
+            }
+        }
+        return created;
+    }
+
+    async addPromptToCollectionAPI(collectionId, promptId) {
+        const response = await window.authManager.authenticatedFetch(`/api/collections/${encodeURIComponent(collectionId)}/prompts`, {
+            method: 'POST',
+            body: JSON.stringify({ prompt_id: promptId })
+        });
+
+        // 409 means it was already in the collection server-side
+        if (!response.ok && response.status !== 409) {
+            throw new Error('Failed to add prompt to collection');
+        }
+    }
+
+    async removePromptFromCollectionAPI(collectionId, promptId) {
+        const response = await window.authManager.authenticatedFetch(
+            `/api/collections/${encodeURIComponent(collectionId)}/prompts/${encodeURIComponent(promptId)}`,
+            { method: 'DELETE' }
+        );
+
+        if (!response.ok && response.status !== 404) {
+            throw new Error('Failed to remove prompt from collection');
+        }
+    }
+
+    // Server rows carry ordered prompt_ids; the UI works with `prompts`
+    fromAPICollection(collection) {
+        const { prompt_ids, ...rest } = collection;
+        return { ...rest, prompts: prompt_ids ? [...prompt_ids] : [] };
+    }
 }
 
 // Initialize Favorites Manager when DOM is loaded
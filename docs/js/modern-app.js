@@ -25,6 +25,7 @@ class PromptApp {
 
   async init() {
     this.setupEventHandlers();
+    this.loadCategories();
     await this.loadPrompts();
     this.updateStats();
   }
@@ -39,15 +40,16 @@ class PromptApp {
       }, 300));
     }
 
-    // Filter chips
-    const filterChips = document.querySelectorAll('.filter-chip');
-    filterChips.forEach(chip => {
-      chip.addEventListener('click', (e) => {
+    // Filter chips; the category chips are added once /api/categories loads
+    const filterChips = document.getElementById('filterChips');
+    if (filterChips) {
+      filterChips.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
         e.preventDefault();
-        const category = chip.dataset.category;
-        this.setCategory(category);
+        this.setCategory(chip.dataset.category);
       });
-    });
+    }
 
     // Sort dropdown
     const sortSelect = document.getElementById('sortSelect');
@@ -72,13 +74,9 @@ class PromptApp {
     this.showLoading(true);
 
     try {
-      const params = new URLSearchParams({
-        page: this.pagination.page,
-        limit: this.pagination.limit,
-        ...this.filters
-      });
-
-      const response = await fetch(`/api/prompts?${params}`);
+      const response = this.isFeedSelected()
+        ? await this.fetchFeed()
+        : await fetch(`/api/prompts?${this.promptQuery()}`);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -101,6 +99,45 @@ class PromptApp {
     }
   }
 
+  // "For you" shows the personalized feed; a search still searches everything
+  isFeedSelected() {
+    return this.filters.category === 'for-you' && !this.filters.search;
+  }
+
+  promptQuery() {
+    const filters = { ...this.filters };
+    if (filters.category === 'for-you') filters.category = 'all';
+    return new URLSearchParams({
+      page: this.pagination.page,
+      limit: this.pagination.limit,
+      ...filters
+    });
+  }
+
+  // Signed-in users get their own feed; everyone else gets trending prompts
+  fetchFeed() {
+    const params = new URLSearchParams({
+      page: this.pagination.page,
+      limit: this.pagination.limit
+    });
+    const token = this.getAuthToken();
+    const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+    return fetch(`/api/feed?${params}`, { headers });
+  }
+
+  getAuthToken() {
+    return window.authManager ? window.authManager.getToken() : localStorage.getItem('promptHero_token');
+  }
+
+  // Category chips and the submit form's category options come from /api/categories
+  async loadCategories() {
+    const filterChips = document.getElementById('filterChips');
+    if (filterChips) await PromptCategories.renderChips(filterChips, { active: this.filters.category });
+
+    const categorySelect = document.getElementById('promptCategory');
+    if (categorySelect) await PromptCategories.renderOptions(categorySelect);
+  }
+
   setCategory(category) {
     // Update active filter chip
     document.querySelectorAll('.filter-chip').forEach(chip => {
@@ -152,8 +189,12 @@ class PromptApp {
           </div>
         </div>
         
+        ${prompt.feed_reason ? `<p class="feed-reason">${this.escapeHtml(this.feedReasonText(prompt.feed_reason))}</p>` : ''}
         <h3 class="prompt-title">${this.escapeHtml(prompt.title)}</h3>
         <p class="prompt-description">${this.escapeHtml(prompt.description || '')}</p>
+        ${prompt.author_username ? `
+          <p class="prompt-author">by <a href="profile.html?user=${encodeURIComponent(prompt.author_username)}">@${this.escapeHtml(prompt.author_username)}</a></p>
+        ` : ''}
         
         ${prompt.tags && prompt.tags.length > 0 ? `
           <div class="prompt-tags">
@@ -178,6 +219,12 @@ class PromptApp {
               </svg>
             </button>
             
+            <button class="action-btn report-btn" data-action="report" title="Report prompt">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M14.4 6L14 4H5v17h2v-7h5.6l.4 2h7V6z"/>
+              </svg>
+            </button>
+            
             <button class="action-btn share-btn" data-action="share" title="Share prompt">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                 <path d="M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z"/>
@@ -189,6 +236,19 @@ class PromptApp {
     `;
   }
 
+  feedReasonText(reason) {
+    switch (reason.type) {
+      case 'followed_author':
+        return 'From an author you follow';
+      case 'followed_collection':
+        return reason.collection ? `New in ${reason.collection.name}` : 'New in a collection you follow';
+      case 'recommended':
+        return 'Because you liked similar prompts';
+      default:
+        return 'Trending';
+    }
+  }
+
   generateStars(rating) {
     const fullStars = Math.floor(rating);
     const hasHalfStar = rating % 1 >= 0.5;
@@ -233,15 +293,39 @@ class PromptApp {
       case 'share':
         this.sharePrompt(promptId);
         break;
+      case 'report':
+        await this.reportPrompt(promptId);
+        break;
+    }
+  }
+
+  async reportPrompt(promptId) {
+    const prompt = this.prompts.find(p => p.id === promptId);
+    if (!prompt || !window.ReportDialog) return;
+
+    const token = this.getAuthToken();
+    if (!token) {
+      this.showToast('Sign in to report prompts', 'info');
+      return;
     }
+
+    const report = await ReportDialog.open({ contentType: 'prompt', contentId: promptId, title: prompt.title, token });
+    if (report) this.showToast('Thanks, a moderator will review this prompt', 'success');
   }
 
   async copyPrompt(promptId) {
     const prompt = this.prompts.find(p => p.id === promptId);
     if (!prompt) return;
 
+    // Prompts with template variables are filled in before copying
+    let text = prompt.content;
+    if (window.PromptVariables && PromptVariables.forPrompt(prompt).length > 0) {
+      text = await PromptVariables.showFillModal(prompt);
+      if (text === null) return;
+    }
+
     try {
-      await navigator.clipboard.writeText(prompt.content);
+      await navigator.clipboard.writeText(text);
       
       // Visual feedback
       const button = document.querySelector(`[data-prompt-id="${promptId}"] .copy-button`);
@@ -354,20 +438,15 @@ class PromptApp {
                 <label for="promptCategory">Category *</label>
                 <select id="promptCategory" name="category" required>
                   <option value="">Select a category</option>
-                  <option value="development">Development</option>
-                  <option value="creative">Creative</option>
-                  <option value="business">Business</option>
-                  <option value="education">Education</option>
-                  <option value="research">Research</option>
-                  <option value="technical">Technical</option>
                 </select>
               </div>
 
               <div class="form-group">
                 <label for="promptDifficulty">Difficulty Level</label>
                 <select id="promptDifficulty" name="difficulty_level">
+                  <option value="" selected>Automatic (guessed from the prompt)</option>
                   <option value="beginner">Beginner</option>
-                  <option value="intermediate" selected>Intermediate</option>
+                  <option value="intermediate">Intermediate</option>
                   <option value="advanced">Advanced</option>
                 </select>
               </div>
@@ -380,6 +459,9 @@ class PromptApp {
               <div class="form-help">Use relevant keywords to help others find your prompt</div>
             </div>
 
+            <div class="lint-panel" id="submitLint" aria-live="polite" hidden></div>
+            <div class="duplicate-panel" id="submitDuplicates" aria-live="polite" hidden></div>
+
             <div class="form-actions">
               <button type="button" class="btn btn-secondary" onclick="document.getElementById('submitModal').style.display='none'">
                 Cancel
@@ -409,6 +491,13 @@ class PromptApp {
 
   async handleSubmitForm(e) {
     e.preventDefault();
+
+    // Prompts are published under the submitter's account
+    const token = this.getAuthToken();
+    if (!token) {
+      this.showToast('Sign in to submit prompts', 'info');
+      return;
+    }
     
     const formData = new FormData(e.target);
     const data = Object.fromEntries(formData.entries());
@@ -418,25 +507,38 @@ class PromptApp {
       data.tags = data.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
     }
 
+    // Set by "Publish anyway" after the API reported likely duplicates
+    data.allow_duplicate = this.allowDuplicate === true;
+    this.allowDuplicate = false;
+
     try {
       const response = await fetch('/api/prompts', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
         },
         body: JSON.stringify(data)
       });
 
+      const result = await response.json();
+
+      if (response.status === 409 && result.duplicates) {
+        this.renderSubmitDuplicates(e.target, result.duplicates);
+        this.showToast('A similar prompt already exists', 'info');
+        return;
+      }
+
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to submit prompt');
+        this.renderSubmitLint(result.lint);
+        throw new Error(result.errors?.[0]?.message || result.error || 'Failed to submit prompt');
       }
 
-      const result = await response.json();
-      
       this.showToast('Prompt submitted successfully!', 'success');
       document.getElementById('submitModal').style.display = 'none';
       e.target.reset();
+      this.renderSubmitLint(null);
+      this.renderSubmitDuplicates(e.target, []);
       
       // Refresh prompts to show the new one
       await this.loadPrompts();
@@ -447,6 +549,61 @@ class PromptApp {
     }
   }
 
+  // Lint results of a rejected submission: errors block publishing, the rest is advice
+  renderSubmitLint(result) {
+    const panel = document.getElementById('submitLint');
+    if (!result) {
+      panel.hidden = true;
+      panel.innerHTML = '';
+      return;
+    }
+
+    const level = result.score >= 80 ? 'good' : result.score >= 50 ? 'fair' : 'poor';
+    panel.hidden = false;
+    panel.innerHTML = `
+      <div class="lint-score ${level}">Quality score: <strong>${result.score}</strong>/100</div>
+      <ul class="lint-warnings">
+        ${result.warnings.map(warning => `
+          <li class="lint-warning ${warning.severity}">
+            ${warning.line ? `<span class="lint-line">Line ${warning.line}</span>` : ''}
+            ${this.escapeHtml(warning.message)}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  // Existing prompts the API matched, with a way to publish anyway
+  renderSubmitDuplicates(form, duplicates) {
+    const panel = document.getElementById('submitDuplicates');
+    if (duplicates.length === 0) {
+      panel.hidden = true;
+      panel.innerHTML = '';
+      return;
+    }
+
+    panel.hidden = false;
+    panel.innerHTML = `
+      <div class="duplicate-title">This looks like ${duplicates.length === 1 ? 'a prompt that already exists' : 'prompts that already exist'}</div>
+      <ul class="duplicate-list">
+        ${duplicates.map(duplicate => `
+          <li>
+            <a href="/?prompt=${encodeURIComponent(duplicate.id)}" target="_blank" rel="noopener">${this.escapeHtml(duplicate.title)}</a>
+            ${duplicate.author_username ? `by ${this.escapeHtml(duplicate.author_username)}` : ''}
+            <span class="duplicate-similarity">${Math.round(duplicate.similarity * 100)}% similar</span>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="form-help">Consider linking to or forking the existing prompt instead of publishing a copy.</div>
+      <button type="button" class="btn btn-secondary duplicate-submit">Publish anyway</button>
+    `;
+
+    panel.querySelector('.duplicate-submit').addEventListener('click', () => {
+      this.allowDuplicate = true;
+      form.requestSubmit();
+    });
+  }
+
   updateStats() {
     const promptCount = document.getElementById('promptCount');
     if (promptCount && this.prompts.length > 0) {
@@ -0,0 +1,150 @@
+// Notification Bell - the signed-in user's inbox from /api/notifications
+// Shows the unread count on a bell in the nav; opening it lists the newest
+// notifications. Clicking one marks it read and opens the prompt it is about.
+
+const NOTIFICATION_TEXT = {
+    new_prompt: (actor, title) => `${actor} published "${title}"`,
+    comment_reply: (actor, title) => `${actor} replied to your comment on "${title}"`,
+    prompt_rating: (actor, title, rating) => `${actor} rated "${title}" ${'★'.repeat(rating || 0)}`
+};
+
+class NotificationBell {
+    static mount(container, { token, limit = 10 }) {
+        const bell = new NotificationBell(token, limit);
+        container.appendChild(bell.element);
+        bell.refresh();
+        return bell;
+    }
+
+    constructor(token, limit) {
+        this.token = token;
+        this.limit = limit;
+        this.notifications = [];
+
+        this.element = document.createElement('div');
+        this.element.className = 'notification-bell';
+        this.element.innerHTML = `
+            <button type="button" class="notification-toggle" aria-haspopup="true" aria-expanded="false" aria-label="Notifications">
+                🔔<span class="notification-count" hidden></span>
+            </button>
+            <div class="notification-panel" hidden>
+                <div class="notification-panel-header">
+                    <strong>Notifications</strong>
+                    <button type="button" class="notification-read-all">Mark all read</button>
+                </div>
+                <ul class="notification-list"></ul>
+            </div>
+        `;
+
+        this.toggle = this.element.querySelector('.notification-toggle');
+        this.panel = this.element.querySelector('.notification-panel');
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.hidden));
+        this.element.querySelector('.notification-read-all').addEventListener('click', () => this.markAllRead());
+        this.element.querySelector('.notification-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-notification-id]');
+            if (item) this.open(item.dataset.notificationId);
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.element.contains(e.target)) this.setOpen(false);
+        });
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.token}`,
+                ...(options.headers || {})
+            }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load notifications');
+        return data;
+    }
+
+    async refresh() {
+        try {
+            const data = await this.request(`/api/notifications?limit=${this.limit}`);
+            this.notifications = data.notifications;
+            this.render(data.unread_count);
+        } catch (error) {
+            console.error('Error loading notifications:', error);
+        }
+    }
+
+    setOpen(open) {
+        this.panel.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+        if (open) this.refresh();
+    }
+
+    render(unreadCount) {
+        const count = this.element.querySelector('.notification-count');
+        count.hidden = unreadCount === 0;
+        count.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+
+        const escape = NotificationBell.escapeHtml;
+        const list = this.element.querySelector('.notification-list');
+        list.innerHTML = this.notifications.length ? this.notifications.map(notification => `
+            <li class="notification-item ${notification.read ? '' : 'unread'}" data-notification-id="${escape(notification.id)}">
+                <span class="notification-text">${escape(NotificationBell.describe(notification))}</span>
+                <time datetime="${escape(notification.created_at)}">${new Date(notification.created_at).toLocaleDateString()}</time>
+            </li>
+        `).join('') : '<li class="notification-empty">You\'re all caught up</li>';
+    }
+
+    async open(id) {
+        const notification = this.notifications.find(n => n.id === id);
+        if (!notification) return;
+
+        if (!notification.read) {
+            try {
+                await this.request(`/api/notifications/${encodeURIComponent(id)}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ read: true })
+                });
+            } catch (error) {
+                console.error('Error marking notification read:', error);
+            }
+        }
+
+        if (notification.prompt) {
+            window.location.href = `index.html?prompt=${encodeURIComponent(notification.prompt.id)}`;
+        } else {
+            this.refresh();
+        }
+    }
+
+    async markAllRead() {
+        try {
+            await this.request('/api/notifications/read-all', { method: 'POST' });
+            this.notifications = this.notifications.map(notification => ({ ...notification, read: true }));
+            this.render(0);
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+        }
+    }
+
+    static describe(notification) {
+        const actor = notification.actor ? `@${notification.actor.username}` : 'Someone';
+        const title = notification.prompt ? notification.prompt.title : 'a prompt';
+        const text = NOTIFICATION_TEXT[notification.type];
+        return text ? text(actor, title, notification.rating) : `New activity from ${actor}`;
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.NotificationBell = NotificationBell;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationBell;
+}
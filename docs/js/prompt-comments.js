@@ -0,0 +1,257 @@
+// Prompt Comments - the threaded comment section under a prompt's detail view
+// Talks to /api/prompts/:id/comments. Nothing is fetched until the section scrolls
+// into view; after that, "Load more" pages through the top-level threads. The
+// server sends each comment as escaped HTML (content_html) along with what the
+// current user may do with it, so this class only decides layout.
+
+class PromptComments {
+    constructor(container, promptId) {
+        this.container = container;
+        this.promptId = promptId;
+        this.page = 0;
+        this.totalPages = 1;
+        this.loading = false;
+
+        this.container.classList.add('prompt-comments');
+        this.container.innerHTML = `
+            <h4>Comments <span class="comment-total"></span></h4>
+            <form class="comment-form comment-new">
+                <textarea name="content" rows="3" maxlength="5000" placeholder="Add a comment (Markdown supported)" aria-label="Add a comment"></textarea>
+                <button type="submit" class="comment-submit">Comment</button>
+            </form>
+            <div class="comment-list" aria-live="polite"></div>
+            <button type="button" class="comment-load-more" hidden>Load more comments</button>
+        `;
+        this.list = this.container.querySelector('.comment-list');
+        this.loadMoreButton = this.container.querySelector('.comment-load-more');
+
+        this.container.addEventListener('click', event => this.handleClick(event));
+        this.container.addEventListener('submit', event => this.handleSubmit(event));
+    }
+
+    // Load the first page once the container is on screen
+    static lazy(container, promptId) {
+        const comments = new PromptComments(container, promptId);
+        if (typeof IntersectionObserver === 'undefined') {
+            comments.loadMore();
+            return comments;
+        }
+        const observer = new IntersectionObserver(entries => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+            observer.disconnect();
+            comments.loadMore();
+        }, { rootMargin: '200px' });
+        observer.observe(container);
+        return comments;
+    }
+
+    getToken() {
+        if (window.authManager && window.authManager.getToken()) return window.authManager.getToken();
+        return localStorage.getItem('promptHero_token');
+    }
+
+    async request(path, options = {}) {
+        const token = this.getToken();
+        const headers = { ...(options.body ? { 'Content-Type': 'application/json' } : {}) };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const res = await fetch(`/api/prompts/${encodeURIComponent(this.promptId)}/comments${path}`, { ...options, headers });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            const detail = data.errors && data.errors.length ? data.errors[0].message : data.error;
+            throw new Error(detail || 'Something went wrong');
+        }
+        return data;
+    }
+
+    async loadMore() {
+        if (this.loading || this.page >= this.totalPages) return;
+        this.loading = true;
+        this.loadMoreButton.disabled = true;
+        try {
+            const data = await this.request(`?page=${this.page + 1}`);
+            this.page = data.pagination.page;
+            this.totalPages = data.pagination.totalPages;
+            this.list.insertAdjacentHTML('beforeend', data.comments.map(comment => this.renderComment(comment)).join(''));
+            this.container.querySelector('.comment-total').textContent = data.total_comments ? `(${data.total_comments})` : '';
+            if (!this.list.children.length) {
+                this.list.innerHTML = '<p class="comment-empty">No comments yet. Start the conversation.</p>';
+            }
+        } catch (error) {
+            this.showError(this.list, error.message);
+        } finally {
+            this.loading = false;
+            this.loadMoreButton.disabled = false;
+            this.loadMoreButton.hidden = this.page >= this.totalPages;
+        }
+    }
+
+    renderComment(comment) {
+        const escape = PromptComments.escapeHtml;
+        let body;
+        if (comment.status === 'deleted') body = '<p class="comment-removed">[deleted]</p>';
+        else if (comment.status === 'hidden') body = '<p class="comment-removed">[removed by a moderator]</p>';
+        else body = `<div class="comment-body">${comment.content_html}</div>`;
+
+        const author = comment.author
+            ? `<a class="comment-author" href="profile.html?user=${encodeURIComponent(comment.author.username)}">${escape(comment.author.display_name)}</a>`
+            : '';
+        const actions = [
+            comment.can_reply ? '<button type="button" data-comment-action="reply">Reply</button>' : '',
+            comment.can_edit ? '<button type="button" data-comment-action="edit">Edit</button>' : '',
+            comment.can_delete ? '<button type="button" data-comment-action="delete">Delete</button>' : '',
+            comment.status === 'visible' && !comment.can_edit && !comment.can_delete
+                ? '<button type="button" data-comment-action="report">Report</button>'
+                : ''
+        ].join('');
+
+        return `
+            <article class="comment comment-${comment.status}" data-comment-id="${comment.id}">
+                <header class="comment-meta">
+                    ${author}
+                    <time datetime="${escape(comment.created_at)}">${new Date(comment.created_at).toLocaleString()}</time>
+                    ${comment.edited_at ? '<span class="comment-edited">(edited)</span>' : ''}
+                </header>
+                ${body}
+                ${comment.content !== null ? `<textarea class="comment-source" hidden>${escape(comment.content)}</textarea>` : ''}
+                <div class="comment-actions">${actions}</div>
+                <div class="comment-replies">${comment.replies.map(reply => this.renderComment(reply)).join('')}</div>
+            </article>
+        `;
+    }
+
+    async handleClick(event) {
+        if (event.target === this.loadMoreButton) {
+            this.loadMore();
+            return;
+        }
+
+        const button = event.target.closest('[data-comment-action]');
+        if (!button) return;
+        const article = button.closest('.comment');
+        const commentId = article.dataset.commentId;
+
+        switch (button.dataset.commentAction) {
+            case 'reply':
+                this.openForm(article, 'reply', '');
+                break;
+            case 'edit':
+                this.openForm(article, 'edit', article.querySelector(':scope > .comment-source').value);
+                break;
+            case 'cancel':
+                button.closest('.comment-form').remove();
+                break;
+            case 'delete':
+                if (!confirm('Delete this comment? Replies to it will stay.')) return;
+                try {
+                    await this.request(`/${encodeURIComponent(commentId)}`, { method: 'DELETE' });
+                    article.classList.remove('comment-visible', 'comment-hidden');
+                    article.classList.add('comment-deleted');
+                    article.querySelector(':scope > .comment-body, :scope > .comment-removed').outerHTML = '<p class="comment-removed">[deleted]</p>';
+                    article.querySelector(':scope > .comment-meta .comment-author')?.remove();
+                    article.querySelector(':scope > .comment-source')?.remove();
+                    article.querySelector(':scope > .comment-actions').innerHTML = '';
+                } catch (error) {
+                    this.showError(article, error.message);
+                }
+                break;
+            case 'report': {
+                const token = this.getToken();
+                if (!token) {
+                    this.showError(article, 'Sign in to report comments');
+                    return;
+                }
+                const report = await ReportDialog.open({ contentType: 'comment', contentId: commentId, token });
+                if (report) button.replaceWith(Object.assign(document.createElement('span'), { className: 'comment-reported', textContent: 'Reported' }));
+                break;
+            }
+        }
+    }
+
+    openForm(article, mode, text) {
+        article.querySelector(':scope > .comment-form')?.remove();
+        const form = document.createElement('form');
+        form.className = `comment-form comment-${mode}`;
+        form.innerHTML = `
+            <textarea name="content" rows="3" maxlength="5000" aria-label="${mode === 'edit' ? 'Edit comment' : 'Reply'}"></textarea>
+            <button type="submit" class="comment-submit">${mode === 'edit' ? 'Save' : 'Reply'}</button>
+            <button type="button" data-comment-action="cancel">Cancel</button>
+        `;
+        form.elements.content.value = text;
+        article.querySelector(':scope > .comment-actions').after(form);
+        form.elements.content.focus();
+    }
+
+    async handleSubmit(event) {
+        event.preventDefault();
+        const form = event.target;
+        const content = form.elements.content.value.trim();
+        if (!content) return;
+        if (!this.getToken()) {
+            this.showError(form, 'Sign in to join the conversation');
+            return;
+        }
+
+        const article = form.closest('.comment');
+        const submit = form.querySelector('.comment-submit');
+        submit.disabled = true;
+        try {
+            if (form.classList.contains('comment-edit')) {
+                const { comment } = await this.request(`/${encodeURIComponent(article.dataset.commentId)}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ content })
+                });
+                // Edits don't move the comment, so it keeps its place (and depth) in the thread
+                const canReply = Boolean(article.querySelector(':scope > .comment-actions [data-comment-action="reply"]'));
+                const replies = article.querySelector(':scope > .comment-replies').innerHTML;
+                article.outerHTML = this.renderComment({ ...comment, can_reply: canReply, replies: [] }).replace(
+                    '<div class="comment-replies"></div>',
+                    `<div class="comment-replies">${replies}</div>`
+                );
+                return;
+            }
+
+            const { comment } = await this.request('', {
+                method: 'POST',
+                body: JSON.stringify(article ? { content, parent_id: article.dataset.commentId } : { content })
+            });
+            const html = this.renderComment(comment);
+            if (article) {
+                article.querySelector(':scope > .comment-replies').insertAdjacentHTML('beforeend', html);
+                form.remove();
+            } else {
+                this.list.querySelector('.comment-empty')?.remove();
+                this.list.insertAdjacentHTML('afterbegin', html);
+                form.reset();
+            }
+        } catch (error) {
+            this.showError(form, error.message);
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    showError(anchor, message) {
+        const existing = anchor.querySelector(':scope > .comment-error');
+        const error = existing || document.createElement('p');
+        error.className = 'comment-error';
+        error.setAttribute('role', 'alert');
+        error.textContent = message;
+        if (!existing) anchor.appendChild(error);
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PromptComments = PromptComments;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptComments;
+}
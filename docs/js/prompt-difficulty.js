@@ -0,0 +1,107 @@
+// Prompt Difficulty - guesses a prompt's difficulty_level from its text
+// Used by POST /api/prompts (through api/lib/difficulty.js) for prompts submitted
+// without a difficulty, and by the component migration. Each feature adds points:
+// length, template variables, how much structure the prompt asks for, specialist
+// vocabulary and hard constraints. Words aimed at newcomers take points away. The
+// total picks the level.
+// `npm run difficulty:report` compares the guesses with the curated prompts.
+
+// Only loaded in Node so far, where it requires these; a page would load
+// js/prompt-tokens.js and js/prompt-variables.js before it
+const DifficultyTokens = typeof PromptTokens !== 'undefined' ? PromptTokens : require('./prompt-tokens.js');
+const DifficultyVariables = typeof PromptVariables !== 'undefined' ? PromptVariables : require('./prompt-variables.js');
+
+// Highest score for each level, easiest first; anything above the last is advanced
+const DIFFICULTY_LEVELS = [
+    { level: 'beginner', maxScore: 2 },
+    { level: 'intermediate', maxScore: 5 }
+];
+
+// Content tokens at which a prompt earns a point for length
+const DIFFICULTY_LENGTH_STEPS = [250, 600, 1200];
+
+// Distinct template variables at which a prompt earns a point
+const DIFFICULTY_VARIABLE_STEPS = [4, 7];
+
+// Specialist terms, matched at the start of a word ("optimi" finds "optimize" and
+// "optimization"); each distinct term earns a point, up to four
+const EXPERT_TERMS = [
+    'algorithm', 'architect', 'asynchronous', 'authoriz', 'benchmark', 'bottleneck', 'caching',
+    'compliance', 'concurren', 'cryptograph', 'disaster recovery', 'distributed', 'embedding',
+    'encryption', 'execution plan', 'feature engineering', 'fine-tun', 'hypothes', 'index',
+    'kubernetes', 'latency', 'literature review', 'load balanc', 'machine learning',
+    'methodolog', 'microservice', 'optimi', 'orchestrat', 'outlier', 'profiling', 'refactor',
+    'regression', 'sampling', 'scalab', 'schema', 'shard', 'significance', 'statistic',
+    'theoretical', 'threat model', 'throughput', 'transaction', 'vulnerab'
+];
+
+// Words aimed at newcomers, and ready-to-use material (checklists, templates, quizzes)
+// rather than analysis; each distinct one takes a point away, up to three. Template
+// prompts for everyday tasks are as long and structured as specialist ones, so
+// without these they never come out as beginner
+const BEGINNER_TERMS = [
+    'basic', 'beginner', 'checklist', 'easy', 'eli5', 'explain like', 'first time', 'for kids',
+    'friendly', 'getting started', 'hello world', 'plain language', 'practice problem', 'quiz',
+    'sample question', 'simple', 'step by step', 'step-by-step', 'template'
+];
+
+const CONSTRAINT_PATTERN = /\b(must|never|always|exactly|ensure|do not|don't)\b/gi;
+
+class PromptDifficulty {
+    // 'beginner', 'intermediate' or 'advanced'
+    static classify(prompt = {}) {
+        return PromptDifficulty.analyze(prompt).level;
+    }
+
+    // { level, score, features }; features explain the score
+    static analyze(prompt = {}) {
+        const features = PromptDifficulty.features(prompt);
+        const score = PromptDifficulty.score(features);
+        const match = DIFFICULTY_LEVELS.find(({ maxScore }) => score <= maxScore);
+        return { level: match ? match.level : 'advanced', score, features };
+    }
+
+    // Vocabulary is read from the title and description too; the rest from the content
+    static features(prompt) {
+        const content = String(prompt.content || '');
+        const text = [prompt.title, prompt.description, content].filter(Boolean).join('\n').toLowerCase();
+        const lines = content.split('\n');
+
+        return {
+            tokens: DifficultyTokens.count(content),
+            variables: DifficultyVariables.parse(content).length,
+            sections: lines.filter(line => /^\s?(#{1,6}\s|\d+[.)]\s)/.test(line)).length,
+            listItems: lines.filter(line => /^\s*[-*•]\s/.test(line)).length,
+            codeBlocks: Math.floor((content.match(/```/g) || []).length / 2),
+            constraints: (content.match(CONSTRAINT_PATTERN) || []).length,
+            expertTerms: PromptDifficulty.findTerms(text, EXPERT_TERMS),
+            beginnerTerms: PromptDifficulty.findTerms(text, BEGINNER_TERMS)
+        };
+    }
+
+    static score(features) {
+        let score = 0;
+        score += DIFFICULTY_LENGTH_STEPS.filter(step => features.tokens >= step).length;
+        score += DIFFICULTY_VARIABLE_STEPS.filter(step => features.variables >= step).length;
+        if (features.sections >= 6) score++;
+        if (features.listItems >= 20) score++;
+        if (features.codeBlocks > 0) score++;
+        if (features.constraints >= 4) score++;
+        score += Math.min(4, features.expertTerms.length);
+        score -= Math.min(3, features.beginnerTerms.length);
+        return score;
+    }
+
+    static findTerms(text, terms) {
+        return terms.filter(term => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(text));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PromptDifficulty = PromptDifficulty;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptDifficulty;
+}
@@ -3,12 +3,19 @@ class PromptFormManager {
     constructor() {
         this.form = null;
         this.isSubmitting = false;
+        this.lintTimer = null;
+        this.tagTimer = null;
+        this.allowDuplicate = false;
         this.init();
     }
 
     init() {
         this.createForm();
         this.setupEventListeners();
+        // Category options come from /api/categories (js/categories.js)
+        if (typeof PromptCategories !== 'undefined') {
+            PromptCategories.renderOptions(document.getElementById('promptCategory'));
+        }
     }
 
     // Create the prompt submission form
@@ -49,7 +56,10 @@ class PromptFormManager {
                             ></textarea>
                             <div class="char-count">
                                 <span id="contentCount">0</span>/10,000
+                                <span class="token-count" id="contentTokens"></span>
                             </div>
+                            <div class="lint-panel" id="promptLint" aria-live="polite" hidden></div>
+                            <div class="duplicate-panel" id="promptDuplicates" aria-live="polite" hidden></div>
                         </div>
 
                         <div class="form-group">
@@ -71,20 +81,15 @@ class PromptFormManager {
                                 <label for="promptCategory">Category *</label>
                                 <select id="promptCategory" name="category" required>
                                     <option value="">Select a category</option>
-                                    <option value="development">Development</option>
-                                    <option value="creative">Creative</option>
-                                    <option value="business">Business</option>
-                                    <option value="education">Education</option>
-                                    <option value="research">Research</option>
-                                    <option value="technical">Technical</option>
                                 </select>
                             </div>
 
                             <div class="form-group">
                                 <label for="promptDifficulty">Difficulty Level</label>
                                 <select id="promptDifficulty" name="difficulty_level">
+                                    <option value="" selected>Automatic (guessed from the prompt)</option>
                                     <option value="beginner">Beginner</option>
-                                    <option value="intermediate" selected>Intermediate</option>
+                                    <option value="intermediate">Intermediate</option>
                                     <option value="advanced">Advanced</option>
                                 </select>
                             </div>
@@ -92,13 +97,19 @@ class PromptFormManager {
 
                         <div class="form-group">
                             <label for="promptTags">Tags</label>
-                            <input 
-                                type="text" 
-                                id="promptTags" 
-                                name="tags" 
-                                placeholder="Enter tags separated by commas (e.g., ai, coding, productivity)"
-                            >
-                            <div class="form-help">Separate multiple tags with commas</div>
+                            <div class="tag-autocomplete">
+                                <input 
+                                    type="text" 
+                                    id="promptTags" 
+                                    name="tags" 
+                                    autocomplete="off"
+                                    aria-autocomplete="list"
+                                    aria-controls="tagSuggestions"
+                                    placeholder="Enter tags separated by commas (e.g., ai, coding, productivity)"
+                                >
+                                <ul class="tag-suggestions" id="tagSuggestions" role="listbox" hidden></ul>
+                            </div>
+                            <div class="form-help">Separate multiple tags with commas; pick an existing tag where one fits</div>
                         </div>
 
                         <div class="form-group">
@@ -142,6 +153,12 @@ class PromptFormManager {
         
         // Real-time validation
         this.setupValidation();
+
+        // Warn about likely duplicates once the content is written
+        document.getElementById('promptContent').addEventListener('blur', () => this.checkDuplicates());
+
+        // Suggest existing tags so the same idea isn't tagged three different ways
+        this.setupTagAutocomplete();
     }
 
     // Setup character counters
@@ -160,6 +177,9 @@ class PromptFormManager {
             const count = contentInput.value.length;
             document.getElementById('contentCount').textContent = count;
             this.updateCharCountStyle('contentCount', count, 10000);
+            this.updateTokenCount(contentInput.value);
+            this.scheduleLint();
+            this.allowDuplicate = false;
         });
 
         descriptionInput.addEventListener('input', () => {
@@ -169,6 +189,22 @@ class PromptFormManager {
         });
     }
 
+    // Approximate tokens for the default model; the tooltip lists the other models
+    updateTokenCount(content) {
+        const element = document.getElementById('contentTokens');
+        if (typeof PromptTokens === 'undefined' || !content.trim()) {
+            element.textContent = '';
+            element.removeAttribute('title');
+            return;
+        }
+
+        const estimates = PromptTokens.estimate(content);
+        element.textContent = `· ~${estimates[PromptTokens.DEFAULT_MODEL].toLocaleString()} tokens`;
+        element.title = PromptTokens.models()
+            .map(model => `${model.label}: ~${estimates[model.id].toLocaleString()}`)
+            .join('\n');
+    }
+
     // Update character count styling
     updateCharCountStyle(elementId, count, max) {
         const element = document.getElementById(elementId);
@@ -183,6 +219,178 @@ class PromptFormManager {
         }
     }
 
+    // Re-lint shortly after typing stops
+    scheduleLint() {
+        clearTimeout(this.lintTimer);
+        this.lintTimer = setTimeout(() => this.renderLint(this.lintContent()), 300);
+    }
+
+    lintContent() {
+        if (typeof PromptLint === 'undefined') return null;
+        const content = document.getElementById('promptContent').value.trim();
+        return content ? PromptLint.lint({ content }) : null;
+    }
+
+    // Show the quality score and warnings from the client lint or a rejected submission
+    renderLint(result) {
+        const panel = document.getElementById('promptLint');
+        if (!result) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+
+        const level = result.score >= 80 ? 'good' : result.score >= 50 ? 'fair' : 'poor';
+        panel.hidden = false;
+        panel.innerHTML = `
+            <div class="lint-score ${level}">Quality score: <strong>${result.score}</strong>/100</div>
+            ${result.warnings.length ? `
+                <ul class="lint-warnings">
+                    ${result.warnings.map(warning => `
+                        <li class="lint-warning ${warning.severity}">
+                            ${warning.line ? `<span class="lint-line">Line ${warning.line}</span>` : ''}
+                            ${this.escapeHtml(warning.message)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<div class="lint-clean">No issues found</div>'}
+        `;
+    }
+
+    async checkDuplicates() {
+        const content = document.getElementById('promptContent').value.trim();
+        if (content.length < 50) {
+            this.renderDuplicates([]);
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/prompts/duplicates', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ content })
+            });
+            if (!response.ok) return;
+            const result = await response.json();
+            this.renderDuplicates(result.duplicates);
+        } catch (error) {
+            // The check only advises; submitting runs it again
+            console.warn('Duplicate check failed:', error);
+        }
+    }
+
+    setupTagAutocomplete() {
+        const input = document.getElementById('promptTags');
+        const list = document.getElementById('tagSuggestions');
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.tagTimer);
+            this.tagTimer = setTimeout(() => this.suggestTags(), 200);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (list.hidden) return;
+            if (e.key === 'Escape') {
+                this.renderTagSuggestions([]);
+            } else if (e.key === 'Enter') {
+                // Enter takes the top suggestion instead of submitting the form
+                e.preventDefault();
+                this.chooseTag(list.querySelector('[data-tag]').dataset.tag);
+            }
+        });
+        input.addEventListener('blur', () => this.renderTagSuggestions([]));
+        // mousedown fires before the input loses focus and hides the list
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-tag]');
+            if (!item) return;
+            e.preventDefault();
+            this.chooseTag(item.dataset.tag);
+        });
+    }
+
+    // Tags matching the one being typed (after the last comma), minus those already chosen
+    async suggestTags() {
+        const value = document.getElementById('promptTags').value;
+        const typing = this.normalizeTag(value.slice(value.lastIndexOf(',') + 1));
+        if (typing.length < 2) {
+            this.renderTagSuggestions([]);
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/tags?q=${encodeURIComponent(typing)}&limit=8`);
+            if (!response.ok) return;
+            const result = await response.json();
+            const chosen = this.parseTags(value.slice(0, value.lastIndexOf(',') + 1));
+            this.renderTagSuggestions(result.tags.filter(tag => !chosen.includes(tag.name)));
+        } catch (error) {
+            // Suggestions are a convenience; free-form tags still work
+            console.warn('Tag suggestions failed:', error);
+        }
+    }
+
+    renderTagSuggestions(tags) {
+        const list = document.getElementById('tagSuggestions');
+        list.hidden = tags.length === 0;
+        list.innerHTML = tags.map(tag => `
+            <li role="option" data-tag="${this.escapeHtml(tag.name)}">
+                <span class="tag-suggestion-name">${this.escapeHtml(tag.name)}</span>
+                ${tag.matched_alias ? `<span class="tag-suggestion-alias">for “${this.escapeHtml(tag.matched_alias)}”</span>` : ''}
+                <span class="tag-suggestion-count">${tag.usage_count}</span>
+            </li>
+        `).join('');
+    }
+
+    // Replace the tag being typed with the chosen one, ready for the next
+    chooseTag(name) {
+        const input = document.getElementById('promptTags');
+        const done = input.value.split(',').slice(0, -1).map(tag => tag.trim()).filter(tag => tag);
+        input.value = `${[...done, name].join(', ')}, `;
+        this.renderTagSuggestions([]);
+        input.focus();
+    }
+
+    // Existing prompts to link to instead; after a rejected submit, offer to publish anyway
+    renderDuplicates(duplicates, { canSubmitAnyway = false } = {}) {
+        const panel = document.getElementById('promptDuplicates');
+        if (!duplicates || duplicates.length === 0) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.hidden = false;
+        panel.innerHTML = `
+            <div class="duplicate-title">This looks like ${duplicates.length === 1 ? 'a prompt that already exists' : 'prompts that already exist'}</div>
+            <ul class="duplicate-list">
+                ${duplicates.map(duplicate => `
+                    <li>
+                        <a href="index.html?prompt=${encodeURIComponent(duplicate.id)}" target="_blank" rel="noopener">${this.escapeHtml(duplicate.title)}</a>
+                        ${duplicate.author_username ? `by ${this.escapeHtml(duplicate.author_username)}` : ''}
+                        <span class="duplicate-similarity">${Math.round(duplicate.similarity * 100)}% similar</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="form-help">Consider linking to or forking the existing prompt instead of publishing a copy.</div>
+            ${canSubmitAnyway ? '<button type="button" class="btn-secondary duplicate-submit">Submit anyway</button>' : ''}
+        `;
+
+        const submitAnyway = panel.querySelector('.duplicate-submit');
+        if (submitAnyway) {
+            submitAnyway.addEventListener('click', () => {
+                this.allowDuplicate = true;
+                this.form.requestSubmit();
+            });
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     // Setup real-time validation
     setupValidation() {
         const inputs = this.form.querySelectorAll('input, textarea, select');
@@ -218,14 +426,19 @@ class PromptFormManager {
                 if (value && value.length < 50) {
                     isValid = false;
                     errorMessage = 'Content must be at least 50 characters long';
+                } else if (value) {
+                    // Lint errors block submission; warnings only show in the lint panel
+                    const lint = this.lintContent();
+                    this.renderLint(lint);
+                    const lintError = lint && lint.warnings.find(warning => warning.severity === 'error');
+                    if (lintError) {
+                        isValid = false;
+                        errorMessage = lintError.message;
+                    }
                 }
                 break;
-            case 'category':
-                if (value && !['development', 'creative', 'business', 'education', 'research', 'technical'].includes(value)) {
-                    isValid = false;
-                    errorMessage = 'Please select a valid category';
-                }
-                break;
+            // The category options come from /api/categories, which also checks the
+            // submitted slug, so there is no category list to check against here
         }
 
         this.setFieldError(field, isValid, errorMessage);
@@ -296,6 +509,13 @@ class PromptFormManager {
             return;
         }
 
+        // Prompts are published under the submitter's account
+        const token = window.authManager && window.authManager.getToken();
+        if (!token) {
+            this.showNotification('Sign in to submit prompts', 'warning');
+            return;
+        }
+
         this.isSubmitting = true;
         this.setSubmitButtonState(true);
 
@@ -306,9 +526,10 @@ class PromptFormManager {
                 content: formData.get('content').trim(),
                 description: formData.get('description').trim(),
                 category: formData.get('category'),
-                difficulty_level: formData.get('difficulty_level'),
+                difficulty_level: formData.get('difficulty_level') || undefined, // guessed by the API when left out
                 tags: this.parseTags(formData.get('tags')),
-                is_public: formData.get('is_public') === 'on'
+                is_public: formData.get('is_public') === 'on',
+                allow_duplicate: this.allowDuplicate
             };
 
             // Submit to API
@@ -316,12 +537,19 @@ class PromptFormManager {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
                 },
                 body: JSON.stringify(promptData)
             });
 
             const result = await response.json();
 
+            if (response.status === 409 && result.duplicates) {
+                this.renderDuplicates(result.duplicates, { canSubmitAnyway: true });
+                this.showNotification('A similar prompt already exists', 'warning');
+                return;
+            }
+
             if (response.ok) {
                 this.showNotification('Prompt submitted successfully!', 'success');
                 this.resetForm();
@@ -334,7 +562,8 @@ class PromptFormManager {
                     });
                 }
             } else {
-                throw new Error(result.error || 'Failed to submit prompt');
+                if (result.lint) this.renderLint(result.lint);
+                throw new Error(result.errors?.[0]?.message || result.error || 'Failed to submit prompt');
             }
 
         } catch (error) {
@@ -349,12 +578,24 @@ class PromptFormManager {
     // Parse tags from comma-separated string
     parseTags(tagsString) {
         if (!tagsString) return [];
-        
-        return tagsString
+
+        const tags = tagsString
             .split(',')
-            .map(tag => tag.trim())
-            .filter(tag => tag.length > 0)
-            .slice(0, 10); // Limit to 10 tags
+            .map(tag => this.normalizeTag(tag))
+            .filter(tag => tag.length >= 2);
+        return [...new Set(tags)].slice(0, 10); // Limit to 10 tags
+    }
+
+    // Same spelling rules as normalizeTag in api/validation/schemas.js
+    normalizeTag(tag) {
+        return tag
+            .trim()
+            .toLowerCase()
+            .replace(/[\s_./]+/g, '-')
+            .replace(/[^a-z0-9-]+/g, '')
+            .replace(/-+/g, '-')
+            .slice(0, 50)
+            .replace(/^-|-$/g, '');
     }
 
     // Set submit button state
@@ -382,6 +623,10 @@ class PromptFormManager {
         document.getElementById('titleCount').textContent = '0';
         document.getElementById('contentCount').textContent = '0';
         document.getElementById('descriptionCount').textContent = '0';
+        this.updateTokenCount('');
+        this.renderLint(null);
+        this.renderDuplicates([]);
+        this.allowDuplicate = false;
         
         // Clear all errors
         const inputs = this.form.querySelectorAll('input, textarea, select');
@@ -0,0 +1,187 @@
+// Prompt Lint - quality checks shared by the submission form and POST /api/prompts
+// (the API loads this file through api/lib/lint.js, so both report the same warnings).
+// Each rule adds warnings of a severity; the quality score starts at 100 and loses
+// points per warning. Errors block publishing, warnings and hints only advise.
+
+const LINT_PENALTIES = { error: 25, warning: 10, info: 3 };
+
+// Pages load js/prompt-tokens.js first; the API requires it alongside this file
+const TokenCounter = typeof PromptTokens !== 'undefined' ? PromptTokens : require('./prompt-tokens.js');
+
+const LONG_PROMPT_TOKENS = 2000;
+
+// A declared estimated_tokens may be off by this factor before it is flagged
+const TOKEN_ESTIMATE_TOLERANCE = 1.5;
+
+// Sentences shorter than this are too generic to count as duplicated instructions
+const MIN_DUPLICATE_WORDS = 5;
+
+const SECTION_CHECKS = [
+    {
+        rule: 'missing-role',
+        pattern: /\b(you are|you're|act as|acting as|your role|role:|as an? (expert|senior|experienced|professional|specialist))\b/i,
+        message: 'Say who the AI should be, e.g. "You are a senior code reviewer".'
+    },
+    {
+        rule: 'missing-context',
+        pattern: /\b(context|background|situation|scenario|given|based on|audience|I am|I'm|we are|we're|my|our)\b|\{\{|\[INSERT_/i,
+        message: 'Add context: who the output is for, or the details the AI should work from.'
+    },
+    {
+        rule: 'missing-output-format',
+        pattern: /\b(format|output|respond|response|return|structure|list|table|json|markdown|bullet|steps|sections?|headings?|summary|include)\b/i,
+        message: 'Describe the output format, e.g. "Respond with a bulleted list".'
+    }
+];
+
+const VAGUE_TERMS = [
+    'something', 'stuff', 'things', 'etc', 'and so on', 'somehow', 'some kind of',
+    'kind of', 'sort of', 'maybe', 'whatever', 'as needed', 'if possible', 'various'
+];
+
+class PromptLint {
+    // { score, warnings: [{ rule, severity, message, line, excerpt }], counts, tokens }
+    static lint(prompt = {}) {
+        const content = String(prompt.content || '');
+        const tokens = PromptLint.estimateTokens(content);
+        const warnings = [
+            ...PromptLint.checkPlaceholders(content),
+            ...PromptLint.checkSections(content),
+            ...PromptLint.checkLength(tokens, prompt.estimated_tokens),
+            ...PromptLint.checkDuplicates(content),
+            ...PromptLint.checkVagueWording(content)
+        ];
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        warnings.forEach(warning => counts[warning.severity]++);
+        const penalty = warnings.reduce((sum, warning) => sum + LINT_PENALTIES[warning.severity], 0);
+
+        return {
+            score: Math.max(0, 100 - penalty),
+            warnings,
+            counts,
+            tokens
+        };
+    }
+
+    static hasErrors(result) {
+        return result.counts.error > 0;
+    }
+
+    static estimateTokens(content) {
+        return TokenCounter.count(content);
+    }
+
+    // {{ and }} must pair up without nesting; [INSERT_NAME] must close on its line
+    static checkPlaceholders(content) {
+        const warnings = [];
+        let open = null;
+
+        for (const match of content.matchAll(/\{\{|\}\}/g)) {
+            const line = PromptLint.lineAt(content, match.index);
+            if (match[0] === '{{') {
+                if (open) {
+                    warnings.push(PromptLint.warning('unbalanced-placeholder', 'error',
+                        'A "{{" placeholder opens before the previous one is closed.', line, PromptLint.excerptAt(content, match.index)));
+                }
+                open = { index: match.index, line };
+            } else if (open) {
+                open = null;
+            } else {
+                warnings.push(PromptLint.warning('unbalanced-placeholder', 'error',
+                    'A "}}" closes a placeholder that was never opened.', line, PromptLint.excerptAt(content, match.index)));
+            }
+        }
+        if (open) {
+            warnings.push(PromptLint.warning('unbalanced-placeholder', 'error',
+                'A "{{" placeholder is never closed.', open.line, PromptLint.excerptAt(content, open.index)));
+        }
+
+        for (const match of content.matchAll(/\[INSERT_[^\]\n]*(\]?)/g)) {
+            if (match[1]) continue;
+            warnings.push(PromptLint.warning('unbalanced-placeholder', 'error',
+                `"${match[0].trim()}" is missing its closing "]".`, PromptLint.lineAt(content, match.index), match[0].trim()));
+        }
+        return warnings;
+    }
+
+    static checkSections(content) {
+        if (!content.trim()) return [];
+        return SECTION_CHECKS
+            .filter(check => !check.pattern.test(content))
+            .map(check => PromptLint.warning(check.rule, 'warning', check.message));
+    }
+
+    static checkLength(tokens, estimatedTokens) {
+        const warnings = [];
+        const declared = Number(estimatedTokens);
+        if (declared > 0 && tokens > declared * TOKEN_ESTIMATE_TOLERANCE) {
+            warnings.push(PromptLint.warning('length-exceeds-estimate', 'warning',
+                `The prompt is about ${tokens} tokens, well over its estimated ${declared}. Trim it or update the estimate.`));
+        }
+        if (tokens > LONG_PROMPT_TOKENS) {
+            warnings.push(PromptLint.warning('excessive-length', 'warning',
+                `The prompt is about ${tokens} tokens. Long prompts cost more and are harder for models to follow.`));
+        }
+        return warnings;
+    }
+
+    // The same instruction given twice, ignoring case, punctuation and list markers
+    static checkDuplicates(content) {
+        const warnings = [];
+        const seen = new Map();
+        const lines = content.split('\n');
+
+        lines.forEach((text, index) => {
+            const sentences = text.replace(/^\s*([-*•]|\d+[.)])\s+/, '').split(/(?<=[.!?])\s+/);
+            for (const sentence of sentences) {
+                const normalized = sentence.toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+                if (normalized.split(' ').length < MIN_DUPLICATE_WORDS) continue;
+                if (seen.has(normalized)) {
+                    if (seen.get(normalized) !== null) {
+                        warnings.push(PromptLint.warning('duplicate-instruction', 'warning',
+                            `This instruction repeats line ${seen.get(normalized)}.`, index + 1, sentence.trim()));
+                        seen.set(normalized, null); // report each duplicate once
+                    }
+                } else {
+                    seen.set(normalized, index + 1);
+                }
+            }
+        });
+        return warnings;
+    }
+
+    static checkVagueWording(content) {
+        const warnings = [];
+        for (const term of VAGUE_TERMS) {
+            const pattern = new RegExp(`\\b${term.replace(/ /g, '\\s+')}\\b`, 'gi');
+            const matches = [...content.matchAll(pattern)];
+            if (matches.length === 0) continue;
+            warnings.push(PromptLint.warning('vague-wording', 'info',
+                `"${term}" is vague${matches.length > 1 ? ` (${matches.length} times)` : ''}. Say exactly what you mean.`,
+                PromptLint.lineAt(content, matches[0].index), matches[0][0]));
+        }
+        return warnings;
+    }
+
+    static warning(rule, severity, message, line = null, excerpt = null) {
+        return { rule, severity, message, line, excerpt };
+    }
+
+    static lineAt(content, index) {
+        return content.slice(0, index).split('\n').length;
+    }
+
+    static excerptAt(content, index) {
+        return content.slice(Math.max(0, index - 20), index + 20).replace(/\s+/g, ' ').trim();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PromptLint = PromptLint;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptLint;
+}
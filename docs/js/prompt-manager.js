@@ -73,6 +73,30 @@ class PromptManager {
             if (e.target.classList.contains('rating-star')) {
                 this.ratePrompt(e.target);
             }
+            
+            if (e.target.classList.contains('review-vote-btn')) {
+                this.voteOnReview(e.target);
+            }
+            
+            if (e.target.classList.contains('fork-btn')) {
+                this.forkPrompt(e.target);
+            }
+            
+            if (e.target.classList.contains('fork-count')) {
+                this.showForkTree(e.target);
+            }
+            
+            if (e.target.classList.contains('prompt-title')) {
+                this.showPromptDetail(e.target.dataset.promptId);
+            }
+            
+            // A related prompt replaces the modal it was picked from
+            const relatedCard = e.target.closest('.related-card');
+            if (relatedCard) {
+                const modal = relatedCard.closest('.prompt-detail-modal, .rating-modal');
+                if (modal) modal.remove();
+                this.showPromptDetail(relatedCard.dataset.promptId);
+            }
         });
     }
 
@@ -84,9 +108,11 @@ class PromptManager {
         card.setAttribute('role', 'article');
         card.setAttribute('aria-label', `${prompt.title}`);
         
-        const isFavorited = this.favorites.includes(prompt.id);
+        const isFavorited = this.favorites.includes(prompt.id) || prompt.liked_by_me === true;
         const rating = prompt.average_rating || 0;
         const ratingCount = prompt.total_ratings || 0;
+        const forkCount = prompt.fork_count || 0;
+        const source = prompt.forked_from_prompt;
         
         card.innerHTML = `
             <div class="prompt-header">
@@ -94,11 +120,13 @@ class PromptManager {
                     <span class="stars">${this.generateStars(rating)}</span>
                     <span class="rating-count">(${ratingCount})</span>
                 </div>
-                <h3>${this.escapeHtml(prompt.title)}</h3>
+                <h3 class="prompt-title" data-prompt-id="${prompt.id}" role="button" tabindex="0">${this.escapeHtml(prompt.title)}</h3>
                 <div class="prompt-meta">
                     <span class="category category-${prompt.category}">${prompt.category}</span>
-                    <span class="author">@${prompt.author || 'anonymous'}</span>
+                    ${this.authorLink(prompt.author_username || prompt.author)}
+                    ${forkCount > 0 ? `<button class="fork-count" data-prompt-id="${prompt.id}" title="Browse forks" aria-label="Browse ${forkCount} forks">⑂ ${forkCount} ${forkCount === 1 ? 'fork' : 'forks'}</button>` : ''}
                 </div>
+                ${source ? `<div class="prompt-lineage">Forked from <strong>${this.escapeHtml(source.title)}</strong>${source.author_username ? ` by @${this.escapeHtml(source.author_username)}` : ''}</div>` : ''}
             </div>
             <p>${this.escapeHtml(prompt.description || '')}</p>
             <div class="prompt-actions">
@@ -114,6 +142,9 @@ class PromptManager {
                 <button class="rate-btn" data-prompt-id="${prompt.id}" title="Rate this prompt" aria-label="Rate this prompt" tabindex="0">
                     ⭐
                 </button>
+                <button class="fork-btn" data-prompt-id="${prompt.id}" title="Fork this prompt" aria-label="Fork this prompt" tabindex="0">
+                    ⑂
+                </button>
             </div>
         `;
         
@@ -150,8 +181,15 @@ class PromptManager {
             return;
         }
 
+        // Prompts with template variables are filled in before copying
+        let text = prompt.content;
+        if (window.PromptVariables && PromptVariables.forPrompt(prompt).length > 0) {
+            text = await PromptVariables.showFillModal(prompt);
+            if (text === null) return;
+        }
+
         try {
-            await navigator.clipboard.writeText(prompt.content);
+            await navigator.clipboard.writeText(text);
             this.showNotification('Prompt copied to clipboard!', 'success');
             
             // Update button temporarily
@@ -176,27 +214,232 @@ class PromptManager {
     // Toggle favorite status
     async toggleFavorite(button) {
         const promptId = button.dataset.promptId;
-        const isFavorited = this.favorites.includes(promptId);
+        // Cards also mark prompts the server reports as liked_by_me
+        const isFavorited = button.classList.contains('favorited');
         
         if (isFavorited) {
             this.favorites = this.favorites.filter(id => id !== promptId);
             button.textContent = '🤍';
             button.classList.remove('favorited');
             this.showNotification('Removed from favorites', 'info');
-            try { await fetch(`/api/prompts/${encodeURIComponent(promptId)}/likes`, { method: 'DELETE' }); } catch {}
         } else {
-            this.favorites.push(promptId);
+            if (!this.favorites.includes(promptId)) this.favorites.push(promptId);
             button.textContent = '❤️';
             button.classList.add('favorited');
             this.showNotification('Added to favorites', 'success');
-            try { await fetch(`/api/prompts/${encodeURIComponent(promptId)}/likes`, { method: 'POST' }); } catch {}
         }
         
         this.saveFavoritesToStorage();
         this.trackEvent('favorite', promptId, { favorited: !isFavorited });
+        await this.syncLike(promptId, !isFavorited);
+    }
+
+    // Likes are idempotent on the server, so a double click can't count twice
+    async syncLike(promptId, liked) {
+        const headers = window.authManager && window.authManager.getToken()
+            ? { 'Authorization': `Bearer ${window.authManager.getToken()}` }
+            : {};
+        const deviceToken = localStorage.getItem('promptHero_device');
+        if (deviceToken) headers['X-Device-Token'] = deviceToken;
+
+        try {
+            const res = await fetch(`/api/prompts/${encodeURIComponent(promptId)}/likes`, {
+                method: liked ? 'POST' : 'DELETE',
+                headers
+            });
+            if (!res.ok) return;
+            const data = await res.json();
+            // Anonymous visitors get a device token with their first like
+            if (data.device_token) localStorage.setItem('promptHero_device', data.device_token);
+            const prompt = this.prompts.find(p => p.id === promptId);
+            if (prompt) Object.assign(prompt, { liked_by_me: data.liked, total_likes: data.total_likes });
+        } catch (error) {
+            console.error('Error syncing like:', error);
+        }
+    }
+
+    // Copy a prompt into the signed-in user's account, crediting the original
+    async forkPrompt(button) {
+        const promptId = button.dataset.promptId;
+        
+        if (!window.authManager || !window.authManager.isUserAuthenticated()) {
+            this.showNotification('Sign in to fork prompts', 'warning');
+            return;
+        }
+
+        try {
+            const res = await window.authManager.authenticatedFetch(`/api/prompts/${encodeURIComponent(promptId)}/fork`, {
+                method: 'POST',
+                body: JSON.stringify({})
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to fork prompt');
+            this.prompts.unshift(data.prompt);
+            this.showNotification('Forked to your prompts', 'success');
+            this.trackEvent('fork', promptId, { fork_id: data.prompt.id });
+            await this.refreshPromptCard(promptId);
+        } catch (error) {
+            console.error('Error forking prompt:', error);
+            this.showNotification('Failed to fork prompt', 'error');
+        }
+    }
+
+    // Show the lineage of a prompt and the forks built on it
+    async showForkTree(button) {
+        const promptId = button.dataset.promptId;
+        
+        try {
+            const headers = window.authManager && window.authManager.getToken()
+                ? { 'Authorization': `Bearer ${window.authManager.getToken()}` }
+                : {};
+            const res = await fetch(`/api/prompts/${encodeURIComponent(promptId)}/forks`, { headers });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load forks');
+
+            const lineage = [...data.ancestors, data.prompt]
+                .map(node => node.is_hidden ? 'a private prompt' : this.escapeHtml(node.title))
+                .join(' → ');
+
+            const modal = document.createElement('div');
+            modal.className = 'fork-tree-modal';
+            modal.innerHTML = `
+                <div class="modal-overlay" onclick="this.parentElement.remove()"></div>
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Forks of "${this.escapeHtml(data.prompt.title)}"</h3>
+                        <button class="modal-close" onclick="this.closest('.fork-tree-modal').remove()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        ${data.ancestors.length ? `<p class="fork-lineage">${lineage}</p>` : ''}
+                        ${data.forks.length ? this.renderForkTree(data.forks) : '<p class="fork-lineage">No public forks yet.</p>'}
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+        } catch (error) {
+            console.error('Error loading forks:', error);
+            this.showNotification('Failed to load forks', 'error');
+        }
+    }
+
+    // Nested list of fork tree nodes, most-forked first as returned by the API
+    renderForkTree(nodes) {
+        return `
+            <ul class="fork-tree">
+                ${nodes.map(node => `
+                    <li>
+                        <div class="fork-node">
+                            <span>${this.escapeHtml(node.title)}</span>
+                            <span class="author">@${this.escapeHtml(node.author_username || 'anonymous')}</span>
+                            ${node.fork_count > 0 ? `<span class="fork-node-count">⑂ ${node.fork_count}</span>` : ''}
+                        </div>
+                        ${node.forks && node.forks.length ? this.renderForkTree(node.forks) : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // Full prompt with its actions, top reviews, related prompts and comments
+    async showPromptDetail(promptId) {
+        let prompt = this.prompts.find(p => p.id === promptId);
+        try {
+            const headers = window.authManager && window.authManager.getToken()
+                ? { 'Authorization': `Bearer ${window.authManager.getToken()}` }
+                : {};
+            // liked_by_me for anonymous visitors comes from their device token
+            const deviceToken = localStorage.getItem('promptHero_device');
+            if (deviceToken) headers['X-Device-Token'] = deviceToken;
+            const res = await fetch(`/api/prompts/${encodeURIComponent(promptId)}`, { headers });
+            if (res.ok) prompt = (await res.json()).prompt;
+        } catch (error) {
+            console.error('Error loading prompt:', error);
+        }
+
+        if (!prompt) {
+            this.showNotification('Prompt not found', 'error');
+            return;
+        }
+
+        // The card actions in the modal look prompts up by id
+        const index = this.prompts.findIndex(p => p.id === prompt.id);
+        if (index >= 0) this.prompts[index] = prompt;
+        else this.prompts.push(prompt);
+
+        const isFavorited = this.favorites.includes(prompt.id) || prompt.liked_by_me === true;
+        const modal = document.createElement('div');
+        modal.className = 'prompt-detail-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay" onclick="this.parentElement.remove()"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>${this.escapeHtml(prompt.title)}</h3>
+                    <button class="modal-close" onclick="this.closest('.prompt-detail-modal').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="prompt-meta">
+                        <span class="category category-${prompt.category}">${prompt.category}</span>
+                        <span class="stars">${this.generateStars(prompt.average_rating || 0)}</span>
+                        <span class="rating-count">(${prompt.total_ratings || 0})</span>
+                        ${prompt.estimated_tokens ? `<span class="token-count">~${prompt.estimated_tokens} tokens</span>` : ''}
+                    </div>
+                    ${prompt.description ? `<p>${this.escapeHtml(prompt.description)}</p>` : ''}
+                    <pre class="prompt-detail-content">${this.escapeHtml(prompt.content || '')}</pre>
+                    <div class="prompt-actions">
+                        <button class="copy-prompt-btn copy-btn" data-prompt-id="${prompt.id}" aria-label="Copy prompt">Copy Prompt</button>
+                        <button class="favorite-btn ${isFavorited ? 'favorited' : ''}" data-prompt-id="${prompt.id}" aria-label="${isFavorited ? 'Remove from favorites' : 'Add to favorites'}">${isFavorited ? '❤️' : '🤍'}</button>
+                        <button class="rate-btn" data-prompt-id="${prompt.id}" title="Rate this prompt" aria-label="Rate this prompt">⭐</button>
+                        <button class="fork-btn" data-prompt-id="${prompt.id}" title="Fork this prompt" aria-label="Fork this prompt">⑂</button>
+                    </div>
+                    <div class="review-list" aria-live="polite"></div>
+                    <div class="related-strip" aria-live="polite"></div>
+                    <section class="prompt-comments" aria-label="Comments"></section>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        this.trackEvent('view', prompt.id);
+        this.loadReviews(prompt.id, modal.querySelector('.review-list'), 3);
+        this.loadRelated(prompt.id, modal.querySelector('.related-strip'));
+        if (window.PromptComments) {
+            window.PromptComments.lazy(modal.querySelector('.prompt-comments'), prompt.id);
+        }
     }
 
-    // Show rating modal
+    // Fill a .related-strip with prompts similar to promptId; stays hidden if there are none
+    async loadRelated(promptId, container, limit = 6) {
+        container.hidden = true;
+        try {
+            const headers = window.authManager && window.authManager.getToken()
+                ? { 'Authorization': `Bearer ${window.authManager.getToken()}` }
+                : {};
+            const res = await fetch(`/api/prompts/${encodeURIComponent(promptId)}/related?limit=${limit}`, { headers });
+            if (!res.ok) return;
+            const { related } = await res.json();
+            if (!related.length) return;
+
+            container.innerHTML = `
+                <h4>Similar prompts</h4>
+                <div class="related-list">
+                    ${related.map(item => `
+                        <button type="button" class="related-card" data-prompt-id="${item.id}">
+                            <span class="related-title">${this.escapeHtml(item.title)}</span>
+                            <span class="related-meta">
+                                <span class="category category-${item.category}">${item.category}</span>
+                                <span class="stars">${this.generateStars(item.average_rating)}</span>
+                            </span>
+                            ${item.shared_tags.length ? `<span class="related-tags">${item.shared_tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ')}</span>` : ''}
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+            container.hidden = false;
+        } catch (error) {
+            console.error('Error loading related prompts:', error);
+        }
+    }
+
+    // Show rating modal; rating again replaces the user's earlier rating
     showRatingModal(button) {
         const promptId = button.dataset.promptId;
         const prompt = this.prompts.find(p => p.id === promptId);
@@ -206,6 +449,11 @@ class PromptManager {
             return;
         }
 
+        if (!window.authManager || !window.authManager.isUserAuthenticated()) {
+            this.showNotification('Sign in to rate prompts', 'warning');
+            return;
+        }
+
         // Create rating modal
         const modal = document.createElement('div');
         modal.className = 'rating-modal';
@@ -224,19 +472,33 @@ class PromptManager {
                         <span class="rating-star" data-rating="4">★</span>
                         <span class="rating-star" data-rating="5">★</span>
                     </div>
-                    <textarea class="rating-review" placeholder="Write a review (optional)..." rows="3"></textarea>
+                    <textarea class="rating-review" placeholder="Write a review (optional)..." rows="3" maxlength="1000"></textarea>
+                    <div class="review-list" aria-live="polite"></div>
+                    <div class="related-strip" aria-live="polite"></div>
                 </div>
                 <div class="modal-footer">
+                    <button class="delete-rating-btn" data-prompt-id="${promptId}" hidden>Remove my rating</button>
                     <button class="submit-rating-btn" data-prompt-id="${promptId}">Submit Rating</button>
                 </div>
             </div>
         `;
         
         document.body.appendChild(modal);
+        this.loadRelated(promptId, modal.querySelector('.related-strip'), 3);
         
         // Setup rating star interactions
         const stars = modal.querySelectorAll('.rating-star');
         let selectedRating = 0;
+
+        // Start from the user's existing rating so submitting edits it
+        this.loadReviews(promptId, modal.querySelector('.review-list'), 3).then(mine => {
+            if (!mine || selectedRating) return;
+            selectedRating = mine.rating;
+            stars.forEach((s, i) => s.classList.toggle('filled', i < selectedRating));
+            modal.querySelector('.rating-review').value = mine.review || '';
+            modal.querySelector('.submit-rating-btn').textContent = 'Update Rating';
+            modal.querySelector('.delete-rating-btn').hidden = false;
+        });
         
         stars.forEach((star, index) => {
             star.addEventListener('click', () => {
@@ -266,6 +528,11 @@ class PromptManager {
             this.submitRating(promptId, selectedRating, review);
             modal.remove();
         });
+
+        modal.querySelector('.delete-rating-btn').addEventListener('click', () => {
+            this.deleteRating(promptId);
+            modal.remove();
+        });
     }
 
     // Submit rating
@@ -276,19 +543,99 @@ class PromptManager {
         }
 
         try {
-            const res = await fetch(`/api/prompts/${encodeURIComponent(promptId)}/ratings`, {
+            const res = await window.authManager.authenticatedFetch(`/api/prompts/${encodeURIComponent(promptId)}/ratings`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ rating, review })
             });
             const data = await res.json();
             if (!res.ok) throw new Error(data.error || 'Failed to submit rating');
-            this.showNotification('Rating submitted successfully!', 'success');
+            this.showNotification(res.status === 201 ? 'Rating submitted successfully!' : 'Rating updated', 'success');
             this.trackEvent('rate', promptId, { rating, review });
             await this.refreshPromptCard(promptId);
         } catch (error) {
             console.error('Error submitting rating:', error);
-            this.showNotification('Failed to submit rating', 'error');
+            this.showNotification(error.message || 'Failed to submit rating', 'error');
+        }
+    }
+
+    async deleteRating(promptId) {
+        try {
+            const res = await window.authManager.authenticatedFetch(`/api/prompts/${encodeURIComponent(promptId)}/ratings`, {
+                method: 'DELETE'
+            });
+            if (!res.ok) throw new Error((await res.json()).error || 'Failed to remove rating');
+            this.showNotification('Rating removed', 'success');
+            await this.refreshPromptCard(promptId);
+        } catch (error) {
+            console.error('Error removing rating:', error);
+            this.showNotification('Failed to remove rating', 'error');
+        }
+    }
+
+    // Fill a .review-list with the most helpful reviews; resolves with the user's own rating
+    async loadReviews(promptId, container, limit = 5) {
+        try {
+            const headers = window.authManager && window.authManager.getToken()
+                ? { 'Authorization': `Bearer ${window.authManager.getToken()}` }
+                : {};
+            const res = await fetch(`/api/prompts/${encodeURIComponent(promptId)}/ratings?sort=helpful&limit=${limit}`, { headers });
+            if (!res.ok) return null;
+            const { reviews, my_rating } = await res.json();
+
+            container.innerHTML = reviews.length ? `
+                <h4>Most helpful reviews</h4>
+                ${reviews.map(review => `
+                    <div class="review" data-rating-id="${review.id}">
+                        <div class="review-meta">
+                            <span class="stars">${this.generateStars(review.rating)}</span>
+                            <span class="author">@${this.escapeHtml(review.author ? review.author.username : 'anonymous')}</span>
+                        </div>
+                        <p>${this.escapeHtml(review.review)}</p>
+                        ${review.is_mine ? '' : `
+                            <div class="review-votes">
+                                Helpful?
+                                <button type="button" class="review-vote-btn ${review.my_vote === true ? 'voted' : ''}" data-prompt-id="${promptId}" data-rating-id="${review.id}" data-helpful="true">Yes (${review.helpful_count})</button>
+                                <button type="button" class="review-vote-btn ${review.my_vote === false ? 'voted' : ''}" data-prompt-id="${promptId}" data-rating-id="${review.id}" data-helpful="false">No (${review.not_helpful_count})</button>
+                            </div>
+                        `}
+                    </div>
+                `).join('')}
+            ` : '';
+            return my_rating;
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+            return null;
+        }
+    }
+
+    // Voting the same way twice takes the vote back
+    async voteOnReview(button) {
+        if (!window.authManager || !window.authManager.isUserAuthenticated()) {
+            this.showNotification('Sign in to vote on reviews', 'warning');
+            return;
+        }
+
+        const { promptId, ratingId } = button.dataset;
+        const url = `/api/prompts/${encodeURIComponent(promptId)}/ratings/${encodeURIComponent(ratingId)}/votes`;
+        try {
+            const res = button.classList.contains('voted')
+                ? await window.authManager.authenticatedFetch(url, { method: 'DELETE' })
+                : await window.authManager.authenticatedFetch(url, {
+                    method: 'POST',
+                    body: JSON.stringify({ helpful: button.dataset.helpful === 'true' })
+                });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to vote');
+
+            const votes = button.closest('.review-votes');
+            votes.querySelectorAll('.review-vote-btn').forEach(btn => {
+                const helpful = btn.dataset.helpful === 'true';
+                btn.classList.toggle('voted', data.my_vote === helpful);
+                btn.textContent = `${helpful ? 'Yes' : 'No'} (${helpful ? data.helpful_count : data.not_helpful_count})`;
+            });
+        } catch (error) {
+            console.error('Error voting on review:', error);
+            this.showNotification(error.message || 'Failed to vote', 'error');
         }
     }
 
@@ -384,6 +731,12 @@ class PromptManager {
     }
 
     // Escape HTML to prevent XSS
+    // Author line linking to the public author page, or plain @anonymous
+    authorLink(username) {
+        if (!username) return '<span class="author">@anonymous</span>';
+        return `<a class="author" href="profile.html?user=${encodeURIComponent(username)}">@${this.escapeHtml(username)}</a>`;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -597,16 +950,17 @@ function setPromptFilter(filterType) {
     
     const filters = {};
     
-    // Determine filter type and set appropriate filter
-    if (['development', 'creative', 'business', 'education', 'research', 'technical'].includes(filterType)) {
-        filters.category = filterType;
-    } else if (['beginner', 'intermediate', 'advanced'].includes(filterType)) {
+    // Determine filter type and set appropriate filter; anything else is a
+    // category slug from /api/categories
+    if (['beginner', 'intermediate', 'advanced'].includes(filterType)) {
         filters.difficulty = filterType;
     } else if (filterType === 'featured') {
         filters.featured = true;
     } else if (filterType === 'trending') {
         filters.trending = true;
         filters.sort = 'trending';
+    } else if (filterType && filterType !== 'all') {
+        filters.category = filterType;
     }
     
     // Apply filters and render
@@ -0,0 +1,78 @@
+// Prompt Tokens - offline token counts for prompt content
+// Approximates each model family's BPE tokenizer without shipping its vocabulary:
+// text is split the way the tokenizers pre-split it (words with their leading space,
+// digit runs, punctuation runs, whitespace), then each piece is priced by the family's
+// merge behaviour. Counts are estimates, closest on English prose and code. Shared by
+// the submission form, the lint rules and the API (api/lib/tokens.js), so every
+// estimate of a prompt agrees.
+
+// estimated_tokens is stored for this model
+const DEFAULT_TOKEN_MODEL = 'gpt-4';
+
+// wordChars: characters per token once a word is too rare to be a single token
+// commonWordLength: words up to this length are usually one token
+// digitGroup: digits merged into one token (Llama 2 splits every digit)
+// symbolChars: punctuation characters merged into one token
+// nonLatinChars: characters per token for scripts outside ASCII (CJK, Cyrillic, ...)
+const TOKEN_MODELS = {
+    'gpt-4o': { label: 'GPT-4o', wordChars: 4.6, commonWordLength: 8, digitGroup: 3, symbolChars: 2.5, nonLatinChars: 1.4 },
+    'gpt-4': { label: 'GPT-4 / GPT-3.5', wordChars: 4.2, commonWordLength: 7, digitGroup: 3, symbolChars: 2, nonLatinChars: 1 },
+    'claude': { label: 'Claude', wordChars: 3.8, commonWordLength: 7, digitGroup: 3, symbolChars: 2, nonLatinChars: 1 },
+    'llama-3': { label: 'Llama 3', wordChars: 4.4, commonWordLength: 8, digitGroup: 3, symbolChars: 2.5, nonLatinChars: 1.2 },
+    'llama-2': { label: 'Llama 2', wordChars: 3.4, commonWordLength: 6, digitGroup: 1, symbolChars: 1, nonLatinChars: 0.8 }
+};
+
+// Contractions, words with one leading space, digit runs, punctuation runs, whitespace
+const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)\b|[ ]?\p{L}+|[ ]?\p{N}+|[ ]?[^\s\p{L}\p{N}]+|\s+/giu;
+
+// Words the tokenizers split into more pieces than their length suggests
+const UPPERCASE_WORD = /^[A-Z]{4,}$/;
+
+class PromptTokens {
+    static count(text, model = DEFAULT_TOKEN_MODEL) {
+        const config = TOKEN_MODELS[model];
+        if (!config) throw new Error(`Unknown token model: ${model}`);
+
+        let tokens = 0;
+        for (const [piece] of String(text || '').matchAll(PIECE_PATTERN)) {
+            tokens += PromptTokens.pieceTokens(piece, config);
+        }
+        return tokens;
+    }
+
+    // { 'gpt-4o': 412, 'gpt-4': 430, ... }
+    static estimate(text) {
+        return Object.fromEntries(
+            Object.keys(TOKEN_MODELS).map(model => [model, PromptTokens.count(text, model)])
+        );
+    }
+
+    static models() {
+        return Object.entries(TOKEN_MODELS).map(([id, config]) => ({ id, label: config.label }));
+    }
+
+    static pieceTokens(piece, config) {
+        // Runs of whitespace merge into one token; a lone space rides on the next word
+        if (!piece.trim()) return 1;
+
+        const body = piece.trim();
+        if (/^\p{N}+$/u.test(body)) return Math.ceil(body.length / config.digitGroup);
+        if (!/^\p{L}+$/u.test(body)) return Math.ceil(body.length / config.symbolChars);
+
+        if (/[^\x00-\x7F]/.test(body)) return Math.ceil(body.length / config.nonLatinChars);
+        if (UPPERCASE_WORD.test(body)) return Math.ceil(body.length / (config.wordChars / 2));
+        if (body.length <= config.commonWordLength) return 1;
+        return Math.ceil(body.length / config.wordChars);
+    }
+}
+
+PromptTokens.DEFAULT_MODEL = DEFAULT_TOKEN_MODEL;
+
+if (typeof window !== 'undefined') {
+    window.PromptTokens = PromptTokens;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTokens;
+}
@@ -0,0 +1,162 @@
+// Prompt Variables - fill-in form for template variables before a prompt is copied
+// Syntax: {{name}}, {{name|default}} or {{name|default|description}}; variables
+// without a default are required. [INSERT_NAME] and [INSERT_NAME - hint] placeholders
+// count as required variables named in lower case. The API parses variables with
+// this module too (api/lib/variables.js), so what it stores matches this form.
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?:\|([^|}]*))?(?:\|([^}]*))?\}\}|\[INSERT_([A-Z0-9_]+)(?:\s*-\s*([^\]\n]*))?\]/g;
+
+class PromptVariables {
+    // Variables stored by the API, or parsed from the content for static prompts
+    static forPrompt(prompt) {
+        if (Array.isArray(prompt.variables)) return prompt.variables;
+        return PromptVariables.parse(prompt.content);
+    }
+
+    static parse(content) {
+        const variables = new Map();
+        for (const match of String(content || '').matchAll(VARIABLE_PATTERN)) {
+            const variable = PromptVariables.toVariable(match);
+            const seen = variables.get(variable.name);
+            if (!seen) {
+                variables.set(variable.name, variable);
+                continue;
+            }
+            // A default or description given on any occurrence applies to all of them
+            if (seen.default === null && variable.default !== null) {
+                seen.default = variable.default;
+                seen.required = false;
+            }
+            if (seen.description === null) seen.description = variable.description;
+        }
+        return [...variables.values()];
+    }
+
+    // Substitute values by name, falling back to defaults; unfilled required
+    // variables are left in place
+    static fill(content, values = {}) {
+        const defaults = Object.fromEntries(PromptVariables.parse(content).map(v => [v.name, v.default]));
+        return String(content || '').replace(VARIABLE_PATTERN, (...match) => {
+            const { name } = PromptVariables.toVariable(match);
+            const value = values[name];
+            if (value !== undefined && value !== null && value !== '') return String(value);
+            return defaults[name] ?? match[0];
+        });
+    }
+
+    static toVariable(match) {
+        const [, name, defaultValue, description, legacyName, hint] = match;
+        if (legacyName) {
+            return { name: legacyName.toLowerCase(), default: null, description: hint ? hint.trim() : null, required: true };
+        }
+        const value = defaultValue === undefined ? null : defaultValue.trim();
+        return {
+            name,
+            default: value,
+            description: description === undefined ? null : description.trim() || null,
+            required: value === null
+        };
+    }
+
+    // tech_stack -> "Tech stack"
+    static label(name) {
+        const words = name.replace(/[_-]+/g, ' ').trim();
+        return words.charAt(0).toUpperCase() + words.slice(1).toLowerCase();
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Resolves with the filled-in prompt text, or null if the form was dismissed
+    static showFillModal(prompt) {
+        const variables = PromptVariables.forPrompt(prompt);
+        const escape = PromptVariables.escapeHtml;
+
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'modal-overlay variables-modal';
+            modal.innerHTML = `
+                <div class="modal-content" role="dialog" aria-modal="true" aria-label="Fill in prompt variables">
+                    <div class="modal-header">
+                        <h3>Fill in "${escape(prompt.title || 'prompt')}"</h3>
+                        <button type="button" class="modal-close" aria-label="Close">×</button>
+                    </div>
+                    <form class="submit-form variables-form" novalidate>
+                        ${variables.map((variable, index) => `
+                            <div class="form-group" data-variable="${escape(variable.name)}">
+                                <label for="promptVariable${index}">
+                                    ${escape(PromptVariables.label(variable.name))}${variable.required ? ' *' : ''}
+                                </label>
+                                <input type="text" id="promptVariable${index}" name="${escape(variable.name)}"
+                                       value="${escape(variable.default || '')}" ${variable.required ? 'required' : ''}>
+                                ${variable.description ? `<div class="form-help">${escape(variable.description)}</div>` : ''}
+                                <div class="variable-error" hidden>This field is required</div>
+                            </div>
+                        `).join('')}
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary variables-cancel">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Copy Prompt</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            const close = (result) => {
+                document.removeEventListener('keydown', onKeydown);
+                modal.remove();
+                resolve(result);
+            };
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) close(null);
+            });
+            modal.querySelector('.modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('.variables-cancel').addEventListener('click', () => close(null));
+            document.addEventListener('keydown', onKeydown);
+
+            const form = modal.querySelector('form');
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const values = {};
+                let firstInvalid = null;
+
+                variables.forEach((variable, index) => {
+                    const input = form.querySelector(`#promptVariable${index}`);
+                    const group = input.closest('.form-group');
+                    const value = input.value.trim();
+                    const missing = variable.required && !value;
+
+                    group.classList.toggle('invalid', missing);
+                    group.querySelector('.variable-error').hidden = !missing;
+                    input.setAttribute('aria-invalid', String(missing));
+                    if (missing && !firstInvalid) firstInvalid = input;
+                    values[variable.name] = value;
+                });
+
+                if (firstInvalid) {
+                    firstInvalid.focus();
+                    return;
+                }
+                close(PromptVariables.fill(prompt.content, values));
+            });
+
+            document.body.appendChild(modal);
+            const firstInput = modal.querySelector('input');
+            if (firstInput) firstInput.focus();
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PromptVariables = PromptVariables;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptVariables;
+}
@@ -0,0 +1,128 @@
+// Report Dialog - lets signed-in users flag content for moderators
+// Opens a modal with the report reasons accepted by POST /api/reports and files the
+// report itself. Resolves with the created report, or null if the user cancels.
+
+const REPORT_REASON_LABELS = {
+    spam: 'Spam or advertising',
+    harassment: 'Harassment or hate',
+    inappropriate: 'Inappropriate content',
+    copyright: 'Copied without permission',
+    misleading: 'Misleading or harmful instructions',
+    other: 'Something else'
+};
+
+class ReportDialog {
+    static open({ contentType, contentId, title, token }) {
+        const escape = ReportDialog.escapeHtml;
+
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'modal-overlay report-modal';
+            modal.innerHTML = `
+                <div class="modal-content" role="dialog" aria-modal="true" aria-label="Report ${escape(contentType)}">
+                    <div class="modal-header">
+                        <h3>Report ${title ? `"${escape(title)}"` : `this ${escape(contentType)}`}</h3>
+                        <button type="button" class="modal-close" aria-label="Close">×</button>
+                    </div>
+                    <form class="submit-form report-form" novalidate>
+                        <fieldset class="form-group report-reasons">
+                            <legend>What's wrong with it?</legend>
+                            ${Object.entries(REPORT_REASON_LABELS).map(([value, label]) => `
+                                <label class="report-reason">
+                                    <input type="radio" name="reason" value="${value}" required>
+                                    ${escape(label)}
+                                </label>
+                            `).join('')}
+                        </fieldset>
+                        <div class="form-group">
+                            <label for="reportDescription">Details (optional)</label>
+                            <textarea id="reportDescription" name="description" maxlength="1000" rows="3"></textarea>
+                        </div>
+                        <div class="report-error" role="alert" hidden></div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary report-cancel">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Send Report</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            const close = (result) => {
+                document.removeEventListener('keydown', onKeydown);
+                modal.remove();
+                resolve(result);
+            };
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) close(null);
+            });
+            modal.querySelector('.modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('.report-cancel').addEventListener('click', () => close(null));
+            document.addEventListener('keydown', onKeydown);
+
+            const form = modal.querySelector('form');
+            const errorBox = modal.querySelector('.report-error');
+            const showError = (message) => {
+                errorBox.textContent = message;
+                errorBox.hidden = false;
+            };
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const reason = form.querySelector('input[name="reason"]:checked');
+                if (!reason) {
+                    showError('Please choose a reason');
+                    return;
+                }
+
+                const submit = form.querySelector('button[type="submit"]');
+                submit.disabled = true;
+                try {
+                    const response = await fetch('/api/reports', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Authorization': `Bearer ${token}`
+                        },
+                        body: JSON.stringify({
+                            content_type: contentType,
+                            content_id: contentId,
+                            reason: reason.value,
+                            description: form.description.value.trim()
+                        })
+                    });
+                    const data = await response.json();
+                    // Suspended and banned users are told why in `message`
+                    if (!response.ok) throw new Error(response.status === 403 && data.message ? data.message : data.error);
+                    close(data.report);
+                } catch (error) {
+                    showError(error.message || 'Failed to send report');
+                    submit.disabled = false;
+                }
+            });
+
+            document.body.appendChild(modal);
+            modal.querySelector('input[name="reason"]').focus();
+        });
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    }
+}
+
+ReportDialog.REASONS = REPORT_REASON_LABELS;
+
+if (typeof window !== 'undefined') {
+    window.ReportDialog = ReportDialog;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportDialog;
+}
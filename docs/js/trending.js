@@ -24,6 +24,17 @@ class TrendingPage {
     }
 
     async loadData() {
+        // Live scores from the API when it is deployed, the static snapshot otherwise
+        try {
+            const response = await fetch('/api/trending?limit=10', { headers: { 'Accept': 'application/json' } });
+            if (response.ok) {
+                this.data = await response.json();
+                return;
+            }
+        } catch (error) {
+            console.warn('Trending API unavailable, using static data:', error);
+        }
+
         try {
             const response = await fetch('trending-data.json');
             if (!response.ok) {
@@ -101,11 +112,12 @@ class TrendingPage {
             allItems = this.data.trending[this.currentType] || [];
         }
         
-        // Sort by the current date range downloads (highest to lowest)
+        // Sort by the time-decayed score for the current range when available,
+        // then by downloads (highest to lowest)
         allItems.sort((a, b) => {
-            const aDownloads = this.getDownloadsForRange(a);
-            const bDownloads = this.getDownloadsForRange(b);
-            return bDownloads - aDownloads;
+            const scoreDiff = this.getScoreForRange(b) - this.getScoreForRange(a);
+            if (scoreDiff !== 0) return scoreDiff;
+            return this.getDownloadsForRange(b) - this.getDownloadsForRange(a);
         });
         
         // For "all" categories, limit to top 10
@@ -124,6 +136,16 @@ class TrendingPage {
         const itemType = this.getItemType(item);
         const componentType = this.getComponentTypeLabel(item);
         const downloads = this.getDownloadsForRange(item);
+        const isPrompt = this.currentType === 'prompts' || item.type === 'prompts';
+        const action = isPrompt
+            ? `<a class="install-button" href="index.html?prompt=${encodeURIComponent(item.id)}">Open</a>`
+            : `<button class="install-button" onclick="showInstallModal('${this.escapeHtml(item.id || item.name)}')">
+                        <svg class="install-icon" fill="currentColor" viewBox="0 0 16 16">
+                            <path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/>
+                            <path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/>
+                        </svg>
+                        Install
+                    </button>`;
         
         itemElement.innerHTML = `
             <div class="trending-rank">
@@ -136,16 +158,10 @@ class TrendingPage {
                         <svg class="trending-icon" fill="currentColor" viewBox="0 0 16 16">
                             <path d="${this.getIconPath(itemType)}"/>
                         </svg>
-                        <h3 class="trending-name">${item.name}</h3>
-                        <span class="trending-category">${category}</span>
+                        <h3 class="trending-name">${this.escapeHtml(item.name)}</h3>
+                        <span class="trending-category">${this.escapeHtml(category)}</span>
                     </div>
-                    <button class="install-button" onclick="showInstallModal('${item.id || item.name}')">
-                        <svg class="install-icon" fill="currentColor" viewBox="0 0 16 16">
-                            <path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/>
-                            <path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/>
-                        </svg>
-                        Install
-                    </button>
+                    ${action}
                 </div>
                 
                 <div class="trending-metadata">
@@ -154,7 +170,7 @@ class TrendingPage {
                             <path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/>
                             <path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/>
                         </svg>
-                        <span>${downloads.toLocaleString()} downloads ${this.getRangeLabel()}</span>
+                        <span>${downloads.toLocaleString()} ${isPrompt ? 'copies' : 'downloads'} ${this.getRangeLabel()}</span>
                     </div>
                     <div class="trending-type-badge">${componentType}</div>
                 </div>
@@ -177,6 +193,33 @@ class TrendingPage {
         }
     }
 
+    // Time-decayed score from /api/trending; 0 for the hand-maintained snapshot
+    getScoreForRange(item) {
+        switch(this.currentRange) {
+            case 'week':
+                return item.scoreWeek || 0;
+            case 'month':
+                return item.scoreMonth || 0;
+            default:
+                return item.scoreToday || 0;
+        }
+    }
+
+    findItem(id) {
+        const lists = Object.values(this.data?.trending || {}).filter(Array.isArray);
+        for (const items of lists) {
+            const match = items.find(item => item.id === id || item.name === id);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     getRangeLabel() {
         switch(this.currentRange) {
             case 'today':
@@ -194,6 +237,9 @@ class TrendingPage {
         // Determine the component type from the item ID or context
         const id = item.id || '';
         
+        if (item.type === 'prompts' || this.currentType === 'prompts') {
+            return 'Prompt';
+        }
         if (id.includes('agent-') || id.startsWith('agent') || this.currentType === 'agents') {
             return 'Agent';
         } else if (id.includes('command-') || id.startsWith('command') || this.currentType === 'commands') {
@@ -356,6 +402,17 @@ function showInstallModal(componentName) {
     
     const flagType = typeMap[componentType] || 'command';
     
+    // Remember what is being installed so copies can be tracked for trending
+    const item = window.trendingPageInstance ? window.trendingPageInstance.findItem(componentName) : null;
+    modal.dataset.componentId = componentName;
+    modal.dataset.componentType = componentType;
+    if (window.analytics) {
+        window.analytics.trackComponentView(componentType, componentName, {
+            name: item?.name,
+            category: item?.category
+        });
+    }
+    
     // Clean the component name by removing prefixes
     let cleanName = componentName;
     const prefixesToRemove = ['agent-', 'command-', 'setting-', 'hook-', 'mcp-', 'template-'];
@@ -395,6 +452,16 @@ function copyInstallCommand() {
     const copyFeedback = document.getElementById('copyFeedback');
     const copyButton = document.querySelector('.copy-button');
     
+    // Installs drive the component trending scores
+    const modal = document.getElementById('installModal');
+    if (window.analytics && modal.dataset.componentId) {
+        const item = window.trendingPageInstance ? window.trendingPageInstance.findItem(modal.dataset.componentId) : null;
+        window.analytics.trackComponentInstall(modal.dataset.componentType, modal.dataset.componentId, {
+            name: item?.name,
+            category: item?.category
+        });
+    }
+    
     // Copy to clipboard
     navigator.clipboard.writeText(commandText.textContent).then(() => {
         // Show success feedback
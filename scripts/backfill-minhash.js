@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+// Fill prompts.minhash and prompts.minhash_bands for existing rows so they take part
+// in duplicate checks and the moderators' duplicate report (api/lib/duplicates.js).
+// Requires env var POSTGRES_URL to be set.
+//
+// Usage: node scripts/backfill-minhash.js [--all] [--batch 500]
+//   --all  refingerprint every prompt, not only those without a signature
+
+const { sql } = require('@vercel/postgres');
+
+function parseArgs(argv) {
+  const args = { all: false, batch: 500 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--all') args.all = true;
+    else if (argv[i] === '--batch') args.batch = parseInt(argv[++i], 10);
+  }
+  return args;
+}
+
+(async () => {
+  if (!process.env.POSTGRES_URL) {
+    console.error('Missing POSTGRES_URL env var. Set it to your Neon/Vercel Postgres connection string.');
+    process.exit(1);
+  }
+
+  const args = parseArgs(process.argv.slice(2));
+  if (!Number.isInteger(args.batch) || args.batch < 1 || args.batch > 5000) {
+    console.error('--batch must be between 1 and 5000');
+    process.exit(1);
+  }
+
+  try {
+    // The hashing lives in the ESM API code
+    const { fingerprint } = await import('../api/lib/duplicates.js');
+    let lastId = '';
+    let updated = 0;
+
+    // Walk the table in id order so rows updated in one batch are not read again
+    for (;;) {
+      const { rows } = await sql.query(
+        `SELECT id::text AS id, content FROM prompts
+         WHERE id::text > $1 ${args.all ? '' : 'AND minhash IS NULL'}
+         ORDER BY id::text
+         LIMIT $2`,
+        [lastId, args.batch]
+      );
+      if (rows.length === 0) break;
+
+      // Signatures go in one at a time; unnest would flatten the nested arrays
+      for (const row of rows) {
+        const { minhash, bands } = fingerprint(row.content);
+        await sql.query(
+          'UPDATE prompts SET minhash = $2::int[], minhash_bands = $3::int[] WHERE id::text = $1',
+          [row.id, minhash, bands]
+        );
+      }
+
+      updated += rows.length;
+      lastId = rows[rows.length - 1].id;
+      console.log(`Fingerprinted ${updated} prompts`);
+    }
+
+    console.log(`Done: ${updated} prompts updated`);
+    process.exit(0);
+  } catch (err) {
+    console.error('MinHash backfill failed:', err);
+    process.exit(1);
+  }
+})();
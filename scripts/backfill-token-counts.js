@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+// Fill prompts.estimated_tokens for existing rows, using the same tokenizer
+// approximation as the API (docs/js/prompt-tokens.js).
+// Requires env var POSTGRES_URL to be set.
+//
+// Usage: node scripts/backfill-token-counts.js [--all] [--batch 500]
+//   --all  recount every prompt, not only those without a count
+
+const { sql } = require('@vercel/postgres');
+const PromptTokens = require('../docs/js/prompt-tokens.js');
+
+function parseArgs(argv) {
+  const args = { all: false, batch: 500 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--all') args.all = true;
+    else if (argv[i] === '--batch') args.batch = parseInt(argv[++i], 10);
+  }
+  return args;
+}
+
+(async () => {
+  if (!process.env.POSTGRES_URL) {
+    console.error('Missing POSTGRES_URL env var. Set it to your Neon/Vercel Postgres connection string.');
+    process.exit(1);
+  }
+
+  const args = parseArgs(process.argv.slice(2));
+  if (!Number.isInteger(args.batch) || args.batch < 1 || args.batch > 5000) {
+    console.error('--batch must be between 1 and 5000');
+    process.exit(1);
+  }
+
+  try {
+    let lastId = '';
+    let updated = 0;
+
+    // Walk the table in id order so rows updated in one batch are not read again
+    for (;;) {
+      const { rows } = await sql.query(
+        `SELECT id::text AS id, content FROM prompts
+         WHERE id::text > $1 ${args.all ? '' : 'AND estimated_tokens IS NULL'}
+         ORDER BY id::text
+         LIMIT $2`,
+        [lastId, args.batch]
+      );
+      if (rows.length === 0) break;
+
+      const ids = rows.map(row => row.id);
+      const counts = rows.map(row => PromptTokens.count(row.content));
+      await sql.query(
+        `UPDATE prompts p SET estimated_tokens = v.tokens
+         FROM unnest($1::text[], $2::int[]) AS v(id, tokens)
+         WHERE p.id::text = v.id`,
+        [ids, counts]
+      );
+
+      updated += rows.length;
+      lastId = ids[ids.length - 1];
+      console.log(`Counted ${updated} prompts`);
+    }
+
+    console.log(`Done: ${updated} prompts updated (model ${PromptTokens.DEFAULT_MODEL})`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Token count backfill failed:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+// Compare the difficulty classifier (docs/js/prompt-difficulty.js) with the levels
+// chosen by hand for the curated prompts in scripts/seed-prompts.js. Run it after
+// changing the classifier's terms or weights. Needs no database.
+//
+// Usage: node scripts/difficulty-report.js [--features]
+//   --features  print the features behind every disagreement
+
+const PromptDifficulty = require('../docs/js/prompt-difficulty.js');
+const { curatedPrompts } = require('./seed-prompts.js');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+function compare(prompts) {
+  return prompts.map(prompt => {
+    const { level, score, features } = PromptDifficulty.analyze(prompt);
+    return { title: prompt.title, curated: prompt.difficulty_level, predicted: level, score, features };
+  });
+}
+
+// Rows are the curated levels, columns the predicted ones
+function confusionMatrix(results) {
+  const matrix = Object.fromEntries(LEVELS.map(curated => [curated, Object.fromEntries(LEVELS.map(level => [level, 0]))]));
+  results.forEach(result => matrix[result.curated][result.predicted]++);
+  return matrix;
+}
+
+function describeFeatures(features) {
+  return [
+    `${features.tokens} tokens`,
+    `${features.variables} variables`,
+    `${features.sections} sections`,
+    `${features.listItems} list items`,
+    `${features.codeBlocks} code blocks`,
+    `${features.constraints} constraints`,
+    `specialist terms: ${features.expertTerms.join(', ') || 'none'}`,
+    `newcomer terms: ${features.beginnerTerms.join(', ') || 'none'}`
+  ].join('; ');
+}
+
+function printReport(results, { showFeatures }) {
+  const titleWidth = Math.max(...results.map(result => result.title.length));
+  const agreed = results.filter(result => result.curated === result.predicted).length;
+  const withinOne = results.filter(result =>
+    Math.abs(LEVELS.indexOf(result.curated) - LEVELS.indexOf(result.predicted)) <= 1
+  ).length;
+  const percent = count => `${Math.round((count / results.length) * 100)}%`;
+
+  console.log(`${'Prompt'.padEnd(titleWidth)}  ${'Curated'.padEnd(12)}  ${'Predicted'.padEnd(12)}  Score`);
+  results.forEach(result => {
+    const marker = result.curated === result.predicted ? '' : '  ✗';
+    console.log(`${result.title.padEnd(titleWidth)}  ${result.curated.padEnd(12)}  ${result.predicted.padEnd(12)}  ${String(result.score).padStart(5)}${marker}`);
+  });
+
+  console.log('\nConfusion matrix (rows curated, columns predicted):');
+  const matrix = confusionMatrix(results);
+  console.log(`${''.padEnd(12)}  ${LEVELS.map(level => level.padStart(12)).join('  ')}`);
+  LEVELS.forEach(curated => {
+    console.log(`${curated.padEnd(12)}  ${LEVELS.map(level => String(matrix[curated][level]).padStart(12)).join('  ')}`);
+  });
+
+  console.log(`\nAgreement: ${agreed}/${results.length} (${percent(agreed)})`);
+  console.log(`Within one level: ${withinOne}/${results.length} (${percent(withinOne)})`);
+
+  if (showFeatures) {
+    results.filter(result => result.curated !== result.predicted).forEach(result => {
+      console.log(`\n${result.title} (curated ${result.curated}, predicted ${result.predicted}, score ${result.score})`);
+      console.log(`  ${describeFeatures(result.features)}`);
+    });
+  }
+}
+
+if (require.main === module) {
+  const results = compare(curatedPrompts);
+  printReport(results, { showFeatures: process.argv.includes('--features') });
+}
+
+module.exports = { compare, confusionMatrix };
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+// Regenerate docs/trending-data.json for the static site from real activity,
+// using the same time-decay scoring as /api/trending (api/lib/trending.js).
+// Requires env var POSTGRES_URL to be set.
+//
+// Usage: node scripts/generate-trending-data.js [--limit 10] [--range week] [--out path]
+
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = { limit: 10, range: 'week', out: path.join(__dirname, '../docs/trending-data.json') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--limit') args.limit = parseInt(argv[++i], 10);
+    else if (argv[i] === '--range') args.range = argv[++i];
+    else if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+  }
+  return args;
+}
+
+(async () => {
+  if (!process.env.POSTGRES_URL) {
+    console.error('Missing POSTGRES_URL env var. Set it to your Neon/Vercel Postgres connection string.');
+    process.exit(1);
+  }
+
+  const args = parseArgs(process.argv.slice(2));
+  if (!Number.isInteger(args.limit) || args.limit < 1 || args.limit > 50) {
+    console.error('--limit must be between 1 and 50');
+    process.exit(1);
+  }
+
+  try {
+    // The scoring lives in the ESM API code
+    const { buildTrendingData, TRENDING_RANGES } = await import('../api/lib/trending.js');
+    if (!TRENDING_RANGES[args.range]) {
+      console.error(`--range must be one of: ${Object.keys(TRENDING_RANGES).join(', ')}`);
+      process.exit(1);
+    }
+
+    const data = await buildTrendingData({ limit: args.limit, range: args.range });
+    fs.writeFileSync(args.out, JSON.stringify(data, null, 2) + '\n');
+
+    for (const [type, items] of Object.entries(data.trending)) {
+      console.log(`${type}: ${items.length} items`);
+    }
+    console.log(`Wrote ${args.out}`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Generating trending data failed:', err);
+    process.exit(1);
+  }
+})();
@@ -5,41 +5,18 @@
  * 
  * This script parses the existing components.json file and transforms
  * the component data into prompt templates suitable for Prompt Hero.
+ * Categories are read from the categories table, so POSTGRES_URL must be set.
  */
 
 const fs = require('fs');
 const path = require('path');
-
-// Category mapping from components to prompts
-const CATEGORY_MAPPING = {
-    'ai-specialists': 'development',
-    'api-graphql': 'development', 
-    'blockchain-web3': 'development',
-    'commands': 'technical',
-    'settings': 'technical',
-    'hooks': 'technical',
-    'mcps': 'technical',
-    'templates': 'development',
-    'workflows': 'business',
-    'analytics': 'business',
-    'security': 'technical',
-    'testing': 'development',
-    'deployment': 'technical',
-    'monitoring': 'business',
-    'documentation': 'education',
-    'tutorials': 'education'
-};
-
-// Difficulty level mapping based on component complexity
-const DIFFICULTY_MAPPING = {
-    'beginner': ['basic', 'simple', 'intro', 'getting-started', 'hello-world'],
-    'intermediate': ['advanced', 'complex', 'enterprise', 'production', 'optimized'],
-    'advanced': ['expert', 'master', 'professional', 'enterprise-grade', 'high-performance']
-};
+const PromptTokens = require('../docs/js/prompt-tokens.js');
+const PromptDifficulty = require('../docs/js/prompt-difficulty.js');
 
 class ComponentMigrator {
     constructor() {
         this.componentsData = null;
+        this.categories = [];
         this.prompts = [];
         this.stats = {
             total: 0,
@@ -49,6 +26,20 @@ class ComponentMigrator {
         };
     }
 
+    // Load prompt categories; a category's aliases name the component categories
+    // and component types that migrate into it
+    async loadCategories() {
+        const { sql } = require('@vercel/postgres');
+        const { rows } = await sql`SELECT slug, aliases FROM categories ORDER BY sort_order, name`;
+        if (rows.length === 0) {
+            console.error('❌ No categories found. Run the database migrations first.');
+            return false;
+        }
+        this.categories = rows;
+        console.log(`📂 Loaded ${rows.length} categories`);
+        return true;
+    }
+
     // Load components data
     loadComponents() {
         try {
@@ -199,23 +190,14 @@ class ComponentMigrator {
         return content.substring(0, 150).trim() + '...';
     }
 
-    // Map component category to prompt category
+    // Map component category to prompt category: the component's own category
+    // first, then its type, then the first category in display order
     mapCategory(componentCategory, type) {
-        if (componentCategory && CATEGORY_MAPPING[componentCategory]) {
-            return CATEGORY_MAPPING[componentCategory];
-        }
-
-        // Fallback based on type
-        const typeMapping = {
-            'agent': 'development',
-            'command': 'technical',
-            'setting': 'technical',
-            'hook': 'technical',
-            'mcp': 'development',
-            'template': 'development'
-        };
-
-        return typeMapping[type] || 'development';
+        const find = name => name && this.categories.find(category =>
+            category.slug === name || category.aliases.includes(name)
+        );
+        const category = find(componentCategory) || find(type) || this.categories[0];
+        return category.slug;
     }
 
     // Generate tags for the prompt
@@ -278,24 +260,18 @@ class ComponentMigrator {
         return Math.round((Math.random() * 1.3 + 3.5) * 10) / 10;
     }
 
-    // Determine difficulty level
+    // Determine difficulty level with the same classifier as POST /api/prompts
     determineDifficulty(component) {
-        const content = component.content.toLowerCase();
-        const name = component.name.toLowerCase();
-
-        for (const [level, keywords] of Object.entries(DIFFICULTY_MAPPING)) {
-            if (keywords.some(keyword => content.includes(keyword) || name.includes(keyword))) {
-                return level;
-            }
-        }
-
-        return 'intermediate'; // Default difficulty
+        return PromptDifficulty.classify({
+            title: component.name,
+            description: component.description,
+            content: component.content
+        });
     }
 
-    // Estimate token count
+    // Estimate token count with the same tokenizer approximation as the API
     estimateTokens(content) {
-        // Rough estimation: 1 token ≈ 4 characters
-        return Math.ceil(content.length / 4);
+        return PromptTokens.count(content);
     }
 
     // Generate unique ID
@@ -383,15 +359,23 @@ class ComponentMigrator {
 
 // Main execution
 if (require.main === module) {
-    const migrator = new ComponentMigrator();
-    
-    if (migrator.migrateAll()) {
-        const outputPath = path.join(__dirname, '../docs/prompts.json');
-        migrator.savePrompts(outputPath);
-    } else {
-        console.error('❌ Migration failed');
-        process.exit(1);
-    }
+    (async () => {
+        if (!process.env.POSTGRES_URL) {
+            console.error('Missing POSTGRES_URL env var. Set it to your Neon/Vercel Postgres connection string.');
+            process.exit(1);
+        }
+
+        const migrator = new ComponentMigrator();
+
+        if (await migrator.loadCategories() && migrator.migrateAll()) {
+            const outputPath = path.join(__dirname, '../docs/prompts.json');
+            migrator.savePrompts(outputPath);
+            process.exit(0);
+        } else {
+            console.error('❌ Migration failed');
+            process.exit(1);
+        }
+    })();
 }
 
 module.exports = ComponentMigrator;
@@ -63,8 +63,15 @@ function uuidv4() {
   }
 }
 
+// Categories come from the categories table (database/migrations/020_categories.sql)
+async function loadCategories() {
+  const res = await sql`SELECT slug FROM categories ORDER BY sort_order, name`;
+  if (res.rowCount === 0) throw new Error('No categories found. Run the database migrations before seeding.');
+  return res.rows.map(row => row.slug);
+}
+
 async function seedDummyPrompts() {
-  const categories = ['development', 'creative', 'business', 'education', 'research', 'technical'];
+  const categories = await loadCategories();
   let inserted = 0;
   const useTextId = await isIdText();
   const hasPromptText = await tableHasColumn('prompt_text');
@@ -77,6 +84,9 @@ async function seedDummyPrompts() {
     const description = `A high-quality ${cat} prompt example to demonstrate seeding.`;
     const content = `You are an expert in ${cat}. Provide a step-by-step, actionable response with examples.`;
     const tags = [cat, 'demo', 'seed'];
+    // Reseeding skips prompts seeded before instead of duplicating them
+    const existing = await sql`SELECT 1 FROM prompts WHERE title = ${title} LIMIT 1`;
+    if (existing.rowCount > 0) continue;
     // Insert according to available columns (no `unsafe` usage)
     if (useTextId) {
       if (hasPromptText && hasContent && hasTags) {
@@ -0,0 +1,139 @@
+// API Tests for Analytics Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleAnalytics } from '../../api/routes/analytics.js';
+
+const promptId = '22222222-2222-4222-8222-222222222222';
+
+// The rate-limit store is shared across tests, so each test uses its own session
+let sessionCounter = 0;
+const nextSession = () => `session_test_${++sessionCounter}`;
+
+function track(body, headers = {}) {
+    return callHandler(handleAnalytics, { method: 'POST', url: '/api/analytics/track', body, headers });
+}
+
+describe('/api/analytics/track', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.mockResolvedValue({ rows: [], rowCount: 0 });
+    });
+
+    it('should store a batch in analytics_events with one insert', async () => {
+        const session = nextSession();
+        const { status, data } = await track([
+            { event_type: 'page_view', session_id: session, metadata: { url: '/' } },
+            { event_type: 'search', session_id: session, metadata: { query: 'code review' } }
+        ], { 'user-agent': 'vitest', 'x-forwarded-for': '203.0.113.7, 10.0.0.1' });
+
+        expect(status).toBe(202);
+        expect(data).toEqual({ accepted: 2, dropped: 0 });
+        expect(mockSql).toHaveBeenCalledTimes(1);
+        const insert = mockSql.mock.calls[0];
+        expect(queryText(insert)).toContain('INSERT INTO analytics_events');
+        expect(queryText(insert)).toContain('FROM unnest(');
+        expect(insert).toContainEqual(['page_view', 'search']);
+        expect(insert).toContain('203.0.113.7');
+        expect(insert).toContain('vitest');
+    });
+
+    it('should count prompt views once per session and copies as usage', async () => {
+        const session = nextSession();
+        const metadata = { content_type: 'prompt', content_id: promptId };
+        const { status } = await track({
+            events: [
+                { event_type: 'prompt_view', session_id: session, metadata },
+                { event_type: 'prompt_view', session_id: session, metadata },
+                { event_type: 'prompt_copy', session_id: session, metadata }
+            ]
+        });
+
+        expect(status).toBe(202);
+        const [, analyticsInsert, counterUpdate] = mockSql.mock.calls;
+        expect(queryText(analyticsInsert)).toContain('INSERT INTO analytics');
+        expect(analyticsInsert).toContainEqual(['view', 'view', 'copy']);
+        expect(queryText(counterUpdate)).toContain('view_count = COALESCE(p.view_count, 0) + c.views');
+        expect(counterUpdate).toContainEqual([promptId]);
+        expect(counterUpdate).toContainEqual([1]);
+    });
+
+    it('should keep seed prompt ids in metadata only', async () => {
+        const { status } = await track([{
+            event_type: 'prompt_view',
+            session_id: nextSession(),
+            metadata: { content_type: 'prompt', content_id: '1' }
+        }]);
+
+        expect(status).toBe(202);
+        // No UUID, so nothing reaches the per-prompt table
+        expect(mockSql).toHaveBeenCalledTimes(1);
+        expect(mockSql.mock.calls[0]).toContainEqual([null]);
+    });
+
+    it('should ignore a user_id sent by the client', async () => {
+        await track([{
+            event_type: 'page_view',
+            session_id: nextSession(),
+            user_id: '11111111-1111-4111-8111-111111111111'
+        }]);
+
+        expect(mockSql.mock.calls[0]).not.toContain('11111111-1111-4111-8111-111111111111');
+    });
+
+    it('should reject malformed batches', async () => {
+        const { status, data } = await track([{ event_type: 'Bad Event!', session_id: nextSession() }]);
+
+        expect(status).toBe(400);
+        expect(data.error).toBe('Validation failed');
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should drop events over the per-session limit', async () => {
+        const session = nextSession();
+        const batch = n => Array.from({ length: n }, () => ({ event_type: 'page_view', session_id: session }));
+
+        await track(batch(100));
+        await track(batch(100));
+        await track(batch(50));
+
+        const partial = await track(batch(100));
+        expect(partial.status).toBe(202);
+        expect(partial.data).toEqual({ accepted: 50, dropped: 50 });
+
+        const { status, res } = await track(batch(1));
+        expect(status).toBe(429);
+        expect(res.getHeader('Retry-After')).toBe(600);
+    });
+
+    it('should limit a client IP across sessions', async () => {
+        const headers = { 'x-forwarded-for': '198.51.100.23' };
+        // A new session for every event, as a script inflating views would do
+        const batch = () => Array.from({ length: 100 }, () => ({ event_type: 'page_view', session_id: nextSession() }));
+
+        for (let i = 0; i < 10; i++) {
+            expect((await track(batch(), headers)).data).toEqual({ accepted: 100, dropped: 0 });
+        }
+
+        const limited = await track(batch(), headers);
+        expect(limited.status).toBe(429);
+
+        const elsewhere = await track(batch(), { 'x-forwarded-for': '198.51.100.24' });
+        expect(elsewhere.data).toEqual({ accepted: 100, dropped: 0 });
+    });
+
+    it('should not charge a session for events the IP limit refused', async () => {
+        const headers = { 'x-forwarded-for': '198.51.100.25' };
+        const batch = session => Array.from({ length: 100 }, () => ({ event_type: 'page_view', session_id: session || nextSession() }));
+
+        for (let i = 0; i < 10; i++) await track(batch(), headers);
+
+        const session = nextSession();
+        expect((await track(batch(session), headers)).status).toBe(429);
+
+        for (let i = 0; i < 3; i++) {
+            const moved = await track(batch(session), { 'x-forwarded-for': '198.51.100.26' });
+            expect(moved.data).toEqual({ accepted: 100, dropped: 0 });
+        }
+    });
+});
@@ -0,0 +1,222 @@
+// API Tests for Auth Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import {
+    hashPassword,
+    verifyPassword,
+    signAccessToken,
+    verifyAccessToken,
+    hashRefreshToken,
+    ACCESS_TOKEN_TTL
+} from '../../api/lib/auth.js';
+import { handleAuth } from '../../api/routes/auth.js';
+
+const user = {
+    id: '11111111-1111-4111-8111-111111111111',
+    username: 'promptmaster',
+    email: 'user@example.com'
+};
+
+// Run a route handler with a JSON body streamed like a real request
+function callAuth(options) {
+    return callHandler(handleAuth, options);
+}
+
+describe('Auth helpers', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+
+    it('should hash and verify passwords', async () => {
+        const hash = await hashPassword('Sup3r$ecret');
+
+        expect(hash).toMatch(/^scrypt\$\d+\$/);
+        expect(hash).not.toContain('Sup3r$ecret');
+        expect(await verifyPassword('Sup3r$ecret', hash)).toBe(true);
+        expect(await verifyPassword('wrong', hash)).toBe(false);
+        expect(await verifyPassword('Sup3r$ecret', null)).toBe(false);
+    });
+
+    it('should sign access tokens that verify', () => {
+        const token = signAccessToken(user);
+        const claims = verifyAccessToken(token);
+
+        expect(claims.sub).toBe(user.id);
+        expect(claims.username).toBe('promptmaster');
+        expect(claims.exp - claims.iat).toBe(ACCESS_TOKEN_TTL);
+    });
+
+    it('should reject expired tokens', () => {
+        const issuedAt = Date.now() - (ACCESS_TOKEN_TTL + 1) * 1000;
+        const token = signAccessToken(user, issuedAt);
+
+        expect(verifyAccessToken(token)).toBeNull();
+    });
+
+    it('should reject tampered tokens and other secrets', () => {
+        const [header, , signature] = signAccessToken(user).split('.');
+        const forged = Buffer.from(JSON.stringify({ sub: 'someone-else', type: 'access', exp: 9999999999 })).toString('base64url');
+
+        expect(verifyAccessToken(`${header}.${forged}.${signature}`)).toBeNull();
+
+        const token = signAccessToken(user);
+        process.env.JWT_SECRET = 'another-secret';
+        expect(verifyAccessToken(token)).toBeNull();
+    });
+
+    it('should refuse to sign without a secret', () => {
+        delete process.env.JWT_SECRET;
+        expect(() => signAccessToken(user)).toThrow('JWT_SECRET is not configured');
+    });
+});
+
+describe('/api/auth', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.mockResolvedValue({ rows: [], rowCount: 0 });
+    });
+
+    it('should register a new user and return tokens', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // uniqueness check
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 }); // insert
+
+        const { status, data } = await callAuth({
+            method: 'POST',
+            url: '/api/auth/register',
+            body: { username: 'promptmaster', email: 'User@Example.com', password: 'Sup3r$ecret' }
+        });
+
+        expect(status).toBe(201);
+        expect(data.user.id).toBe(user.id);
+        expect(verifyAccessToken(data.token).sub).toBe(user.id);
+        expect(data.refresh_token).toBeDefined();
+
+        const insert = mockSql.mock.calls[1];
+        expect(queryText(insert)).toContain('INSERT INTO users');
+        expect(insert).toContain('user@example.com');
+        expect(insert.some(value => typeof value === 'string' && value.startsWith('scrypt$'))).toBe(true);
+
+        const stored = mockSql.mock.calls[2];
+        expect(queryText(stored)).toContain('INSERT INTO refresh_tokens');
+        expect(stored).toContain(hashRefreshToken(data.refresh_token));
+    });
+
+    it('should validate registration with registerSchema', async () => {
+        const { status, data } = await callAuth({
+            method: 'POST',
+            url: '/api/auth/register',
+            body: { username: 'x', email: 'nope', password: 'short' }
+        });
+
+        expect(status).toBe(400);
+        expect(data.error).toBe('Validation failed');
+        expect(data.errors.map(e => e.field)).toEqual(expect.arrayContaining(['username', 'email', 'password']));
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should reject duplicate accounts', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ username: 'other', email: 'user@example.com' }], rowCount: 1 });
+
+        const { status, data } = await callAuth({
+            method: 'POST',
+            url: '/api/auth/register',
+            body: { username: 'promptmaster', email: 'user@example.com', password: 'Sup3r$ecret' }
+        });
+
+        expect(status).toBe(409);
+        expect(data.error).toContain('email');
+    });
+
+    it('should log in with the right password only', async () => {
+        const password_hash = await hashPassword('Sup3r$ecret');
+        mockSql.mockResolvedValue({ rows: [{ ...user, password_hash, is_active: true }], rowCount: 1 });
+
+        const wrong = await callAuth({
+            method: 'POST',
+            url: '/api/auth/login',
+            body: { email: 'user@example.com', password: 'nope' }
+        });
+        expect(wrong.status).toBe(401);
+
+        const ok = await callAuth({
+            method: 'POST',
+            url: '/api/auth/login',
+            body: { email: 'user@example.com', password: 'Sup3r$ecret' }
+        });
+        expect(ok.status).toBe(200);
+        expect(ok.data.user.password_hash).toBeUndefined();
+        expect(verifyAccessToken(ok.data.token).sub).toBe(user.id);
+    });
+
+    it('should refuse to log in banned users', async () => {
+        const password_hash = await hashPassword('Sup3r$ecret');
+        mockSql.mockResolvedValue({
+            rows: [{ ...user, password_hash, is_active: true, is_banned: true, ban_reason: 'Spam' }],
+            rowCount: 1
+        });
+
+        const { status, data } = await callAuth({
+            method: 'POST',
+            url: '/api/auth/login',
+            body: { email: 'user@example.com', password: 'Sup3r$ecret' }
+        });
+
+        expect(status).toBe(403);
+        expect(data).toEqual({ error: 'Account banned', message: 'Spam' });
+    });
+
+    it('should verify a bearer token against the users table', async () => {
+        mockSql.mockResolvedValue({ rows: [user], rowCount: 1 });
+
+        const { status, data } = await callAuth({
+            method: 'GET',
+            url: '/api/auth/verify',
+            headers: { authorization: `Bearer ${signAccessToken(user)}` }
+        });
+
+        expect(status).toBe(200);
+        expect(data.user.username).toBe('promptmaster');
+        expect(queryText(mockSql.mock.calls[0])).toContain('FROM users');
+    });
+
+    it('should reject an unsigned bearer token', async () => {
+        const { status, data } = await callAuth({
+            method: 'GET',
+            url: '/api/auth/verify',
+            headers: { authorization: `Bearer ${user.id}` }
+        });
+
+        expect(status).toBe(401);
+        expect(data.error).toBe('Invalid token');
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should rotate refresh tokens', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [{ user_id: user.id }], rowCount: 1 }) // revoke old
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 }); // load user
+
+        const { status, data } = await callAuth({
+            method: 'POST',
+            url: '/api/auth/refresh',
+            body: { refresh_token: 'old-token' }
+        });
+
+        expect(status).toBe(200);
+        expect(data.refresh_token).not.toBe('old-token');
+        expect(mockSql.mock.calls[0]).toContain(hashRefreshToken('old-token'));
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+        const { status } = await callAuth({
+            method: 'POST',
+            url: '/api/auth/refresh',
+            body: { refresh_token: 'revoked-token' }
+        });
+
+        expect(status).toBe(401);
+    });
+});
@@ -0,0 +1,213 @@
+// API Tests for Category Management
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleCategories } from '../../api/routes/categories.js';
+import { resolveCategory, unknownCategoryError } from '../../api/lib/categories.js';
+
+const moderator = { id: '11111111-1111-4111-8111-111111111111', username: 'mod', is_moderator: true };
+const member = { id: '22222222-2222-4222-8222-222222222222', username: 'member', is_moderator: false };
+const development = {
+    id: 1, slug: 'development', name: 'Development', description: 'Coding prompts', icon: '💻',
+    sort_order: 1, aliases: ['agent', 'mcp'], prompt_count: 12
+};
+
+function call(options) {
+    return callHandler(handleCategories, options);
+}
+
+describe('resolving categories', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+    });
+
+    it('should accept a slug, an alias or a name and return the slug', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ slug: 'development' }] });
+
+        expect(await resolveCategory('  Agent ')).toBe('development');
+        expect(queryText(mockSql.mock.calls[0])).toContain('= ANY(aliases)');
+        expect(mockSql.mock.calls[0].slice(1)).toEqual(['agent', 'agent', 'agent', 'agent']);
+    });
+
+    it('should return null for unknown or missing categories', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [] });
+
+        expect(await resolveCategory('cooking')).toBeNull();
+        expect(await resolveCategory('')).toBeNull();
+        expect(await resolveCategory(undefined)).toBeNull();
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should name the categories that exist when one does not', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ slug: 'development' }, { slug: 'creative' }] });
+
+        expect(await unknownCategoryError()).toEqual({
+            field: 'category',
+            message: 'Category must be one of: development, creative'
+        });
+    });
+});
+
+describe('GET /api/categories', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should list categories in display order with public prompt counts', async () => {
+        mockSql.query.mockResolvedValueOnce({ rows: [development] });
+
+        const { status, data } = await call({ url: '/api/categories' });
+
+        expect(status).toBe(200);
+        expect(data.categories).toEqual([development]);
+        expect(mockSql.query.mock.calls[0][0]).toContain('p.is_public = true');
+        expect(mockSql.query.mock.calls[0][0]).toContain('ORDER BY c.sort_order, c.name');
+    });
+
+    it('should return 404 for an unknown category', async () => {
+        mockSql.query.mockResolvedValueOnce({ rows: [] });
+
+        const { status, data } = await call({ url: '/api/categories/Cooking' });
+
+        expect(status).toBe(404);
+        expect(data.error).toBe('Category not found');
+        expect(mockSql.query.mock.calls[0][1]).toEqual(['cooking']);
+    });
+});
+
+describe('POST /api/categories', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should be for moderators only', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [member], rowCount: 1 });
+
+        const { status } = await call({ method: 'POST', url: '/api/categories', user: member, body: { slug: 'data', name: 'Data' } });
+
+        expect(status).toBe(403);
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should create a category with defaults for the optional fields', async () => {
+        const data = { id: 8, slug: 'data', name: 'Data', description: null, icon: null, sort_order: 0, aliases: [], prompt_count: 0 };
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: 8 }], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: [data] });
+
+        const result = await call({ method: 'POST', url: '/api/categories', user: moderator, body: { slug: 'Data', name: 'Data' } });
+
+        expect(result.status).toBe(201);
+        expect(result.data).toEqual({ message: 'Category created', category: data });
+        expect(mockSql.mock.calls[1].slice(1)).toEqual(['data', 'Data', null, null, 0, []]);
+    });
+
+    it('should refuse a slug that is taken or reserved by the filter chips', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+        const taken = await call({ method: 'POST', url: '/api/categories', user: moderator, body: { slug: 'development', name: 'Dev' } });
+        expect(taken.status).toBe(409);
+        expect(taken.data.error).toBe('Category "development" already exists');
+
+        mockSql.mockResolvedValueOnce({ rows: [moderator], rowCount: 1 });
+
+        const reserved = await call({ method: 'POST', url: '/api/categories', user: moderator, body: { slug: 'all', name: 'All' } });
+        expect(reserved.status).toBe(400);
+        expect(reserved.data.errors[0].field).toBe('slug');
+    });
+});
+
+describe('PUT /api/categories/:slug', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should refuse to take another category\'s slug', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [moderator], rowCount: 1 });
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [development] })
+            .mockResolvedValueOnce({ rows: [{ ...development, id: 6, slug: 'technical' }] });
+
+        const { status, data } = await call({
+            method: 'PUT',
+            url: '/api/categories/development',
+            user: moderator,
+            body: { slug: 'technical' }
+        });
+
+        expect(status).toBe(409);
+        expect(data.error).toBe('Category "technical" already exists');
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the fields that are not sent and clear the ones sent empty', async () => {
+        const renamed = { ...development, slug: 'engineering', icon: null };
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [development] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [renamed] });
+
+        const { status, data } = await call({
+            method: 'PUT',
+            url: '/api/categories/development',
+            user: moderator,
+            body: { slug: 'engineering', icon: '' }
+        });
+
+        expect(status).toBe(200);
+        expect(data.category).toEqual(renamed);
+        expect(mockSql.mock.calls[1].slice(1)).toEqual([
+            'engineering', null, true, '', false, '', null, null, development.id
+        ]);
+    });
+});
+
+describe('DELETE /api/categories/:slug', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should only delete a category no prompt uses', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+        mockSql.query.mockResolvedValueOnce({ rows: [development] });
+
+        const { status, data } = await call({ method: 'DELETE', url: '/api/categories/development', user: moderator });
+
+        expect(status).toBe(409);
+        expect(data.error).toBe('Move this category\'s prompts to another category before deleting it');
+        expect(queryText(mockSql.mock.calls[1])).toContain('NOT EXISTS (SELECT 1 FROM prompts p WHERE p.category = c.slug)');
+    });
+
+    it('should delete an unused category and 404 on an unknown one', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ slug: 'research' }], rowCount: 1 });
+
+        const deleted = await call({ method: 'DELETE', url: '/api/categories/research', user: moderator });
+        expect(deleted.status).toBe(200);
+        expect(deleted.data.message).toBe('Category deleted');
+
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+        mockSql.query.mockResolvedValueOnce({ rows: [] });
+
+        const missing = await call({ method: 'DELETE', url: '/api/categories/cooking', user: moderator });
+        expect(missing.status).toBe(404);
+    });
+});
@@ -0,0 +1,230 @@
+// API Tests for Collections Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleCollections } from '../../api/routes/collections.js';
+
+const owner = { id: '11111111-1111-4111-8111-111111111111', username: 'promptmaster' };
+const other = { id: '33333333-3333-4333-8333-333333333333', username: 'someone' };
+const collectionId = '44444444-4444-4444-8444-444444444444';
+const promptA = '22222222-2222-4222-8222-222222222222';
+const promptB = '55555555-5555-4555-8555-555555555555';
+
+const collection = {
+    id: collectionId,
+    name: 'AI Development Tools',
+    owner_id: owner.id,
+    is_public: true,
+    prompt_ids: [promptA, promptB]
+};
+
+function callCollections({ user = owner, ...options }) {
+    return callHandler(handleCollections, { user, ...options });
+}
+
+describe('/api/collections', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+        mockSql.mockResolvedValue({ rows: [], rowCount: 0 });
+        mockSql.query.mockResolvedValue({ rows: [], rowCount: 0 });
+    });
+
+    function asUser(user) {
+        mockSql.mockResolvedValueOnce({ rows: [user], rowCount: 1 }); // authenticate
+    }
+
+    it('should list public collections only for anonymous users', async () => {
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [{ total: 1 }], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+
+        const { status, data } = await callCollections({
+            method: 'GET',
+            url: '/api/collections?public_only=false&sort=name&order=asc',
+            user: null
+        });
+
+        expect(status).toBe(200);
+        expect(data.collections[0].prompt_ids).toEqual([promptA, promptB]);
+        const [text, params] = mockSql.query.mock.calls[1];
+        expect(text).toContain('(c.is_public = true OR c.owner_id = $1::uuid)');
+        expect(text).toContain('ORDER BY c.name ASC');
+        expect(params[0]).toBeNull();
+    });
+
+    it('should reject unknown sort columns', async () => {
+        const { status } = await callCollections({
+            method: 'GET',
+            url: '/api/collections?sort=owner_id;DROP TABLE users',
+            user: null
+        });
+
+        expect(status).toBe(400);
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+
+    it('should create a collection owned by the token user', async () => {
+        asUser(owner);
+        mockSql.mockResolvedValueOnce({ rows: [{ id: collectionId, owner_id: owner.id }], rowCount: 1 });
+
+        const { status, data } = await callCollections({
+            method: 'POST',
+            url: '/api/collections',
+            body: { name: 'My Collection', owner_id: other.id }
+        });
+
+        expect(status).toBe(201);
+        expect(data.collection.owner_id).toBe(owner.id);
+        expect(mockSql.mock.calls[1]).toContain(owner.id);
+        expect(mockSql.mock.calls[1]).not.toContain(other.id);
+    });
+
+    it('should hide private collections from other users', async () => {
+        mockSql.query.mockResolvedValueOnce({ rows: [{ ...collection, is_public: false }], rowCount: 1 });
+        asUser(other);
+
+        const { status } = await callCollections({ method: 'GET', url: `/api/collections/${collectionId}`, user: other });
+
+        expect(status).toBe(404);
+    });
+
+    it('should only let the owner modify a collection', async () => {
+        asUser(other);
+        mockSql.query.mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+
+        const { status } = await callCollections({
+            method: 'PUT',
+            url: `/api/collections/${collectionId}`,
+            body: { name: 'Hijacked' },
+            user: other
+        });
+
+        expect(status).toBe(403);
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should insert prompts at a position and shift the rest', async () => {
+        asUser(owner);
+        mockSql.query.mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+        mockSql
+            .mockResolvedValueOnce({ rows: [{ id: promptA }], rowCount: 1 }) // prompt lookup
+            .mockResolvedValueOnce({ rows: [{ prompt_id: promptA, position: 0 }], rowCount: 1 });
+
+        const { status, data } = await callCollections({
+            method: 'POST',
+            url: `/api/collections/${collectionId}/prompts`,
+            body: { prompt_id: promptA, position: 0 }
+        });
+
+        expect(status).toBe(201);
+        expect(data.collection_prompt.position).toBe(0);
+        const insert = queryText(mockSql.mock.calls[2]);
+        expect(insert).toContain('SET position = position + 1');
+        expect(insert).toContain('ON CONFLICT (collection_id, prompt_id) DO NOTHING');
+    });
+
+    it('should 409 when the prompt is already in the collection', async () => {
+        asUser(owner);
+        mockSql.query.mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+        mockSql.mockResolvedValueOnce({ rows: [{ id: promptA }], rowCount: 1 });
+
+        const { status } = await callCollections({
+            method: 'POST',
+            url: `/api/collections/${collectionId}/prompts`,
+            body: { prompt_id: promptA }
+        });
+
+        expect(status).toBe(409);
+    });
+
+    it('should reorder only with the complete set of prompts', async () => {
+        asUser(owner);
+        mockSql.query.mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+
+        const partial = await callCollections({
+            method: 'PUT',
+            url: `/api/collections/${collectionId}/prompts/order`,
+            body: { prompt_ids: [promptB] }
+        });
+        expect(partial.status).toBe(400);
+
+        asUser(owner);
+        mockSql.query.mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+
+        const { status, data } = await callCollections({
+            method: 'PUT',
+            url: `/api/collections/${collectionId}/prompts/order`,
+            body: { prompt_ids: [promptB, promptA] }
+        });
+
+        expect(status).toBe(200);
+        expect(data.prompt_ids).toEqual([promptB, promptA]);
+        const update = mockSql.mock.calls[mockSql.mock.calls.length - 1];
+        expect(queryText(update)).toContain('WITH ORDINALITY');
+        expect(update).toContainEqual([promptB, promptA]);
+    });
+
+    it('should close the gap when removing a prompt', async () => {
+        asUser(owner);
+        mockSql.query.mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+        mockSql.mockResolvedValueOnce({ rows: [{ position: 0 }], rowCount: 1 });
+
+        const { status } = await callCollections({
+            method: 'DELETE',
+            url: `/api/collections/${collectionId}/prompts/${promptA}`
+        });
+
+        expect(status).toBe(200);
+        expect(queryText(mockSql.mock.calls[1])).toContain('SET position = position - 1');
+    });
+
+    it('should follow and unfollow collections', async () => {
+        asUser(other);
+        mockSql.query.mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+        mockSql
+            .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ total_followers: 1 }], rowCount: 1 });
+
+        const follow = await callCollections({ method: 'POST', url: `/api/collections/${collectionId}/follow`, user: other });
+        expect(follow.status).toBe(200);
+        expect(follow.data).toMatchObject({ following: true, total_followers: 1 });
+
+        asUser(other);
+        const unfollow = await callCollections({ method: 'DELETE', url: `/api/collections/${collectionId}/follow`, user: other });
+        expect(unfollow.status).toBe(404);
+    });
+
+    it('should not let owners follow their own collection', async () => {
+        asUser(owner);
+        mockSql.query.mockResolvedValueOnce({ rows: [collection], rowCount: 1 });
+
+        const { status } = await callCollections({ method: 'POST', url: `/api/collections/${collectionId}/follow` });
+
+        expect(status).toBe(400);
+    });
+
+    it('should sync local collections keyed by client id', async () => {
+        asUser(owner);
+        mockSql
+            .mockResolvedValueOnce({ rows: [{ id: collectionId }], rowCount: 1 }) // upsert
+            .mockResolvedValueOnce({ rows: [], rowCount: 1 }); // prompts
+        mockSql.query.mockResolvedValueOnce({ rows: [{ ...collection, client_id: 'k3j9x0a1b' }], rowCount: 1 });
+
+        const { status, data } = await callCollections({
+            method: 'POST',
+            url: '/api/collections/sync',
+            body: {
+                collections: [{ client_id: 'k3j9x0a1b', name: 'Offline list', prompts: ['1', promptA, promptA] }]
+            }
+        });
+
+        expect(status).toBe(200);
+        expect(data.synced).toBe(1);
+        expect(data.collections[0].client_id).toBe('k3j9x0a1b');
+        expect(queryText(mockSql.mock.calls[1])).toContain('ON CONFLICT (owner_id, client_id)');
+        // Seed prompt ids that are not UUIDs are dropped, duplicates collapsed
+        expect(mockSql.mock.calls[2]).toContainEqual([promptA]);
+    });
+});
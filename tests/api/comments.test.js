@@ -0,0 +1,187 @@
+// API Tests for Prompt Comments
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleComments, EDIT_WINDOW_MINUTES } from '../../api/routes/comments.js';
+import { renderMarkdown } from '../../api/lib/markdown.js';
+
+const author = { id: '11111111-1111-4111-8111-111111111111', username: 'commenter', display_name: 'Commenter', is_moderator: false };
+const moderator = { id: '55555555-5555-4555-8555-555555555555', username: 'mod', is_moderator: true };
+const promptId = '22222222-2222-4222-8222-222222222222';
+const threadId = '33333333-3333-4333-8333-333333333333';
+const replyId = '44444444-4444-4444-8444-444444444444';
+
+const prompt = { id: promptId, author_id: '66666666-6666-4666-8666-666666666666', is_public: true };
+
+function commentRow(overrides) {
+    return {
+        id: threadId,
+        parent_id: null,
+        user_id: author.id,
+        username: author.username,
+        display_name: author.display_name,
+        avatar_url: null,
+        content: 'Nice prompt',
+        is_approved: true,
+        deleted_at: null,
+        edited_at: null,
+        created_at: new Date().toISOString(),
+        depth: 1,
+        ...overrides
+    };
+}
+
+function call(options) {
+    return callHandler(handleComments, options);
+}
+
+describe('/api/prompts/:id/comments', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should nest replies under their threads and keep deleted comments in place', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [prompt] })
+            .mockResolvedValueOnce({
+                rows: [
+                    commentRow({ deleted_at: '2024-01-16T00:00:00Z', content: '' }),
+                    commentRow({ id: replyId, parent_id: threadId, depth: 2, content: 'Agreed' })
+                ]
+            })
+            .mockResolvedValueOnce({ rows: [{ threads: 11, comments: 1 }] });
+
+        const { status, data } = await call({ url: `/api/prompts/${promptId}/comments?limit=10&page=2` });
+
+        expect(status).toBe(200);
+        expect(data.comments).toHaveLength(1);
+        expect(data.comments[0]).toMatchObject({ id: threadId, status: 'deleted', author: null, content: null, can_delete: false });
+        expect(data.comments[0].replies[0]).toMatchObject({
+            id: replyId,
+            status: 'visible',
+            content_html: '<p>Agreed</p>',
+            author: { username: 'commenter' },
+            can_edit: false
+        });
+        expect(data.total_comments).toBe(1);
+        expect(data.pagination).toEqual({ page: 2, limit: 10, total: 11, totalPages: 2 });
+
+        const list = mockSql.mock.calls[1];
+        expect(queryText(list)).toContain('WITH RECURSIVE threads');
+        expect(list.slice(1)).toEqual([promptId, 10, 10]);
+    });
+
+    it('should not show comments on private prompts to other users', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ ...prompt, is_public: false }] });
+
+        const { status } = await call({ url: `/api/prompts/${promptId}/comments` });
+
+        expect(status).toBe(404);
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should post a reply one level below its parent', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [author], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [prompt] })
+            .mockResolvedValueOnce({ rows: [{ prompt_id: promptId, is_visible: true, depth: 2 }] })
+            .mockResolvedValueOnce({ rows: [commentRow({ id: replyId, parent_id: threadId, content: '<b>hi</b>' })] });
+
+        const { status, data } = await call({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/comments`,
+            user: author,
+            body: { content: '  <b>hi</b>  ', parent_id: threadId }
+        });
+
+        expect(status).toBe(201);
+        expect(data.comment).toMatchObject({ depth: 3, can_edit: true, can_delete: true, can_reply: true });
+        expect(data.comment.content_html).toBe('<p>&lt;b&gt;hi&lt;&#x2F;b&gt;</p>');
+        expect(mockSql.mock.calls[3].slice(1)).toEqual([promptId, author.id, threadId, '<b>hi</b>']);
+    });
+
+    it('should refuse replies beyond the maximum depth', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [author], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [prompt] })
+            .mockResolvedValueOnce({ rows: [{ prompt_id: promptId, is_visible: true, depth: 5 }] });
+
+        const { status, data } = await call({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/comments`,
+            user: author,
+            body: { content: 'Deeper', parent_id: threadId }
+        });
+
+        expect(status).toBe(400);
+        expect(data.error).toBe('Replies can only be nested 5 levels deep');
+        expect(mockSql).toHaveBeenCalledTimes(3);
+    });
+
+    it('should only allow edits within the edit window', async () => {
+        const posted = new Date(Date.now() - (EDIT_WINDOW_MINUTES + 1) * 60 * 1000).toISOString();
+        mockSql
+            .mockResolvedValueOnce({ rows: [author], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [commentRow({ created_at: posted })] });
+
+        const late = await call({
+            method: 'PUT',
+            url: `/api/prompts/${promptId}/comments/${threadId}`,
+            user: author,
+            body: { content: 'Changed my mind' }
+        });
+
+        expect(late.status).toBe(403);
+        expect(mockSql).toHaveBeenCalledTimes(2);
+
+        mockSql
+            .mockResolvedValueOnce({ rows: [author], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [commentRow()] })
+            .mockResolvedValueOnce({ rows: [commentRow({ content: 'Changed my mind', edited_at: new Date().toISOString() })] });
+
+        const { status, data } = await call({
+            method: 'PUT',
+            url: `/api/prompts/${promptId}/comments/${threadId}`,
+            user: author,
+            body: { content: 'Changed my mind' }
+        });
+
+        expect(status).toBe(200);
+        expect(data.comment.content).toBe('Changed my mind');
+        expect(queryText(mockSql.mock.calls[4])).toContain('edited_at = NOW()');
+    });
+
+    it('should soft delete so replies keep their parent', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [commentRow()] })
+            .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+        const { status, data } = await call({
+            method: 'DELETE',
+            url: `/api/prompts/${promptId}/comments/${threadId}`,
+            user: moderator
+        });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({ message: 'Deleted', id: threadId });
+        const remove = queryText(mockSql.mock.calls[2]);
+        expect(remove).toContain("SET content = '', deleted_at = NOW()");
+        expect(remove).not.toContain('DELETE');
+    });
+});
+
+describe('renderMarkdown', () => {
+    it('should escape everything before adding markup', () => {
+        expect(renderMarkdown('**bold** and [site](https://example.com)\n\n- one\n- <two>')).toBe(
+            '<p><strong>bold</strong> and <a href="https:&#x2F;&#x2F;example.com" rel="nofollow noopener noreferrer" target="_blank">site</a></p>' +
+            '<ul><li>one</li><li>&lt;two&gt;</li></ul>'
+        );
+        expect(renderMarkdown('[x](javascript:alert(1))')).toBe('<p>[x](javascript:alert(1))</p>');
+        expect(renderMarkdown('```\n<script>**x**</script>\n```')).toBe(
+            '<pre><code>&lt;script&gt;**x**&lt;&#x2F;script&gt;</code></pre>'
+        );
+    });
+});
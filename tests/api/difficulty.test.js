@@ -0,0 +1,85 @@
+// API Tests for Difficulty Classification
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import { resolveDifficulty, classifyDifficulty } from '../../api/lib/difficulty.js';
+
+const require = createRequire(import.meta.url);
+const { compare } = require('../../scripts/difficulty-report.js');
+const { curatedPrompts } = require('../../scripts/seed-prompts.js');
+
+const beginnerPrompt = {
+    title: 'Explain a concept simply',
+    content: 'Explain what {{topic}} is in plain language, step by step, with one everyday example.'
+};
+
+const advancedPrompt = {
+    title: 'Distributed cache design',
+    content: `You are a staff engineer. Design a distributed caching layer for {{service}}.
+
+1. Sharding strategy and consistent hashing
+2. Latency and throughput targets under {{peak_load}}
+3. Concurrency control for writes and cache invalidation
+4. Failure modes: replica loss, network partitions, disaster recovery
+5. Load balancing between regions
+6. Benchmark plan with profiling checkpoints
+
+You must state every assumption. Never recommend a managed service without its cost.
+Always give exact numbers and ensure each decision names its trade-off.
+
+\`\`\`yaml
+regions: [{{regions}}]
+\`\`\``
+};
+
+describe('classifyDifficulty', () => {
+    it('should rate short prompts written for newcomers as beginner', () => {
+        const { level, features } = classifyDifficulty(beginnerPrompt);
+
+        expect(level).toBe('beginner');
+        expect(features.beginnerTerms).toEqual(['plain language', 'step by step']);
+    });
+
+    it('should rate specialist, constrained prompts as advanced', () => {
+        const { level, features } = classifyDifficulty(advancedPrompt);
+
+        expect(level).toBe('advanced');
+        expect(features.variables).toBe(3);
+        expect(features.sections).toBe(6);
+        expect(features.codeBlocks).toBe(1);
+        expect(features.constraints).toBe(4);
+        expect(features.expertTerms).toEqual(expect.arrayContaining(['shard', 'latency', 'concurren', 'benchmark']));
+    });
+
+    it('should stay within one level of every curated prompt', () => {
+        const levels = ['beginner', 'intermediate', 'advanced'];
+        const results = compare(curatedPrompts);
+
+        expect(results).toHaveLength(curatedPrompts.length);
+        results.forEach(result => {
+            expect(Math.abs(levels.indexOf(result.curated) - levels.indexOf(result.predicted))).toBeLessThanOrEqual(1);
+        });
+    });
+
+    it('should rate the curated beginner prompts as beginner', () => {
+        const beginners = compare(curatedPrompts).filter(result => result.curated === 'beginner');
+
+        expect(beginners.length).toBeGreaterThan(0);
+        expect(beginners.map(result => result.predicted)).toEqual(beginners.map(() => 'beginner'));
+    });
+});
+
+describe('resolveDifficulty', () => {
+    it('should keep a difficulty the submitter chose', () => {
+        expect(resolveDifficulty({ ...beginnerPrompt, difficulty_level: 'advanced' })).toBe('advanced');
+    });
+
+    it('should guess the difficulty when none is given', () => {
+        expect(resolveDifficulty(beginnerPrompt)).toBe('beginner');
+        expect(resolveDifficulty({ ...advancedPrompt, difficulty_level: '' })).toBe('advanced');
+        expect(resolveDifficulty({ ...advancedPrompt, difficulty_level: null })).toBe('advanced');
+    });
+
+    it('should reject levels that do not exist', () => {
+        expect(resolveDifficulty({ ...beginnerPrompt, difficulty_level: 'expert' })).toBeNull();
+    });
+});
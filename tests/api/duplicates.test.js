@@ -0,0 +1,144 @@
+// API Tests for Near-Duplicate Detection
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, callHandler } from './helpers.js';
+
+import { fingerprint, similarity, findDuplicates, NUM_HASHES } from '../../api/lib/duplicates.js';
+import { handleDuplicateCheck, handleDuplicateReport } from '../../api/routes/duplicates.js';
+import router from '../../api/[...route].js';
+
+const moderator = { id: '11111111-1111-4111-8111-111111111111', username: 'mod', is_moderator: true };
+const member = { id: '33333333-3333-4333-8333-333333333333', username: 'someone', is_moderator: false };
+const originalId = '22222222-2222-4222-8222-222222222222';
+const copyId = '44444444-4444-4444-8444-444444444444';
+const otherId = '55555555-5555-4555-8555-555555555555';
+
+const review = 'You are an expert code reviewer. Review the following code for bugs, security issues, performance problems and readability. Respond with a bulleted list of findings ordered by severity, and suggest a fix for each one.';
+const reviewCopy = review.replace('readability', 'maintainability');
+const story = 'Write a short story about a lighthouse keeper who discovers a message in a bottle. Use vivid imagery and end on a hopeful note.';
+
+describe('fingerprint', () => {
+    it('should give near-identical content a high similarity', () => {
+        const a = fingerprint(review);
+
+        expect(a.minhash).toHaveLength(NUM_HASHES);
+        expect(a.bands).toHaveLength(NUM_HASHES / 4);
+        expect(a.minhash.every(hash => hash === (hash | 0))).toBe(true);
+        expect(similarity(a.minhash, fingerprint(reviewCopy).minhash)).toBeGreaterThanOrEqual(0.8);
+        expect(similarity(a.minhash, fingerprint(story).minhash)).toBeLessThan(0.2);
+    });
+
+    it('should ignore case, punctuation and spacing', () => {
+        const shouted = review.toUpperCase().replace(/[.,]/g, ' ! ');
+
+        expect(fingerprint(shouted).minhash).toEqual(fingerprint(review).minhash);
+    });
+
+    it('should have no signature for empty content', () => {
+        expect(fingerprint('  ... ')).toEqual({ minhash: null, bands: null });
+    });
+});
+
+describe('findDuplicates', () => {
+    beforeEach(() => {
+        mockSql.query.mockReset();
+    });
+
+    it('should keep candidates above the threshold, closest first', async () => {
+        mockSql.query.mockResolvedValueOnce({
+            rows: [
+                { id: otherId, title: 'Story', minhash: fingerprint(story).minhash },
+                { id: copyId, title: 'Copy', minhash: fingerprint(reviewCopy).minhash },
+                { id: originalId, title: 'Original', minhash: fingerprint(review).minhash }
+            ]
+        });
+
+        const duplicates = await findDuplicates(review, { userId: member.id });
+
+        expect(duplicates.map(d => d.id)).toEqual([originalId, copyId]);
+        expect(duplicates[0].similarity).toBe(1);
+        expect(duplicates[0]).not.toHaveProperty('minhash');
+        const [text, params] = mockSql.query.mock.calls[0];
+        expect(text).toContain('p.minhash_bands && $1::int[]');
+        expect(params).toEqual([fingerprint(review).bands, null, member.id]);
+    });
+});
+
+describe('POST /api/prompts/duplicates', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should return likely duplicates without creating anything', async () => {
+        mockSql.query.mockResolvedValueOnce({ rows: [{ id: originalId, title: 'Original', minhash: fingerprint(review).minhash }] });
+
+        const { status, data } = await callHandler(handleDuplicateCheck, {
+            method: 'POST',
+            url: '/api/prompts/duplicates',
+            body: { content: reviewCopy }
+        });
+
+        expect(status).toBe(200);
+        expect(data.duplicates).toHaveLength(1);
+        expect(data.duplicates[0]).toMatchObject({ id: originalId });
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should turn a database failure into a 500 through the router', async () => {
+        mockSql.query.mockRejectedValueOnce(new Error('connection reset'));
+
+        const { status, data } = await callHandler(router, {
+            method: 'POST',
+            url: '/api/prompts/duplicates',
+            body: { content: reviewCopy }
+        });
+
+        expect(status).toBe(500);
+        expect(data.details).toBe('connection reset');
+    });
+});
+
+describe('GET /api/moderation/duplicates', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should be limited to moderators', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [member], rowCount: 1 });
+
+        const { status } = await callHandler(handleDuplicateReport, { url: '/api/moderation/duplicates', user: member });
+
+        expect(status).toBe(403);
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+
+    it('should group similar pairs into clusters with the oldest prompt first', async () => {
+        const original = fingerprint(review).minhash;
+        const copy = fingerprint(reviewCopy).minhash;
+        mockSql.mockResolvedValueOnce({ rows: [moderator], rowCount: 1 });
+        mockSql.query
+            .mockResolvedValueOnce({
+                rows: [
+                    { a_id: originalId, b_id: copyId, a_minhash: original, b_minhash: copy },
+                    { a_id: originalId, b_id: otherId, a_minhash: original, b_minhash: fingerprint(story).minhash }
+                ]
+            })
+            .mockResolvedValueOnce({
+                rows: [
+                    { id: originalId, title: 'Original', created_at: '2024-01-15T10:30:00Z' },
+                    { id: copyId, title: 'Copy', created_at: '2024-01-16T08:00:00Z' }
+                ]
+            });
+
+        const { status, data } = await callHandler(handleDuplicateReport, { url: '/api/moderation/duplicates?limit=5', user: moderator });
+
+        expect(status).toBe(200);
+        expect(data).toMatchObject({ total: 1, threshold: 0.8, truncated: false });
+        expect(data.clusters[0]).toMatchObject({ original_id: originalId, size: 2 });
+        expect(data.clusters[0].prompts.map(p => p.similarity)).toEqual([1, 0.84]);
+        expect(mockSql.query.mock.calls[0][0]).toContain('forked_from IS NULL');
+        expect(mockSql.query.mock.calls[1][1]).toEqual([[originalId, copyId]]);
+    });
+});
@@ -0,0 +1,96 @@
+// API Tests for Favorites Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleFavorites } from '../../api/routes/favorites.js';
+
+const user = {
+    id: '11111111-1111-4111-8111-111111111111',
+    username: 'promptmaster'
+};
+const promptId = '22222222-2222-4222-8222-222222222222';
+
+function callFavorites({ auth = true, ...options }) {
+    return callHandler(handleFavorites, { user: auth ? user : null, ...options });
+}
+
+describe('/api/favorites', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.mockResolvedValue({ rows: [], rowCount: 0 });
+        mockSql.mockResolvedValueOnce({ rows: [user], rowCount: 1 }); // authenticate
+    });
+
+    it('should require authentication', async () => {
+        mockSql.mockReset();
+
+        const { status } = await callFavorites({ method: 'GET', url: '/api/favorites', auth: false });
+
+        expect(status).toBe(401);
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should list favorites for the token user only', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [{ total: 1 }], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: promptId, prompt_id: promptId, title: 'Saved' }], rowCount: 1 });
+
+        const { status, data } = await callFavorites({
+            method: 'GET',
+            url: `/api/favorites?user_id=33333333-3333-4333-8333-333333333333&limit=10`
+        });
+
+        expect(status).toBe(200);
+        expect(data.favorites[0].prompt_id).toBe(promptId);
+        expect(data.pagination).toEqual({ page: 1, limit: 10, total: 1, pages: 1 });
+        expect(mockSql.mock.calls[2]).toContain(user.id);
+        expect(mockSql.mock.calls[2]).not.toContain('33333333-3333-4333-8333-333333333333');
+    });
+
+    it('should add a favorite idempotently', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [{ id: promptId }], rowCount: 1 }) // prompt lookup
+            .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // insert conflicted
+            .mockResolvedValueOnce({ rows: [{ user_id: user.id, prompt_id: promptId }], rowCount: 1 });
+
+        const { status, data } = await callFavorites({
+            method: 'POST',
+            url: '/api/favorites',
+            body: { prompt_id: promptId, user_id: '33333333-3333-4333-8333-333333333333' }
+        });
+
+        expect(status).toBe(200);
+        expect(data.message).toBe('Prompt already in favorites');
+        const insert = mockSql.mock.calls[2];
+        expect(queryText(insert)).toContain('ON CONFLICT (user_id, prompt_id) DO NOTHING');
+        expect(insert).toContain(user.id);
+    });
+
+    it('should 404 when favoriting a prompt that is not visible', async () => {
+        const { status } = await callFavorites({
+            method: 'POST',
+            url: '/api/favorites',
+            body: { prompt_id: promptId }
+        });
+
+        expect(status).toBe(404);
+    });
+
+    it('should remove a favorite by path id', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ prompt_id: promptId }], rowCount: 1 });
+
+        const { status } = await callFavorites({ method: 'DELETE', url: `/api/favorites/${promptId}` });
+
+        expect(status).toBe(200);
+        expect(queryText(mockSql.mock.calls[1])).toContain('DELETE FROM favorites');
+        expect(mockSql.mock.calls[1]).toEqual(expect.arrayContaining([user.id, promptId]));
+    });
+
+    it('should 404 when removing a prompt that was not favorited', async () => {
+        const { status, data } = await callFavorites({ method: 'DELETE', url: `/api/favorites?prompt_id=${promptId}` });
+
+        expect(status).toBe(404);
+        expect(data.error).toBe('Favorite not found');
+    });
+});
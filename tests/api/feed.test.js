@@ -0,0 +1,114 @@
+// API Tests for the Personalized Feed
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, callHandler } from './helpers.js';
+
+import { handleFeed } from '../../api/routes/feed.js';
+
+const user = { id: '11111111-1111-4111-8111-111111111111', username: 'reader', is_moderator: false };
+const collectionId = '33333333-3333-4333-8333-333333333333';
+
+const feedRow = {
+    id: '22222222-2222-4222-8222-222222222222',
+    title: 'Security Audit Checklist',
+    description: 'Walks through an application security review',
+    content: 'You are a security auditor...',
+    category: 'development',
+    tags: ['security'],
+    average_rating: '4.50',
+    total_ratings: 12,
+    author_username: 'secpro',
+    total_count: 3
+};
+
+function callFeed({ url = '/api/feed', ...options } = {}) {
+    return callHandler(handleFeed, { url, ...options });
+}
+
+describe('GET /api/feed', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should merge follows and recommendations for signed-in users', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [user], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({
+            rows: [
+                { ...feedRow, reason: 'followed_collection', feed_score: 0.6421, collection_id: collectionId, collection_name: 'Code helpers' },
+                { ...feedRow, id: '44444444-4444-4444-8444-444444444444', reason: 'recommended', feed_score: 0.25, collection_id: null, collection_name: null }
+            ]
+        });
+
+        const { status, data } = await callFeed({ url: '/api/feed?page=2&limit=2', user });
+
+        expect(status).toBe(200);
+        expect(data.source).toBe('personal');
+        expect(data.pagination).toEqual({ page: 2, limit: 2, total: 3, totalPages: 2 });
+        expect(data.prompts[0]).toMatchObject({
+            title: 'Security Audit Checklist',
+            average_rating: 4.5,
+            feed_reason: { type: 'followed_collection', score: 0.642, collection: { id: collectionId, name: 'Code helpers' } }
+        });
+        expect(data.prompts[0]).not.toHaveProperty('total_count');
+        expect(data.prompts[1].feed_reason).toEqual({ type: 'recommended', score: 0.25 });
+
+        const [text, params] = mockSql.query.mock.calls[0];
+        expect(params).toEqual([user.id, 2, 2]);
+        expect(text).toContain('f.follower_id = $1');
+        expect(text).toContain('cf.user_id = $1');
+        expect(text).toContain('rating >= 4');
+        expect(text).toContain('SELECT prompt_id FROM ratings WHERE user_id = $1 AND prompt_id IS NOT NULL');
+        // Applies to the follow sources as well as the recommendations
+        expect(text).toMatch(/\) items\s+WHERE NOT EXISTS \(SELECT 1 FROM seen s WHERE s.prompt_id = items.prompt_id\)/);
+        expect(text).toContain('DISTINCT ON (prompt_id)');
+    });
+
+    it('should fall back to trending for anonymous users', async () => {
+        mockSql.query.mockResolvedValueOnce({ rows: [{ ...feedRow, trending_score: 1.23456 }] });
+
+        const { status, data } = await callFeed();
+
+        expect(status).toBe(200);
+        expect(data.source).toBe('trending');
+        expect(data.prompts[0].feed_reason).toEqual({ type: 'trending', score: 1.235 });
+
+        const [text, params] = mockSql.query.mock.calls[0];
+        expect(params).toEqual([20, 0]);
+        expect(text).toContain("INTERVAL '7 days'");
+        expect(text).toContain('ORDER BY trending_score DESC, p.created_at DESC');
+    });
+
+    it('should fall back to trending when there is nothing to personalize from', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [user], rowCount: 1 });
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ ...feedRow, trending_score: 0 }] });
+
+        const { data } = await callFeed({ user });
+
+        expect(data.source).toBe('trending');
+        expect(data.prompts).toHaveLength(1);
+    });
+
+    it('should keep pages past the end of a personal feed personal', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [user], rowCount: 1 });
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ ...feedRow, reason: 'recommended', feed_score: 0.3 }] });
+
+        const { data } = await callFeed({ url: '/api/feed?page=5', user });
+
+        expect(data.source).toBe('personal');
+        expect(data.prompts).toEqual([]);
+        expect(mockSql.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should validate the limit', async () => {
+        const { status, data } = await callFeed({ url: '/api/feed?limit=100' });
+
+        expect(status).toBe(400);
+        expect(data.errors[0].message).toBe('Limit must not exceed 50');
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,150 @@
+// API Tests for Following Users
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleUsers } from '../../api/routes/users.js';
+
+const fan = { id: '11111111-1111-4111-8111-111111111111', username: 'fan', is_moderator: false };
+const author = { id: '22222222-2222-4222-8222-222222222222', username: 'promptmaster' };
+
+function call(options) {
+    return callHandler(handleUsers, options);
+}
+
+describe('/api/users/:username/follow', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should follow once and move both counts with the follow row', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [fan], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [author] })
+            .mockResolvedValueOnce({ rows: [{ added: 1, followers_count: 8 }] });
+
+        const first = await call({ method: 'POST', url: '/api/users/PromptMaster/follow', user: fan });
+
+        expect(first.status).toBe(201);
+        expect(first.data).toEqual({ following: true, followers_count: 8, message: 'Following @promptmaster' });
+        const follow = mockSql.mock.calls[2];
+        expect(queryText(follow)).toContain('ON CONFLICT DO NOTHING');
+        expect(queryText(follow)).toContain('followers_count = COALESCE(user_profiles.followers_count, 0) + 1');
+        expect(queryText(follow)).toContain('following_count = COALESCE(user_profiles.following_count, 0) + 1');
+        expect(follow.slice(1, 3)).toEqual([fan.id, author.id]);
+
+        mockSql
+            .mockResolvedValueOnce({ rows: [fan], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [author] })
+            .mockResolvedValueOnce({ rows: [{ added: 0, followers_count: 8 }] });
+
+        const again = await call({ method: 'POST', url: '/api/users/promptmaster/follow', user: fan });
+
+        expect(again.status).toBe(200);
+        expect(again.data.followers_count).toBe(8);
+    });
+
+    it('should not follow yourself or unknown users', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [fan], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [fan] });
+
+        const self = await call({ method: 'POST', url: '/api/users/fan/follow', user: fan });
+        expect(self.status).toBe(400);
+        expect(self.data.error).toBe('You cannot follow yourself');
+
+        mockSql
+            .mockResolvedValueOnce({ rows: [fan], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const unknown = await call({ method: 'POST', url: '/api/users/nobody/follow', user: fan });
+        expect(unknown.status).toBe(404);
+        expect(mockSql).toHaveBeenCalledTimes(4);
+    });
+
+    it('should unfollow and only decrement what was removed', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [fan], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [author] })
+            .mockResolvedValueOnce({ rows: [{ followers_count: 7 }] });
+
+        const { status, data } = await call({ method: 'DELETE', url: '/api/users/promptmaster/follow', user: fan });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({ following: false, followers_count: 7, message: 'Unfollowed @promptmaster' });
+        const unfollow = queryText(mockSql.mock.calls[2]);
+        expect(unfollow).toContain('WHERE user_id IN (SELECT following_id FROM removed)');
+        expect(unfollow).toContain('AND EXISTS (SELECT 1 FROM removed)');
+    });
+
+    it('should require authentication to follow', async () => {
+        const { status } = await call({ method: 'POST', url: '/api/users/promptmaster/follow' });
+
+        expect(status).toBe(401);
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+});
+
+describe('is_following on profiles', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should tell signed-in viewers whether they follow the profile', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [fan], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: [{ ...author, followers_count: 8, following_count: 0 }] });
+        mockSql
+            .mockResolvedValueOnce({ rows: [{ prompts_count: 0, favorites_count: 0, collections_count: 0, average_rating: null, total_likes: 0 }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+        const { status, data } = await call({ url: '/api/users/promptmaster', user: fan });
+
+        expect(status).toBe(200);
+        expect(data.is_following).toBe(true);
+        expect(mockSql.mock.calls[4].slice(1)).toEqual([fan.id, author.id]);
+    });
+});
+
+describe('/api/users/:username/followers and /following', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should list followers newest first with pagination', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [author] });
+        mockSql.query.mockResolvedValueOnce({
+            rows: [{ id: fan.id, username: 'fan', display_name: null, avatar_url: null, is_following: false, total_count: '3' }]
+        });
+
+        const { status, data } = await call({ url: '/api/users/promptmaster/followers?limit=1' });
+
+        expect(status).toBe(200);
+        expect(data.users).toEqual([{ id: fan.id, username: 'fan', display_name: null, avatar_url: null, is_following: false }]);
+        expect(data.pagination).toEqual({ page: 1, limit: 1, total: 3, totalPages: 3 });
+
+        const [text, params] = mockSql.query.mock.calls[0];
+        expect(text).toContain('JOIN users u ON u.id = f.follower_id');
+        expect(text).toContain('WHERE f.following_id = $1');
+        expect(params).toEqual([author.id, null, 1, 0]);
+    });
+
+    it('should list who a user follows from the other side', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [fan] });
+        mockSql.query.mockResolvedValueOnce({ rows: [] });
+
+        const { status, data } = await call({ url: '/api/users/fan/following' });
+
+        expect(status).toBe(200);
+        expect(data.users).toEqual([]);
+        const [text] = mockSql.query.mock.calls[0];
+        expect(text).toContain('JOIN users u ON u.id = f.following_id');
+        expect(text).toContain('WHERE f.follower_id = $1');
+    });
+});
@@ -0,0 +1,136 @@
+// API Tests for Fork Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handlePromptForks } from '../../api/routes/forks.js';
+
+const author = { id: '11111111-1111-4111-8111-111111111111', username: 'promptmaster', is_moderator: false };
+const forker = { id: '33333333-3333-4333-8333-333333333333', username: 'pythonista', is_moderator: false };
+const promptId = '22222222-2222-4222-8222-222222222222';
+const forkId = '44444444-4444-4444-8444-444444444444';
+const nestedId = '55555555-5555-4555-8555-555555555555';
+const siblingId = '77777777-7777-4777-8777-777777777777';
+
+const source = {
+    id: promptId,
+    title: 'Code Review Assistant',
+    author_id: author.id,
+    author_username: 'promptmaster',
+    is_public: true,
+    forked_from: null,
+    forked_from_version: null,
+    fork_count: 2,
+    average_rating: '4.50',
+    created_at: '2024-01-15T10:30:00Z',
+    forked_from_prompt: null
+};
+
+function callForks(options) {
+    return callHandler(handlePromptForks, options);
+}
+
+describe('/api/prompts/:id/fork', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should require authentication', async () => {
+        const { status } = await callForks({ method: 'POST', url: `/api/prompts/${promptId}/fork` });
+
+        expect(status).toBe(401);
+    });
+
+    it('should copy the prompt into the caller account and credit the original', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [forker], rowCount: 1 }); // authenticate
+        mockSql.query.mockResolvedValueOnce({ rows: [source] });
+        mockSql.mockResolvedValueOnce({
+            rows: [{ id: forkId, title: 'Code Review Assistant (Python)', author_id: forker.id, forked_from: promptId, forked_from_version: 3 }]
+        });
+
+        const { status, data } = await callForks({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/fork`,
+            body: { title: 'Code Review Assistant (Python)' },
+            user: forker
+        });
+
+        expect(status).toBe(201);
+        expect(data.prompt).toMatchObject({
+            id: forkId,
+            forked_from: promptId,
+            forked_from_prompt: { id: promptId, title: 'Code Review Assistant', author_username: 'promptmaster' }
+        });
+        const forkCall = mockSql.mock.calls[1];
+        expect(queryText(forkCall)).toContain('INSERT INTO prompts');
+        expect(queryText(forkCall)).toContain('fork_count = COALESCE(fork_count, 0) + 1');
+        expect(forkCall).toContain('Code Review Assistant (Python)');
+        expect(forkCall).toContain(forker.id);
+    });
+
+    it('should not fork private prompts of other users', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [forker], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: [{ ...source, is_public: false }] });
+
+        const { status } = await callForks({ method: 'POST', url: `/api/prompts/${promptId}/fork`, user: forker });
+
+        expect(status).toBe(404);
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not let moderators fork private prompts they can see', async () => {
+        const moderator = { id: '66666666-6666-4666-8666-666666666666', username: 'mod', is_moderator: true };
+        mockSql.mockResolvedValueOnce({ rows: [moderator], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: [{ ...source, is_public: false }] });
+
+        const { status } = await callForks({ method: 'POST', url: `/api/prompts/${promptId}/fork`, user: moderator });
+
+        expect(status).toBe(404);
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('/api/prompts/:id/forks', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should nest forks under their sources and hide private ancestors', async () => {
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [{ ...source, forked_from: siblingId }] })
+            .mockResolvedValueOnce({
+                rows: [
+                    { id: siblingId, title: 'Private original', author_id: forker.id, is_public: false, forked_from: null, depth: 1 }
+                ]
+            })
+            .mockResolvedValueOnce({
+                rows: [
+                    { id: forkId, title: 'Code Review Assistant (Python)', author_username: 'pythonista', is_public: true, forked_from: promptId, fork_count: 1, average_rating: '4.00', depth: 1 },
+                    { id: nestedId, title: 'Code Review Assistant (Django)', author_username: 'djangonaut', is_public: true, forked_from: forkId, fork_count: 0, average_rating: '0', depth: 2 }
+                ]
+            });
+
+        const { status, data } = await callForks({ url: `/api/prompts/${promptId}/forks?depth=2` });
+
+        expect(status).toBe(200);
+        expect(data.prompt).toMatchObject({ id: promptId, fork_count: 2, average_rating: 4.5 });
+        expect(data.ancestors).toEqual([{ id: null, is_hidden: true }]);
+        expect(data.forks).toHaveLength(1);
+        expect(data.forks[0]).toMatchObject({ id: forkId, fork_count: 1 });
+        expect(data.forks[0].forks.map(node => node.id)).toEqual([nestedId]);
+        expect(data).toMatchObject({ total: 2, depth: 2, truncated: false });
+
+        const [treeSql, params] = mockSql.query.mock.calls[2];
+        expect(treeSql).toContain('WITH RECURSIVE tree');
+        expect(params).toEqual([promptId, null, 2]);
+    });
+
+    it('should validate the depth', async () => {
+        const { status } = await callForks({ url: `/api/prompts/${promptId}/forks?depth=50` });
+
+        expect(status).toBe(400);
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,35 @@
+// Shared setup for the API tests: a mocked @vercel/postgres and a way to call a
+// route handler the way the router does. Import this before the modules under test
+// so they get the mocked `sql`.
+import { vi } from 'vitest';
+import { createMocks } from 'node-mocks-http';
+import { signAccessToken } from '../../api/lib/auth.js';
+import { parseRoute } from '../../api/lib/http.js';
+
+// Tagged-template calls land on mockSql itself, sql.query(text, params) on mockSql.query
+export const mockSql = vi.fn();
+mockSql.query = vi.fn();
+
+vi.mock('@vercel/postgres', () => ({
+    sql: mockSql
+}));
+
+// A tagged-template call's SQL, with ? for each interpolated value
+export function queryText(call) {
+    return call[0].join('?');
+}
+
+export function authHeaders(user) {
+    return user ? { authorization: `Bearer ${signAccessToken(user)}` } : {};
+}
+
+// Calls handler(req, res, route), signed in as `user` when given; the body is sent
+// once authentication has had a chance to run, as it is read after it
+export async function callHandler(handler, { method = 'GET', url, body, user, headers = {} }) {
+    const { req, res } = createMocks({ method, url, headers: { ...headers, ...authHeaders(user) } });
+    const pending = handler(req, res, parseRoute(req));
+    await new Promise(resolve => setImmediate(resolve));
+    req.send(body ? JSON.stringify(body) : undefined);
+    await pending;
+    return { status: res._getStatusCode(), data: JSON.parse(res._getData()), res };
+}
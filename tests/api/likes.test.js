@@ -0,0 +1,117 @@
+// API Tests for Prompt Likes
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { signDeviceToken, verifyDeviceToken } from '../../api/lib/auth.js';
+import { handleLikes } from '../../api/routes/likes.js';
+import { withLikedByMe } from '../../api/lib/likes.js';
+
+const user = { id: '11111111-1111-4111-8111-111111111111', username: 'fan', is_moderator: false };
+const promptId = '22222222-2222-4222-8222-222222222222';
+
+function call(options) {
+    return callHandler(handleLikes, { url: `/api/prompts/${promptId}/likes`, ...options });
+}
+
+describe('/api/prompts/:id/likes', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should like once per user and count only rows actually added', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ total_likes: 5, added: 1 }] });
+
+        const first = await call({ method: 'POST', user });
+
+        expect(first.status).toBe(201);
+        expect(first.data).toEqual({ message: 'Liked', liked: true, total_likes: 5 });
+        const like = mockSql.mock.calls[1];
+        expect(queryText(like)).toContain('ON CONFLICT DO NOTHING');
+        expect(queryText(like)).toContain('total_likes = COALESCE(total_likes, 0) + (SELECT COUNT(*) FROM added)');
+        expect(like.slice(1)).toEqual([promptId, user.id, user.id, null]);
+
+        mockSql
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ total_likes: 5, added: 0 }] });
+
+        const again = await call({ method: 'POST', user });
+
+        expect(again.status).toBe(200);
+        expect(again.data.total_likes).toBe(5);
+    });
+
+    it('should give anonymous visitors a signed device token', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ total_likes: 1, added: 1 }] });
+
+        const { status, data } = await call({ method: 'POST' });
+
+        expect(status).toBe(201);
+        const deviceId = verifyDeviceToken(data.device_token);
+        expect(deviceId).toBeTruthy();
+        expect(mockSql.mock.calls[0].slice(1)).toEqual([promptId, null, null, deviceId]);
+    });
+
+    it('should like as the device from a valid token and ignore forged ones', async () => {
+        const token = signDeviceToken('device-abc');
+        mockSql.mockResolvedValueOnce({ rows: [{ total_likes: 2, added: 0 }] });
+
+        const known = await call({ method: 'POST', headers: { 'x-device-token': token } });
+
+        expect(known.data).not.toHaveProperty('device_token');
+        expect(mockSql.mock.calls[0].slice(1)).toEqual([promptId, null, null, 'device-abc']);
+
+        expect(verifyDeviceToken('device-abc.forged')).toBeNull();
+        expect(verifyDeviceToken(`device-xyz.${token.split('.')[1]}`)).toBeNull();
+    });
+
+    it('should 404 for prompts the liker cannot see', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const { status } = await call({ method: 'POST', user });
+
+        expect(status).toBe(404);
+    });
+
+    it('should only remove the caller\'s own like', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ total_likes: 4 }] });
+
+        const { status, data } = await call({ method: 'DELETE', user });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({ message: 'Unliked', liked: false, total_likes: 4 });
+        const unlike = mockSql.mock.calls[1];
+        expect(queryText(unlike)).toContain('GREATEST(COALESCE(total_likes, 0) - (SELECT COUNT(*) FROM removed), 0)');
+        expect(unlike.slice(1)).toEqual([promptId, user.id, null, promptId]);
+    });
+});
+
+describe('withLikedByMe', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+    });
+
+    it('should flag the prompts the liker has liked', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ prompt_id: 'b' }] });
+
+        const prompts = await withLikedByMe([{ id: 'a' }, { id: 'b' }], { userId: null, deviceId: 'device-abc' });
+
+        expect(prompts).toEqual([{ id: 'a', liked_by_me: false }, { id: 'b', liked_by_me: true }]);
+        expect(queryText(mockSql.mock.calls[0])).toContain('WHERE device_id = ?');
+        expect(mockSql.mock.calls[0].slice(1)).toEqual(['device-abc', ['a', 'b']]);
+    });
+
+    it('should not query for visitors without a user or device', async () => {
+        const prompts = await withLikedByMe([{ id: 'a' }], null);
+
+        expect(prompts).toEqual([{ id: 'a', liked_by_me: false }]);
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+});
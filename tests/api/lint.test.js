@@ -0,0 +1,117 @@
+// API Tests for Prompt Lint
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, callHandler } from './helpers.js';
+
+import { lintPrompt, hasLintErrors } from '../../api/lib/lint.js';
+import { countTokens } from '../../api/lib/tokens.js';
+import { handlePromptUpdate } from '../../api/routes/versions.js';
+
+const author = { id: '11111111-1111-4111-8111-111111111111', username: 'promptmaster', is_moderator: false };
+const promptId = '22222222-2222-4222-8222-222222222222';
+
+const goodContent = `You are a senior code reviewer.
+Context: the code below is a {{language|Python}} service used by our payments team.
+Review it for bugs, security issues and readability.
+Respond with a bulleted list of findings, most severe first.`;
+
+function rules(result) {
+    return result.warnings.map(warning => warning.rule);
+}
+
+describe('lintPrompt', () => {
+    it('should score a complete prompt at 100', () => {
+        const result = lintPrompt({ content: goodContent });
+
+        expect(result.warnings).toEqual([]);
+        expect(result.score).toBe(100);
+        expect(result.counts).toEqual({ error: 0, warning: 0, info: 0 });
+        expect(result.tokens).toBe(countTokens(goodContent));
+    });
+
+    it('should report unbalanced placeholders as errors with their line', () => {
+        const result = lintPrompt({ content: `${goodContent}\nStart with }} here.\nFocus on {{focus and [INSERT_AREA of the code.` });
+
+        const errors = result.warnings.filter(warning => warning.severity === 'error');
+        expect(errors.map(error => error.line)).toEqual([5, 6, 6]);
+        expect(errors[2].excerpt).toBe('[INSERT_AREA of the code.');
+        expect(hasLintErrors(result)).toBe(true);
+    });
+
+    it('should accept curated placeholders with hints', () => {
+        const result = lintPrompt({ content: `${goodContent}\nProject type: [INSERT_TYPE - web app, CLI or library]` });
+
+        expect(hasLintErrors(result)).toBe(false);
+    });
+
+    it('should flag missing role, context and output format', () => {
+        const result = lintPrompt({ content: 'Write a poem about the sea and the wind at night.' });
+
+        expect(rules(result)).toEqual(['missing-role', 'missing-context', 'missing-output-format']);
+        expect(result.score).toBe(70);
+    });
+
+    it('should flag content well over its estimated tokens', () => {
+        const result = lintPrompt({ content: goodContent, estimated_tokens: 20 });
+
+        expect(rules(result)).toEqual(['length-exceeds-estimate']);
+        expect(lintPrompt({ content: goodContent, estimated_tokens: 60 }).warnings).toEqual([]);
+    });
+
+    it('should report each duplicated instruction once', () => {
+        const repeated = 'Always explain why each change matters.';
+        const result = lintPrompt({ content: `${goodContent}\n- ${repeated}\n- ${repeated}\n${repeated.toUpperCase()}` });
+
+        const duplicates = result.warnings.filter(warning => warning.rule === 'duplicate-instruction');
+        expect(duplicates).toHaveLength(1);
+        expect(duplicates[0]).toMatchObject({ line: 6, message: 'This instruction repeats line 5.' });
+    });
+
+    it('should hint at vague wording', () => {
+        const result = lintPrompt({ content: `${goodContent}\nMention naming, tests, stuff like that, etc.` });
+
+        expect(rules(result)).toEqual(['vague-wording', 'vague-wording']);
+        expect(result.warnings[0].severity).toBe('info');
+        expect(result.score).toBe(94);
+    });
+});
+
+describe('PUT /api/prompts/:id lint', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+    });
+
+    function update(body) {
+        return callHandler(handlePromptUpdate, { method: 'PUT', url: `/api/prompts/${promptId}`, body, user: author });
+    }
+
+    const prompt = { id: promptId, title: 'Code Review Assistant', content: goodContent, author_id: author.id, is_public: true, version: 1 };
+
+    it('should reject content with lint errors', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [author], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [prompt], rowCount: 1 });
+
+        const { status, data } = await update({ content: `${goodContent}\nFocus on {{focus` });
+
+        expect(status).toBe(400);
+        expect(data.lint.counts.error).toBe(1);
+        expect(mockSql).toHaveBeenCalledTimes(2);
+    });
+
+    it('should store the quality score with new content', async () => {
+        const content = `${goodContent}\nMention anything else, etc.`;
+        mockSql
+            .mockResolvedValueOnce({ rows: [author], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [prompt], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ ...prompt, content, quality_score: 97, version: 2 }] });
+
+        const { status, data } = await update({ content });
+
+        expect(status).toBe(200);
+        expect(data.lint.score).toBe(97);
+        const [strings, ...values] = mockSql.mock.calls[2];
+        const index = strings.findIndex(part => part.startsWith(', p.quality_score'));
+        expect(values[index - 1]).toBe(97);
+    });
+});
@@ -0,0 +1,220 @@
+// API Tests for Reports and Moderation
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleReports, handleModeration } from '../../api/routes/moderation.js';
+
+const reporter = { id: '11111111-1111-4111-8111-111111111111', username: 'reader', is_moderator: false };
+const moderator = { id: '55555555-5555-4555-8555-555555555555', username: 'mod', is_moderator: true };
+const authorId = '66666666-6666-4666-8666-666666666666';
+const promptId = '22222222-2222-4222-8222-222222222222';
+const reportId = '33333333-3333-4333-8333-333333333333';
+
+const target = { id: promptId, title: 'Get rich with prompts', owner_id: authorId, is_visible: true };
+
+describe('POST /api/reports', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should file a report on visible content', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [reporter], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: reportId, status: 'pending' }], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: [target] });
+
+        const { status, data } = await callHandler(handleReports, {
+            method: 'POST',
+            url: '/api/reports',
+            user: reporter,
+            body: { content_type: 'prompt', content_id: promptId, reason: 'spam', description: 'Paid links' }
+        });
+
+        expect(status).toBe(201);
+        expect(data.report).toEqual({ id: reportId, status: 'pending' });
+        expect(mockSql.query.mock.calls[0][0]).toContain('FROM prompts WHERE id = $1');
+        expect(queryText(mockSql.mock.calls[1])).toContain('ON CONFLICT (reporter_id, content_type, content_id)');
+        expect(mockSql.mock.calls[1].slice(1)).toEqual([reporter.id, 'prompt', promptId, 'spam', 'Paid links']);
+    });
+
+    it('should reject a second pending report from the same user', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [reporter], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+        mockSql.query.mockResolvedValueOnce({ rows: [target] });
+
+        const { status, data } = await callHandler(handleReports, {
+            method: 'POST',
+            url: '/api/reports',
+            user: reporter,
+            body: { content_type: 'prompt', content_id: promptId, reason: 'spam' }
+        });
+
+        expect(status).toBe(409);
+        expect(data.error).toBe('You have already reported this');
+    });
+
+    it('should not let users report their own content', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ ...reporter, id: authorId }], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: [target] });
+
+        const { status } = await callHandler(handleReports, {
+            method: 'POST',
+            url: '/api/reports',
+            user: { ...reporter, id: authorId },
+            body: { content_type: 'prompt', content_id: promptId, reason: 'other' }
+        });
+
+        expect(status).toBe(400);
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse writes from suspended users and everything from banned ones', async () => {
+        const suspensionEnd = '2030-01-01T00:00:00.000Z';
+        mockSql.mockResolvedValueOnce({
+            rows: [{ ...reporter, is_suspended: true, suspension_end: suspensionEnd, suspension_reason: 'Cooling off' }],
+            rowCount: 1
+        });
+
+        const suspended = await callHandler(handleReports, {
+            method: 'POST',
+            url: '/api/reports',
+            user: reporter,
+            body: { content_type: 'prompt', content_id: promptId, reason: 'spam' }
+        });
+
+        expect(suspended.status).toBe(403);
+        expect(suspended.data).toEqual({ error: 'Account suspended', message: 'Cooling off', suspension_end: suspensionEnd });
+        expect(queryText(mockSql.mock.calls[0])).toContain('suspension_end > NOW()');
+
+        mockSql.mockResolvedValueOnce({ rows: [{ ...moderator, is_banned: true, ban_reason: null }], rowCount: 1 });
+
+        const banned = await callHandler(handleModeration, { method: 'GET', url: '/api/moderation/reports', user: moderator });
+
+        expect(banned.status).toBe(403);
+        expect(banned.data.error).toBe('Account banned');
+    });
+});
+
+describe('/api/moderation', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should only show the queue to moderators', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [reporter], rowCount: 1 });
+
+        const { status, data } = await callHandler(handleModeration, { method: 'GET', url: '/api/moderation/reports', user: reporter });
+
+        expect(status).toBe(403);
+        expect(data.error).toBe('Moderator access required');
+    });
+
+    it('should list reports by status with queue counts', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: reportId, status: 'pending', pending_reports: 2, total_count: 1 }] })
+            .mockResolvedValueOnce({ rows: [{ status: 'pending', count: 1 }, { status: 'rejected', count: 4 }] });
+
+        const { status, data } = await callHandler(handleModeration, {
+            method: 'GET',
+            url: '/api/moderation/reports?status=pending&content_type=prompt',
+            user: moderator
+        });
+
+        expect(status).toBe(200);
+        expect(data.reports).toEqual([{ id: reportId, status: 'pending', pending_reports: 2 }]);
+        expect(data.counts).toEqual({ pending: 1, rejected: 4 });
+        expect(data.pagination).toEqual({ page: 1, limit: 20, total: 1, totalPages: 1 });
+        expect(mockSql.mock.calls[1].slice(1)).toEqual(['pending', 'pending', 'prompt', 'prompt', 20, 0]);
+    });
+
+    it('should suspend the owner of reported content and close its reports', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: reportId, content_type: 'prompt', content_id: promptId, status: 'pending' }] })
+            .mockResolvedValueOnce({ rows: [{ id: authorId, is_moderator: false }] })
+            .mockResolvedValueOnce({ rows: [{ id: authorId, username: 'spammer', is_suspended: true }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'action-1', action: 'suspend', resolved_reports: 3 }] });
+        mockSql.query.mockResolvedValueOnce({ rows: [target] });
+
+        const { status, data } = await callHandler(handleModeration, {
+            method: 'POST',
+            url: '/api/moderation/actions',
+            user: moderator,
+            body: { action: 'suspend', report_id: reportId, reason: 'Repeated spam', duration_days: 7 }
+        });
+
+        expect(status).toBe(201);
+        expect(data).toEqual({
+            message: 'Action recorded',
+            action: { id: 'action-1', action: 'suspend' },
+            resolved_reports: 3,
+            user: { id: authorId, username: 'spammer', is_suspended: true }
+        });
+
+        const suspend = mockSql.mock.calls[3];
+        expect(queryText(suspend)).toContain('make_interval(days => ?)');
+        expect(suspend.slice(1)).toEqual([7, 'Repeated spam', authorId]);
+
+        const record = mockSql.mock.calls[4];
+        expect(queryText(record)).toContain('INSERT INTO moderation_actions');
+        expect(queryText(record)).toContain("status = 'pending' AND content_type = ? AND content_id = ?");
+        expect(record.slice(1, 7)).toEqual([moderator.id, reportId, 'suspend', 'Repeated spam', 'prompt', promptId]);
+        expect(record.slice(7, 10)).toEqual(['action_taken', moderator.id, 'Repeated spam']);
+    });
+
+    it('should hide a prompt for good', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: promptId, is_public: false }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'action-2', action: 'hide', resolved_reports: 0 }] });
+        mockSql.query.mockResolvedValueOnce({ rows: [target] });
+
+        const { status, data } = await callHandler(handleModeration, {
+            method: 'POST',
+            url: '/api/moderation/actions',
+            user: moderator,
+            body: { action: 'hide', content_type: 'prompt', content_id: promptId, reason: 'Scam' }
+        });
+
+        expect(status).toBe(201);
+        expect(data.prompt).toEqual({ id: promptId, is_public: false });
+        expect(queryText(mockSql.mock.calls[1])).toContain('SET is_public = false, hidden_at = NOW()');
+    });
+
+    it('should not let moderators act on other moderators', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: authorId, is_moderator: true }] });
+        mockSql.query.mockResolvedValueOnce({ rows: [{ id: authorId, title: 'othermod', owner_id: authorId, is_visible: true }] });
+
+        const { status } = await callHandler(handleModeration, {
+            method: 'POST',
+            url: '/api/moderation/actions',
+            user: moderator,
+            body: { action: 'ban', user_id: authorId, reason: 'Rogue' }
+        });
+
+        expect(status).toBe(403);
+        expect(mockSql).toHaveBeenCalledTimes(2);
+    });
+
+    it('should require a duration for suspensions', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [moderator], rowCount: 1 });
+
+        const { status, data } = await callHandler(handleModeration, {
+            method: 'POST',
+            url: '/api/moderation/actions',
+            user: moderator,
+            body: { action: 'suspend', user_id: authorId, reason: 'Spam' }
+        });
+
+        expect(status).toBe(400);
+        expect(data.errors[0].message).toBe('Duration is required for a suspension');
+    });
+});
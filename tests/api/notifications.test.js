@@ -0,0 +1,137 @@
+// API Tests for Notifications
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleNotifications } from '../../api/routes/notifications.js';
+import {
+    notifyFollowersOfPrompt,
+    notifyCommentReply,
+    notifyPromptRating
+} from '../../api/lib/notifications.js';
+
+const user = { id: '11111111-1111-4111-8111-111111111111', username: 'reader', is_moderator: false };
+const actorId = '33333333-3333-4333-8333-333333333333';
+const promptId = '22222222-2222-4222-8222-222222222222';
+const notificationId = '44444444-4444-4444-8444-444444444444';
+
+function call(options) {
+    return callHandler(handleNotifications, options);
+}
+
+describe('/api/notifications', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should require authentication', async () => {
+        const { status } = await call({ url: '/api/notifications' });
+
+        expect(status).toBe(401);
+    });
+
+    it('should list unread notifications with the unread count', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [user], rowCount: 1 });
+        mockSql.query
+            .mockResolvedValueOnce({
+                rows: [{
+                    id: notificationId, type: 'prompt_rating', read_at: null, created_at: '2024-01-15T10:00:00.000Z',
+                    comment_id: null, actor_username: 'rater', actor_display_name: 'Rater', actor_avatar_url: null,
+                    prompt_id: promptId, prompt_title: 'Code Review', rating: 4, total_count: '1'
+                }]
+            })
+            .mockResolvedValueOnce({ rows: [{ count: 1 }] });
+
+        const { status, data } = await call({ url: '/api/notifications?unread=true', user });
+
+        expect(status).toBe(200);
+        expect(data.notifications).toEqual([{
+            id: notificationId,
+            type: 'prompt_rating',
+            read: false,
+            created_at: '2024-01-15T10:00:00.000Z',
+            actor: { username: 'rater', display_name: 'Rater', avatar_url: null },
+            prompt: { id: promptId, title: 'Code Review' },
+            comment_id: null,
+            rating: 4
+        }]);
+        expect(data.unread_count).toBe(1);
+        expect(data.pagination).toEqual({ page: 1, limit: 20, total: 1, totalPages: 1 });
+
+        const [text, params] = mockSql.query.mock.calls[0];
+        expect(text).toContain("(n.type <> 'new_prompt' OR p.is_public = true)");
+        expect(params).toEqual([user.id, true, 20, 0]);
+    });
+
+    it('should mark one of your notifications read or unread', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: notificationId, read_at: null }], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: [{ count: 2 }] });
+
+        const { status, data } = await call({
+            method: 'PUT',
+            url: `/api/notifications/${notificationId}`,
+            user,
+            body: { read: false }
+        });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({ id: notificationId, read: false, unread_count: 2 });
+        expect(mockSql.mock.calls[1].slice(1)).toEqual([false, notificationId, user.id]);
+    });
+
+    it('should 404 for notifications that are not yours', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+        const { status } = await call({
+            method: 'PUT',
+            url: `/api/notifications/${notificationId}`,
+            user,
+            body: { read: true }
+        });
+
+        expect(status).toBe(404);
+    });
+
+    it('should mark everything read', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [user], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [], rowCount: 5 });
+
+        const { status, data } = await call({ method: 'POST', url: '/api/notifications/read-all', user });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({ message: 'All notifications read', updated: 5, unread_count: 0 });
+        expect(queryText(mockSql.mock.calls[1])).toContain('read_at IS NULL');
+    });
+});
+
+describe('recording notifications', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+    });
+
+    it('should fan new public prompts out to followers', async () => {
+        await notifyFollowersOfPrompt({ promptId, authorId: actorId });
+
+        expect(queryText(mockSql.mock.calls[0])).toContain('FROM user_follows');
+        expect(mockSql.mock.calls[0].slice(1)).toEqual([actorId, promptId, actorId]);
+
+        await notifyFollowersOfPrompt({ promptId, authorId: actorId, isPublic: false });
+        await notifyFollowersOfPrompt({ promptId, authorId: null });
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip top-level comments and ratings of your own prompts', async () => {
+        await notifyCommentReply({ commentId: notificationId, parentId: null, promptId, actorId });
+        await notifyPromptRating({ ratingId: notificationId, promptId, authorId: actorId, actorId });
+        expect(mockSql).not.toHaveBeenCalled();
+
+        await notifyCommentReply({ commentId: notificationId, parentId: promptId, promptId, actorId });
+        expect(queryText(mockSql.mock.calls[0])).toContain('user_id IS DISTINCT FROM ?');
+    });
+});
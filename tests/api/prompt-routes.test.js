@@ -0,0 +1,284 @@
+// API Tests for GET and POST /api/prompts, through api/prompts.js (what vercel.json
+// serves) and through the catch-all router, and for GET and DELETE /api/prompts/:id
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import promptsEndpoint from '../../api/prompts.js';
+import router from '../../api/[...route].js';
+import { fingerprint } from '../../api/lib/duplicates.js';
+import { signDeviceToken } from '../../api/lib/auth.js';
+
+const author = { id: '11111111-1111-4111-8111-111111111111', username: 'promptmaster', is_moderator: false };
+const reader = { id: '33333333-3333-4333-8333-333333333333', username: 'pythonista', is_moderator: false };
+const moderator = { id: '44444444-4444-4444-8444-444444444444', username: 'mod', is_moderator: true };
+const promptId = '22222222-2222-4222-8222-222222222222';
+
+const newPrompt = {
+    title: 'Code Review Assistant',
+    content: 'Review this {{language}} code for bugs, style problems and missing tests, then suggest fixes.',
+    category: 'development',
+    tags: ['code-review'],
+    difficulty_level: 'intermediate'
+};
+
+// Both entry points run CREATE TABLE IF NOT EXISTS first; every other tagged query
+// gets the first response whose pattern matches its SQL
+function respond(responses = []) {
+    mockSql.mockImplementation(strings => {
+        const match = responses.find(([pattern]) => pattern.test(strings.join('?')));
+        return Promise.resolve(match ? match[1] : { rows: [], rowCount: 0 });
+    });
+}
+
+function queries() {
+    return mockSql.mock.calls.map(queryText).filter(text => !/^\s*CREATE /.test(text));
+}
+
+function insertCall() {
+    return mockSql.mock.calls.find(call => queryText(call).includes('INSERT INTO prompts'));
+}
+
+describe('GET /api/prompts', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+        respond();
+    });
+
+    it('should page, filter and sort the list', async () => {
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [{ total: '41' }] })
+            .mockResolvedValueOnce({ rows: [{ id: promptId, content: 'Hi {{name}}', tags: null, average_rating: '4.50', author_username: 'promptmaster' }] });
+
+        const { status, data } = await callHandler(promptsEndpoint, {
+            url: '/api/prompts?search=Review&category=Development&sort=popular&page=2&limit=20'
+        });
+
+        expect(status).toBe(200);
+        expect(data.pagination).toEqual({ page: 2, limit: 20, total: 41, totalPages: 3, hasNext: true, hasPrev: true });
+        expect(data.prompts[0]).toMatchObject({
+            tags: [],
+            average_rating: 4.5,
+            author_username: 'promptmaster',
+            liked_by_me: false,
+            variables: [{ name: 'name', default: null, description: null, required: true }]
+        });
+
+        const [text, params] = mockSql.query.mock.calls[1];
+        expect(text).toContain('LOWER(category) = $2');
+        expect(text).toContain('ORDER BY total_likes DESC, created_at DESC');
+        expect(text).toContain('AS forked_from_prompt');
+        expect(text).toContain('WHERE is_public = true AND');
+        expect(params).toEqual(['%review%', 'development', 20, 20]);
+    });
+
+    it('should show signed-in users their own private prompts too', async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        respond([[/FROM users/, { rows: [author], rowCount: 1 }]]);
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [{ total: '0' }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const { status } = await callHandler(promptsEndpoint, { url: '/api/prompts', user: author });
+
+        expect(status).toBe(200);
+        expect(mockSql.query.mock.calls[0][0]).toContain('WHERE (is_public = true OR author_id = $1::uuid)');
+        expect(mockSql.query.mock.calls[0][1]).toEqual([author.id]);
+    });
+
+    it('should mark the prompts liked from this device', async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        respond([[/FROM prompt_likes WHERE device_id/, { rows: [{ prompt_id: promptId }] }]]);
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [{ total: '2' }] })
+            .mockResolvedValueOnce({ rows: [{ id: promptId, content: '' }, { id: 'other', content: '' }] });
+
+        const { data } = await callHandler(promptsEndpoint, {
+            url: '/api/prompts',
+            headers: { 'x-device-token': signDeviceToken('device-abc') }
+        });
+
+        expect(data.prompts.map(prompt => prompt.liked_by_me)).toEqual([true, false]);
+        const likesCall = mockSql.mock.calls.find(call => queryText(call).includes('FROM prompt_likes'));
+        expect(likesCall.slice(1)).toEqual(['device-abc', [promptId, 'other']]);
+    });
+
+    it('should answer the same through the router', async () => {
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [{ total: '0' }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const { status, data } = await callHandler(router, { url: '/api/prompts?q=review&sort=unknown' });
+
+        expect(status).toBe(200);
+        expect(data.filters).toMatchObject({ search: 'review', sort: 'newest' });
+        expect(mockSql.query.mock.calls[1][0]).toContain('ORDER BY created_at DESC');
+    });
+});
+
+describe('POST /api/prompts', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+        mockSql.query.mockResolvedValue({ rows: [] });
+    });
+
+    it('should require a signed-in user who is not suspended', async () => {
+        respond();
+
+        const anonymous = await callHandler(promptsEndpoint, { method: 'POST', url: '/api/prompts', body: newPrompt });
+        expect(anonymous.status).toBe(401);
+
+        respond([[/FROM users/, { rows: [{ ...author, is_suspended: true }], rowCount: 1 }]]);
+
+        const suspended = await callHandler(router, { method: 'POST', url: '/api/prompts', user: author, body: newPrompt });
+        expect(suspended.status).toBe(403);
+        expect(suspended.data.error).toBe('Account suspended');
+        expect(insertCall()).toBeUndefined();
+    });
+
+    it('should refuse an unknown difficulty with the validation error shape', async () => {
+        respond([[/FROM users/, { rows: [author], rowCount: 1 }]]);
+
+        const { status, data } = await callHandler(promptsEndpoint, {
+            method: 'POST',
+            url: '/api/prompts',
+            user: author,
+            body: { ...newPrompt, difficulty_level: 'expert' }
+        });
+
+        expect(status).toBe(400);
+        expect(data.error).toBe('Validation failed');
+        expect(data.errors).toEqual([{ field: 'difficulty_level', message: 'Difficulty level must be one of: beginner, intermediate, advanced' }]);
+        expect(queries()).toHaveLength(1);
+    });
+
+    it('should refuse an unknown category through either entry point', async () => {
+        for (const handler of [promptsEndpoint, router]) {
+            mockSql.mockReset();
+            respond([
+                [/FROM users/, { rows: [author], rowCount: 1 }],
+                [/FROM categories ORDER BY/, { rows: [{ slug: 'development' }] }]
+            ]);
+
+            const { status, data } = await callHandler(handler, {
+                method: 'POST',
+                url: '/api/prompts',
+                user: author,
+                body: { ...newPrompt, category: 'cooking' }
+            });
+
+            expect(status).toBe(400);
+            expect(data.errors).toEqual([{ field: 'category', message: 'Category must be one of: development' }]);
+            expect(insertCall()).toBeUndefined();
+        }
+    });
+
+    it('should guess a missing difficulty and store the signed-in author', async () => {
+        respond([
+            [/FROM users/, { rows: [author], rowCount: 1 }],
+            [/FROM categories/, { rows: [{ slug: 'development' }] }],
+            [/LEFT JOIN tag_synonyms/, { rows: [{ name: 'code-review' }] }],
+            [/INSERT INTO prompts/, { rows: [{ id: promptId, is_public: true, difficulty_level: 'beginner' }], rowCount: 1 }]
+        ]);
+
+        const { status, data } = await callHandler(promptsEndpoint, {
+            method: 'POST',
+            url: '/api/prompts',
+            user: author,
+            body: { ...newPrompt, difficulty_level: '' }
+        });
+
+        expect(status).toBe(201);
+        expect(data.message).toBe('Prompt created successfully');
+        expect(data.prompt.id).toBe(promptId);
+
+        const insert = insertCall();
+        expect(insert.slice(1)).toEqual(expect.arrayContaining(['development', ['code-review'], 'beginner', true, author.id]));
+        expect(queries().some(text => text.includes('FROM user_follows'))).toBe(true);
+    });
+
+    it('should send likely duplicates back unless allow_duplicate is set', async () => {
+        respond([
+            [/FROM users/, { rows: [author], rowCount: 1 }],
+            [/FROM categories/, { rows: [{ slug: 'development' }] }]
+        ]);
+        mockSql.query.mockResolvedValue({ rows: [{ id: promptId, title: 'Code Review Assistant', minhash: fingerprint(newPrompt.content).minhash }] });
+
+        const { status, data } = await callHandler(promptsEndpoint, { method: 'POST', url: '/api/prompts', user: author, body: newPrompt });
+
+        expect(status).toBe(409);
+        expect(data.error).toBe('Possible duplicate');
+        expect(insertCall()).toBeUndefined();
+    });
+});
+
+describe('GET /api/prompts/:id', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should only find a private prompt for its author', async () => {
+        respond([[/FROM users/, { rows: [reader], rowCount: 1 }]]);
+        mockSql.query.mockResolvedValueOnce({ rows: [] });
+
+        const hidden = await callHandler(router, { url: `/api/prompts/${promptId}`, user: reader });
+
+        expect(hidden.status).toBe(404);
+        expect(mockSql.query.mock.calls[0][0]).toContain('(is_public = true OR author_id = $2::uuid)');
+        expect(mockSql.query.mock.calls[0][1]).toEqual([promptId, reader.id]);
+
+        respond();
+        mockSql.query.mockResolvedValueOnce({ rows: [{ id: promptId, content: 'Hi {{name}}', estimated_tokens: 4, is_public: true }] });
+
+        const shown = await callHandler(router, { url: `/api/prompts/${promptId}` });
+
+        expect(shown.status).toBe(200);
+        expect(shown.data.prompt).toMatchObject({ id: promptId, liked_by_me: false, estimated_tokens: 4 });
+        expect(mockSql.query.mock.calls[1][1]).toEqual([promptId, null]);
+    });
+});
+
+describe('DELETE /api/prompts/:id', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should require authentication', async () => {
+        respond();
+
+        const { status } = await callHandler(router, { method: 'DELETE', url: `/api/prompts/${promptId}` });
+
+        expect(status).toBe(401);
+        expect(queries()).toEqual([]);
+    });
+
+    it('should only let the author or a moderator delete', async () => {
+        respond([
+            [/FROM users/, { rows: [reader], rowCount: 1 }],
+            [/SELECT id, author_id FROM prompts/, { rows: [{ id: promptId, author_id: author.id }], rowCount: 1 }]
+        ]);
+
+        const refused = await callHandler(router, { method: 'DELETE', url: `/api/prompts/${promptId}`, user: reader });
+
+        expect(refused.status).toBe(403);
+        expect(queries().some(text => text.includes('DELETE FROM prompts'))).toBe(false);
+
+        respond([
+            [/FROM users/, { rows: [moderator], rowCount: 1 }],
+            [/SELECT id, author_id FROM prompts/, { rows: [{ id: promptId, author_id: author.id }], rowCount: 1 }],
+            [/DELETE FROM prompts/, { rows: [{ tags: ['code-review'] }], rowCount: 1 }]
+        ]);
+
+        const deleted = await callHandler(router, { method: 'DELETE', url: `/api/prompts/${promptId}`, user: moderator });
+
+        expect(deleted.status).toBe(200);
+        expect(queries().find(text => text.includes('DELETE FROM prompts'))).toContain('fork_count = GREATEST(COALESCE(fork_count, 0) - 1, 0)');
+        expect(queries().some(text => text.includes('INSERT INTO tags'))).toBe(true);
+    });
+});
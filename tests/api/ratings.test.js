@@ -0,0 +1,179 @@
+// API Tests for Ratings, Reviews and Helpfulness Votes
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleRatings } from '../../api/routes/ratings.js';
+
+const rater = { id: '11111111-1111-4111-8111-111111111111', username: 'rater', is_moderator: false };
+const voter = { id: '33333333-3333-4333-8333-333333333333', username: 'voter', is_moderator: false };
+const authorId = '66666666-6666-4666-8666-666666666666';
+const promptId = '22222222-2222-4222-8222-222222222222';
+const ratingId = '44444444-4444-4444-8444-444444444444';
+
+const prompt = { id: promptId, author_id: authorId, is_public: true };
+
+function call(options) {
+    return callHandler(handleRatings, options);
+}
+
+describe('/api/prompts/:id/ratings', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should list reviews most helpful first with the rating summary', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [voter], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [prompt] })
+            .mockResolvedValueOnce({ rows: [{ rating: 5, count: 2 }, { rating: 3, count: 1 }] })
+            .mockResolvedValueOnce({ rows: [] });
+        mockSql.query.mockResolvedValueOnce({
+            rows: [{
+                id: ratingId, user_id: rater.id, username: 'rater', rating: 5, review: 'Saved me an hour',
+                helpful_count: 4, not_helpful_count: 1, my_vote: true, total_count: '1'
+            }]
+        });
+
+        const { status, data } = await call({ url: `/api/prompts/${promptId}/ratings`, user: voter });
+
+        expect(status).toBe(200);
+        expect(data.summary).toEqual({
+            average_rating: 4.33,
+            total_ratings: 3,
+            distribution: { 1: 0, 2: 0, 3: 1, 4: 0, 5: 2 }
+        });
+        expect(data.my_rating).toBeNull();
+        expect(data.reviews[0]).toMatchObject({
+            id: ratingId,
+            author: { username: 'rater' },
+            helpful_count: 4,
+            my_vote: true,
+            is_mine: false
+        });
+        expect(data.pagination).toEqual({ page: 1, limit: 10, total: 1, totalPages: 1 });
+
+        const [text, params] = mockSql.query.mock.calls[0];
+        expect(text).toContain('ORDER BY (r.helpful_count - r.not_helpful_count) DESC');
+        expect(params).toEqual([promptId, voter.id, 10, 0]);
+    });
+
+    it('should upsert one rating per user and recount the prompt', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [rater], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [prompt] })
+            .mockResolvedValueOnce({ rows: [{ id: ratingId, rating: 4, review: 'Better now', created: false }] })
+            .mockResolvedValueOnce({ rows: [{ average_rating: '4.50', total_ratings: 2 }] });
+
+        const { status, data } = await call({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/ratings`,
+            user: rater,
+            body: { rating: 4, review: ' Better now ' }
+        });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({
+            message: 'Rating updated',
+            rating: { id: ratingId, rating: 4, review: 'Better now' },
+            prompt: { average_rating: 4.5, total_ratings: 2 }
+        });
+        const upsert = mockSql.mock.calls[2];
+        expect(queryText(upsert)).toContain('ON CONFLICT (prompt_id, user_id) DO UPDATE');
+        expect(upsert.slice(1)).toEqual([promptId, rater.id, 4, 'Better now']);
+        expect(queryText(mockSql.mock.calls[3])).toContain('FROM ratings WHERE prompt_id = ?');
+    });
+
+    it('should require sign-in and a valid rating', async () => {
+        const anonymous = await call({ method: 'POST', url: `/api/prompts/${promptId}/ratings`, body: { rating: 5 } });
+        expect(anonymous.status).toBe(401);
+
+        mockSql.mockResolvedValueOnce({ rows: [rater], rowCount: 1 });
+        const { status, data } = await call({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/ratings`,
+            user: rater,
+            body: { rating: 9 }
+        });
+
+        expect(status).toBe(400);
+        expect(data.errors[0].message).toBe('Rating must not exceed 5');
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not let authors rate their own prompts', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [{ ...rater, id: authorId }], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [prompt] });
+
+        const { status } = await call({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/ratings`,
+            user: { ...rater, id: authorId },
+            body: { rating: 5 }
+        });
+
+        expect(status).toBe(400);
+        expect(mockSql).toHaveBeenCalledTimes(2);
+    });
+
+    it('should delete only your own rating', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [voter], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: ratingId, user_id: rater.id }] });
+
+        const denied = await call({ method: 'DELETE', url: `/api/prompts/${promptId}/ratings/${ratingId}`, user: voter });
+        expect(denied.status).toBe(403);
+
+        mockSql
+            .mockResolvedValueOnce({ rows: [rater], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: ratingId, user_id: rater.id }] })
+            .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ average_rating: '0', total_ratings: 0 }] });
+
+        const { status, data } = await call({ method: 'DELETE', url: `/api/prompts/${promptId}/ratings`, user: rater });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({ message: 'Rating deleted', id: ratingId, prompt: { average_rating: 0, total_ratings: 0 } });
+        expect(mockSql.mock.calls[3].slice(1)).toEqual([promptId, rater.id]);
+        expect(queryText(mockSql.mock.calls[4])).toContain('DELETE FROM ratings WHERE id = ?');
+    });
+
+    it('should record a helpfulness vote and recount the review', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [voter], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: ratingId, user_id: rater.id }] })
+            .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ helpful_count: 0, not_helpful_count: 2 }] });
+
+        const { status, data } = await call({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/ratings/${ratingId}/votes`,
+            user: voter,
+            body: { helpful: false }
+        });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({ message: 'Voted', id: ratingId, my_vote: false, helpful_count: 0, not_helpful_count: 2 });
+        expect(queryText(mockSql.mock.calls[2])).toContain('ON CONFLICT (rating_id, user_id) DO UPDATE');
+        expect(mockSql.mock.calls[2].slice(1)).toEqual([ratingId, voter.id, false]);
+    });
+
+    it('should not let reviewers vote on their own review', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [rater], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: ratingId, user_id: rater.id }] });
+
+        const { status, data } = await call({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/ratings/${ratingId}/votes`,
+            user: rater,
+            body: { helpful: true }
+        });
+
+        expect(status).toBe(400);
+        expect(data.error).toBe('You cannot vote on your own review');
+        expect(mockSql).toHaveBeenCalledTimes(2);
+    });
+});
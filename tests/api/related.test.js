@@ -0,0 +1,91 @@
+// API Tests for Related Prompts
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, callHandler } from './helpers.js';
+
+import { handleRelatedPrompts } from '../../api/routes/related.js';
+import router from '../../api/[...route].js';
+
+const author = { id: '11111111-1111-4111-8111-111111111111', username: 'promptmaster', is_moderator: false };
+const promptId = '22222222-2222-4222-8222-222222222222';
+const relatedId = '44444444-4444-4444-8444-444444444444';
+
+const prompt = { id: promptId, title: 'AI Code Review Assistant', author_id: author.id, is_public: true };
+
+function callRelated(options) {
+    return callHandler(handleRelatedPrompts, options);
+}
+
+describe('GET /api/prompts/:id/related', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should rank public prompts by the weighted signals', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [prompt], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({
+            rows: [{
+                id: relatedId,
+                title: 'Security Audit Checklist',
+                description: 'Walks through an application security review',
+                category: 'development',
+                tags: ['security', 'review'],
+                shared_tags: ['review'],
+                author_username: 'secpro',
+                average_rating: '4.60',
+                total_ratings: 31,
+                tag_score: 0.25,
+                category_score: 1,
+                text_score: 0.18,
+                co_favorite_score: 0.5,
+                score: 0.3825
+            }]
+        });
+
+        const { status, data } = await callRelated({ url: `/api/prompts/${promptId}/related?limit=3` });
+
+        expect(status).toBe(200);
+        expect(data.prompt).toEqual({ id: promptId, title: prompt.title });
+        expect(data.related[0]).toMatchObject({
+            id: relatedId,
+            average_rating: 4.6,
+            score: 0.383,
+            signals: { tags: 0.25, category: 1, text: 0.18, co_favorites: 0.5 },
+            shared_tags: ['review']
+        });
+
+        const [text, params] = mockSql.query.mock.calls[0];
+        expect(params).toEqual([promptId, 3]);
+        expect(text).toContain('p.is_public = true');
+        expect(text).toContain('0.35 * sc.tag_score');
+        expect(text).toContain('0.3 * sc.co_favorite_score');
+        expect(text).toContain('f2.prompt_id <> f1.prompt_id');
+    });
+
+    it('should hide private prompts from other users', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ ...prompt, is_public: false }], rowCount: 1 });
+
+        const { status } = await callRelated({ url: `/api/prompts/${promptId}/related` });
+
+        expect(status).toBe(404);
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+
+    it('should validate the limit', async () => {
+        const { status, data } = await callRelated({ url: `/api/prompts/${promptId}/related?limit=50` });
+
+        expect(status).toBe(400);
+        expect(data.errors[0].message).toBe('Limit must not exceed 20');
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should turn a database failure into a 500 through the router', async () => {
+        mockSql.mockRejectedValueOnce(new Error('connection reset'));
+
+        const { status, data } = await callHandler(router, { url: `/api/prompts/${promptId}/related` });
+
+        expect(status).toBe(500);
+        expect(data.details).toBe('connection reset');
+    });
+});
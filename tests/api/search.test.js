@@ -0,0 +1,173 @@
+// API Tests for Search Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, callHandler } from './helpers.js';
+
+import { handleSearch } from '../../api/routes/search.js';
+import { toHighlightHtml, parseTagList, escapeLike } from '../../api/lib/search.js';
+
+function callSearch(url) {
+    return callHandler(handleSearch, { url });
+}
+
+const facetRows = [
+    { facet: 'category', value: 'development', count: 3 },
+    { facet: 'category', value: 'creative', count: 1 },
+    { facet: 'difficulty', value: 'beginner', count: 4 },
+    { facet: 'tag', value: 'coding', count: 3 },
+    { facet: 'tag', value: 'ai', count: 4 }
+];
+
+describe('Search helpers', () => {
+    it('should escape prompt text before adding highlight marks', () => {
+        expect(toHighlightHtml('<b>[[[Code]]]</b> review')).toBe('&lt;b&gt;<mark>Code</mark>&lt;&#x2F;b&gt; review');
+        expect(toHighlightHtml(null)).toBeNull();
+    });
+
+    it('should escape LIKE wildcards', () => {
+        expect(escapeLike('100%_done')).toBe('100\\%\\_done');
+    });
+
+    it('should parse comma-separated tag lists', () => {
+        expect(parseTagList('ai, Coding ,,ai')).toEqual(['ai', 'coding']);
+        expect(parseTagList(undefined)).toEqual([]);
+    });
+});
+
+describe('/api/search', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+        mockSql.query
+            .mockResolvedValueOnce({ rows: facetRows })
+            .mockResolvedValueOnce({ rows: [{ id: 'p1', title: 'Code review', snippet: 'a [[[code]]] <review>', title_highlight: '[[[Code]]] review' }] });
+    });
+
+    it('should run websearch_to_tsquery against the indexed document', async () => {
+        const { status, data } = await callSearch('/api/search?search=code%20review&tags=ai,coding&category=development');
+
+        expect(status).toBe(200);
+        const [facetSql, facetParams] = mockSql.query.mock.calls[0];
+        expect(facetSql).toContain("to_tsvector('english', COALESCE(p.title, '') || ' ' || COALESCE(p.description, '') || ' ' || COALESCE(p.content, '')) @@ websearch_to_tsquery('english', $1)");
+        expect(facetSql).toContain('p.tags @> $3::text[]');
+        expect(facetParams).toEqual(['code review', 'development', ['ai', 'coding']]);
+
+        const [rowsSql] = mockSql.query.mock.calls[1];
+        expect(rowsSql).toContain('ts_rank(');
+        expect(rowsSql).toContain('ts_headline(');
+        expect(rowsSql).toContain('ORDER BY rank DESC');
+
+        expect(data.prompts[0].snippet).toBe('a <mark>code</mark> &lt;review&gt;');
+        expect(data.prompts[0].title_highlight).toBe('<mark>Code</mark> review');
+    });
+
+    it('should return pagination, facets and related tags for AdvancedSearch', async () => {
+        const { data } = await callSearch('/api/search?search=code&tags=coding&limit=2');
+
+        expect(data.pagination).toEqual({
+            page: 1,
+            limit: 2,
+            total: 4,
+            total_pages: 2,
+            has_prev_page: false,
+            has_next_page: true
+        });
+        expect(data.facets.categories[0]).toEqual({ value: 'development', count: 3 });
+        expect(data.facets.tags.map(t => t.value)).toEqual(['ai', 'coding']);
+        // Tags already filtered on are not suggested again
+        expect(data.suggestions.related_tags).toEqual([{ tag: 'ai', frequency: 4 }]);
+        expect(data.suggestions.search_suggestions).toEqual([]);
+    });
+
+    it('should skip ranking and headlines without search text', async () => {
+        await callSearch('/api/search?sort=relevance');
+
+        const [facetSql, facetParams] = mockSql.query.mock.calls[0];
+        expect(facetSql).not.toContain('websearch_to_tsquery');
+        expect(facetParams).toEqual([]);
+
+        const [rowsSql, rowsParams] = mockSql.query.mock.calls[1];
+        expect(rowsSql).not.toContain('ts_headline');
+        expect(rowsSql).toContain('ORDER BY created_at DESC');
+        expect(rowsParams).toEqual([20, 0]);
+    });
+
+    it('should reject unknown sort columns', async () => {
+        mockSql.query.mockReset();
+        const { status } = await callSearch('/api/search?sort=1;DROP%20TABLE%20prompts');
+
+        expect(status).toBe(400);
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('/api/search/suggestions', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    function mockSources({ titles = [], tags = [], queries = [] }) {
+        // Promise.all issues the three lookups in this order
+        mockSql
+            .mockResolvedValueOnce({ rows: titles })
+            .mockResolvedValueOnce({ rows: tags })
+            .mockResolvedValueOnce({ rows: queries });
+    }
+
+    it('should require at least two characters', async () => {
+        const { status } = await callSearch('/api/search/suggestions?q=a');
+
+        expect(status).toBe(400);
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should merge titles, tags and past queries with prefix matches first', async () => {
+        mockSources({
+            titles: [
+                { prompt_id: 'p1', suggestion: 'AI Code Review Assistant', is_prefix: true, score: 0.5 },
+                { prompt_id: 'p2', suggestion: 'Codex helper', is_prefix: false, score: 0.7 }
+            ],
+            tags: [{ suggestion: 'code-review', count: 32, is_prefix: true, score: 0.4 }],
+            queries: [
+                { suggestion: 'code review checklist ', count: 14, is_prefix: true, score: 0.6 },
+                { suggestion: 'code rev', count: 3, is_prefix: true, score: 1 }
+            ]
+        });
+
+        const { status, data } = await callSearch('/api/search/suggestions?q=Code%20rev');
+
+        expect(status).toBe(200);
+        expect(data.suggestions).toEqual([
+            { suggestion: 'code review checklist', type: 'query', count: 14 },
+            { suggestion: 'AI Code Review Assistant', type: 'prompt', prompt_id: 'p1' },
+            { suggestion: 'code-review', type: 'tag', count: 32 },
+            { suggestion: 'Codex helper', type: 'prompt', prompt_id: 'p2' }
+        ]);
+    });
+
+    it('should use trigram operators and escaped prefixes', async () => {
+        mockSources({});
+
+        await callSearch('/api/search/suggestions?q=50%25_off&limit=3');
+
+        const [titles, tags, queries] = mockSql.mock.calls;
+        expect(titles[0].join('?')).toContain('<% p.title');
+        expect(titles).toContain('50\\%\\_off%');
+        expect(tags[0].join('?')).toContain('t.name % ?');
+        expect(queries[0].join('?')).toContain("event_type = 'search'");
+        expect(queries[0].join('?')).toContain('HAVING COUNT(*) >= ?');
+        expect(titles).toContain(3);
+    });
+
+    it('should offer suggestions when a search finds nothing', async () => {
+        mockSql.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] });
+        mockSources({ tags: [{ suggestion: 'javascript', count: 9, is_prefix: false, score: 0.6 }] });
+
+        const { data } = await callSearch('/api/search?search=javascirpt');
+
+        expect(data.pagination.total).toBe(0);
+        expect(data.suggestions.search_suggestions).toEqual([{ suggestion: 'javascript', type: 'tag', count: 9 }]);
+    });
+});
@@ -0,0 +1,145 @@
+// API Tests for Stats Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, callHandler } from './helpers.js';
+
+import { handlePromptStats, handleUserStats } from '../../api/routes/stats.js';
+
+const author = { id: '11111111-1111-4111-8111-111111111111', username: 'promptmaster', is_moderator: false };
+const other = { id: '33333333-3333-4333-8333-333333333333', username: 'someone', is_moderator: false };
+const moderator = { id: '66666666-6666-4666-8666-666666666666', username: 'mod', is_moderator: true };
+const promptId = '22222222-2222-4222-8222-222222222222';
+
+const prompt = {
+    id: promptId,
+    title: 'Code Review Assistant',
+    author_id: author.id,
+    view_count: 1250,
+    usage_count: 310,
+    total_favorites: 45,
+    total_ratings: 12,
+    average_rating: '4.50'
+};
+
+const series = [
+    { bucket: '2024-01-14', views: 0, copies: 0, favorites: 0, shares: 0, ratings: 0, average_rating: null },
+    { bucket: '2024-01-15', views: 8, copies: 2, favorites: 1, shares: 1, ratings: 1, average_rating: 5 },
+    { bucket: '2024-01-16', views: 2, copies: 1, favorites: 0, shares: 0, ratings: 3, average_rating: 3 }
+];
+
+function callStats(handler, url, user = author) {
+    return callHandler(handler, { url, user });
+}
+
+describe('/api/prompts/:id/stats', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    function asUser(user) {
+        mockSql.mockResolvedValueOnce({ rows: [user], rowCount: 1 }); // authenticate
+    }
+
+    it('should require authentication', async () => {
+        const { status } = await callStats(handlePromptStats, `/api/prompts/${promptId}/stats`, null);
+
+        expect(status).toBe(401);
+    });
+
+    it('should only show stats to the author', async () => {
+        asUser(other);
+        mockSql.mockResolvedValueOnce({ rows: [prompt], rowCount: 1 });
+
+        const { status } = await callStats(handlePromptStats, `/api/prompts/${promptId}/stats`, other);
+
+        expect(status).toBe(403);
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+
+    it('should return bucketed series with conversion and totals', async () => {
+        asUser(author);
+        mockSql.mockResolvedValueOnce({ rows: [prompt], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: series });
+
+        const { status, data } = await callStats(handlePromptStats, `/api/prompts/${promptId}/stats?days=3`);
+
+        expect(status).toBe(200);
+        const [text, params] = mockSql.query.mock.calls[0];
+        expect(text).toContain('WHERE p.id = $1::uuid');
+        expect(text).toContain('generate_series(');
+        expect(params).toEqual([promptId, 'day', 3]);
+
+        expect(data.series[0].conversion_rate).toBeNull();
+        expect(data.series[1].conversion_rate).toBe(0.25);
+        expect(data.totals).toEqual({
+            views: 10,
+            copies: 3,
+            favorites: 1,
+            shares: 1,
+            ratings: 4,
+            average_rating: 3.5,
+            conversion_rate: 0.3
+        });
+        expect(data.lifetime).toEqual({ views: 1250, copies: 310, favorites: 45, ratings: 12, average_rating: 4.5 });
+    });
+
+    it('should let moderators read any prompt stats', async () => {
+        asUser(moderator);
+        mockSql.mockResolvedValueOnce({ rows: [prompt], rowCount: 1 });
+        mockSql.query.mockResolvedValueOnce({ rows: [] });
+
+        const { status } = await callStats(handlePromptStats, `/api/prompts/${promptId}/stats`, moderator);
+
+        expect(status).toBe(200);
+    });
+
+    it('should 404 for ids that are not prompts', async () => {
+        asUser(author);
+
+        const { status } = await callStats(handlePromptStats, '/api/prompts/not-a-uuid/stats');
+
+        expect(status).toBe(404);
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('/api/users/me/stats', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+        mockSql.mockResolvedValueOnce({ rows: [author], rowCount: 1 }); // authenticate
+    });
+
+    it('should aggregate across the author prompts with a per-prompt breakdown', async () => {
+        mockSql.query
+            .mockResolvedValueOnce({ rows: series })
+            .mockResolvedValueOnce({
+                rows: [
+                    { ...prompt, lifetime_average_rating: '4.50', is_public: true, views: 10, copies: 3, favorites: 1, shares: 1, ratings: 4, average_rating: 3.5 },
+                    { id: 'p2', title: 'Draft', is_public: false, view_count: 0, usage_count: 0, total_favorites: 0, total_ratings: 0, lifetime_average_rating: '0.00', views: 0, copies: 0, favorites: 0, shares: 0, ratings: 0, average_rating: null }
+                ]
+            });
+
+        const { status, data } = await callStats(handleUserStats, '/api/users/me/stats?interval=week&days=84');
+
+        expect(status).toBe(200);
+        const [seriesSql, seriesParams] = mockSql.query.mock.calls[0];
+        expect(seriesSql).toContain('WHERE p.author_id = $1::uuid');
+        expect(seriesParams).toEqual([author.id, 'week', 84]);
+
+        expect(data.interval).toBe('week');
+        expect(data.totals.views).toBe(10);
+        expect(data.prompts[0].totals).toMatchObject({ views: 10, copies: 3, conversion_rate: 0.3 });
+        expect(data.prompts[1].totals.conversion_rate).toBeNull();
+        expect(data.lifetime).toMatchObject({ views: 1250, ratings: 12, average_rating: 4.5 });
+    });
+
+    it('should reject unknown intervals', async () => {
+        const { status } = await callStats(handleUserStats, '/api/users/me/stats?interval=hour');
+
+        expect(status).toBe(400);
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,203 @@
+// API Tests for the Tag Taxonomy
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handleTags } from '../../api/routes/tags.js';
+import { canonicalizeTags, refreshTagUsage } from '../../api/lib/tags.js';
+import { normalizeTag, validateAndSanitizeTags } from '../../api/validation/schemas.js';
+
+const moderator = { id: '11111111-1111-4111-8111-111111111111', username: 'mod', is_moderator: true };
+const member = { id: '22222222-2222-4222-8222-222222222222', username: 'member', is_moderator: false };
+const codeReview = { id: '33333333-3333-4333-8333-333333333333', name: 'code-review' };
+const codereview = { id: '44444444-4444-4444-8444-444444444444', name: 'codereview' };
+
+function call(options) {
+    return callHandler(handleTags, options);
+}
+
+describe('normalizing tags', () => {
+    it('should spell every variant of a tag the same way', () => {
+        expect(normalizeTag('Code Review')).toBe('code-review');
+        expect(normalizeTag(' code_review ')).toBe('code-review');
+        expect(normalizeTag('--Code--Review!')).toBe('code-review');
+        expect(normalizeTag('node.js')).toBe('node-js');
+        expect(normalizeTag(42)).toBe('');
+    });
+
+    it('should drop short and repeated tags and keep at most 10', () => {
+        const many = Array.from({ length: 12 }, (_, i) => `tag-${i}`);
+
+        expect(validateAndSanitizeTags(['Code Review', 'code-review', 'a', '!!', 'ai'])).toEqual(['code-review', 'ai']);
+        expect(validateAndSanitizeTags(many)).toHaveLength(10);
+        expect(validateAndSanitizeTags('ai, code')).toEqual([]);
+    });
+});
+
+describe('canonical tags and usage counts', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+    });
+
+    it('should map normalized tags onto canonical ones in one query', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ name: 'code-review' }, { name: 'code-review' }, { name: 'python' }] });
+
+        const tags = await canonicalizeTags(['CodeReview', 'Code Review', 'python']);
+
+        expect(tags).toEqual(['code-review', 'python']);
+        expect(queryText(mockSql.mock.calls[0])).toContain("REPLACE(name, '-', '') = REPLACE(input.tag, '-', '')");
+        expect(mockSql.mock.calls[0][1]).toEqual(['codereview', 'code-review', 'python']);
+    });
+
+    it('should skip the database when there are no tags', async () => {
+        expect(await canonicalizeTags([])).toEqual([]);
+        expect(await refreshTagUsage(undefined)).toEqual([]);
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should recount usage from prompts rather than adding to it', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ name: 'python', usage_count: 3 }] });
+
+        await refreshTagUsage(['python', 'python', 'code-review']);
+
+        expect(queryText(mockSql.mock.calls[0])).toContain('ON CONFLICT (name) DO UPDATE SET usage_count = EXCLUDED.usage_count');
+        expect(mockSql.mock.calls[0][1]).toEqual(['python', 'code-review']);
+    });
+});
+
+describe('GET /api/tags', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+    });
+
+    it('should autocomplete by prefix, by word and through aliases', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ name: 'code-review', usage_count: 12, matched_alias: 'codereview' }] });
+
+        const { status, data } = await call({ url: '/api/tags?q=Code%20Rev&limit=5' });
+
+        expect(status).toBe(200);
+        expect(data.tags).toEqual([{ name: 'code-review', usage_count: 12, matched_alias: 'codereview' }]);
+        expect(mockSql.mock.calls[0].slice(1)).toEqual([
+            'code-rev%', 'code-rev%', 'coderev%', '%-code-rev%', 'code-rev%', 5
+        ]);
+    });
+
+    it('should say which tag an alias stands for', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ ...codeReview, usage_count: 12, synonyms: ['codereview'] }] });
+
+        const { status, data } = await call({ url: '/api/tags/codereview' });
+
+        expect(status).toBe(200);
+        expect(data.canonical).toBe('code-review');
+        expect(data.tag.synonyms).toEqual(['codereview']);
+    });
+});
+
+describe('PUT /api/tags/:name', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+    });
+
+    it('should be for moderators only', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [member], rowCount: 1 });
+
+        const { status } = await call({ method: 'PUT', url: '/api/tags/codereview', user: member, body: { name: 'x-y' } });
+
+        expect(status).toBe(403);
+        expect(mockSql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should rename on every prompt and keep the old name as an alias', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [codereview] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ ...codereview, name: 'code-review', usage_count: 4 }] })
+            .mockResolvedValueOnce({ rows: [], rowCount: 4 });
+
+        const { status, data } = await call({
+            method: 'PUT',
+            url: '/api/tags/codereview',
+            user: moderator,
+            body: { name: 'Code Review' }
+        });
+
+        expect(status).toBe(200);
+        expect(data.message).toBe('Renamed "codereview" to "code-review"');
+        expect(data.prompts_updated).toBe(4);
+        expect(queryText(mockSql.mock.calls[3])).toContain('INSERT INTO tag_synonyms (alias, tag_id)');
+        expect(queryText(mockSql.mock.calls[4])).toContain('WITH ORDINALITY');
+        expect(mockSql.mock.calls[4].slice(1)).toEqual(['codereview', 'code-review', 'codereview']);
+    });
+
+    it('should refuse to rename onto an existing tag', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [codereview] })
+            .mockResolvedValueOnce({ rows: [codeReview] });
+
+        const { status, data } = await call({
+            method: 'PUT',
+            url: '/api/tags/codereview',
+            user: moderator,
+            body: { name: 'code-review' }
+        });
+
+        expect(status).toBe(409);
+        expect(data.error).toBe('Tag "code-review" already exists; merge into it instead');
+    });
+});
+
+describe('POST /api/tags/:name/merge', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+    });
+
+    it('should move prompts and aliases over before deleting the merged tag', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [codereview] })
+            .mockResolvedValueOnce({ rows: [codeReview] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [], rowCount: 3 })
+            .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ name: 'code-review', usage_count: 15 }] });
+
+        const { status, data } = await call({
+            method: 'POST',
+            url: '/api/tags/codereview/merge',
+            user: moderator,
+            body: { into: 'Code Review' }
+        });
+
+        expect(status).toBe(200);
+        expect(data).toEqual({
+            message: 'Merged "codereview" into "code-review"',
+            tag: { ...codeReview, usage_count: 15 },
+            prompts_updated: 3
+        });
+        expect(mockSql.mock.calls[3].slice(1)).toEqual([codeReview.id, codereview.id, 'codereview', codeReview.id]);
+        expect(mockSql.mock.calls[5].slice(1)).toEqual([codereview.id]);
+        expect(queryText(mockSql.mock.calls[5])).toContain('DELETE FROM tags');
+    });
+
+    it('should not merge a tag into itself or into nothing', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [codereview] })
+            .mockResolvedValueOnce({ rows: [codereview] });
+
+        const self = await call({ method: 'POST', url: '/api/tags/codereview/merge', user: moderator, body: { into: 'codereview' } });
+        expect(self.status).toBe(400);
+
+        mockSql
+            .mockResolvedValueOnce({ rows: [moderator], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [codereview] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const missing = await call({ method: 'POST', url: '/api/tags/codereview/merge', user: moderator, body: { into: 'reviews' } });
+        expect(missing.status).toBe(404);
+        expect(missing.data.error).toBe('Tag "reviews" not found; rename instead');
+    });
+});
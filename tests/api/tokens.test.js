@@ -0,0 +1,69 @@
+// API Tests for Prompt Token Estimates
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql } from './helpers.js';
+
+import { countTokens, estimateTokensByModel, DEFAULT_TOKEN_MODEL } from '../../api/lib/tokens.js';
+import { saveRevision } from '../../api/lib/versions.js';
+
+const code = `You are a senior code reviewer. Review this TypeScript function for bugs:
+function add(a: number, b: number): number {
+    return a + b;
+}`;
+
+describe('countTokens', () => {
+    it('should count common words as one token each', () => {
+        // Matches the GPT-4 tokenizer: Hello| world|,| this| is| a| simple| test|.
+        expect(countTokens('Hello world, this is a simple test.')).toBe(9);
+    });
+
+    it('should split long words, digit runs and uppercase placeholders', () => {
+        expect(countTokens('internationalization')).toBe(5);
+        expect(countTokens('1234567')).toBe(3);
+        expect(countTokens('[INSERT_TECH_STACK]')).toBeGreaterThan(4);
+    });
+
+    it('should count empty content as zero', () => {
+        expect(countTokens('')).toBe(0);
+        expect(countTokens(null)).toBe(0);
+    });
+});
+
+describe('estimateTokensByModel', () => {
+    it('should estimate every model family', () => {
+        const estimates = estimateTokensByModel(code);
+
+        expect(Object.keys(estimates)).toEqual(['gpt-4o', 'gpt-4', 'claude', 'llama-3', 'llama-2']);
+        expect(estimates[DEFAULT_TOKEN_MODEL]).toBe(countTokens(code));
+        // Larger vocabularies need fewer tokens for the same text
+        expect(estimates['gpt-4o']).toBeLessThanOrEqual(estimates['gpt-4']);
+        expect(estimates['llama-2']).toBeGreaterThan(estimates['llama-3']);
+    });
+
+    it('should count every digit separately for Llama 2', () => {
+        expect(estimateTokensByModel('2024')['llama-2']).toBe(4);
+        expect(estimateTokensByModel('2024')['gpt-4']).toBe(2);
+    });
+});
+
+describe('saveRevision', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.mockResolvedValue({ rows: [{ id: 'prompt', version: 2 }] });
+    });
+
+    it('should recount tokens when the content changes', async () => {
+        await saveRevision('prompt', { content: code }, { editorId: 'user' });
+
+        const [strings, ...values] = mockSql.mock.calls[0];
+        const index = strings.findIndex(part => part.startsWith(', p.estimated_tokens'));
+        expect(values[index - 1]).toBe(countTokens(code));
+    });
+
+    it('should keep the stored count when the content is unchanged', async () => {
+        await saveRevision('prompt', { title: 'A better title for this prompt' }, { editorId: 'user' });
+
+        const [strings, ...values] = mockSql.mock.calls[0];
+        const index = strings.findIndex(part => part.startsWith(', p.estimated_tokens'));
+        expect(values[index - 1]).toBeNull();
+    });
+});
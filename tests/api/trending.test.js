@@ -0,0 +1,93 @@
+// API Tests for Trending Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, callHandler } from './helpers.js';
+
+import { handleTrending } from '../../api/routes/trending.js';
+import { COMPONENT_TYPES } from '../../api/lib/trending.js';
+
+const ranges = (today, week, month) => ({
+    downloads_today: today[0], score_today: today[1],
+    downloads_week: week[0], score_week: week[1],
+    downloads_month: month[0], score_month: month[1]
+});
+
+const promptRows = [
+    { id: 'p1', title: 'Steady Favourite', category: 'development', author_username: 'promptmaster', prompt_id: 'p1', ...ranges([0, 0], [20, 0.9], [80, 1.4]) },
+    { id: 'p2', title: 'Hot Today', category: 'creative', author_username: null, prompt_id: 'p2', ...ranges([5, 0.7], [5, 0.7], [5, 0.7]) }
+];
+
+const componentRows = [
+    { component_type: 'agents', component_id: 'agent-code-reviewer', name: 'code-reviewer', category: 'development', ...ranges([2, 0.3], [9, 0.5], [30, 0.6]) },
+    { component_type: 'commands', component_id: 'command-utilities/ultra-think', name: null, category: null, ...ranges([1, 0.1], [3, 0.2], [3, 0.2]) }
+];
+
+function callTrending(url) {
+    return callHandler(handleTrending, { url });
+}
+
+describe('/api/trending', () => {
+    beforeEach(() => {
+        mockSql.query.mockReset();
+        mockSql.query
+            .mockResolvedValueOnce({ rows: promptRows })
+            .mockResolvedValueOnce({ rows: componentRows });
+    });
+
+    it('should score events with time decay for every range', async () => {
+        const { status } = await callTrending('/api/trending');
+
+        expect(status).toBe(200);
+        const [promptSql, promptParams] = mockSql.query.mock.calls[0];
+        expect(promptSql).toContain('POWER(EXTRACT(EPOCH FROM (NOW() - a.created_at)) / 3600 + 2, 1.8)');
+        expect(promptSql).toContain("WHEN 'copy' THEN 3");
+        expect(promptSql).toContain("INTERVAL '1 days'");
+        expect(promptSql).toContain('p.is_public = true');
+        expect(promptParams).toEqual([10]);
+
+        const [componentSql, componentParams] = mockSql.query.mock.calls[1];
+        expect(componentSql).toContain('PARTITION BY component_type');
+        expect(componentParams).toEqual([10, ['component_view', 'component_install'], COMPONENT_TYPES]);
+    });
+
+    it('should return lists shaped like trending-data.json', async () => {
+        const { data, res } = await callTrending('/api/trending?range=today');
+
+        expect(Object.keys(data.trending)).toEqual(['prompts', ...COMPONENT_TYPES, 'all']);
+        expect(data.trending.prompts.map(item => item.id)).toEqual(['p2', 'p1']);
+        expect(data.trending.prompts[1]).toMatchObject({
+            name: 'Steady Favourite',
+            downloadsToday: 0,
+            downloadsWeek: 20,
+            downloadsMonth: 80,
+            scoreMonth: 1.4
+        });
+        expect(data.trending.commands[0]).toMatchObject({
+            id: 'command-utilities/ultra-think',
+            name: 'command-utilities/ultra-think',
+            category: 'general'
+        });
+        expect(data.trending.all.map(item => item.id)).toEqual(['agent-code-reviewer', 'command-utilities/ultra-think']);
+        expect(res.getHeader('Cache-Control')).toContain('s-maxage=300');
+    });
+
+    it('should order by the requested range', async () => {
+        const { data } = await callTrending('/api/trending?range=month');
+
+        expect(data.trending.prompts.map(item => item.id)).toEqual(['p1', 'p2']);
+    });
+
+    it('should return a single list when a type is given', async () => {
+        const { data } = await callTrending('/api/trending?type=agents&limit=5');
+
+        expect(Object.keys(data.trending)).toEqual(['agents']);
+        expect(mockSql.query.mock.calls[0][1]).toEqual([5]);
+    });
+
+    it('should reject unknown ranges', async () => {
+        mockSql.query.mockReset();
+        const { status } = await callTrending('/api/trending?range=year');
+
+        expect(status).toBe(400);
+        expect(mockSql.query).not.toHaveBeenCalled();
+    });
+});
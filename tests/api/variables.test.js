@@ -0,0 +1,73 @@
+// API Tests for Prompt Template Variables
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql } from './helpers.js';
+
+import { extractVariables, fillVariables } from '../../api/lib/variables.js';
+import { saveRevision } from '../../api/lib/versions.js';
+
+const content = `Review this {{language|Python|Language of the code under review}} code.
+Endpoint: [INSERT_ENDPOINT]
+Focus on {{focus}} and keep the {{language}} idioms in mind.
+Tone: {{tone|}}`;
+
+describe('extractVariables', () => {
+    it('should read every syntax once per name', () => {
+        expect(extractVariables(content)).toEqual([
+            { name: 'language', default: 'Python', description: 'Language of the code under review', required: false },
+            { name: 'endpoint', default: null, description: null, required: true },
+            { name: 'focus', default: null, description: null, required: true },
+            { name: 'tone', default: '', description: null, required: false }
+        ]);
+    });
+
+    it('should take a default from any occurrence', () => {
+        const variables = extractVariables('{{audience}} ... {{audience|developers|Who will read it}}');
+
+        expect(variables).toEqual([
+            { name: 'audience', default: 'developers', description: 'Who will read it', required: false }
+        ]);
+    });
+
+    it('should return no variables for plain prompts', () => {
+        expect(extractVariables('You are a helpful assistant. Answer in {curly} braces.')).toEqual([]);
+        expect(extractVariables(null)).toEqual([]);
+    });
+});
+
+describe('fillVariables', () => {
+    it('should substitute values and fall back to defaults', () => {
+        const filled = fillVariables(content, { endpoint: '/api/users', focus: 'security' });
+
+        expect(filled).toBe(`Review this Python code.
+Endpoint: /api/users
+Focus on security and keep the Python idioms in mind.
+Tone: `);
+    });
+
+    it('should leave unfilled required variables in place', () => {
+        expect(fillVariables('Focus on {{focus}}', {})).toBe('Focus on {{focus}}');
+    });
+});
+
+describe('saveRevision', () => {
+    beforeEach(() => {
+        mockSql.mockReset();
+        mockSql.mockResolvedValue({ rows: [{ id: 'prompt', version: 2 }] });
+    });
+
+    it('should re-extract variables when the content changes', async () => {
+        await saveRevision('prompt', { content }, { editorId: 'user' });
+
+        const [strings, ...values] = mockSql.mock.calls[0];
+        expect(strings.join('?')).toContain('variables = COALESCE(?::jsonb, p.variables)');
+        expect(values).toContain(JSON.stringify(extractVariables(content)));
+    });
+
+    it('should keep stored variables when the content is unchanged', async () => {
+        await saveRevision('prompt', { title: 'A better title for this prompt' }, { editorId: 'user' });
+
+        const [strings, ...values] = mockSql.mock.calls[0];
+        const index = strings.findIndex(part => part.startsWith('::jsonb, p.variables'));
+        expect(values[index - 1]).toBeNull();
+    });
+});
@@ -0,0 +1,277 @@
+// API Tests for Prompt Version Endpoints
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mockSql, queryText, callHandler } from './helpers.js';
+
+import { handlePromptUpdate, handlePromptVersions } from '../../api/routes/versions.js';
+import { diffText, diffStats } from '../../api/lib/diff.js';
+
+const author = { id: '11111111-1111-4111-8111-111111111111', username: 'promptmaster', is_moderator: false };
+const other = { id: '33333333-3333-4333-8333-333333333333', username: 'someone', is_moderator: false };
+const promptId = '22222222-2222-4222-8222-222222222222';
+
+const prompt = {
+    id: promptId,
+    title: 'Code Review Assistant',
+    description: 'Reviews code',
+    content: 'You are a senior engineer.\nReview this code for bugs and style.\n',
+    category: 'development',
+    tags: ['code', 'review'],
+    difficulty_level: 'intermediate',
+    author_id: author.id,
+    is_public: true,
+    version: 3,
+    updated_at: '2024-01-16T09:00:00Z'
+};
+
+const firstVersion = {
+    version: 1,
+    title: 'Code Review Assistant',
+    description: 'Reviews code',
+    content: 'You are a senior engineer.\nReview this code.\n',
+    category: 'development',
+    tags: ['code'],
+    difficulty_level: 'beginner',
+    edited_by: author.id,
+    edited_by_username: 'promptmaster',
+    change_note: null,
+    restored_from: null,
+    created_at: '2024-01-15T10:30:00Z'
+};
+
+function callVersions({ handler = handlePromptVersions, ...options }) {
+    return callHandler(handler, options);
+}
+
+function asUser(user) {
+    mockSql.mockResolvedValueOnce({ rows: [user], rowCount: 1 }); // authenticate
+}
+
+describe('/api/prompts/:id/versions', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+        mockSql.query.mockReset();
+    });
+
+    it('should list versions newest first without their text', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [prompt], rowCount: 1 })
+            .mockResolvedValueOnce({
+                rows: [
+                    { version: 3, title: prompt.title, edited_by: author.id, edited_by_username: 'promptmaster', change_note: 'Restored version 1', restored_from: 1, created_at: '2024-01-16T09:00:00Z' },
+                    { ...firstVersion, version: 2 }
+                ]
+            })
+            .mockResolvedValueOnce({ rows: [{ total: 3 }] });
+
+        const { status, data } = await callVersions({ url: `/api/prompts/${promptId}/versions?limit=2` });
+
+        expect(status).toBe(200);
+        expect(data.prompt).toEqual({ id: promptId, title: prompt.title, version: 3 });
+        expect(data.versions.map(v => v.version)).toEqual([3, 2]);
+        expect(data.versions[0]).toMatchObject({
+            is_current: true,
+            restored_from: 1,
+            edited_by: { id: author.id, username: 'promptmaster' }
+        });
+        expect(data.versions[1]).not.toHaveProperty('content');
+        expect(data.pagination).toEqual({ page: 1, limit: 2, total: 3, totalPages: 2 });
+        expect(queryText(mockSql.mock.calls[1])).toContain('ORDER BY pv.version DESC');
+    });
+
+    it('should list a never-edited prompt as its current version', async () => {
+        const fresh = { ...prompt, version: 1 };
+        mockSql
+            .mockResolvedValueOnce({ rows: [fresh], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+            .mockResolvedValueOnce({ rows: [] }); // loadRevision finds no history row
+
+        const { status, data } = await callVersions({ url: `/api/prompts/${promptId}/versions` });
+
+        expect(status).toBe(200);
+        expect(data.versions).toHaveLength(1);
+        expect(data.versions[0]).toMatchObject({ version: 1, is_current: true, edited_by: { id: author.id } });
+        expect(data.pagination.total).toBe(1);
+    });
+
+    it('should hide the history of private prompts from other users', async () => {
+        mockSql.mockResolvedValueOnce({ rows: [{ ...prompt, is_public: false }], rowCount: 1 });
+        asUser(other);
+
+        const { status } = await callVersions({ url: `/api/prompts/${promptId}/versions`, user: other });
+
+        expect(status).toBe(404);
+        expect(mockSql).toHaveBeenCalledTimes(2);
+    });
+
+    it('should diff two versions field by field', async () => {
+        mockSql
+            .mockResolvedValueOnce({ rows: [prompt], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [firstVersion] })
+            .mockResolvedValueOnce({ rows: [] }); // current version, never logged
+
+        const { status, data } = await callVersions({ url: `/api/prompts/${promptId}/versions/diff?from=1` });
+
+        expect(status).toBe(200);
+        expect(data.from).toMatchObject({ version: 1, is_current: false });
+        expect(data.to).toMatchObject({ version: 3, is_current: true });
+        expect(data.mode).toBe('line');
+        expect(data.changes.content).toEqual([
+            { type: 'equal', value: 'You are a senior engineer.\n' },
+            { type: 'delete', value: 'Review this code.\n' },
+            { type: 'insert', value: 'Review this code for bugs and style.\n' }
+        ]);
+        expect(data.changes.title).toEqual([{ type: 'equal', value: prompt.title }]);
+        expect(data.changes.category).toBeNull();
+        expect(data.changes.difficulty_level).toEqual({ from: 'beginner', to: 'intermediate' });
+        expect(data.changes.tags).toEqual({ added: ['review'], removed: [] });
+        expect(data.stats).toEqual({ additions: 1, deletions: 1 });
+    });
+
+    it('should require a from version for diffs', async () => {
+        const { status, data } = await callVersions({ url: `/api/prompts/${promptId}/versions/diff?mode=char` });
+
+        expect(status).toBe(400);
+        expect(data.errors.map(e => e.field)).toEqual(['from', 'mode']);
+        expect(mockSql).not.toHaveBeenCalled();
+    });
+
+    it('should restore an old version as a new revision', async () => {
+        asUser(author);
+        mockSql
+            .mockResolvedValueOnce({ rows: [prompt], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [firstVersion] })
+            .mockResolvedValueOnce({ rows: [{ name: 'code' }] })
+            .mockResolvedValueOnce({ rows: [{ ...prompt, ...firstVersion, version: 4 }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const { status, data } = await callVersions({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/versions/1/restore`,
+            user: author
+        });
+
+        expect(status).toBe(200);
+        expect(data).toMatchObject({ message: 'Restored version 1', version: 4 });
+        // The old tags are brought up to date before they are restored, and both sets recounted
+        expect(queryText(mockSql.mock.calls[3])).toContain('LEFT JOIN tag_synonyms s ON s.alias = input.tag');
+        expect(mockSql.mock.calls[5][1]).toEqual(['code', 'review']);
+        const saveCall = mockSql.mock.calls[4];
+        expect(queryText(saveCall)).toContain('ON CONFLICT (prompt_id, version) DO NOTHING');
+        expect(queryText(saveCall)).toContain('restored_from');
+        expect(saveCall).toContain(firstVersion.content);
+        expect(saveCall).toContain('Restored version 1');
+        expect(saveCall.slice(-3)).toEqual([author.id, 'Restored version 1', 1]);
+    });
+
+    it('should only let the author restore', async () => {
+        asUser(other);
+        mockSql.mockResolvedValueOnce({ rows: [prompt], rowCount: 1 });
+
+        const { status } = await callVersions({
+            method: 'POST',
+            url: `/api/prompts/${promptId}/versions/1/restore`,
+            user: other
+        });
+
+        expect(status).toBe(403);
+        expect(mockSql).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('PUT /api/prompts/:id', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        mockSql.mockReset();
+    });
+
+    it('should save text changes as a new version with the change note', async () => {
+        asUser(author);
+        mockSql
+            .mockResolvedValueOnce({ rows: [prompt], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ ...prompt, title: 'Strict Code Review Assistant', version: 4 }] });
+
+        const { status, data } = await callVersions({
+            handler: handlePromptUpdate,
+            method: 'PUT',
+            url: `/api/prompts/${promptId}`,
+            body: { title: 'Strict Code Review Assistant', change_note: 'Sharper title' },
+            user: author
+        });
+
+        expect(status).toBe(200);
+        expect(data.version).toBe(4);
+        const saveCall = mockSql.mock.calls[2];
+        expect(queryText(saveCall)).toContain('INSERT INTO prompt_versions');
+        expect(saveCall).toContain('Strict Code Review Assistant');
+        expect(saveCall).toContain('Sharper title');
+    });
+
+    it('should not create a version when only visibility changes', async () => {
+        asUser(author);
+        mockSql
+            .mockResolvedValueOnce({ rows: [prompt], rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ ...prompt, is_public: false }] });
+
+        const { status, data } = await callVersions({
+            handler: handlePromptUpdate,
+            method: 'PUT',
+            url: `/api/prompts/${promptId}`,
+            body: { is_public: false, title: prompt.title },
+            user: author
+        });
+
+        expect(status).toBe(200);
+        expect(data.version).toBe(3);
+        expect(queryText(mockSql.mock.calls[2])).not.toContain('prompt_versions');
+    });
+
+    it('should keep prompts hidden by a moderator private', async () => {
+        asUser(author);
+        mockSql.mockResolvedValueOnce({
+            rows: [{ ...prompt, is_public: false, hidden_at: '2024-01-20T00:00:00Z' }],
+            rowCount: 1
+        });
+
+        const { status, data } = await callVersions({
+            handler: handlePromptUpdate,
+            method: 'PUT',
+            url: `/api/prompts/${promptId}`,
+            body: { is_public: true },
+            user: author
+        });
+
+        expect(status).toBe(403);
+        expect(data.error).toBe('This prompt was hidden by a moderator');
+        expect(mockSql).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject edits from other users', async () => {
+        asUser(other);
+        mockSql.mockResolvedValueOnce({ rows: [prompt], rowCount: 1 });
+
+        const { status } = await callVersions({
+            handler: handlePromptUpdate,
+            method: 'PUT',
+            url: `/api/prompts/${promptId}`,
+            body: { title: 'Somebody Else Was Here' },
+            user: other
+        });
+
+        expect(status).toBe(403);
+        expect(mockSql).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('diffText', () => {
+    it('should rebuild both texts from word ops', () => {
+        const before = 'Write a short poem about the sea';
+        const after = 'Write a long poem about the open sea';
+        const ops = diffText(before, after, 'word');
+
+        expect(ops.filter(op => op.type !== 'insert').map(op => op.value).join('')).toBe(before);
+        expect(ops.filter(op => op.type !== 'delete').map(op => op.value).join('')).toBe(after);
+        expect(diffStats(ops, 'word')).toEqual({ additions: 2, deletions: 1 });
+    });
+});
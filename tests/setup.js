@@ -41,60 +41,63 @@ global.performance = {
   clearMeasures: vi.fn(),
 };
 
-// Mock URL and URLSearchParams
-global.URL = class URL {
-  constructor(url, base) {
-    this.href = url;
-    this.origin = 'http://localhost';
-    this.protocol = 'http:';
-    this.host = 'localhost';
-    this.hostname = 'localhost';
-    this.port = '';
-    this.pathname = '/';
-    this.search = '';
-    this.hash = '';
-  }
-};
+// Mock URL and URLSearchParams for browser tests; API tests run in the node
+// environment (see vitest.config.js) and keep Node's own, which routing relies on
+if (typeof window !== 'undefined') {
+  global.URL = class URL {
+    constructor(url, base) {
+      this.href = url;
+      this.origin = 'http://localhost';
+      this.protocol = 'http:';
+      this.host = 'localhost';
+      this.hostname = 'localhost';
+      this.port = '';
+      this.pathname = '/';
+      this.search = '';
+      this.hash = '';
+    }
+  };
 
-global.URLSearchParams = class URLSearchParams {
-  constructor(init) {
-    this.params = new Map();
-    if (init) {
-      if (typeof init === 'string') {
-        init.split('&').forEach(pair => {
-          const [key, value] = pair.split('=');
-          if (key) this.params.set(key, value || '');
-        });
-      } else if (Array.isArray(init)) {
-        init.forEach(([key, value]) => this.params.set(key, value));
-      } else if (init && typeof init === 'object') {
-        Object.entries(init).forEach(([key, value]) => this.params.set(key, value));
+  global.URLSearchParams = class URLSearchParams {
+    constructor(init) {
+      this.params = new Map();
+      if (init) {
+        if (typeof init === 'string') {
+          init.split('&').forEach(pair => {
+            const [key, value] = pair.split('=');
+            if (key) this.params.set(key, value || '');
+          });
+        } else if (Array.isArray(init)) {
+          init.forEach(([key, value]) => this.params.set(key, value));
+        } else if (init && typeof init === 'object') {
+          Object.entries(init).forEach(([key, value]) => this.params.set(key, value));
+        }
       }
     }
-  }
-  
-  get(name) {
-    return this.params.get(name);
-  }
-  
-  set(name, value) {
-    this.params.set(name, value);
-  }
-  
-  has(name) {
-    return this.params.has(name);
-  }
-  
-  delete(name) {
-    this.params.delete(name);
-  }
-  
-  toString() {
-    return Array.from(this.params.entries())
-      .map(([key, value]) => `${key}=${value}`)
-      .join('&');
-  }
-};
+    
+    get(name) {
+      return this.params.get(name);
+    }
+    
+    set(name, value) {
+      this.params.set(name, value);
+    }
+    
+    has(name) {
+      return this.params.has(name);
+    }
+    
+    delete(name) {
+      this.params.delete(name);
+    }
+    
+    toString() {
+      return Array.from(this.params.entries())
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+    }
+  };
+}
 
 // Mock IntersectionObserver
 global.IntersectionObserver = class IntersectionObserver {
@@ -3,6 +3,8 @@ import { defineConfig } from 'vitest/config';
 export default defineConfig({
   test: {
     environment: 'jsdom',
+    // API handlers run on Node, not in a browser
+    environmentMatchGlobs: [['tests/api/**', 'node']],
     setupFiles: ['./tests/setup.js'],
     coverage: {
       provider: 'v8',